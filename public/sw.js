@@ -0,0 +1,49 @@
+/**
+ * sw.js
+ * Service worker that precaches the self-hosted pose assets (MediaPipe Pose
+ * WASM + models, the Tasks WASM fileset and the PoseLandmarker / MoveNet
+ * models, all under one asset base) and serves them cache-first, so pose
+ * detection keeps working at testing venues with no internet.
+ *
+ * Registered by services/poseAssets.js with ?assetBase=...&version=...
+ */
+const params = new URL(self.location.href).searchParams;
+const ASSET_BASE = params.get('assetBase') || new URL('mediapipe/pose/', self.registration.scope).href;
+const CACHE_PREFIX = 'athleteai-pose-';
+const CACHE_NAME = `${CACHE_PREFIX}${params.get('version') || 'dev'}`;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const res = await fetch(new URL('manifest.json', ASSET_BASE), { cache: 'no-cache' });
+        const manifest = await res.json();
+        const cache = await caches.open(CACHE_NAME);
+        await cache.addAll(manifest.precache.map(file => new URL(file, ASSET_BASE).href));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || !request.url.startsWith(ASSET_BASE)) return;
+
+    event.respondWith((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+
+        // Not precached (e.g. the heavy models) — fetch once, keep for offline use
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    })());
+});
@@ -0,0 +1,40 @@
+/**
+ * fetch-pose-models.mjs
+ * Downloads the PoseLandmarker and MoveNet models (not shipped in any npm
+ * package) into pose-models/, where the Vite build picks them up and
+ * self-hosts them under /mediapipe/pose/models/ next to the other pose
+ * assets. Run once per checkout: `npm run fetch-models`.
+ */
+import { mkdir, writeFile } from 'node:fs/promises'
+import { dirname, join } from 'node:path'
+import { fileURLToPath } from 'node:url'
+
+const OUT_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'pose-models')
+
+const POSE_LANDMARKER = variant =>
+  `https://storage.googleapis.com/mediapipe-models/pose_landmarker/pose_landmarker_${variant}/float16/latest/pose_landmarker_${variant}.task`
+const MOVENET = variant => `https://tfhub.dev/google/tfjs-model/movenet/singlepose/${variant}/4`
+
+async function download(url, file) {
+  const res = await fetch(url)
+  if (!res.ok) throw new Error(`${url}: HTTP ${res.status}`)
+  const data = Buffer.from(await res.arrayBuffer())
+  await mkdir(dirname(join(OUT_DIR, file)), { recursive: true })
+  await writeFile(join(OUT_DIR, file), data)
+  console.log(`${file} (${(data.length / 1e6).toFixed(1)} MB)`)
+  return data
+}
+
+for (const variant of ['lite', 'full', 'heavy']) {
+  await download(POSE_LANDMARKER(variant), `pose_landmarker_${variant}.task`)
+}
+
+// TF Hub serves the TFJS graph and its weight shards with ?tfjs-format=file
+for (const variant of ['lightning', 'thunder']) {
+  const base = MOVENET(variant)
+  const graph = await download(`${base}/model.json?tfjs-format=file`, `movenet-${variant}/model.json`)
+  const shards = JSON.parse(graph).weightsManifest.flatMap(group => group.paths)
+  for (const shard of shards) {
+    await download(`${base}/${shard}?tfjs-format=file`, `movenet-${variant}/${shard}`)
+  }
+}
@@ -12,6 +12,8 @@ const Dashboard = lazy(() => import('./pages/Dashboard'));
 const Assessment = lazy(() => import('./pages/Assessment'));
 const SprintTest = lazy(() => import('./pages/SprintTest'));
 const TTestDrill = lazy(() => import('./pages/TTestDrill'));
+const IllinoisAgility = lazy(() => import('./pages/IllinoisAgility'));
+const ProAgilityDrill = lazy(() => import('./pages/ProAgilityDrill'));
 const PushUpTest = lazy(() => import('./pages/PushUpTest'));
 const VerticalJump = lazy(() => import('./pages/VerticalJump'));
 const BeepTest = lazy(() => import('./pages/BeepTest'));
@@ -21,6 +23,8 @@ const CoachDashboard = lazy(() => import('./pages/CoachDashboard'));
 const TestSelector = lazy(() => import('./pages/TestSelector'));
 const AuthPage = lazy(() => import('./pages/AuthPage'));
 const CombatReaction = lazy(() => import('./pages/CombatReaction'));
+const FlexibilityTest = lazy(() => import('./pages/FlexibilityTest'));
+const BalanceTest = lazy(() => import('./pages/BalanceTest'));
 
 function LoadingFallback() {
   return (
@@ -55,6 +59,8 @@ export default function App() {
             {/* Module 1: Speed & Agility */}
             <Route path="/test/sprint" element={<SprintTest />} />
             <Route path="/test/t-test" element={<TTestDrill />} />
+            <Route path="/test/illinois" element={<IllinoisAgility />} />
+            <Route path="/test/pro-agility" element={<ProAgilityDrill />} />
 
             {/* Module 2: Strength */}
             <Route path="/test/pushups" element={<PushUpTest />} />
@@ -71,6 +77,12 @@ export default function App() {
 
             {/* Module 6: Combat Sports */}
             <Route path="/test/combat-reaction" element={<CombatReaction />} />
+
+            {/* Module 7: Flexibility */}
+            <Route path="/test/flexibility" element={<FlexibilityTest />} />
+
+            {/* Module 8: Balance */}
+            <Route path="/test/balance" element={<BalanceTest />} />
           </Routes>
         </Suspense>
       </Layout>
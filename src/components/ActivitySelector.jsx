@@ -4,13 +4,6 @@
  */
 import { ACTIVITIES } from '../hooks/useActivityLogic';
 
-const ACTIVITY_ICONS = {
-    'wall-sit': '🧱',
-    'sit-ups': '🏋️',
-    'squats': '🦵',
-    'broad-jump': '🚀',
-};
-
 export default function ActivitySelector({ activity, setActivity, disabled }) {
     return (
         <div style={{
@@ -57,7 +50,7 @@ export default function ActivitySelector({ activity, setActivity, disabled }) {
             >
                 {Object.entries(ACTIVITIES).map(([key, config]) => (
                     <option key={key} value={key}>
-                        {ACTIVITY_ICONS[key]} {config.name}
+                        {config.icon} {config.name}
                     </option>
                 ))}
             </select>
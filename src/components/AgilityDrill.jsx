@@ -0,0 +1,432 @@
+/**
+ * AgilityDrill.jsx
+ * Shared page for the camera-tracked cone drills (T-test, Illinois, 5-10-5):
+ * the operator marks the drill's cones on the frame, the run is timed through
+ * the start and finish gates (or from a "go" signal), and every leg of the
+ * route is checked and timestamped by utils/agilityDrill.js. Rejected runs
+ * show why; valid runs are scored against the drill's benchmark table.
+ */
+import { useState, useEffect, useRef, useCallback } from 'react';
+import CameraFeed from './CameraFeed';
+import PoseOverlay from './PoseOverlay';
+import CheatAlertOverlay from './CheatAlertOverlay';
+import FeedbackPopup from './FeedbackPopup';
+import ConeMarkers from './ConeMarkers';
+import CameraSettings from './CameraSettings';
+import usePoseDetection from '../hooks/usePoseDetection';
+import { runCheatDetection, playAlertBeep } from '../utils/cheatDetection';
+import { loadCones, saveCones, createDrillTracker, analyzeCuts } from '../utils/agilityDrill';
+import { playStartSignal } from '../utils/sprintTiming';
+import { calculateAgilityScore, rateAgilityTime } from '../utils/scoringSystem';
+import { saveTestResult, getResultsByActivity } from '../services/offlineStorage';
+import TrendGraph from './TrendGraph';
+
+const MOVES = { sprint: 'Sprint', shuffle: 'Shuffle', backpedal: 'Backpedal', weave: 'Weave' };
+
+// Signal start: "set" command, then a randomized hold so the start can't be anticipated
+const SET_DELAY_MS = 2000;
+const MIN_HOLD_MS = 1000;
+const MAX_HOLD_MS = 2500;
+
+/**
+ * @param {Object} props
+ * @param {Object} props.drill - Layout from utils/agilityDrill.js
+ * @param {string} props.title
+ * @param {string} props.icon
+ * @param {string} props.testName - Name for saved results and feedback
+ * @param {Object} props.coneStyles - cone id → { label, color }
+ * @param {string} props.routeHint - The route in words
+ * @param {string} props.cameraHint - Where to put the camera
+ */
+export default function AgilityDrill({ drill, title, icon, testName, coneStyles, routeHint, cameraHint }) {
+    const videoRef = useRef(null);
+    const { landmarks, isLoading, loadProgress, loadError, isRunning, confidence, facingMode, frameSize, cameraDevices, cameraId, captureFps, captureInfo, selectCamera, performanceStats, getPerformanceReport, resetPerformanceReport, onFrame, getMediaTime, initializePose, startCamera, switchCamera } = usePoseDetection({ cameraFps: 60, performance: 'timing' });
+
+    const [phase, setPhase] = useState('idle'); // idle, ready, armed, running, finished
+    const [cones, setCones] = useState(() => loadCones(drill.id));
+    const [editingCone, setEditingCone] = useState(null);
+    const [timer, setTimer] = useState(0);
+    const [result, setResult] = useState(null);
+    const [nextCone, setNextCone] = useState(null);
+    const [history, setHistory] = useState([]);
+    const [cheatAlerts, setCheatAlerts] = useState([]);
+    const [showRedOverlay, setShowRedOverlay] = useState(false);
+    const [showFeedback, setShowFeedback] = useState(false);
+
+    const trackerRef = useRef(null);
+    const signalRef = useRef(null);
+    const timerRef = useRef(null);
+    const lastBeepRef = useRef(0);
+
+    useEffect(() => { initializePose(); }, [initializePose]);
+
+    // Score trend from saved runs (oldest first)
+    useEffect(() => {
+        getResultsByActivity(drill.id)
+            .then(results => setHistory(results.slice(0, 10).reverse()))
+            .catch(() => { /* IndexedDB unavailable */ });
+    }, [drill.id]);
+
+    // Timer display; the timing itself comes from frame timestamps
+    useEffect(() => {
+        if (phase === 'running') {
+            timerRef.current = setInterval(() => {
+                const status = trackerRef.current?.status();
+                if (status?.started) setTimer(Math.max(0, (getMediaTime() - status.startTime) / 1000));
+            }, 50);
+            return () => clearInterval(timerRef.current);
+        }
+    }, [phase, getMediaTime]);
+
+    const finishRun = useCallback((status) => {
+        const tracker = trackerRef.current;
+        trackerRef.current = null;
+        clearInterval(timerRef.current);
+        setNextCone(null);
+        setShowRedOverlay(false); setCheatAlerts([]);
+
+        if (status.rejected) {
+            setResult({ rejected: status.rejected, legs: status.legs });
+            setPhase('finished');
+            return;
+        }
+
+        const time = parseFloat((status.totalMs / 1000).toFixed(2));
+        const aspect = frameSize ? frameSize.width / frameSize.height : undefined;
+        const { cuts, balance, directionScore } = analyzeCuts({ ...tracker.result(), startTime: status.startTime, finishTime: status.finishTime, aspect });
+
+        const rating = rateAgilityTime(time, drill.id);
+        const score = calculateAgilityScore(time, drill.id);
+        const legs = status.legs.map(l => ({ from: l.from, to: l.to, move: l.move, time: parseFloat((l.ms / 1000).toFixed(2)) }));
+        const performance = getPerformanceReport();
+        const lowConfidence = !!performance?.lowConfidence;
+        const newResult = { time, legs, cuts, balance, directionScore, rating, score, performance, lowConfidence };
+        setTimer(time);
+        setResult(newResult);
+        setPhase('finished');
+        setTimeout(() => setShowFeedback(true), 800);
+
+        saveTestResult({
+            activity: drill.id,
+            activityName: testName,
+            score,
+            value: time,
+            unit: 's',
+            rating, legs, cuts, balance, directionScore,
+            capture: captureInfo, performance, lowConfidence,
+        })
+            .then(() => setHistory(h => [...h, { score, date: new Date().toISOString() }].slice(-10)))
+            .catch(err => console.error('Failed to save result:', err));
+    }, [frameSize, captureInfo, getPerformanceReport, drill.id, testName]);
+
+    // Cheat detection while the run is timed
+    const checkCheating = useCallback((frameLandmarks) => {
+        const cheatResult = runCheatDetection(frameLandmarks, null, 0, 0, null, null);
+        if (cheatResult.shouldShowRedOverlay) {
+            setCheatAlerts(cheatResult.alerts); setShowRedOverlay(true);
+            const now = Date.now();
+            if (now - lastBeepRef.current > 2000) { playAlertBeep(); lastBeepRef.current = now; }
+        } else { setCheatAlerts(alerts => (alerts.length ? [] : alerts)); setShowRedOverlay(false); }
+    }, []);
+
+    // Run every inference frame through the route tracker so gates and touches are timed from frame timestamps
+    useEffect(() => {
+        if (phase !== 'armed' && phase !== 'running') return;
+        return onFrame((frameLandmarks, timestamp) => {
+            const tracker = trackerRef.current;
+            if (!tracker) return;
+            const status = tracker.frame(timestamp, frameLandmarks);
+            if (status.finished || status.rejected) finishRun(status);
+            else if (status.started && timestamp >= status.startTime) {
+                setPhase('running');
+                setNextCone(status.next);
+                checkCheating(frameLandmarks);
+            }
+        });
+    }, [phase, onFrame, finishRun, checkCheating]);
+
+    const coneIds = Object.keys(drill.cones);
+
+    const placeCone = useCallback((id, point) => {
+        const next = { ...cones, [id]: point };
+        setCones(next);
+        saveCones(drill.id, next);
+        // Walk through the cones in order while marking
+        const unmarked = Object.keys(drill.cones).find(c => !next[c]);
+        setEditingCone(unmarked ?? null);
+    }, [cones, drill]);
+
+    const conesReady = coneIds.every(c => cones[c]);
+
+    const handleStartCamera = useCallback(async () => {
+        if (!isRunning && videoRef.current) await startCamera(videoRef.current, null);
+        setPhase('ready');
+        setResult(null);
+    }, [isRunning, startCamera]);
+
+    const handleArm = useCallback(() => {
+        const aspect = frameSize ? frameSize.width / frameSize.height : undefined;
+        const tracker = createDrillTracker({ drill, cones, aspect });
+        if (drill.startSignal) {
+            const signalDelay = SET_DELAY_MS + MIN_HOLD_MS + Math.random() * (MAX_HOLD_MS - MIN_HOLD_MS);
+            const now = getMediaTime();
+            const signal = playStartSignal(SET_DELAY_MS, signalDelay);
+            signalRef.current = signal;
+            tracker.schedule(now + signalDelay + (signal?.latencyMs ?? 0));
+        }
+        trackerRef.current = tracker;
+        resetPerformanceReport();
+        setEditingCone(null);
+        setResult(null);
+        setTimer(0);
+        setPhase('armed');
+    }, [drill, cones, frameSize, getMediaTime, resetPerformanceReport]);
+
+    const handleCancel = useCallback(() => {
+        signalRef.current?.cancel();
+        trackerRef.current = null;
+        setNextCone(null);
+        setTimer(0);
+        setPhase('ready');
+        setShowRedOverlay(false); setCheatAlerts([]);
+    }, []);
+
+    return (
+        <div style={{ maxWidth: '1000px', margin: '0 auto', padding: '24px 20px' }}>
+            <div>
+                <h1 style={{ fontSize: '1.8rem', fontWeight: 800, marginBottom: '8px' }}>
+                    {icon} <span className="gradient-text">{title}</span>
+                </h1>
+                <p style={{ color: 'var(--text-secondary)', marginBottom: '20px' }}>
+                    Mark the cones on the camera view — the run is timed automatically, and every leg is checked against the route.
+                </p>
+
+                {/* Course diagram */}
+                <div className="glass-card" style={{ padding: '16px', marginBottom: '20px', textAlign: 'center' }}>
+                    <DrillDiagram drill={drill} coneStyles={coneStyles} />
+                    <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)', marginTop: '6px' }}>
+                        {routeHint} {cameraHint}
+                    </div>
+                </div>
+
+                <div style={{ display: 'grid', gridTemplateColumns: 'minmax(0, 2fr) minmax(240px, 1fr)', gap: '20px' }}>
+                    {/* Camera */}
+                    <div>
+                        <div style={{ position: 'relative', marginBottom: '16px' }}>
+                            <CameraFeed ref={videoRef} isRunning={isRunning} facingMode={facingMode} onSwitchCamera={switchCamera}
+                                isLoading={isLoading} loadProgress={loadProgress} loadError={loadError} onRetryLoad={initializePose} />
+                            {landmarks && isRunning && (
+                                <PoseOverlay landmarks={landmarks} formQuality={showRedOverlay ? 'bad' : phase === 'running' ? 'good' : 'warning'} />
+                            )}
+                            {isRunning && (
+                                <ConeMarkers cones={cones} styles={coneStyles} editing={editingCone} active={nextCone} onPlace={placeCone} />
+                            )}
+                            <CheatAlertOverlay alerts={cheatAlerts} visible={showRedOverlay} />
+                        </div>
+
+                        {/* Timer */}
+                        <div className="glass-card" style={{
+                            padding: '16px', textAlign: 'center', marginBottom: '16px',
+                            border: phase === 'running' ? '2px solid var(--neon-green)' : '1px solid var(--glass-border)',
+                        }}>
+                            <div style={{ fontSize: '2.5rem', fontWeight: 900, fontFamily: 'monospace', color: phase === 'running' ? 'var(--neon-green)' : 'var(--text-primary)' }}>
+                                {timer.toFixed(2)}s
+                            </div>
+                            <div style={{ fontSize: '0.8rem', color: 'var(--text-muted)' }}>
+                                {phase === 'idle' && 'Start camera to begin'}
+                                {phase === 'ready' && (!conesReady ? 'Mark the cones on the camera view'
+                                    : drill.startSignal ? 'Timing starts on the GO beep' : `Timing starts as the athlete crosses cone ${drill.start}`)}
+                                {phase === 'armed' && (drill.startSignal ? '🔊 Ready… set…' : `⏳ Waiting for the athlete to cross cone ${drill.start}`)}
+                                {phase === 'running' && `🟢 TIMING — next: cone ${nextCone}`}
+                                {phase === 'finished' && (result?.rejected ? `🚫 Run rejected — ${result.rejected}` : 'Drill complete!')}
+                            </div>
+                        </div>
+
+                        {/* Controls */}
+                        <div style={{ display: 'flex', gap: '10px' }}>
+                            {phase === 'idle' && (
+                                <button className="btn-primary" onClick={handleStartCamera} disabled={isLoading}
+                                    style={{ flex: 1, padding: '14px', opacity: isLoading ? 0.5 : 1 }}>
+                                    {isLoading ? '⏳ Loading AI...' : '📸 Start Camera'}
+                                </button>
+                            )}
+                            {phase === 'ready' && (
+                                <button className="btn-primary" onClick={handleArm} disabled={!conesReady || !!editingCone}
+                                    style={{ flex: 1, padding: '14px', fontSize: '1.1rem', background: 'var(--neon-green)', color: '#0a0e27', opacity: conesReady && !editingCone ? 1 : 0.5 }}>
+                                    🚀 {drill.startSignal ? 'Start Signal' : 'Arm Timer'}
+                                </button>
+                            )}
+                            {(phase === 'armed' || phase === 'running') && (
+                                <button className="btn-danger" onClick={handleCancel}
+                                    style={{ flex: 1, padding: '14px', fontSize: '1.1rem' }}>
+                                    ⏹ Cancel Run
+                                </button>
+                            )}
+                            {phase === 'finished' && (
+                                <button className="btn-primary" onClick={() => { setPhase('ready'); setResult(null); setTimer(0); }}
+                                    style={{ flex: 1, padding: '14px' }}>
+                                    🔄 Run Again
+                                </button>
+                            )}
+                        </div>
+
+                        {/* Cone setup */}
+                        {(phase === 'ready' || phase === 'finished') && (
+                            <div className="glass-card" style={{ padding: '14px 16px', marginTop: '16px' }}>
+                                <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+                                    {coneIds.map(id => (
+                                        <button key={id} className="btn-secondary"
+                                            onClick={() => setEditingCone(editingCone === id ? null : id)}
+                                            style={{ flex: 1, padding: '8px', fontSize: '0.78rem', borderColor: editingCone === id ? coneStyles[id].color : undefined }}>
+                                            {editingCone === id ? '✕ Cancel' : `📍 ${cones[id] ? 'Move' : 'Mark'} cone ${id}`}
+                                        </button>
+                                    ))}
+                                </div>
+                            </div>
+                        )}
+                    </div>
+
+                    {/* Metrics */}
+                    <div style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
+                        {result?.rejected ? (
+                            <>
+                                <div className="badge badge-red" style={{ justifyContent: 'center', padding: '10px' }}>🚫 {result.rejected}</div>
+                                <MetricBox label="Cones Reached" value={`${result.legs.length}/${drill.route.length - 1}`} color="var(--warning-yellow)" />
+                            </>
+                        ) : result ? (
+                            <>
+                                <MetricBox label="Time" value={`${result.time}s`} color="var(--neon-green)" large />
+                                <MetricBox label="Dir Score" value={result.directionScore === null ? '—' : `${result.directionScore}%`} color="var(--electric-blue)" />
+                                <MetricBox label="Balance" value={result.balance === null ? '—' : `${result.balance}%`} color="var(--accent-purple)" />
+                                <MetricBox label="Rating" value={result.rating} color="var(--warning-yellow)" />
+                                <MetricBox label="Score" value={`${result.score}/100`} color="var(--neon-green)" large />
+                                {result.lowConfidence && (
+                                    <div className="badge badge-yellow" style={{ justifyContent: 'center' }}>
+                                        ⚠ Low confidence — AI ran at {result.performance.avgFps} fps (needs ≥ {result.performance.minFps})
+                                    </div>
+                                )}
+                            </>
+                        ) : (
+                            <>
+                                <MetricBox label="Next Cone" value={nextCone ?? '—'} color="var(--electric-blue)" large />
+                                <MetricBox label="AI Confidence" value={`${confidence}%`} color="var(--neon-green)" />
+                                <MetricBox label="Status" value={phase.toUpperCase()} color="var(--warning-yellow)" />
+                            </>
+                        )}
+                        {isRunning && (
+                            <CameraSettings devices={cameraDevices} cameraId={cameraId} captureFps={captureFps}
+                                captureInfo={captureInfo} performanceStats={performanceStats} onSelect={selectCamera}
+                                disabled={phase === 'armed' || phase === 'running'} />
+                        )}
+                    </div>
+                </div>
+
+                {/* Route legs and cuts */}
+                {result?.legs?.length > 0 && (
+                    <div className="glass-card" style={{ padding: '24px', marginTop: '24px' }}>
+                        <h3 style={{ fontSize: '1rem', fontWeight: 700, marginBottom: '16px' }}>⏱️ Route</h3>
+                        <div style={{ overflowX: 'auto' }}>
+                            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.8rem' }}>
+                                <thead>
+                                    <tr style={{ borderBottom: '1px solid var(--glass-border)' }}>
+                                        {['Leg', 'Move', 'Time', 'Cut', 'Trunk Lean'].map(h => (
+                                            <th key={h} style={{ padding: '8px 10px', textAlign: 'left', color: 'var(--text-muted)', fontWeight: 600, fontSize: '0.68rem', textTransform: 'uppercase' }}>{h}</th>
+                                        ))}
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {result.legs.map((leg, i) => {
+                                        const cut = result.cuts?.[i];
+                                        const seconds = leg.time ?? parseFloat((leg.ms / 1000).toFixed(2));
+                                        return (
+                                            <tr key={i} style={{ borderBottom: '1px solid rgba(255,255,255,0.03)' }}>
+                                                <td style={{ padding: '8px 10px', fontWeight: 600 }}>{leg.from} → {leg.to}</td>
+                                                <td style={{ padding: '8px 10px', color: 'var(--text-secondary)' }}>{MOVES[leg.move]}</td>
+                                                <td style={{ padding: '8px 10px', fontFamily: 'monospace', color: 'var(--neon-green)', fontWeight: 700 }}>{seconds}s</td>
+                                                <td style={{ padding: '8px 10px' }}>{cut ? `${cut.cutMs} ms` : '—'}</td>
+                                                <td style={{ padding: '8px 10px' }}>{cut?.leanDeg != null ? `${cut.leanDeg}°` : '—'}</td>
+                                            </tr>
+                                        );
+                                    })}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                )}
+
+                {/* Trend */}
+                {history.length > 1 && (
+                    <div className="glass-card" style={{ padding: '24px', marginTop: '24px' }}>
+                        <h3 style={{ fontSize: '1rem', fontWeight: 700, marginBottom: '16px' }}>📈 Progress</h3>
+                        <TrendGraph data={history.map(h => h.score)} labels={history.map(h => h.date.slice(5, 10))} height={160} />
+                    </div>
+                )}
+            </div>
+            <FeedbackPopup isOpen={showFeedback} onClose={() => setShowFeedback(false)} testName={testName} />
+            <style>{`@media(max-width:768px){div[style*="grid-template-columns: minmax(0, 2fr)"]{grid-template-columns:1fr!important}}`}</style>
+        </div>
+    );
+}
+
+// Course from the layout's cone positions (metres), start end at the bottom
+function DrillDiagram({ drill, coneStyles }) {
+    const W = 200;
+    const H = 120;
+    const PAD = 22;
+    const points = Object.values(drill.cones);
+    const minX = Math.min(...points.map(p => p.x));
+    const minY = Math.min(...points.map(p => p.y));
+    const spanX = Math.max(...points.map(p => p.x)) - minX;
+    const spanY = Math.max(...points.map(p => p.y)) - minY;
+    const scale = Math.min(spanX ? (W - 2 * PAD) / spanX : Infinity, spanY ? (H - 2 * PAD) / spanY : Infinity);
+    const toSvg = p => ({
+        x: W / 2 + (p.x - minX - spanX / 2) * scale,
+        y: H / 2 - (p.y - minY - spanY / 2) * scale,
+    });
+
+    // Legs along the same line are drawn side by side
+    const stops = [drill.start, ...drill.route.map(step => step.to)];
+    const legs = drill.route.map((step, i) => {
+        const a = toSvg(drill.cones[stops[i]]);
+        const b = toSvg(drill.cones[step.to]);
+        const length = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+        const offset = (i - (drill.route.length - 1) / 2) * 3;
+        return {
+            x1: a.x - ((b.y - a.y) / length) * offset, y1: a.y + ((b.x - a.x) / length) * offset,
+            x2: b.x - ((b.y - a.y) / length) * offset, y2: b.y + ((b.x - a.x) / length) * offset,
+            weave: step.move === 'weave',
+        };
+    });
+
+    return (
+        <svg width={W} height={H} viewBox={`0 0 ${W} ${H}`}>
+            <defs>
+                <marker id={`${drill.id}-arrow`} viewBox="0 0 6 6" refX="5" refY="3" markerWidth="5" markerHeight="5" orient="auto">
+                    <path d="M0,0 L6,3 L0,6 z" fill="#39ff14" />
+                </marker>
+            </defs>
+            {legs.map((leg, i) => (
+                <line key={i} x1={leg.x1} y1={leg.y1} x2={leg.x2} y2={leg.y2} stroke="#39ff14" strokeWidth="1.5"
+                    strokeOpacity="0.7" strokeDasharray={leg.weave ? '3 2' : undefined} markerEnd={`url(#${drill.id}-arrow)`} />
+            ))}
+            {Object.entries(drill.cones).map(([id, cone]) => {
+                const p = toSvg(cone);
+                return (
+                    <g key={id}>
+                        <circle cx={p.x} cy={p.y} r="4.5" fill={coneStyles[id]?.color || '#00d4ff'} />
+                        <text x={p.x} y={p.y - 8} fill={coneStyles[id]?.color || '#00d4ff'} textAnchor="middle" fontSize="8">{id}</text>
+                    </g>
+                );
+            })}
+        </svg>
+    );
+}
+
+function MetricBox({ label, value, color, large }) {
+    return (
+        <div className="glass-card" style={{ padding: large ? '16px' : '10px', textAlign: 'center' }}>
+            <div style={{ fontSize: '0.6rem', fontWeight: 600, color: 'var(--text-muted)', textTransform: 'uppercase' }}>{label}</div>
+            <div style={{ fontSize: large ? '1.8rem' : '1.3rem', fontWeight: 800, color, fontFamily: 'monospace' }}>{value}</div>
+        </div>
+    );
+}
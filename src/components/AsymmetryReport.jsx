@@ -0,0 +1,55 @@
+/**
+ * AsymmetryReport.jsx
+ * Left vs right comparison for one test (utils/asymmetry.js): a bar per
+ * side, the limb symmetry index, and an injury-risk flag above the threshold.
+ */
+
+function SideBar({ value, max, color }) {
+    return (
+        <div style={{ flex: 1, height: '8px', borderRadius: '4px', background: 'var(--bg-surface-3)' }}>
+            <div style={{ width: `${max > 0 ? (value / max) * 100 : 0}%`, height: '100%', borderRadius: '4px', background: color }} />
+        </div>
+    );
+}
+
+export default function AsymmetryReport({ report, title = 'Left / Right Symmetry', compact = false }) {
+    if (!report?.metrics?.length) return null;
+
+    return (
+        <div className={compact ? undefined : 'glass-card'} style={{ padding: compact ? 0 : '14px 16px', marginBottom: compact ? 0 : '24px', textAlign: 'left' }}>
+            {title && (
+                <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '10px' }}>
+                    <h3 style={{ fontSize: '0.9rem', fontWeight: 700 }}>{title}</h3>
+                    {report.flagged && <span className="badge badge-red">⚠ Injury risk</span>}
+                </div>
+            )}
+            {report.metrics.map((m) => {
+                const max = Math.max(m.left, m.right);
+                const color = m.flagged ? 'var(--danger-red)' : 'var(--neon-green)';
+                return (
+                    <div key={m.key} style={{ marginBottom: '10px' }}>
+                        <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.75rem', marginBottom: '4px' }}>
+                            <span style={{ color: 'var(--text-secondary)', fontWeight: 600 }}>{m.label}</span>
+                            <span style={{ color, fontWeight: 700 }}>
+                                LSI {m.lsi}%{m.weaker && ` · ${m.weaker} weaker`}
+                            </span>
+                        </div>
+                        <div style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '0.7rem', color: 'var(--text-muted)' }}>
+                            <span style={{ width: '14px' }}>L</span>
+                            <SideBar value={m.left} max={max} color="var(--electric-blue)" />
+                            <span style={{ width: '52px', textAlign: 'right' }}>{m.left}{m.unit}</span>
+                        </div>
+                        <div style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '0.7rem', color: 'var(--text-muted)' }}>
+                            <span style={{ width: '14px' }}>R</span>
+                            <SideBar value={m.right} max={max} color="var(--accent-purple)" />
+                            <span style={{ width: '52px', textAlign: 'right' }}>{m.right}{m.unit}</span>
+                        </div>
+                    </div>
+                );
+            })}
+            <div style={{ fontSize: '0.65rem', color: 'var(--text-muted)' }}>
+                Flagged above {report.threshold}% asymmetry (LSI below {100 - report.threshold}%).
+            </div>
+        </div>
+    );
+}
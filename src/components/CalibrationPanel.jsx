@@ -0,0 +1,186 @@
+/**
+ * CalibrationPanel.jsx
+ * Real-world scale calibration for the current camera setup: from the
+ * athlete's standing height, or by marking a reference object (A4 sheet,
+ * cones) on a snapshot of the video frame.
+ */
+import { useState, useEffect, useRef } from 'react';
+import {
+    REFERENCE_OBJECTS,
+    calibrateFromHeight,
+    calibrateFromMarker,
+} from '../utils/scaleCalibration';
+
+const SAMPLE_FRAMES = 30; // ~1 s of standing still
+
+export default function CalibrationPanel({ landmarks, videoRef, frameSize, calibration, onSave, onClear, disabled }) {
+    const [method, setMethod] = useState('height');
+    const [heightCm, setHeightCm] = useState('');
+    const [reference, setReference] = useState('a4-long');
+    const [customCm, setCustomCm] = useState('');
+    const [points, setPoints] = useState([]);
+    const [hasSnapshot, setHasSnapshot] = useState(false);
+    const [error, setError] = useState(null);
+    const samplesRef = useRef([]);
+    const snapshotRef = useRef(null);
+
+    // Keep the last second of frames for height calibration
+    useEffect(() => {
+        if (!landmarks) return;
+        samplesRef.current = [...samplesRef.current.slice(-(SAMPLE_FRAMES - 1)), landmarks];
+    }, [landmarks]);
+
+    const handleHeightCapture = () => {
+        const height = parseFloat(heightCm);
+        if (!(height > 80 && height < 250)) {
+            setError('Enter the athlete\'s height in cm (80–250).');
+            return;
+        }
+        const result = calibrateFromHeight(samplesRef.current, height, frameSize);
+        if (!result) {
+            setError('Full body not visible — stand still with head and heels in frame.');
+            return;
+        }
+        setError(null);
+        onSave(result);
+    };
+
+    const handleSnapshot = () => {
+        const video = videoRef.current;
+        const canvas = snapshotRef.current;
+        if (!video || !canvas || !video.videoWidth) return;
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+        canvas.getContext('2d').drawImage(video, 0, 0);
+        setPoints([]);
+        setHasSnapshot(true);
+    };
+
+    const handleSnapshotClick = (e) => {
+        const rect = e.currentTarget.getBoundingClientRect();
+        const point = { x: (e.clientX - rect.left) / rect.width, y: (e.clientY - rect.top) / rect.height };
+        setPoints(prev => (prev.length >= 2 ? [point] : [...prev, point]));
+    };
+
+    const handleMarkerSave = () => {
+        const lengthCm = reference === 'custom' ? parseFloat(customCm) : REFERENCE_OBJECTS[reference].cm;
+        if (!(lengthCm > 0)) {
+            setError('Enter the reference length in cm.');
+            return;
+        }
+        const label = reference === 'custom' ? `${lengthCm} cm reference` : REFERENCE_OBJECTS[reference].label;
+        const result = calibrateFromMarker(points[0], points[1], lengthCm, frameSize, label);
+        if (!result) {
+            setError('Mark two different points.');
+            return;
+        }
+        setError(null);
+        setHasSnapshot(false);
+        setPoints([]);
+        onSave(result);
+    };
+
+    return (
+        <div className="glass-card" style={{ padding: '16px' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '10px' }}>
+                <h3 style={{ fontSize: '0.9rem', fontWeight: 700 }}>📏 Scale Calibration</h3>
+                {calibration ? (
+                    <span className="badge badge-green">✓ {calibration.reference}</span>
+                ) : (
+                    <span className="badge badge-yellow">Not calibrated — estimates</span>
+                )}
+            </div>
+
+            {!frameSize ? (
+                <p style={{ fontSize: '0.78rem', color: 'var(--text-muted)' }}>
+                    Start the camera to calibrate this setup.
+                </p>
+            ) : (
+                <>
+                    <div style={{ display: 'flex', gap: '8px', marginBottom: '10px' }}>
+                        {[['height', 'Athlete height'], ['marker', 'Reference object']].map(([id, label]) => (
+                            <button key={id}
+                                className={method === id ? 'btn-primary' : 'btn-secondary'}
+                                onClick={() => { setMethod(id); setError(null); }}
+                                style={{ flex: 1, padding: '8px', fontSize: '0.78rem' }}>
+                                {label}
+                            </button>
+                        ))}
+                    </div>
+
+                    {method === 'height' && (
+                        <div style={{ display: 'flex', gap: '8px' }}>
+                            <input className="auth-input" type="number" inputMode="decimal" placeholder="Height (cm)"
+                                value={heightCm} onChange={(e) => setHeightCm(e.target.value)} style={{ flex: 1 }} />
+                            <button className="btn-secondary" onClick={handleHeightCapture} disabled={disabled || !landmarks}
+                                style={{ padding: '8px 14px', fontSize: '0.78rem' }}>
+                                Capture
+                            </button>
+                        </div>
+                    )}
+
+                    {method === 'marker' && (
+                        <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+                            <div style={{ display: 'flex', gap: '8px' }}>
+                                <select className="auth-input" value={reference} onChange={(e) => setReference(e.target.value)} style={{ flex: 1 }}>
+                                    {Object.entries(REFERENCE_OBJECTS).map(([id, obj]) => (
+                                        <option key={id} value={id}>{obj.label}</option>
+                                    ))}
+                                </select>
+                                {reference === 'custom' && (
+                                    <input className="auth-input" type="number" inputMode="decimal" placeholder="cm"
+                                        value={customCm} onChange={(e) => setCustomCm(e.target.value)} style={{ width: '90px' }} />
+                                )}
+                            </div>
+                            <button className="btn-secondary" onClick={handleSnapshot} disabled={disabled}
+                                style={{ padding: '8px', fontSize: '0.78rem' }}>
+                                📸 {hasSnapshot ? 'Retake snapshot' : 'Take snapshot'}
+                            </button>
+                            <div style={{ position: 'relative', display: hasSnapshot ? 'block' : 'none' }}>
+                                <canvas ref={snapshotRef} onClick={handleSnapshotClick}
+                                    style={{ width: '100%', borderRadius: '8px', cursor: 'crosshair', display: 'block' }} />
+                                {points.map((p, i) => (
+                                    <div key={i} style={{
+                                        position: 'absolute', left: `${p.x * 100}%`, top: `${p.y * 100}%`,
+                                        width: '12px', height: '12px', marginLeft: '-6px', marginTop: '-6px',
+                                        borderRadius: '50%', background: 'var(--neon-green)', border: '2px solid #fff',
+                                        pointerEvents: 'none',
+                                    }} />
+                                ))}
+                            </div>
+                            {hasSnapshot && (
+                                <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+                                    <span style={{ flex: 1, fontSize: '0.72rem', color: 'var(--text-muted)' }}>
+                                        Tap both ends of the reference ({points.length}/2)
+                                    </span>
+                                    <button className="btn-primary" onClick={handleMarkerSave} disabled={points.length < 2}
+                                        style={{ padding: '8px 14px', fontSize: '0.78rem', opacity: points.length < 2 ? 0.5 : 1 }}>
+                                        Save
+                                    </button>
+                                </div>
+                            )}
+                        </div>
+                    )}
+
+                    {error && (
+                        <div style={{ marginTop: '8px', fontSize: '0.75rem', color: 'var(--danger-red)' }}>⚠ {error}</div>
+                    )}
+
+                    {calibration && (
+                        <div style={{ marginTop: '10px', display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                            <span style={{ fontSize: '0.7rem', color: 'var(--text-muted)' }}>
+                                {calibration.cmPerPixel.toFixed(3)} cm/px · {calibration.frameWidth}×{calibration.frameHeight}
+                            </span>
+                            <button onClick={onClear} style={{
+                                background: 'none', border: 'none', color: 'var(--text-secondary)',
+                                cursor: 'pointer', fontSize: '0.72rem', textDecoration: 'underline',
+                            }}>
+                                Clear
+                            </button>
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
@@ -1,13 +1,20 @@
 /**
  * CameraFeed.jsx
- * Renders the webcam video element with proper sizing.
+ * Renders the webcam (or uploaded video file) element with proper sizing.
  * Includes camera switch button for mobile (front/rear toggle).
+ * Shows pose model download progress and a retry-able failure state.
  * Used in the Assessment page alongside PoseOverlay.
  */
 import { forwardRef } from 'react';
 
-const CameraFeed = forwardRef(function CameraFeed({ isRunning, facingMode, onSwitchCamera }, ref) {
-    const isFront = facingMode === 'user' || !facingMode;
+const CameraFeed = forwardRef(function CameraFeed({
+    isRunning, facingMode, onSwitchCamera,
+    isLoading = false, loadProgress = 0, loadError = null, onRetryLoad,
+    sourceType = 'camera', sourceError = null,
+}, ref) {
+    // Uploaded videos and session replays are shown as recorded (no mirroring, no camera switch)
+    const isFile = sourceType === 'file' || sourceType === 'replay';
+    const isFront = !isFile && (facingMode === 'user' || !facingMode);
 
     return (
         <div className="camera-container" style={{
@@ -46,11 +53,39 @@ const CameraFeed = forwardRef(function CameraFeed({ isRunning, facingMode, onSwi
                     gap: '16px',
                     color: 'var(--text-secondary)',
                 }}>
-                    <svg width="64" height="64" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round">
-                        <path d="M23 7l-7 5 7 5V7z" />
-                        <rect x="1" y="5" width="15" height="14" rx="2" ry="2" />
-                    </svg>
-                    <p style={{ fontSize: '1rem', fontWeight: 500 }}>Camera will activate when you start</p>
+                    {sourceError && !loadError && (
+                        <p style={{ fontSize: '0.85rem', fontWeight: 600, color: 'var(--danger-red)', textAlign: 'center', padding: '0 16px' }}>
+                            ⚠ {sourceError}
+                        </p>
+                    )}
+                    {loadError ? (
+                        <>
+                            <div style={{ fontSize: '2.5rem' }}>⚠️</div>
+                            <p style={{ fontSize: '0.95rem', fontWeight: 600, color: 'var(--danger-red)', textAlign: 'center', maxWidth: '360px', padding: '0 16px' }}>
+                                {loadError}
+                            </p>
+                            {onRetryLoad && (
+                                <button className="btn-secondary" onClick={onRetryLoad} style={{ padding: '8px 20px', fontSize: '0.85rem' }}>
+                                    🔄 Retry
+                                </button>
+                            )}
+                        </>
+                    ) : isLoading ? (
+                        <>
+                            <p style={{ fontSize: '1rem', fontWeight: 500 }}>Loading pose model… {loadProgress}%</p>
+                            <div className="progress-bar" style={{ width: '60%', maxWidth: '280px' }}>
+                                <div className="progress-fill" style={{ width: `${loadProgress}%` }} />
+                            </div>
+                        </>
+                    ) : (
+                        <>
+                            <svg width="64" height="64" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round">
+                                <path d="M23 7l-7 5 7 5V7z" />
+                                <rect x="1" y="5" width="15" height="14" rx="2" ry="2" />
+                            </svg>
+                            <p style={{ fontSize: '1rem', fontWeight: 500 }}>Camera will activate when you start</p>
+                        </>
+                    )}
                 </div>
             )}
 
@@ -65,7 +100,7 @@ const CameraFeed = forwardRef(function CameraFeed({ isRunning, facingMode, onSwi
                     gap: '8px',
                     padding: '6px 12px',
                     borderRadius: '20px',
-                    background: 'rgba(255, 59, 92, 0.8)',
+                    background: isFile ? 'rgba(13, 148, 136, 0.8)' : 'rgba(255, 59, 92, 0.8)',
                     backdropFilter: 'blur(8px)',
                     fontSize: '0.75rem',
                     fontWeight: 600,
@@ -78,12 +113,12 @@ const CameraFeed = forwardRef(function CameraFeed({ isRunning, facingMode, onSwi
                         background: '#fff',
                         animation: 'pulse-neon 1s infinite',
                     }} />
-                    REC
+                    {sourceType === 'replay' ? 'REPLAY' : isFile ? 'VIDEO' : 'REC'}
                 </div>
             )}
 
             {/* Camera switch button */}
-            {isRunning && onSwitchCamera && (
+            {isRunning && !isFile && onSwitchCamera && (
                 <button
                     onClick={onSwitchCamera}
                     style={{
@@ -0,0 +1,63 @@
+/**
+ * CameraSettings.jsx
+ * Camera picker and frame-rate selector, with a report of what the camera
+ * actually negotiated (resolution, fps) so operators can spot a webcam that
+ * silently fell back to a lower frame rate. Also shows live inference
+ * performance from the governor, when provided.
+ */
+import { CAMERA_FPS_OPTIONS, formatCapture } from '../services/cameraDevices';
+import { complexityLabel } from '../utils/performanceGovernor';
+
+export default function CameraSettings({ devices, cameraId, captureFps, captureInfo, performanceStats, onSelect, disabled }) {
+    const belowRequested = captureInfo?.frameRate && captureInfo.frameRate < captureInfo.requestedFrameRate;
+
+    return (
+        <div className="glass-card" style={{ padding: '16px' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '10px' }}>
+                <h3 style={{ fontSize: '0.9rem', fontWeight: 700 }}>🎥 Camera</h3>
+                {captureInfo && (
+                    <span className={`badge ${belowRequested ? 'badge-yellow' : 'badge-green'}`}>
+                        {formatCapture(captureInfo)}
+                    </span>
+                )}
+            </div>
+
+            <div style={{ display: 'flex', gap: '8px' }}>
+                <select className="auth-input" value={cameraId || ''} disabled={disabled}
+                    onChange={(e) => onSelect({ deviceId: e.target.value || null })} style={{ flex: 1 }}>
+                    <option value="">Auto (front / rear)</option>
+                    {devices.map(device => (
+                        <option key={device.deviceId} value={device.deviceId}>{device.label}</option>
+                    ))}
+                </select>
+                <select className="auth-input" value={captureFps} disabled={disabled}
+                    onChange={(e) => onSelect({ frameRate: Number(e.target.value) })} style={{ width: '100px' }}>
+                    {CAMERA_FPS_OPTIONS.map(fps => (
+                        <option key={fps} value={fps}>{fps} fps</option>
+                    ))}
+                </select>
+            </div>
+
+            {belowRequested && (
+                <div style={{ marginTop: '8px', fontSize: '0.72rem', color: 'var(--warning-yellow)' }}>
+                    ⚠ Camera delivers {captureInfo.frameRate} fps of the {captureInfo.requestedFrameRate} requested
+                    {captureInfo.maxFrameRate ? ` (max ${captureInfo.maxFrameRate} fps)` : ''} — timing resolution is reduced.
+                </div>
+            )}
+            {captureInfo && (
+                <div style={{ marginTop: '6px', fontSize: '0.7rem', color: 'var(--text-muted)' }}>
+                    {captureInfo.label}
+                </div>
+            )}
+            {performanceStats && (
+                <div style={{
+                    marginTop: '6px', fontSize: '0.7rem',
+                    color: performanceStats.belowMinimum ? 'var(--danger-red)' : 'var(--text-secondary)',
+                }}>
+                    AI {performanceStats.fps} fps · {performanceStats.latencyMs} ms · {complexityLabel(performanceStats.modelComplexity)} model
+                    {performanceStats.belowMinimum && ` — below the ${performanceStats.minFps} fps this test needs`}
+                </div>
+            )}
+        </div>
+    );
+}
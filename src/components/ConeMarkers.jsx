@@ -0,0 +1,59 @@
+/**
+ * ConeMarkers.jsx
+ * Drill cones marked over the camera feed. Cones are stored in source-frame
+ * coordinates (the landmark space), so they line up with the pose even when
+ * the live preview is mirrored. While `editing` names a cone, the next tap on
+ * the frame places it; `active` highlights the cone the athlete is heading for.
+ */
+
+export default function ConeMarkers({ cones, styles, editing = null, active = null, onPlace, mirrored = true }) {
+    const toScreen = p => ({ x: (mirrored ? 1 - p.x : p.x) * 100, y: p.y * 100 });
+
+    const handleClick = (e) => {
+        if (!editing) return;
+        const rect = e.currentTarget.getBoundingClientRect();
+        const x = (e.clientX - rect.left) / rect.width;
+        onPlace(editing, { x: mirrored ? 1 - x : x, y: (e.clientY - rect.top) / rect.height });
+    };
+
+    return (
+        <div onClick={handleClick} style={{
+            position: 'absolute', inset: 0, zIndex: 5,
+            pointerEvents: editing ? 'auto' : 'none', cursor: editing ? 'crosshair' : 'default',
+            background: editing ? 'rgba(0,0,0,0.25)' : 'transparent',
+        }}>
+            {Object.entries(cones).map(([id, cone]) => {
+                if (!cone) return null;
+                const p = toScreen(cone);
+                const color = styles[id]?.color || '#fff';
+                const highlighted = id === active || id === editing;
+                return (
+                    <div key={id} style={{ position: 'absolute', left: `${p.x}%`, top: `${p.y}%` }}>
+                        <div style={{
+                            width: highlighted ? '22px' : '14px', height: highlighted ? '22px' : '14px',
+                            transform: 'translate(-50%, -50%)', borderRadius: '50%', background: color,
+                            border: '2px solid #fff', boxShadow: highlighted ? `0 0 14px ${color}` : 'none',
+                            transition: 'all 0.2s',
+                        }} />
+                        <div style={{
+                            position: 'absolute', left: 0, top: '-14px', transform: 'translate(-50%, -100%)',
+                            padding: '2px 8px', borderRadius: '6px', fontSize: '0.7rem', fontWeight: 700,
+                            background: color, color: '#0a0e27', whiteSpace: 'nowrap',
+                        }}>
+                            {styles[id]?.label || id}
+                        </div>
+                    </div>
+                );
+            })}
+            {editing && (
+                <div style={{
+                    position: 'absolute', bottom: '12px', left: '50%', transform: 'translateX(-50%)',
+                    padding: '6px 14px', borderRadius: '8px', background: 'rgba(0,0,0,0.7)',
+                    color: '#fff', fontSize: '0.8rem', fontWeight: 600, whiteSpace: 'nowrap',
+                }}>
+                    Tap the base of cone {styles[editing]?.label || editing}
+                </div>
+            )}
+        </div>
+    );
+}
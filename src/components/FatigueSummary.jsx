@@ -0,0 +1,55 @@
+/**
+ * FatigueSummary.jsx
+ * Results-screen summary of fatigue across a set (utils/fatigueAnalysis.js):
+ * fatigue index, the rep where form broke down, quality reps before it,
+ * decay trends and a per-rep quality strip.
+ */
+
+function fatigueColor(index) {
+    if (index < 15) return 'var(--neon-green)';
+    if (index < 35) return 'var(--warning-yellow)';
+    return 'var(--danger-red)';
+}
+
+const formatTrend = (value, unit = '%') => (value === null ? '—' : `${value > 0 ? '+' : ''}${value}${unit}`);
+
+export default function FatigueSummary({ fatigue }) {
+    if (!fatigue) return null;
+    const { fatigueIndex, breakdownRep, qualityRepsBeforeBreakdown, trends, quality } = fatigue;
+
+    const stat = (label, value, color) => (
+        <div style={{ textAlign: 'center', flex: 1 }}>
+            <div style={{ fontSize: '1.2rem', fontWeight: 800, color }}>{value}</div>
+            <div style={{ fontSize: '0.65rem', color: 'var(--text-muted)' }}>{label}</div>
+        </div>
+    );
+
+    return (
+        <div className="glass-card" style={{ padding: '14px 16px', marginBottom: '24px', textAlign: 'left' }}>
+            <h3 style={{ fontSize: '0.9rem', fontWeight: 700, marginBottom: '10px' }}>Fatigue</h3>
+            <div style={{ display: 'flex', gap: '8px', marginBottom: '12px' }}>
+                {stat('Fatigue Index', `${fatigueIndex}%`, fatigueColor(fatigueIndex))}
+                {stat('Quality Reps', qualityRepsBeforeBreakdown, 'var(--electric-blue)')}
+                {stat('Breakdown', breakdownRep ? `Rep ${breakdownRep}` : 'None', breakdownRep ? 'var(--warning-yellow)' : 'var(--neon-green)')}
+            </div>
+
+            {/* Rep quality relative to the opening reps; the breakdown rep onwards in yellow */}
+            <div style={{ display: 'flex', alignItems: 'flex-end', gap: '3px', height: '40px', marginBottom: '8px' }}>
+                {quality.map((q, i) => (
+                    <div key={i} title={`Rep ${i + 1}: ${q}% of fresh`} style={{
+                        flex: 1,
+                        height: `${Math.min(100, q)}%`,
+                        background: breakdownRep && i >= qualityRepsBeforeBreakdown ? 'var(--warning-yellow)' : 'var(--neon-green)',
+                        borderRadius: '2px 2px 0 0',
+                    }} />
+                ))}
+            </div>
+
+            <div style={{ display: 'flex', gap: '14px', flexWrap: 'wrap', fontSize: '0.72rem', color: 'var(--text-secondary)' }}>
+                <span>Rep time {formatTrend(trends.durationPctPerRep)}/rep</span>
+                <span>Depth {formatTrend(trends.depthPctPerRep)}/rep</span>
+                <span>Form {formatTrend(trends.formPctPerRep)}/rep</span>
+            </div>
+        </div>
+    );
+}
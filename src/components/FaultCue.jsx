@@ -0,0 +1,79 @@
+/**
+ * FaultCue.jsx
+ * Live coaching cue for the most recent form fault, with per-rep fault
+ * counts and an optional spoken cue (utils/voiceCues.js).
+ */
+import { useEffect, useRef, useState } from 'react';
+import { getFault } from '../exercises/faults';
+import { isSpeechSupported, getVoiceCuesEnabled, setVoiceCuesEnabled, speakCue } from '../utils/voiceCues';
+
+const REPEAT_MS = 8000;   // same cue at most this often
+const MIN_GAP_MS = 3000;  // any two cues at least this far apart
+
+export default function FaultCue({ faults = [], counts }) {
+    const [voice, setVoice] = useState(getVoiceCuesEnabled);
+    const spokenRef = useRef({}); // fault id → last spoken (ms)
+    const lastSpokenRef = useRef(0);
+
+    const active = faults.length ? getFault(faults[0]) : null;
+
+    useEffect(() => {
+        if (!voice || !active?.cue) return;
+        const now = Date.now();
+        if (now - lastSpokenRef.current < MIN_GAP_MS) return;
+        if (now - (spokenRef.current[active.id] || 0) < REPEAT_MS) return;
+        spokenRef.current[active.id] = now;
+        lastSpokenRef.current = now;
+        speakCue(active.cue);
+    }, [voice, active?.id, active?.cue]);
+
+    const toggleVoice = () => {
+        setVoiceCuesEnabled(!voice);
+        setVoice(!voice);
+    };
+
+    const counted = Object.entries(counts || {}).filter(([, n]) => n > 0);
+
+    return (
+        <div className="glass-card" style={{
+            padding: '12px 16px',
+            borderColor: active ? 'var(--warning-yellow)' : 'var(--glass-border)',
+        }}>
+            <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '8px' }}>
+                <div style={{
+                    fontSize: '0.7rem',
+                    fontWeight: 600,
+                    color: 'var(--text-muted)',
+                    textTransform: 'uppercase',
+                    letterSpacing: '1px',
+                }}>Coaching Cue</div>
+                {isSpeechSupported() && (
+                    <button onClick={toggleVoice} title={voice ? 'Mute spoken cues' : 'Speak cues aloud'}
+                        style={{ background: 'none', border: 'none', cursor: 'pointer', fontSize: '1rem', padding: 0 }}>
+                        {voice ? '🔊' : '🔇'}
+                    </button>
+                )}
+            </div>
+            <div style={{
+                fontSize: '1rem',
+                fontWeight: 700,
+                marginTop: '4px',
+                color: active ? 'var(--warning-yellow)' : 'var(--neon-green)',
+            }}>
+                {active ? (active.cue || active.label) : 'Looking good'}
+            </div>
+            {active && (
+                <div style={{ fontSize: '0.7rem', color: 'var(--text-muted)' }}>{active.label}</div>
+            )}
+            {counted.length > 0 && (
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', marginTop: '8px' }}>
+                    {counted.map(([id, n]) => (
+                        <span key={id} className="badge badge-yellow" style={{ fontSize: '0.65rem' }}>
+                            {getFault(id).label} ×{n}
+                        </span>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -45,6 +45,13 @@ const NAV_SECTIONS = [
             { path: '/test/combat-reaction', icon: '🥊', label: 'Combat Reaction' },
         ],
     },
+    {
+        label: 'Balance & Mobility',
+        items: [
+            { path: '/test/balance', icon: '🦩', label: 'Balance Test' },
+            { path: '/test/flexibility', icon: '🧘', label: 'Flexibility' },
+        ],
+    },
     {
         label: 'Legacy',
         items: [
@@ -1,9 +1,13 @@
 /**
  * MetricsPanel.jsx
  * Real-time metrics display during assessment.
- * Shows rep count, timer, joint angles, accuracy, AI confidence, and form quality.
+ * Shows rep count, timer, joint angles, accuracy, AI confidence, form quality
+ * and the live coaching cue for named form faults.
  */
 import { motion } from 'framer-motion';
+import { getExercise } from '../exercises';
+import { getFault } from '../exercises/faults';
+import FaultCue from './FaultCue';
 
 function getQualityColor(quality) {
     switch (quality) {
@@ -32,13 +36,20 @@ export default function MetricsPanel({ metrics, activity, confidence, cheatWarni
         postureAccuracy = 0,
         depthPercent = 0,
         jumpDistance = 0,
+        repsPerSide,
+        faultSeconds,
+        faults = [],
+        faultCounts,
         jointAngles = {},
         phase,
         formQuality = 'good',
     } = metrics || {};
 
-    const isTimed = activity === 'wall-sit';
-    const isJump = activity === 'broad-jump';
+    const definition = getExercise(activity);
+    const { type } = definition;
+    const detectsFaults = !!(definition.faults || definition.hold?.faults);
+    const isTimed = type === 'timed';
+    const isJump = type === 'distance';
 
     return (
         <div style={{
@@ -79,6 +90,8 @@ export default function MetricsPanel({ metrics, activity, confidence, cheatWarni
                 </div>
             </motion.div>
 
+            {detectsFaults && <FaultCue faults={faults} counts={faultCounts} />}
+
             {/* Primary Metrics */}
             <div style={{
                 display: 'grid',
@@ -109,7 +122,7 @@ export default function MetricsPanel({ metrics, activity, confidence, cheatWarni
                 />
 
                 {/* Activity-specific metric */}
-                {activity === 'wall-sit' && (
+                {isTimed && (
                     <MetricCard
                         label="Stability"
                         value={`${stabilityScore}%`}
@@ -130,6 +143,21 @@ export default function MetricsPanel({ metrics, activity, confidence, cheatWarni
                         color="var(--electric-blue)"
                     />
                 )}
+                {repsPerSide && (
+                    <MetricCard
+                        label="Left / Right"
+                        value={`${repsPerSide.left} / ${repsPerSide.right}`}
+                        color="var(--electric-blue)"
+                    />
+                )}
+                {faultSeconds && Object.entries(faultSeconds).map(([fault, seconds]) => (
+                    <MetricCard
+                        key={fault}
+                        label={`${getFault(fault).label} time`}
+                        value={`${seconds}s`}
+                        color={seconds > 0 ? 'var(--warning-yellow)' : 'var(--text-secondary)'}
+                    />
+                ))}
                 {activity === 'sit-ups' && (
                     <MetricCard
                         label="Accuracy"
@@ -2,16 +2,18 @@
  * PoseOverlay.jsx
  * Canvas overlay that draws the MediaPipe skeleton on top of the camera feed.
  * Draws landmark points and connecting lines with color-coded quality feedback.
+ * Joints involved in an active form fault are ringed in red.
  */
 import { useEffect, useRef } from 'react';
 import { POSE_CONNECTIONS } from '../hooks/usePoseDetection';
+import { LANDMARK_INDEX } from '../utils/calculateAngle';
 
 const LANDMARK_COLOR = '#39ff14';
 const CONNECTION_COLOR = 'rgba(0, 212, 255, 0.7)';
 const WARNING_COLOR = '#fbbf24';
 const BAD_COLOR = '#ff3b5c';
 
-export default function PoseOverlay({ landmarks, formQuality, width = 640, height = 480 }) {
+export default function PoseOverlay({ landmarks, formQuality, highlightJoints, width = 640, height = 480, mirrored = true }) {
     const canvasRef = useRef(null);
 
     useEffect(() => {
@@ -75,7 +77,32 @@ export default function PoseOverlay({ landmarks, formQuality, width = 640, heigh
                 ctx.fill();
             }
         }
-    }, [landmarks, formQuality, width, height]);
+
+        // Highlight fault joints, and the segments between them
+        const highlighted = new Set((highlightJoints || []).map(name => LANDMARK_INDEX[name]));
+        if (highlighted.size) {
+            ctx.strokeStyle = BAD_COLOR;
+            ctx.lineWidth = 5;
+            for (const [startIdx, endIdx] of POSE_CONNECTIONS) {
+                const start = landmarks[startIdx];
+                const end = landmarks[endIdx];
+                if (highlighted.has(startIdx) && highlighted.has(endIdx) && start?.visibility > 0.3 && end?.visibility > 0.3) {
+                    ctx.beginPath();
+                    ctx.moveTo(start.x * width, start.y * height);
+                    ctx.lineTo(end.x * width, end.y * height);
+                    ctx.stroke();
+                }
+            }
+            ctx.lineWidth = 3;
+            highlighted.forEach((i) => {
+                const lm = landmarks[i];
+                if (!lm || lm.visibility <= 0.3) return;
+                ctx.beginPath();
+                ctx.arc(lm.x * width, lm.y * height, 11, 0, 2 * Math.PI);
+                ctx.stroke();
+            });
+        }
+    }, [landmarks, formQuality, highlightJoints, width, height]);
 
     return (
         <canvas
@@ -89,7 +116,7 @@ export default function PoseOverlay({ landmarks, formQuality, width = 640, heigh
                 width: '100%',
                 height: '100%',
                 pointerEvents: 'none',
-                transform: 'scaleX(-1)', // Mirror to match video
+                transform: mirrored ? 'scaleX(-1)' : 'none', // Mirror to match video
             }}
         />
     );
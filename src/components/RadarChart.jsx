@@ -1,7 +1,8 @@
 /**
  * RadarChart.jsx
- * Canvas-based radar chart for 5-axis athlete scoring visualization.
- * Axes: Speed, Strength, Endurance, Skill, Reaction
+ * Canvas-based radar chart for athlete scoring visualization.
+ * Axes: Speed, Strength, Endurance, Skill, Reaction by default; pass `labels`
+ * (e.g. from getScoreModules) for the optional Flexibility axis.
  */
 import { useRef, useEffect } from 'react';
 
@@ -0,0 +1,118 @@
+/**
+ * RepLog.jsx
+ * Rep-by-rep breakdown for the results screen: tempo, time under tension,
+ * joint angle ranges, left/right symmetry and form faults, with a tempo chart
+ * of eccentric vs concentric time per rep.
+ */
+import { summarizeRepEvents } from '../utils/repEvents';
+
+const seconds = ms => (ms === null || ms === undefined ? '—' : (ms / 1000).toFixed(1));
+
+const formatFault = fault => fault.replace(/-/g, ' ');
+
+function symmetryBadge(percent) {
+    if (percent >= 90) return 'badge-green';
+    if (percent >= 75) return 'badge-yellow';
+    return 'badge-red';
+}
+
+function TempoChart({ events }) {
+    const longest = Math.max(...events.map(e => (e.eccentricMs || 0) + (e.concentricMs || 0)), 1);
+    return (
+        <div style={{ display: 'flex', alignItems: 'flex-end', gap: '4px', height: '80px', marginBottom: '6px' }}>
+            {events.map(e => (
+                <div key={e.index} title={`Rep ${e.index + 1}: ${seconds(e.eccentricMs)}s down, ${seconds(e.concentricMs)}s up`}
+                    style={{
+                        flex: 1,
+                        minWidth: '4px',
+                        display: 'flex',
+                        flexDirection: 'column',
+                        justifyContent: 'flex-end',
+                        height: '100%',
+                        opacity: e.rejected ? 0.35 : 1,
+                    }}>
+                    <div style={{
+                        height: `${((e.concentricMs || 0) / longest) * 100}%`,
+                        background: 'var(--neon-green)',
+                        borderRadius: '3px 3px 0 0',
+                    }} />
+                    <div style={{
+                        height: `${((e.eccentricMs || 0) / longest) * 100}%`,
+                        background: 'var(--electric-blue)',
+                    }} />
+                </div>
+            ))}
+        </div>
+    );
+}
+
+export default function RepLog({ events }) {
+    if (!events?.length) return null;
+    const tempo = summarizeRepEvents(events);
+    const angleLabels = [...new Set(events.flatMap(e => Object.keys(e.angles || {})))];
+    const hasSymmetry = events.some(e => e.symmetry);
+
+    const cell = { padding: '6px 8px', whiteSpace: 'nowrap' };
+    const head = { ...cell, color: 'var(--text-muted)', fontWeight: 600, textAlign: 'left' };
+
+    return (
+        <div style={{ textAlign: 'left', marginBottom: '24px' }}>
+            <h3 style={{ fontSize: '0.9rem', fontWeight: 700, marginBottom: '8px' }}>Rep Log</h3>
+
+            <div style={{ display: 'flex', gap: '16px', fontSize: '0.75rem', color: 'var(--text-secondary)', marginBottom: '10px', flexWrap: 'wrap' }}>
+                <span>Avg eccentric <strong>{seconds(tempo.avgEccentricMs)}s</strong></span>
+                <span>Avg concentric <strong>{seconds(tempo.avgConcentricMs)}s</strong></span>
+                <span>Time under tension <strong>{seconds(tempo.totalTimeUnderTensionMs)}s</strong></span>
+            </div>
+
+            <TempoChart events={events} />
+            <div style={{ display: 'flex', gap: '12px', fontSize: '0.7rem', color: 'var(--text-muted)', marginBottom: '12px' }}>
+                <span><span style={{ color: 'var(--electric-blue)' }}>■</span> Eccentric</span>
+                <span><span style={{ color: 'var(--neon-green)' }}>■</span> Concentric</span>
+            </div>
+
+            <div style={{ overflowX: 'auto', maxHeight: '220px', overflowY: 'auto' }}>
+                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.75rem' }}>
+                    <thead>
+                        <tr style={{ borderBottom: '1px solid var(--glass-border)' }}>
+                            <th style={head}>#</th>
+                            <th style={head}>Score</th>
+                            <th style={head}>Ecc / Con</th>
+                            <th style={head}>TUT</th>
+                            {angleLabels.map(label => <th key={label} style={head}>{label}</th>)}
+                            {hasSymmetry && <th style={head}>L/R</th>}
+                            <th style={head}>Faults</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {events.map(e => (
+                            <tr key={e.index} style={{ borderBottom: '1px solid var(--glass-border)', opacity: e.rejected ? 0.5 : 1 }}>
+                                <td style={cell}>{e.index + 1}</td>
+                                <td style={e.reasons?.length ? { ...cell, whiteSpace: 'normal', color: 'var(--danger-red)' } : cell}>
+                                    {e.rejected ? ['No rep', ...(e.reasons || [])].join(' — ') : e.score}
+                                </td>
+                                <td style={cell}>{seconds(e.eccentricMs)} / {seconds(e.concentricMs)}s</td>
+                                <td style={cell}>{seconds(e.timeUnderTensionMs)}s</td>
+                                {angleLabels.map(label => (
+                                    <td key={label} style={cell}>
+                                        {e.angles?.[label] ? `${e.angles[label].min}–${e.angles[label].max}°` : '—'}
+                                    </td>
+                                ))}
+                                {hasSymmetry && (
+                                    <td style={cell}>
+                                        {e.symmetry
+                                            ? <span className={`badge ${symmetryBadge(e.symmetry.percent)}`}>{e.symmetry.percent}%</span>
+                                            : '—'}
+                                    </td>
+                                )}
+                                <td style={{ ...cell, whiteSpace: 'normal', color: e.faults?.length ? 'var(--warning-yellow)' : 'var(--text-muted)' }}>
+                                    {e.faults?.length ? e.faults.map(formatFault).join(', ') : '—'}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+}
@@ -3,6 +3,7 @@
  * Printable athlete performance scorecard with all module scores.
  */
 import RadarChart from './RadarChart';
+import { getScoreModules } from '../utils/scoringSystem';
 
 export default function Scorecard({ athlete, scores, onClose }) {
     const {
@@ -12,11 +13,12 @@ export default function Scorecard({ athlete, scores, onClose }) {
     } = athlete || {};
 
     const {
-        speed = 0, strength = 0, endurance = 0, skill = 0, reaction = 0,
         overall = 0, percentile = 50, rank = 0,
     } = scores || {};
 
-    const radarData = [speed, strength, endurance, skill, reaction];
+    // Flexibility only appears once the athlete has a flexibility score
+    const modules = getScoreModules(scores);
+    const radarData = modules.map(m => scores?.[m.key] || 0);
 
     function handlePrint() {
         window.print();
@@ -67,25 +69,19 @@ export default function Scorecard({ athlete, scores, onClose }) {
 
             {/* Radar Chart */}
             <div style={{ marginBottom: '24px' }}>
-                <RadarChart data={radarData} size={260} />
+                <RadarChart data={radarData} labels={modules.map(m => m.label)} size={260} />
             </div>
 
             {/* Module Scores */}
             <div style={{
-                display: 'grid', gridTemplateColumns: 'repeat(5, 1fr)', gap: '8px',
+                display: 'grid', gridTemplateColumns: `repeat(${modules.length}, 1fr)`, gap: '8px',
                 marginBottom: '24px',
             }}>
-                {[
-                    { label: 'Speed', value: speed, icon: '🏃' },
-                    { label: 'Strength', value: strength, icon: '💪' },
-                    { label: 'Endurance', value: endurance, icon: '🫀' },
-                    { label: 'Skill', value: skill, icon: '🎯' },
-                    { label: 'Reaction', value: reaction, icon: '🧠' },
-                ].map((m) => (
+                {modules.map((m) => (
                     <div key={m.label} className="glass-card" style={{ padding: '12px 8px', textAlign: 'center' }}>
                         <div style={{ fontSize: '1.2rem' }}>{m.icon}</div>
                         <div style={{ fontSize: '1.2rem', fontWeight: 800, color: 'var(--neon-green)', margin: '4px 0' }}>
-                            {m.value}
+                            {scores?.[m.key] || 0}
                         </div>
                         <div style={{ fontSize: '0.6rem', color: 'var(--text-muted)', fontWeight: 600, textTransform: 'uppercase' }}>
                             {m.label}
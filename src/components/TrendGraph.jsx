@@ -12,6 +12,7 @@ export default function TrendGraph({
     secondaryColor = '#00d4ff',
     secondaryData = null,
     title = '',
+    yMax = 100, // top of the y axis, raised to fit the data
 }) {
     const canvasRef = useRef(null);
     const containerRef = useRef(null);
@@ -37,7 +38,7 @@ export default function TrendGraph({
         const chartH = height - pad.top - pad.bottom;
 
         const allValues = [...data, ...(secondaryData || [])];
-        const maxVal = Math.max(100, ...allValues);
+        const maxVal = Math.max(yMax, ...allValues);
         const minVal = Math.min(0, ...allValues);
         const range = maxVal - minVal || 1;
 
@@ -79,7 +80,7 @@ export default function TrendGraph({
         // Draw primary line
         drawLine(ctx, data, chartW, chartH, pad, range, minVal, color, true);
 
-    }, [data, secondaryData, labels, height, color, secondaryColor]);
+    }, [data, secondaryData, labels, height, color, secondaryColor, yMax]);
 
     return (
         <div ref={containerRef} style={{ width: '100%' }}>
@@ -0,0 +1,35 @@
+/**
+ * VideoFileButton.jsx
+ * Button + hidden file input for analyzing a pre-recorded trial video
+ * (MP4/WebM filmed on a phone) instead of the live camera.
+ */
+import { useRef } from 'react';
+
+export default function VideoFileButton({ onSelect, disabled, label = '📁 Analyze Video', style }) {
+    const inputRef = useRef(null);
+
+    return (
+        <>
+            <input
+                ref={inputRef}
+                type="file"
+                accept="video/mp4,video/webm,video/*"
+                style={{ display: 'none' }}
+                onChange={(e) => {
+                    const file = e.target.files?.[0];
+                    e.target.value = ''; // allow re-selecting the same file
+                    if (file) onSelect(file);
+                }}
+            />
+            <button
+                className="btn-secondary"
+                onClick={() => inputRef.current?.click()}
+                disabled={disabled}
+                style={{ padding: '14px 20px', opacity: disabled ? 0.5 : 1, ...style }}
+                title="Run the same analysis over an uploaded MP4/WebM trial video"
+            >
+                {label}
+            </button>
+        </>
+    );
+}
@@ -0,0 +1,78 @@
+/**
+ * VirtualLines.jsx
+ * Timing lines drawn over the camera feed. Lines are stored in source-frame
+ * coordinates (the landmark space), so they line up with the pose even when
+ * the live preview is mirrored. While `editing` names a line, the next two
+ * taps on the frame set its ends.
+ */
+import { useState } from 'react';
+
+export default function VirtualLines({ lines, styles, editing = null, onDraw, mirrored = true }) {
+    const [firstPoint, setFirstPoint] = useState(null);
+
+    const toScreen = p => ({ x: (mirrored ? 1 - p.x : p.x) * 100, y: p.y * 100 });
+
+    const handleClick = (e) => {
+        if (!editing) return;
+        const rect = e.currentTarget.getBoundingClientRect();
+        const x = (e.clientX - rect.left) / rect.width;
+        const point = { x: mirrored ? 1 - x : x, y: (e.clientY - rect.top) / rect.height };
+        if (!firstPoint) {
+            setFirstPoint(point);
+            return;
+        }
+        setFirstPoint(null);
+        onDraw(editing, { a: firstPoint, b: point });
+    };
+
+    return (
+        <div onClick={handleClick} style={{
+            position: 'absolute', inset: 0, zIndex: 5,
+            pointerEvents: editing ? 'auto' : 'none', cursor: editing ? 'crosshair' : 'default',
+            background: editing ? 'rgba(0,0,0,0.25)' : 'transparent',
+        }}>
+            <svg viewBox="0 0 100 100" preserveAspectRatio="none" style={{ position: 'absolute', inset: 0, width: '100%', height: '100%' }}>
+                {Object.entries(lines).map(([id, line]) => {
+                    if (!line) return null;
+                    const a = toScreen(line.a);
+                    const b = toScreen(line.b);
+                    return (
+                        <line key={id} x1={a.x} y1={a.y} x2={b.x} y2={b.y}
+                            stroke={styles[id]?.color || '#fff'} strokeWidth={editing === id ? 3 : 2}
+                            strokeDasharray={editing === id ? '3 2' : undefined} vectorEffect="non-scaling-stroke" />
+                    );
+                })}
+            </svg>
+            {Object.entries(lines).map(([id, line]) => {
+                if (!line) return null;
+                const top = line.a.y < line.b.y ? line.a : line.b;
+                const p = toScreen(top);
+                return (
+                    <div key={id} style={{
+                        position: 'absolute', left: `${p.x}%`, top: `${p.y}%`, transform: 'translate(-50%, -120%)',
+                        padding: '2px 8px', borderRadius: '6px', fontSize: '0.7rem', fontWeight: 700,
+                        background: styles[id]?.color || '#fff', color: '#0a0e27', whiteSpace: 'nowrap',
+                    }}>
+                        {styles[id]?.label || id}
+                    </div>
+                );
+            })}
+            {firstPoint && (
+                <div style={{
+                    position: 'absolute', left: `${toScreen(firstPoint).x}%`, top: `${toScreen(firstPoint).y}%`,
+                    width: '12px', height: '12px', marginLeft: '-6px', marginTop: '-6px', borderRadius: '50%',
+                    background: styles[editing]?.color || '#fff', border: '2px solid #fff',
+                }} />
+            )}
+            {editing && (
+                <div style={{
+                    position: 'absolute', bottom: '12px', left: '50%', transform: 'translateX(-50%)',
+                    padding: '6px 14px', borderRadius: '8px', background: 'rgba(0,0,0,0.7)',
+                    color: '#fff', fontSize: '0.8rem', fontWeight: 600, whiteSpace: 'nowrap',
+                }}>
+                    Tap both ends of the {styles[editing]?.label || editing} line ({firstPoint ? 1 : 0}/2)
+                </div>
+            )}
+        </div>
+    );
+}
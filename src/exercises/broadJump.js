@@ -0,0 +1,47 @@
+/**
+ * broadJump.js
+ * Standing broad jump: takeoff and landing from hip vertical velocity,
+ * distance from the hip's horizontal travel on the calibrated scale.
+ */
+export default {
+    id: 'broad-jump',
+    name: 'Standing Broad Jump',
+    icon: '🚀',
+    type: 'distance',
+    performance: 'timing',
+    metrics: ['jumpDistance', 'formScore'],
+
+    signals: {
+        hipX: { midpoint: ['leftHip', 'rightHip'], axis: 'x' },
+        ankleX: { midpoint: ['leftAnkle', 'rightAnkle'], axis: 'x' },
+        lean: { difference: ['hipX', 'ankleX'] },
+        hipVelocity: { velocity: ['leftHip', 'rightHip'], axis: 'vy' }, // normalized units/s, up = negative
+        knee: { angle: ['leftHip', 'leftKnee', 'leftAnkle'], planar: true },
+    },
+
+    phases: {
+        initial: 'grounded',
+        states: {
+            airborne: { enter: { signal: 'hipVelocity', below: -0.9 }, active: true },
+            grounded: { enter: { signal: 'hipVelocity', above: 0.3 } },
+        },
+        transitions: { grounded: ['airborne'], airborne: ['grounded'] },
+    },
+
+    // Landing completes a jump; excessive forward lean (faked distance) is rejected
+    rep: {
+        from: 'airborne',
+        to: 'grounded',
+        valid: { signal: 'lean', below: 0.15 },
+        measure: { name: 'jumpDistance', signal: 'hipX', since: 'airborne', scale: 'cmX', keep: 'max', min: 10 },
+    },
+
+    scoring: [
+        { signal: 'jumpDistance', good: 100, bad: 0, weight: 0.7 },
+        { signal: 'lean', over: 'last', good: 0.05, bad: 0.15, weight: 0.3 },
+    ],
+
+    display: {
+        jointAngles: { knee: 'knee' },
+    },
+};
@@ -0,0 +1,53 @@
+/**
+ * burpees.js
+ * Burpees: standing → plank → back up → jump. A rep only counts once the
+ * full sequence is completed; standing up without the jump doesn't count.
+ */
+export default {
+    id: 'burpees',
+    name: 'Burpees',
+    icon: '🔥',
+    type: 'reps',
+    performance: 'reps',
+    target: 10,
+    metrics: ['repCount', 'formScore'],
+
+    signals: {
+        torsoIncline: { inclination: ['midHip', 'midShoulder'] },  // 0 upright, 90 horizontal
+        bodyLine: { angle: ['midShoulder', 'midHip', 'midAnkle'] },
+        hipVelocity: { velocity: ['leftHip', 'rightHip'], axis: 'vy' }, // up = negative
+    },
+
+    phases: {
+        initial: 'idle',
+        minFrames: 2,
+        states: {
+            standing: { enter: [{ signal: 'torsoIncline', below: 30 }, { signal: 'hipVelocity', above: -0.3 }] },
+            plank: { enter: { signal: 'torsoIncline', above: 65 }, active: true },
+            risen: { enter: { signal: 'torsoIncline', below: 30 }, active: true },
+            jump: { enter: { signal: 'hipVelocity', below: -0.8 }, active: true },
+        },
+        transitions: {
+            idle: ['standing'],
+            standing: ['plank'],
+            plank: ['risen'],
+            risen: ['jump', 'plank'], // going straight back down skips the jump — no rep
+            jump: ['standing'],
+        },
+    },
+
+    rep: {
+        from: 'jump',
+        to: 'standing',
+        tempo: { signal: 'torsoIncline', bottom: 'max' }, // down to the plank, then up and jump
+    },
+
+    scoring: [
+        { signal: 'torsoIncline', over: 'max', good: 80, bad: 60, weight: 0.6 },  // all the way down to plank
+        { signal: 'hipVelocity', over: 'min', good: -1.5, bad: -0.8, weight: 0.4 }, // explosive jump
+    ],
+
+    display: {
+        jointAngles: { torso: 'torsoIncline', bodyLine: 'bodyLine' },
+    },
+};
@@ -0,0 +1,73 @@
+/**
+ * faults.js
+ * Named form faults shared by the exercise definitions: what the athlete
+ * sees (label), the short coaching cue shown and spoken during the set, and
+ * the joints highlighted on the skeleton while the fault is active.
+ *
+ * Definitions detect faults with their own signals (see `faults` in
+ * utils/exerciseEngine.js) and may override `joints` per exercise.
+ */
+export const FORM_FAULTS = {
+    'knee-valgus': {
+        label: 'Knee valgus',
+        cue: 'Push your knees out',
+        joints: ['leftKnee', 'rightKnee'],
+    },
+    'heels-lifting': {
+        label: 'Heels lifting',
+        cue: 'Keep your heels down',
+        joints: ['leftHeel', 'rightHeel'],
+    },
+    'forward-lean': {
+        label: 'Forward trunk lean',
+        cue: 'Chest up',
+        joints: ['leftShoulder', 'rightShoulder', 'leftHip', 'rightHip'],
+    },
+    'hip-sag': {
+        label: 'Hip sag',
+        cue: 'Squeeze your glutes, lift your hips',
+        joints: ['leftHip', 'rightHip'],
+    },
+    'hip-pike': {
+        label: 'Hip pike',
+        cue: 'Lower your hips into a straight line',
+        joints: ['leftHip', 'rightHip'],
+    },
+    'neck-pull': {
+        label: 'Pulling on the neck',
+        cue: 'Hands light, chin off your chest',
+        joints: ['nose', 'leftShoulder', 'rightShoulder'],
+    },
+    'incomplete-lockout': {
+        label: 'Incomplete lockout',
+        cue: 'Finish each rep fully extended',
+        joints: [],
+    },
+    'knee-past-toes': {
+        label: 'Knee past toes',
+        cue: 'Step longer, shin vertical',
+        joints: ['leftKnee', 'rightKnee'],
+    },
+    'arms-legs-out-of-sync': {
+        label: 'Arms and legs out of sync',
+        cue: 'Arms and legs together',
+        joints: ['leftWrist', 'rightWrist', 'leftAnkle', 'rightAnkle'],
+    },
+};
+
+/**
+ * Look up a fault, with a readable fallback for ids missing from the catalogue.
+ * @param {string} id
+ * @returns {{ id: string, label: string, cue: string|null, joints: Array<string> }}
+ */
+export function getFault(id) {
+    const fault = FORM_FAULTS[id];
+    if (fault) return { id, ...fault };
+    const label = id.replace(/-/g, ' ');
+    return { id, label: label.charAt(0).toUpperCase() + label.slice(1), cue: null, joints: [] };
+}
+
+export default {
+    FORM_FAULTS,
+    getFault,
+};
@@ -0,0 +1,35 @@
+/**
+ * index.js
+ * Exercise registry. Every exercise is a declarative definition interpreted
+ * by utils/exerciseEngine.js — add a definition file here to ship a new
+ * activity without touching the hooks.
+ */
+import wallSit from './wallSit';
+import sitUps from './sitUps';
+import squats from './squats';
+import broadJump from './broadJump';
+import lunges from './lunges';
+import plank from './plank';
+import burpees from './burpees';
+import jumpingJacks from './jumpingJacks';
+
+export const EXERCISES = Object.fromEntries(
+    [wallSit, sitUps, squats, broadJump, lunges, plank, burpees, jumpingJacks].map(definition => [definition.id, definition]),
+);
+
+export const DEFAULT_EXERCISE = squats.id;
+
+/**
+ * Look up an exercise, falling back to the default for unknown ids.
+ * @param {string} id
+ * @returns {Object} Definition
+ */
+export function getExercise(id) {
+    return EXERCISES[id] || EXERCISES[DEFAULT_EXERCISE];
+}
+
+export default {
+    EXERCISES,
+    DEFAULT_EXERCISE,
+    getExercise,
+};
@@ -0,0 +1,56 @@
+/**
+ * jumpingJacks.js
+ * Jumping jacks: arms (shoulder abduction) and legs (stance width) open and
+ * close together. Form scores range of motion and arm/leg synchronisation.
+ */
+export default {
+    id: 'jumping-jacks',
+    name: 'Jumping Jacks',
+    icon: '⭐',
+    type: 'reps',
+    performance: 'reps',
+    target: 40,
+    metrics: ['repCount', 'formScore'],
+
+    signals: {
+        leftArm: { angle: ['leftHip', 'leftShoulder', 'leftWrist'], planar: true },
+        rightArm: { angle: ['rightHip', 'rightShoulder', 'rightWrist'], planar: true },
+        arms: { average: ['leftArm', 'rightArm'] },
+        ankleSpread: { distance: ['leftAnkle', 'rightAnkle'] },
+        hipWidth: { distance: ['leftHip', 'rightHip'] },
+        legs: { ratio: ['ankleSpread', 'hipWidth'] },        // stance width in hip widths
+        armsOpen: { percent: 'arms', from: 30, to: 160 },
+        legsOpen: { percent: 'legs', from: 1, to: 2.2 },
+        desync: { difference: ['armsOpen', 'legsOpen'] },
+    },
+
+    phases: {
+        initial: 'idle',
+        minFrames: 2,
+        states: {
+            closed: { enter: [{ signal: 'arms', below: 50 }, { signal: 'legs', below: 1.5 }] },
+            open: { enter: [{ signal: 'arms', above: 140 }, { signal: 'legs', above: 1.9 }], active: true },
+        },
+        transitions: { idle: ['closed'], closed: ['open'], open: ['closed'] },
+    },
+
+    rep: {
+        from: 'open',
+        to: 'closed',
+        tempo: { signal: 'arms', bottom: 'max', first: 'concentric' },
+        symmetry: ['leftArm', 'rightArm'],
+    },
+
+    scoring: [
+        { signal: 'arms', over: 'max', good: 160, bad: 110, weight: 0.35 },
+        { signal: 'legs', over: 'max', good: 2.1, bad: 1.4, weight: 0.35 },
+        { signal: 'desync', over: 'mean', good: 15, bad: 50, weight: 0.3 },
+    ],
+
+    faults: [
+        { id: 'arms-legs-out-of-sync', when: { signal: 'desync', above: 45 } },
+    ],
+    display: {
+        jointAngles: { leftArm: 'leftArm', rightArm: 'rightArm' },
+    },
+};
@@ -0,0 +1,62 @@
+/**
+ * lunges.js
+ * Alternating lunges: front-knee angle to ~90° and back up, counted per leg.
+ * The front leg is the one whose knee stays higher in frame while the back
+ * knee drops towards the floor.
+ */
+export default {
+    id: 'lunges',
+    name: 'Alternating Lunges',
+    icon: '🦿',
+    type: 'reps',
+    performance: 'reps',
+    target: 20,
+    metrics: ['repCount', 'repsPerSide', 'formScore'],
+
+    signals: {
+        leftKnee: { angle: ['leftHip', 'leftKnee', 'leftAnkle'] },
+        rightKnee: { angle: ['rightHip', 'rightKnee', 'rightAnkle'] },
+        leftKneeY: { position: 'leftKnee', axis: 'y' },
+        rightKneeY: { position: 'rightKnee', axis: 'y' },
+        frontLeg: { lowest: ['leftKneeY', 'rightKneeY'] }, // 0 = left, 1 = right
+        frontKnee: { pick: ['leftKnee', 'rightKnee'], by: 'frontLeg' },
+        backKnee: { pick: ['rightKnee', 'leftKnee'], by: 'frontLeg' }, // the other leg
+        torsoLean: { inclination: ['midHip', 'midShoulder'] },
+    },
+
+    phases: {
+        initial: 'idle',
+        hysteresis: 3,
+        minFrames: 2,
+        states: {
+            up: { enter: [{ signal: 'leftKnee', above: 160 }, { signal: 'rightKnee', above: 160 }] },
+            down: { enter: [{ signal: 'frontKnee', below: 110 }, { signal: 'backKnee', below: 120 }], active: true },
+        },
+        transitions: { idle: ['up'], up: ['down'], down: ['up'] },
+    },
+
+    rep: {
+        from: 'down',
+        to: 'up',
+        split: { metric: 'repsPerSide', signal: 'frontLeg', since: 'down', labels: ['left', 'right'] },
+        tempo: { signal: 'frontKnee', bottom: 'min' },
+    },
+
+    scoring: [
+        { signal: 'frontKnee', over: 'min', good: 95, bad: 130, weight: 0.6 },  // ~90° at the bottom
+        { signal: 'torsoLean', over: 'max', good: 15, bad: 40, weight: 0.4 },   // upright torso
+    ],
+
+    faults: [
+        { id: 'forward-lean', when: { signal: 'torsoLean', above: 30 } },
+        { id: 'knee-past-toes', when: { signal: 'frontKnee', below: 70 }, quality: 'bad' },
+        {
+            id: 'incomplete-lockout',
+            rep: { signal: 'frontKnee', over: 'max', below: 170, after: true }, // stand gate is 160° (163° with hysteresis)
+            joints: ['leftKnee', 'rightKnee'],
+        },
+    ],
+    display: {
+        jointAngles: { frontKnee: 'frontKnee', backKnee: 'backKnee' },
+    },
+};
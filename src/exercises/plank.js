@@ -0,0 +1,40 @@
+/**
+ * plank.js
+ * Plank hold: a straight shoulder–hip–ankle line for as long as possible.
+ * Time spent with the hips sagging below the line or piked above it is
+ * tracked separately.
+ */
+export default {
+    id: 'plank',
+    name: 'Plank Hold',
+    icon: '🪵',
+    type: 'timed',
+    performance: 'hold',
+    target: 60,
+    metrics: ['holdDuration', 'stabilityScore', 'faultSeconds'],
+
+    signals: {
+        bodyLine: { angle: ['midShoulder', 'midHip', 'midAnkle'] },
+        hipOffset: { lineOffset: ['midShoulder', 'midHip', 'midAnkle'] }, // + sag, − pike
+        incline: { inclination: ['midAnkle', 'midShoulder'] },
+    },
+
+    hold: {
+        valid: [
+            { signal: 'incline', above: 60 },             // body roughly horizontal
+            { signal: 'hipOffset', between: [-0.05, 0.05] },
+        ],
+        warning: [
+            { signal: 'incline', above: 50 },
+            { signal: 'hipOffset', between: [-0.1, 0.1] },
+        ],
+        faults: [
+            { name: 'hip-sag', when: { signal: 'hipOffset', above: 0.05 } },
+            { name: 'hip-pike', when: { signal: 'hipOffset', below: -0.05 } },
+        ],
+    },
+
+    display: {
+        jointAngles: { bodyLine: 'bodyLine' },
+    },
+};
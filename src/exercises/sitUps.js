@@ -0,0 +1,53 @@
+/**
+ * sitUps.js
+ * Sit-ups: torso angle (knee-hip-shoulder) from lying to upright and back.
+ */
+export default {
+    id: 'sit-ups',
+    name: 'Sit Ups',
+    icon: '🏋️',
+    type: 'reps',
+    performance: 'reps',
+    target: 20,
+    metrics: ['repCount', 'formScore'],
+
+    signals: {
+        leftTorso: { angle: ['leftKnee', 'leftHip', 'leftShoulder'] },
+        rightTorso: { angle: ['rightKnee', 'rightHip', 'rightShoulder'] },
+        torso: { average: ['leftTorso', 'rightTorso'] },
+        symmetry: { difference: ['leftTorso', 'rightTorso'] },
+        neck: { angle: ['midHip', 'midShoulder', 'nose'], planar: true }, // ~180° with the head in line
+    },
+
+    phases: {
+        initial: 'idle',
+        states: {
+            down: { enter: { signal: 'torso', above: 140 }, quality: 'good' },    // lying
+            up: { enter: { signal: 'torso', below: 90 }, active: true, quality: 'good' }, // upright
+        },
+        transitions: { idle: ['down'], down: ['up'], up: ['down'] },
+    },
+
+    // down → up → down
+    rep: {
+        from: 'up',
+        to: 'down',
+        tempo: { signal: 'torso', bottom: 'min', first: 'concentric' }, // curl up, then lower
+        symmetry: ['leftTorso', 'rightTorso'],
+    },
+
+    scoring: [
+        { signal: 'torso', over: 'min', good: 70, bad: 120, weight: 0.5 },
+        { signal: 'symmetry', over: 'mean', good: 15, bad: 40, weight: 0.5 },
+    ],
+
+    faults: [
+        // Chin driven to the chest while curling: hands pulling on the head
+        { id: 'neck-pull', when: [{ signal: 'torso', below: 130 }, { signal: 'neck', below: 130 }] },
+    ],
+
+    defaultQuality: 'warning',
+    display: {
+        jointAngles: { torso: 'torso' },
+    },
+};
@@ -0,0 +1,86 @@
+/**
+ * squats.js
+ * Bodyweight squats: knee angle from standing (> 165°) to depth (< 95°).
+ * Knee valgus needs a front view; heel lift and trunk lean read best from the side.
+ */
+export default {
+    id: 'squats',
+    name: 'Squats',
+    icon: '🦵',
+    type: 'reps',
+    performance: 'reps',
+    target: 20,
+    metrics: ['repCount', 'depthPercent', 'formScore'],
+
+    signals: {
+        leftKnee: { angle: ['leftHip', 'leftKnee', 'leftAnkle'] },
+        rightKnee: { angle: ['rightHip', 'rightKnee', 'rightAnkle'] },
+        knee: { average: ['leftKnee', 'rightKnee'] },
+        symmetry: { difference: ['leftKnee', 'rightKnee'] },
+        depth: { percent: 'knee', from: 180, to: 70 }, // 180° standing, 70° deep squat
+        kneeWidth: { distance: ['leftKnee', 'rightKnee'] },
+        ankleWidth: { distance: ['leftAnkle', 'rightAnkle'] },
+        kneeTracking: { ratio: ['kneeWidth', 'ankleWidth'] },      // < 1 when the knees cave in
+        trunkLean: { inclination: ['midHip', 'midShoulder'] },
+        leftHeelY: { position: 'leftHeel', axis: 'y' },
+        leftToeY: { position: 'leftFootIndex', axis: 'y' },
+        rightHeelY: { position: 'rightHeel', axis: 'y' },
+        rightToeY: { position: 'rightFootIndex', axis: 'y' },
+        leftHeelRise: { difference: ['leftToeY', 'leftHeelY'], signed: true },
+        rightHeelRise: { difference: ['rightToeY', 'rightHeelY'], signed: true },
+        leftShin: { distance: ['leftKnee', 'leftAnkle'] },
+        rightShin: { distance: ['rightKnee', 'rightAnkle'] },
+        leftHeelLift: { ratio: ['leftHeelRise', 'leftShin'] },     // in shin lengths
+        rightHeelLift: { ratio: ['rightHeelRise', 'rightShin'] },
+        heelLift: { max: ['leftHeelLift', 'rightHeelLift'] },
+    },
+
+    phases: {
+        initial: 'idle',
+        states: {
+            up: { enter: { signal: 'knee', above: 165 } },
+            down: { enter: { signal: 'knee', below: 95 }, active: true },
+        },
+        transitions: { idle: ['up'], up: ['down'], down: ['up'] },
+    },
+
+    // Full squat: up → down → up (half squats never reach 'down' and aren't counted)
+    rep: {
+        from: 'down',
+        to: 'up',
+        tempo: { signal: 'knee', bottom: 'min' },
+        symmetry: ['leftKnee', 'rightKnee'],
+    },
+
+    scoring: [
+        { signal: 'depth', over: 'max', good: 67, bad: 0, weight: 0.6 },
+        { signal: 'symmetry', over: 'mean', good: 10, bad: 43, weight: 0.4 },
+    ],
+
+    quality: [
+        { when: { signal: 'knee', between: [95, 120] }, quality: 'warning' }, // half squat
+    ],
+    faults: [
+        {
+            id: 'knee-valgus',
+            when: [
+                { signal: 'knee', below: 140 },
+                { signal: 'ankleWidth', above: 0.08 }, // feet apart in frame: front view
+                { signal: 'kneeTracking', below: 0.75 },
+            ],
+            quality: 'bad',
+        },
+        { id: 'heels-lifting', when: [{ signal: 'knee', below: 140 }, { signal: 'heelLift', above: 0.15 }] },
+        { id: 'forward-lean', when: [{ signal: 'knee', below: 140 }, { signal: 'trunkLean', above: 55 }] },
+        {
+            // Judged on the stand after the rep, up to the next descent
+            id: 'incomplete-lockout',
+            rep: { signal: 'knee', over: 'max', below: 170, after: true },
+            joints: ['leftHip', 'rightHip', 'leftKnee', 'rightKnee'],
+        },
+    ],
+    display: {
+        jointAngles: { leftKnee: 'leftKnee', rightKnee: 'rightKnee' },
+        metrics: { depthPercent: 'depth' },
+    },
+};
@@ -0,0 +1,29 @@
+/**
+ * wallSit.js
+ * Wall sit: hold the knees at roughly 90° for as long as possible.
+ */
+export default {
+    id: 'wall-sit',
+    name: 'Wall Sit',
+    icon: '🧱',
+    type: 'timed',
+    performance: 'hold',
+    target: 60,
+    metrics: ['holdDuration', 'stabilityScore', 'postureAccuracy'],
+
+    signals: {
+        leftKnee: { angle: ['leftHip', 'leftKnee', 'leftAnkle'] },
+        rightKnee: { angle: ['rightHip', 'rightKnee', 'rightAnkle'] },
+        knee: { average: ['leftKnee', 'rightKnee'] },
+    },
+
+    // Valid hold at 85-100°, tolerated at 75-110°
+    hold: {
+        valid: { signal: 'knee', between: [85, 100] },
+        warning: { signal: 'knee', between: [75, 110] },
+    },
+
+    display: {
+        jointAngles: { leftKnee: 'leftKnee', rightKnee: 'rightKnee' },
+    },
+};
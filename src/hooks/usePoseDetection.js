@@ -1,9 +1,46 @@
 /**
  * usePoseDetection.js
  * Custom React hook for MediaPipe Pose detection.
- * Initializes the pose model, processes webcam frames, and returns landmarks.
+ * Initializes the pose model, processes webcam frames (or a pre-recorded
+ * video file, frame by frame on its media timeline), and returns landmarks.
+ * Can record the landmark stream and replay a recorded session without a camera.
+ *
+ * Inference runs in a Web Worker where supported (see services/poseEngine.js),
+ * using the backend chosen for this device (see services/poseBackends.js).
+ * Live camera results are committed to React state at most `renderFps` times
+ * a second; subscribe with `onFrame` to receive every inference result.
+ *
+ * Landmarks are smoothed with a One Euro filter (see utils/landmarkFilter.js)
+ * and come with per-landmark `kinematics` (velocity/acceleration from real
+ * frame timestamps). Session recordings keep the raw, unfiltered stream.
+ *
+ * Backends that estimate 3D pose also return `worldLandmarks`: metric
+ * coordinates (metres) centred between the hips, unaffected by camera
+ * perspective — use them for true joint angles (see calculateAngle3D).
+ *
+ * The camera can be picked from the enumerated devices and asked for a higher
+ * frame rate; `captureInfo` reports the settings the camera actually
+ * negotiated (see services/cameraDevices.js). For an uploaded video,
+ * `sourceFile` identifies the file instead ({ name, size, lastModified }).
+ *
+ * On the live camera, a performance governor (see utils/performanceGovernor.js)
+ * measures effective inference FPS and latency and adapts model complexity
+ * and the FPS cap within the bounds of the current test's profile.
  */
 import { useRef, useState, useCallback, useEffect } from 'react';
+import { createPoseEngine } from '../services/poseEngine';
+import { getPreferredBackend, setPreferredBackend } from '../services/poseBackends';
+import { createSessionRecorder } from '../utils/sessionRecording';
+import { createLandmarkFilter } from '../utils/landmarkFilter';
+import {
+    DEFAULT_CAMERA_FPS,
+    listVideoInputs,
+    buildVideoConstraints,
+    getCaptureReport,
+    getPreferredCamera,
+    setPreferredCamera,
+} from '../services/cameraDevices';
+import { createPerformanceGovernor, DEFAULT_PROFILE } from '../utils/performanceGovernor';
 
 // MediaPipe Pose landmark connections for drawing skeleton
 export const POSE_CONNECTIONS = [
@@ -21,13 +58,68 @@ export const POSE_CONNECTIONS = [
 const FPS_CAP = 30;
 const FRAME_INTERVAL = 1000 / FPS_CAP;
 
-export default function usePoseDetection() {
+// Longest wait for a file seek to land before the frame is skipped
+const SEEK_TIMEOUT_MS = 2000;
+
+// Files MediaPipe fetches during initialize() (loader, wasm glue, wasm, packed assets, graph, model)
+const EXPECTED_ASSET_COUNT = 6;
+
+const POSE_OPTIONS = {
+    modelComplexity: 1,          // 0=lite, 1=full, 2=heavy
+    smoothLandmarks: true,
+    enableSegmentation: false,
+    smoothSegmentation: false,
+    minDetectionConfidence: 0.5,
+    minTrackingConfidence: 0.5,
+};
+
+/**
+ * @param {Object} [config]
+ * @param {number} [config.renderFps=30] - Max React commits per second for live camera results
+ * @param {string} [config.backend] - Pose backend id; defaults to this device's preference
+ * @param {string|Object|false} [config.filter='balanced'] - Smoothing preset, One Euro config, or false
+ * @param {number} [config.cameraFps=30] - Frame rate to request from the camera
+ * @param {string|Object} [config.performance='reps'] - Initial performance profile (FPS / complexity bounds); see setPerformanceProfile
+ */
+export default function usePoseDetection({
+    renderFps = FPS_CAP,
+    backend,
+    filter = 'balanced',
+    cameraFps = DEFAULT_CAMERA_FPS,
+    performance: performanceProfile = DEFAULT_PROFILE,
+} = {}) {
     const [landmarks, setLandmarks] = useState(null);
+    const [kinematics, setKinematics] = useState(null);
+    const [worldLandmarks, setWorldLandmarks] = useState(null);
+    const [landmarkFilter] = useState(() => createLandmarkFilter(filter));
+    const [governor] = useState(() => createPerformanceGovernor(performanceProfile, {
+        modelComplexity: POSE_OPTIONS.modelComplexity,
+        fpsCap: FPS_CAP,
+    }));
+    const [performanceStats, setPerformanceStats] = useState(null); // { fps, latencyMs, modelComplexity, fpsCap, minFps, belowMinimum }
     const [isLoading, setIsLoading] = useState(true);
+    const [loadProgress, setLoadProgress] = useState(0);
+    const [loadError, setLoadError] = useState(null);
     const [isRunning, setIsRunning] = useState(false);
     const [confidence, setConfidence] = useState(0);
     const [facingMode, setFacingMode] = useState('user');
     const facingModeRef = useRef('user');
+    const [sourceType, setSourceType] = useState('camera'); // camera, file, replay
+    const [sourceError, setSourceError] = useState(null);
+    const [frameTime, setFrameTime] = useState(0);
+    const [frameSize, setFrameSize] = useState(null); // { width, height } of the source video
+    const [inferenceMode, setInferenceMode] = useState(null); // worker, main
+    const [backendId, setBackendId] = useState(() => backend || getPreferredBackend());
+    const backendRef = useRef(backendId);
+    const sourceTypeRef = useRef('camera');
+    const [cameraDevices, setCameraDevices] = useState([]);
+    const [cameraId, setCameraId] = useState(() => getPreferredCamera()); // null = follow facingMode
+    const cameraIdRef = useRef(cameraId);
+    const [captureFps, setCaptureFps] = useState(cameraFps);
+    const captureFpsRef = useRef(cameraFps);
+    const [captureInfo, setCaptureInfo] = useState(null); // negotiated camera settings
+    const [sourceFile, setSourceFile] = useState(null); // { name, size, lastModified } of an uploaded video
+    const captureInfoRef = useRef(null);
 
     const poseRef = useRef(null);
     const videoRef = useRef(null);
@@ -35,6 +127,80 @@ export default function usePoseDetection() {
     const streamRef = useRef(null);
     const animFrameRef = useRef(null);
     const lastFrameTimeRef = useRef(0);
+    const frameIntervalRef = useRef(FRAME_INTERVAL);
+    const objectUrlRef = useRef(null);
+    const sourceLoopIdRef = useRef(0);
+    const endListenersRef = useRef(new Set());
+    const frameListenersRef = useRef(new Set());
+    const latestFrameRef = useRef(null);
+    const commitFrameRef = useRef(null);
+    const lastCommitTimeRef = useRef(0);
+    const graphOffsetRef = useRef(0);
+    const lastGraphTimeRef = useRef(0);
+    const recorderRef = useRef(null);
+    const replayTimeRef = useRef(0);
+
+    /**
+     * Commit a frame to React state.
+     */
+    const commitFrame = useCallback(({ poseLandmarks, frameKinematics, frameWorldLandmarks, timestamp }) => {
+        setFrameTime(timestamp);
+        setKinematics(frameKinematics);
+        setWorldLandmarks(frameWorldLandmarks);
+        if (poseLandmarks) {
+            setLandmarks(poseLandmarks);
+            // Calculate average visibility as confidence (over keypoints the backend actually detects)
+            const detected = poseLandmarks.filter((lm) => !lm.estimated);
+            const avgVisibility =
+                detected.reduce((sum, lm) => sum + (lm.visibility || 0), 0) /
+                (detected.length || 1);
+            setConfidence(Math.round(avgVisibility * 100));
+        } else {
+            setLandmarks(null);
+            setConfidence(0);
+        }
+    }, []);
+
+    /**
+     * Publish one frame of results to consumers (and the recorder, if active).
+     * Shared by live inference, video files and session replay.
+     * File and replay loops pace themselves one frame per commit; live camera
+     * frames are coalesced so renders stay decoupled from the inference rate.
+     */
+    const publishFrame = useCallback((rawLandmarks, timestamp, rawWorldLandmarks = null) => {
+        recorderRef.current?.addFrame(timestamp, rawLandmarks, rawWorldLandmarks);
+
+        let poseLandmarks = null;
+        let frameKinematics = null;
+        if (rawLandmarks) {
+            ({ landmarks: poseLandmarks, kinematics: frameKinematics } = landmarkFilter.process(rawLandmarks, timestamp));
+        } else {
+            // Person lost — don't smooth or differentiate across the gap
+            landmarkFilter.reset();
+        }
+        const frameWorldLandmarks = poseLandmarks ? rawWorldLandmarks : null;
+        frameListenersRef.current.forEach((listener) => listener(poseLandmarks, timestamp, frameKinematics, frameWorldLandmarks));
+
+        if (sourceTypeRef.current !== 'camera') {
+            commitFrame({ poseLandmarks, frameKinematics, frameWorldLandmarks, timestamp });
+            return;
+        }
+
+        latestFrameRef.current = { poseLandmarks, frameKinematics, frameWorldLandmarks, timestamp };
+        if (commitFrameRef.current) return;
+
+        const minInterval = 1000 / renderFps;
+        const flush = (now) => {
+            if (now - lastCommitTimeRef.current < minInterval) {
+                commitFrameRef.current = requestAnimationFrame(flush);
+                return;
+            }
+            commitFrameRef.current = null;
+            lastCommitTimeRef.current = now;
+            commitFrame(latestFrameRef.current);
+        };
+        commitFrameRef.current = requestAnimationFrame(flush);
+    }, [commitFrame, renderFps, landmarkFilter]);
 
     /**
      * Initialize MediaPipe Pose.
@@ -42,68 +208,268 @@ export default function usePoseDetection() {
     const initializePose = useCallback(async () => {
         try {
             setIsLoading(true);
+            setLoadError(null);
+            setLoadProgress(0);
 
-            // Dynamic import for code splitting
-            const { Pose } = await import('@mediapipe/pose');
-
-            const pose = new Pose({
-                locateFile: (file) =>
-                    `https://cdn.jsdelivr.net/npm/@mediapipe/pose/${file}`,
-            });
-
-            pose.setOptions({
-                modelComplexity: 1,          // 0=lite, 1=full, 2=heavy
-                smoothLandmarks: true,
-                enableSegmentation: false,
-                smoothSegmentation: false,
-                minDetectionConfidence: 0.5,
-                minTrackingConfidence: 0.5,
-            });
+            poseRef.current?.close();
+            poseRef.current = null;
 
-            pose.onResults((results) => {
-                if (results.poseLandmarks) {
-                    setLandmarks(results.poseLandmarks);
-                    // Calculate average visibility as confidence
-                    const avgVisibility =
-                        results.poseLandmarks.reduce((sum, lm) => sum + (lm.visibility || 0), 0) /
-                        results.poseLandmarks.length;
-                    setConfidence(Math.round(avgVisibility * 100));
-                } else {
-                    setLandmarks(null);
-                    setConfidence(0);
-                }
+            // Assets are self-hosted (see services/poseAssets.js) — progress counts files requested
+            const requested = new Set();
+            const engine = await createPoseEngine({
+                backend: backendRef.current,
+                options: { ...POSE_OPTIONS, modelComplexity: governor.settings().modelComplexity },
+                onAssetRequested: (file) => {
+                    requested.add(file);
+                    setLoadProgress(Math.min(95, Math.round((requested.size / EXPECTED_ASSET_COUNT) * 100)));
+                },
             });
 
-            poseRef.current = pose;
+            poseRef.current = engine;
+            setInferenceMode(engine.kind);
+            setBackendId(engine.backend);
+            setLoadProgress(100);
             setIsLoading(false);
         } catch (error) {
             console.error('Failed to initialize MediaPipe Pose:', error);
+            setLoadError(navigator.onLine
+                ? 'Could not load the pose model. Check that the AI assets are available and retry.'
+                : 'Could not load the pose model offline. Open the app once online so it can be cached.');
             setIsLoading(false);
         }
+    }, [governor]);
+
+    /**
+     * Switch pose backend for this device and reload the model.
+     * @param {string} id - Backend id (see services/poseBackends.js)
+     */
+    const selectBackend = useCallback(async (id) => {
+        setPreferredBackend(id);
+        backendRef.current = id;
+        setBackendId(id);
+        await initializePose();
+    }, [initializePose]);
+
+    /**
+     * Send one frame to the pose engine, tagged with its timestamp (ms).
+     * The graph requires strictly increasing timestamps across sources,
+     * so file media time is offset past the last timestamp sent.
+     */
+    const sendFrame = useCallback(async (timestampMs) => {
+        const at = Math.max(timestampMs + graphOffsetRef.current, lastGraphTimeRef.current + 1);
+        lastGraphTimeRef.current = at;
+        const { landmarks: poseLandmarks, worldLandmarks: poseWorldLandmarks } = await poseRef.current.send(videoRef.current, at);
+        publishFrame(poseLandmarks, timestampMs, poseWorldLandmarks);
+    }, [publishFrame]);
+
+    /**
+     * Stop whatever source is feeding the video element (stream or file).
+     */
+    const releaseSource = useCallback(() => {
+        if (animFrameRef.current) {
+            cancelAnimationFrame(animFrameRef.current);
+            animFrameRef.current = null;
+        }
+        if (commitFrameRef.current) {
+            cancelAnimationFrame(commitFrameRef.current);
+            commitFrameRef.current = null;
+        }
+
+        // Invalidate any running camera, file or replay loop
+        sourceLoopIdRef.current++;
+        landmarkFilter.reset();
+
+        if (streamRef.current) {
+            streamRef.current.getTracks().forEach((track) => track.stop());
+            streamRef.current = null;
+        }
+
+        if (videoRef.current) {
+            videoRef.current.srcObject = null;
+            if (objectUrlRef.current) {
+                videoRef.current.pause();
+                videoRef.current.removeAttribute('src');
+                videoRef.current.load();
+            }
+        }
+
+        if (objectUrlRef.current) {
+            URL.revokeObjectURL(objectUrlRef.current);
+            objectUrlRef.current = null;
+        }
+    }, [landmarkFilter]);
+
+    /**
+     * Apply governor settings: FPS cap now, model complexity on the engine.
+     * @param {{ modelComplexity: number, fpsCap: number }|null} change
+     */
+    const applyPerformance = useCallback((change) => {
+        if (!change) return;
+        frameIntervalRef.current = 1000 / change.fpsCap;
+        poseRef.current?.setOptions({ ...POSE_OPTIONS, modelComplexity: change.modelComplexity });
+    }, []);
+
+    /**
+     * Main detection loop with FPS cap.
+     */
+    const detectLoop = useCallback(() => {
+        const loopId = ++sourceLoopIdRef.current;
+        const loop = async (timestamp) => {
+            if (loopId !== sourceLoopIdRef.current || !poseRef.current || !videoRef.current) return;
+
+            // FPS cap (set by the performance governor)
+            const elapsed = timestamp - lastFrameTimeRef.current;
+            if (elapsed < frameIntervalRef.current) {
+                animFrameRef.current = requestAnimationFrame(loop);
+                return;
+            }
+            lastFrameTimeRef.current = timestamp;
+
+            try {
+                const sentAt = performance.now();
+                await sendFrame(timestamp);
+                // The source changed while this frame was in inference
+                if (loopId !== sourceLoopIdRef.current) return;
+                const doneAt = performance.now();
+                const evaluation = governor.record(doneAt - sentAt, doneAt);
+                if (evaluation) {
+                    setPerformanceStats(evaluation.stats);
+                    applyPerformance(evaluation.change);
+                }
+            } catch {
+                // Silently handle frame processing errors
+            }
+
+            if (loopId !== sourceLoopIdRef.current) return;
+            animFrameRef.current = requestAnimationFrame(loop);
+        };
+
+        animFrameRef.current = requestAnimationFrame(loop);
+    }, [sendFrame, governor, applyPerformance]);
+
+    /**
+     * File detection loop: seeks the paused video one frame at a time and
+     * runs inference on each frame. Seeks land mid-frame so rounding can't
+     * pick a neighbouring frame. Runs as fast as inference allows unless a
+     * finite playbackRate paces it against the wall clock.
+     * @param {number} playbackRate
+     * @param {number} duration - Finite duration (s), see resolveDuration()
+     * @param {number} framePeriod - Seconds per frame, see measureFramePeriod()
+     */
+    const fileLoop = useCallback(async (playbackRate, duration, framePeriod) => {
+        const loopId = ++sourceLoopIdRef.current;
+        const video = videoRef.current;
+        const wallStart = performance.now();
+        graphOffsetRef.current = lastGraphTimeRef.current + framePeriod * 1000;
+
+        for (let t = framePeriod / 2; t < duration; t += framePeriod) {
+            if (loopId !== sourceLoopIdRef.current || !poseRef.current) return;
+
+            let landed;
+            try {
+                landed = await seekVideo(video, t);
+            } catch {
+                if (loopId !== sourceLoopIdRef.current) return;
+                setSourceError(`Could not decode this video past ${t.toFixed(1)} s — the results stop there.`);
+                break;
+            }
+            if (loopId !== sourceLoopIdRef.current) return;
+            if (!landed) continue; // the seek never finished; skip this frame
+
+            try {
+                await sendFrame(t * 1000);
+            } catch {
+                // Skip frames MediaPipe cannot process
+            }
+
+            // Yield so React commits this frame's results before the next one
+            await wait(0);
+
+            if (Number.isFinite(playbackRate)) {
+                const ahead = (t * 1000) / playbackRate - (performance.now() - wallStart);
+                if (ahead > 0) await wait(ahead);
+            }
+        }
+
+        graphOffsetRef.current = 0;
+        if (loopId === sourceLoopIdRef.current) {
+            endListenersRef.current.forEach((listener) => listener());
+        }
+    }, [sendFrame]);
+
+    /**
+     * Replay loop: feeds recorded frames through the same publish path as
+     * live inference, one committed render per frame, so consumers see
+     * exactly the recorded sequence and timestamps.
+     */
+    const replayLoop = useCallback(async (frames, playbackRate) => {
+        const loopId = ++sourceLoopIdRef.current;
+        const wallStart = performance.now();
+        const firstTime = frames[0]?.t ?? 0;
+
+        for (const frame of frames) {
+            if (loopId !== sourceLoopIdRef.current) return;
+
+            replayTimeRef.current = frame.t;
+            publishFrame(frame.landmarks, frame.t, frame.worldLandmarks);
+
+            // Yield so React commits this frame before the next one
+            await wait(0);
+
+            if (Number.isFinite(playbackRate)) {
+                const ahead = (frame.t - firstTime) / playbackRate - (performance.now() - wallStart);
+                if (ahead > 0) await wait(ahead);
+            }
+        }
+
+        if (loopId === sourceLoopIdRef.current) {
+            endListenersRef.current.forEach((listener) => listener());
+        }
+    }, [publishFrame]);
+
+    /**
+     * List the cameras on this device (labels appear once permission is granted).
+     */
+    const refreshDevices = useCallback(async () => {
+        try {
+            setCameraDevices(await listVideoInputs());
+        } catch {
+            setCameraDevices([]);
+        }
     }, []);
 
     /**
      * Start the camera and begin pose detection.
+     * Uses the selected camera if there is one, otherwise the facing mode.
      */
     const startCamera = useCallback(async (videoElement, canvasElement, mode) => {
+        // Stop existing stream or file if any
+        releaseSource();
         videoRef.current = videoElement;
         canvasRef.current = canvasElement;
         const useMode = mode || facingModeRef.current;
+        const frameRate = captureFpsRef.current;
 
         try {
-            // Stop existing stream if any
-            if (streamRef.current) {
-                streamRef.current.getTracks().forEach((track) => track.stop());
-            }
+            setSourceError(null);
 
-            const stream = await navigator.mediaDevices.getUserMedia({
-                video: {
-                    facingMode: useMode,
-                    width: { ideal: 1280 },
-                    height: { ideal: 960 },
-                },
-                audio: false,
-            });
+            let stream;
+            try {
+                stream = await navigator.mediaDevices.getUserMedia({
+                    video: buildVideoConstraints({ deviceId: cameraIdRef.current, facingMode: useMode, frameRate }),
+                    audio: false,
+                });
+            } catch (error) {
+                // The selected camera was unplugged — fall back to facing mode
+                if (!cameraIdRef.current || !['NotFoundError', 'OverconstrainedError'].includes(error?.name)) throw error;
+                cameraIdRef.current = null;
+                setCameraId(null);
+                setPreferredCamera(null);
+                stream = await navigator.mediaDevices.getUserMedia({
+                    video: buildVideoConstraints({ facingMode: useMode, frameRate }),
+                    audio: false,
+                });
+            }
 
             streamRef.current = stream;
             videoElement.srcObject = stream;
@@ -115,95 +481,384 @@ export default function usePoseDetection() {
                 };
             });
 
+            const report = getCaptureReport(stream.getVideoTracks()[0], frameRate);
+            captureInfoRef.current = report;
+            setCaptureInfo(report);
+            governor.restart();
+            governor.setCameraFps(report.frameRate);
+            frameIntervalRef.current = 1000 / governor.settings().fpsCap;
+
+            sourceTypeRef.current = 'camera';
+            setSourceType('camera');
+            setSourceFile(null);
+            setFrameSize({ width: videoElement.videoWidth, height: videoElement.videoHeight });
             setIsRunning(true);
             detectLoop();
+            refreshDevices();
         } catch (error) {
             console.error('Failed to start camera:', error);
+            setSourceError('Could not access the camera. Grant permission and try again.');
         }
-    }, []);
+    }, [detectLoop, releaseSource, refreshDevices, governor]);
 
     /**
-     * Switch between front and rear cameras.
+     * Analyze a pre-recorded video (MP4/WebM) instead of the live camera.
+     * Frames are processed on the video's own timeline; `frameTime` and
+     * `getMediaTime()` report media time. Subscribe with `onSourceEnded`.
+     * @param {HTMLVideoElement} videoElement - Video element to decode into
+     * @param {File|Blob} file - Video file picked by the user
+     * @param {Object} [options]
+     * @param {number} [options.playbackRate=Infinity] - 1 = real time, Infinity = as fast as possible
      */
-    const switchCamera = useCallback(async () => {
-        const newMode = facingModeRef.current === 'user' ? 'environment' : 'user';
-        facingModeRef.current = newMode;
-        setFacingMode(newMode);
+    const startVideoFile = useCallback(async (videoElement, file, { playbackRate = Infinity } = {}) => {
+        releaseSource();
+        const sourceId = sourceLoopIdRef.current;
+        videoRef.current = videoElement;
 
-        if (isRunning && videoRef.current) {
-            await startCamera(videoRef.current, canvasRef.current, newMode);
+        try {
+            setSourceError(null);
+
+            const url = URL.createObjectURL(file);
+            objectUrlRef.current = url;
+
+            await new Promise((resolve, reject) => {
+                videoElement.onloadeddata = resolve;
+                videoElement.onerror = () => reject(videoElement.error);
+                videoElement.src = url;
+            });
+            videoElement.pause();
+
+            const duration = await resolveDuration(videoElement);
+            const framePeriod = duration !== null
+                ? (await measureFramePeriod(videoElement)) ?? FRAME_INTERVAL / 1000
+                : null;
+            // Another source was started while the file was being probed
+            if (sourceId !== sourceLoopIdRef.current) return;
+            if (duration === null) {
+                releaseSource();
+                setSourceError('Could not read the length of this video. Re-save it as an MP4 and try again.');
+                return;
+            }
+
+            captureInfoRef.current = null;
+            setCaptureInfo(null);
+            sourceTypeRef.current = 'file';
+            setSourceType('file');
+            setSourceFile({ name: file.name, size: file.size, lastModified: file.lastModified });
+            setFrameSize({ width: videoElement.videoWidth, height: videoElement.videoHeight });
+            setIsRunning(true);
+            fileLoop(playbackRate, duration, framePeriod);
+        } catch (error) {
+            console.error('Failed to open video file:', error);
+            releaseSource();
+            setSourceError('Could not read this video. Use an MP4 or WebM file.');
         }
-    }, [isRunning, startCamera]);
+    }, [fileLoop, releaseSource]);
 
     /**
-     * Main detection loop with FPS cap.
+     * Replay a recorded landmark session with no camera or model.
+     * @param {{ frames: Array }} session - From stopRecording() or decodeSession()
+     * @param {Object} [options]
+     * @param {number} [options.playbackRate=Infinity] - 1 = original speed, Infinity = as fast as possible
      */
-    const detectLoop = useCallback(() => {
-        const loop = async (timestamp) => {
-            if (!poseRef.current || !videoRef.current) return;
+    const startReplay = useCallback((session, { playbackRate = Infinity } = {}) => {
+        releaseSource();
+        setSourceError(null);
+        replayTimeRef.current = session.frames[0]?.t ?? 0;
+        captureInfoRef.current = session.meta.capture || null;
+        setCaptureInfo(captureInfoRef.current);
+        sourceTypeRef.current = 'replay';
+        setSourceType('replay');
+        setSourceFile(null);
+        setFrameSize(session.meta.frameSize || null);
+        setIsRunning(true);
+        replayLoop(session.frames, playbackRate);
+    }, [releaseSource, replayLoop]);
 
-            // FPS cap
-            const elapsed = timestamp - lastFrameTimeRef.current;
-            if (elapsed < FRAME_INTERVAL) {
-                animFrameRef.current = requestAnimationFrame(loop);
-                return;
-            }
-            lastFrameTimeRef.current = timestamp;
+    /**
+     * Start capturing every published frame (with its timestamp).
+     * @param {Object} meta - Extra session metadata (activity, test, ...)
+     */
+    const startRecording = useCallback((meta = {}) => {
+        governor.resetReport();
+        recorderRef.current = createSessionRecorder({
+            source: sourceTypeRef.current,
+            backend: backendRef.current,
+            frameSize: videoRef.current
+                ? { width: videoRef.current.videoWidth, height: videoRef.current.videoHeight }
+                : null,
+            fpsCap: governor.settings().fpsCap,
+            capture: captureInfoRef.current,
+            ...meta,
+        });
+    }, [governor]);
 
-            try {
-                await poseRef.current.send({ image: videoRef.current });
-            } catch (err) {
-                // Silently handle frame processing errors
-            }
+    /**
+     * Stop capturing and return the recorded session, with the
+     * performance report for its duration in `meta.performance`.
+     * @returns {{ meta: Object, frames: Array }|null}
+     */
+    const stopRecording = useCallback(() => {
+        const recorder = recorderRef.current;
+        recorderRef.current = null;
+        if (!recorder) return null;
+        const session = recorder.finish();
+        return { ...session, meta: { ...session.meta, performance: governor.report() } };
+    }, [governor]);
 
-            animFrameRef.current = requestAnimationFrame(loop);
-        };
+    /**
+     * Switch to another test's performance bounds (e.g. when the activity changes).
+     * @param {string|Object} profile - Key of PERFORMANCE_PROFILES, or custom bounds
+     */
+    const setPerformanceProfile = useCallback((profile) => {
+        applyPerformance(governor.setProfile(profile));
+    }, [governor, applyPerformance]);
 
-        animFrameRef.current = requestAnimationFrame(loop);
+    /**
+     * Performance summary since the last recording started (or resetPerformanceReport).
+     * @returns {{ avgFps, avgLatencyMs, minFps, modelComplexity, lowFpsRatio, lowConfidence }|null}
+     */
+    const getPerformanceReport = useCallback(() => governor.report(), [governor]);
+
+    const resetPerformanceReport = useCallback(() => governor.resetReport(), [governor]);
+
+    /**
+     * Subscribe to the end of a video file or replay source.
+     * @param {Function} listener - Called once the last frame was processed
+     * @returns {Function} Unsubscribe
+     */
+    const onSourceEnded = useCallback((listener) => {
+        endListenersRef.current.add(listener);
+        return () => endListenersRef.current.delete(listener);
     }, []);
 
     /**
-     * Stop camera and clean up resources.
+     * Subscribe to every published frame, including live frames that were
+     * coalesced out of React state.
+     * @param {Function} listener - Called with (landmarks|null, timestamp, kinematics|null, worldLandmarks|null)
+     * @returns {Function} Unsubscribe
      */
-    const stopCamera = useCallback(() => {
-        if (animFrameRef.current) {
-            cancelAnimationFrame(animFrameRef.current);
-            animFrameRef.current = null;
+    const onFrame = useCallback((listener) => {
+        frameListenersRef.current.add(listener);
+        return () => frameListenersRef.current.delete(listener);
+    }, []);
+
+    /**
+     * Current time on the active source's clock (ms): media time for
+     * video files, recorded time for replays, performance.now() for the live camera.
+     */
+    const getMediaTime = useCallback(() => {
+        if (sourceTypeRef.current === 'file' && videoRef.current) {
+            return videoRef.current.currentTime * 1000;
         }
+        if (sourceTypeRef.current === 'replay') return replayTimeRef.current;
+        return performance.now();
+    }, []);
 
-        if (streamRef.current) {
-            streamRef.current.getTracks().forEach((track) => track.stop());
-            streamRef.current = null;
+    /**
+     * Pick the camera and/or frame rate, restarting a live camera to apply them.
+     * @param {Object} selection
+     * @param {string|null} [selection.deviceId] - Device id, or null to follow facing mode
+     * @param {number} [selection.frameRate] - Requested frames per second
+     */
+    const selectCamera = useCallback(async ({ deviceId, frameRate } = {}) => {
+        if (deviceId !== undefined) {
+            cameraIdRef.current = deviceId;
+            setCameraId(deviceId);
+            setPreferredCamera(deviceId);
+        }
+        if (frameRate) {
+            captureFpsRef.current = frameRate;
+            setCaptureFps(frameRate);
         }
 
-        if (videoRef.current) {
-            videoRef.current.srcObject = null;
+        if (isRunning && sourceTypeRef.current === 'camera' && videoRef.current) {
+            await startCamera(videoRef.current, canvasRef.current);
         }
+    }, [isRunning, startCamera]);
+
+    /**
+     * Switch between front and rear cameras.
+     */
+    const switchCamera = useCallback(async () => {
+        const newMode = facingModeRef.current === 'user' ? 'environment' : 'user';
+        facingModeRef.current = newMode;
+        setFacingMode(newMode);
+        // Facing mode only applies when no specific camera is selected
+        cameraIdRef.current = null;
+        setCameraId(null);
+        setPreferredCamera(null);
+
+        if (isRunning && sourceTypeRef.current === 'camera' && videoRef.current) {
+            await startCamera(videoRef.current, canvasRef.current, newMode);
+        }
+    }, [isRunning, startCamera]);
+
+    /**
+     * Stop camera (or video file) and clean up resources.
+     */
+    const stopCamera = useCallback(() => {
+        releaseSource();
 
         setIsRunning(false);
         setLandmarks(null);
+        setKinematics(null);
+        setWorldLandmarks(null);
         setConfidence(0);
-    }, []);
+        setPerformanceStats(null);
+        captureInfoRef.current = null;
+        setCaptureInfo(null);
+    }, [releaseSource]);
+
+    // Keep the camera list current as devices are plugged in or removed
+    useEffect(() => {
+        const mediaDevices = navigator.mediaDevices;
+        if (!mediaDevices?.addEventListener) return;
+        refreshDevices();
+        mediaDevices.addEventListener('devicechange', refreshDevices);
+        return () => mediaDevices.removeEventListener('devicechange', refreshDevices);
+    }, [refreshDevices]);
 
     // Cleanup on unmount
     useEffect(() => {
         return () => {
             stopCamera();
+            poseRef.current?.close();
             poseRef.current = null;
         };
     }, [stopCamera]);
 
     return {
         landmarks,
+        kinematics,
+        worldLandmarks,
         isLoading,
+        loadProgress,
+        loadError,
         isRunning,
         confidence,
         facingMode,
+        sourceType,
+        sourceError,
+        frameTime,
+        frameSize,
+        inferenceMode,
+        backend: backendId,
+        selectBackend,
+        cameraDevices,
+        cameraId,
+        captureFps,
+        captureInfo,
+        sourceFile,
+        selectCamera,
+        refreshDevices,
+        performanceStats,
+        setPerformanceProfile,
+        getPerformanceReport,
+        resetPerformanceReport,
+        getMediaTime,
+        onFrame,
+        onSourceEnded,
         initializePose,
         startCamera,
+        startVideoFile,
+        startReplay,
+        startRecording,
+        stopRecording,
         stopCamera,
         switchCamera,
         videoRef,
         canvasRef,
     };
 }
+
+function wait(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Seek and wait for the frame to land.
+ * @returns {Promise<boolean>} False if the seek didn't finish in time (e.g. no seek was needed);
+ *   rejects if the video fails to decode
+ */
+function seekVideo(video, time) {
+    let onSeeked;
+    let onError;
+    const seek = new Promise((resolve, reject) => {
+        onSeeked = () => resolve(true);
+        onError = () => reject(video.error);
+        video.addEventListener('seeked', onSeeked, { once: true });
+        video.addEventListener('error', onError, { once: true });
+        video.currentTime = Math.min(time, video.duration);
+    });
+    return Promise.race([seek, wait(SEEK_TIMEOUT_MS).then(() => false)]).finally(() => {
+        video.removeEventListener('seeked', onSeeked);
+        video.removeEventListener('error', onError);
+    });
+}
+
+/**
+ * The video's duration in seconds. MediaRecorder WebM files report Infinity
+ * until the browser has seen their end, so seek past it and read it back.
+ * @returns {Promise<number|null>} Null if no finite duration can be found
+ */
+async function resolveDuration(video) {
+    if (Number.isFinite(video.duration) && video.duration > 0) return video.duration;
+
+    await Promise.race([
+        new Promise((resolve) => {
+            video.addEventListener('seeked', resolve, { once: true });
+            video.currentTime = Number.MAX_SAFE_INTEGER;
+        }),
+        wait(3000),
+    ]);
+    const duration = video.duration;
+    if (!Number.isFinite(duration) || duration <= 0) return null;
+    await seekVideo(video, 0);
+    return duration;
+}
+
+/**
+ * The video's frame period in seconds, from the media times of frames
+ * presented while it plays briefly (slowed down, so no frame is skipped on
+ * a 60 Hz display). Leaves the video paused at the start.
+ * @returns {Promise<number|null>} Null without requestVideoFrameCallback
+ */
+async function measureFramePeriod(video) {
+    if (!video.requestVideoFrameCallback) return null;
+
+    const deltas = [];
+    const { muted, playbackRate } = video;
+    await new Promise((resolve) => {
+        let lastMediaTime = null;
+        let done = false;
+        const finish = () => {
+            done = true;
+            resolve();
+        };
+        const timer = setTimeout(finish, 2000);
+        const onVideoFrame = (now, metadata) => {
+            if (done) return;
+            if (lastMediaTime !== null && metadata.mediaTime > lastMediaTime) {
+                deltas.push(metadata.mediaTime - lastMediaTime);
+            }
+            lastMediaTime = metadata.mediaTime;
+            if (deltas.length >= 8) {
+                clearTimeout(timer);
+                finish();
+            } else {
+                video.requestVideoFrameCallback(onVideoFrame);
+            }
+        };
+        video.requestVideoFrameCallback(onVideoFrame);
+        video.muted = true;
+        video.playbackRate = 0.25;
+        video.play().catch(finish);
+    });
+    video.pause();
+    video.muted = muted;
+    video.playbackRate = playbackRate;
+    await seekVideo(video, 0);
+
+    return deltas.length ? Math.min(...deltas) : null;
+}
@@ -0,0 +1,34 @@
+/**
+ * useScaleCalibration.js
+ * Custom React hook that loads the saved real-world scale for the current
+ * camera setup and provides cm / m/s converters (see utils/scaleCalibration.js).
+ */
+import { useState, useMemo, useCallback } from 'react';
+import { createScale, loadCalibration, saveCalibration } from '../utils/scaleCalibration';
+
+/**
+ * @param {string|null} setupKey - From getCameraSetupKey()
+ * @param {Object} [options]
+ * @param {number} [options.fallbackCmPerUnit] - Estimate used until the setup is calibrated
+ */
+export default function useScaleCalibration(setupKey, { fallbackCmPerUnit } = {}) {
+    // Latest save this session; storage is the source of truth for other setups
+    const [saved, setSaved] = useState(null); // { setupKey, calibration }
+
+    const calibration = saved?.setupKey === setupKey ? saved.calibration : loadCalibration(setupKey);
+    const scale = useMemo(() => createScale(calibration, fallbackCmPerUnit), [calibration, fallbackCmPerUnit]);
+
+    const save = useCallback((newCalibration) => {
+        saveCalibration(setupKey, newCalibration);
+        setSaved({ setupKey, calibration: newCalibration });
+    }, [setupKey]);
+
+    const clear = useCallback(() => save(null), [save]);
+
+    return {
+        calibration,
+        scale,
+        saveCalibration: save,
+        clearCalibration: clear,
+    };
+}
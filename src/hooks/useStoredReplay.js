@@ -0,0 +1,81 @@
+/**
+ * useStoredReplay.js
+ * Custom React hook that opens the landmark session stored with a saved test
+ * result when a test page is loaded with `?replay=<resultId>` (see the
+ * Dashboard's recorded sessions), so the page can replay and re-score it.
+ * Also stores the session recorded with a new result (see utils/sessionRecording.js).
+ */
+import { useState, useRef, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { getTestResult, getSessionRecording, saveSessionRecording } from '../services/offlineStorage';
+import { encodeSession, decodeSession } from '../utils/sessionRecording';
+import { PUSHUP_PROTOCOLS } from '../utils/pushUpProtocols';
+import { ACTIVITIES } from './useActivityLogic';
+
+// Pages that record their own sessions, by saved activity; the rest replay in the Camera Assessment
+const REPLAY_PAGES = [
+    { path: '/test/pushups', activities: Object.values(PUSHUP_PROTOCOLS).map(p => p.activity) },
+    { path: '/test/sprint', activities: ['sprint-20', 'sprint-40', 'flying-10', 'flying-20', 'rsa-6x30'] },
+    { path: '/test/vertical-jump', activities: ['vertical-jump'] },
+];
+
+/**
+ * Page that replays a saved result's session.
+ * @param {Object} result - Test result
+ * @returns {string|null} Route with the replay query, or null if no page scores this activity
+ */
+export function replayPath(result) {
+    const page = REPLAY_PAGES.find(p => p.activities.includes(result.activity));
+    const path = page?.path ?? (ACTIVITIES[result.activity] ? '/assessment' : null);
+    return path && `${path}?replay=${result.id}`;
+}
+
+/**
+ * Store a recorded session next to its test result.
+ * @param {number} resultId - ID returned by saveTestResult
+ * @param {{ meta: Object, frames: Array }} session - From stopRecording()
+ */
+export async function saveResultSession(resultId, session) {
+    const { frames } = session;
+    await saveSessionRecording(resultId, encodeSession(session), {
+        frameCount: frames.length,
+        duration: frames.length ? frames[frames.length - 1].t - frames[0].t : 0,
+        source: session.meta.source,
+    });
+}
+
+/**
+ * @param {Function} onReplay - Called once with (session, result) when the stored session has loaded
+ * @returns {{ replayResultId: number|null, replayError: string|null }}
+ */
+export default function useStoredReplay(onReplay) {
+    const [searchParams] = useSearchParams();
+    const replayResultId = Number(searchParams.get('replay')) || null;
+    const [replayError, setReplayError] = useState(null);
+    const onReplayRef = useRef(onReplay);
+
+    useEffect(() => {
+        onReplayRef.current = onReplay;
+    }, [onReplay]);
+
+    useEffect(() => {
+        if (replayResultId === null) return;
+        let cancelled = false;
+        Promise.all([getTestResult(replayResultId), getSessionRecording(replayResultId)])
+            .then(([result, record]) => {
+                if (cancelled) return;
+                if (!result || !record) {
+                    setReplayError('No recorded session found for this result.');
+                    return;
+                }
+                setReplayError(null);
+                onReplayRef.current(decodeSession(record.data), result);
+            })
+            .catch((err) => {
+                if (!cancelled) setReplayError(`Could not open the recorded session: ${err.message}`);
+            });
+        return () => { cancelled = true; };
+    }, [replayResultId]);
+
+    return { replayResultId, replayError };
+}
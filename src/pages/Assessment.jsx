@@ -9,13 +9,28 @@ import { motion, AnimatePresence } from 'framer-motion';
 import CameraFeed from '../components/CameraFeed';
 import PoseOverlay from '../components/PoseOverlay';
 import MetricsPanel from '../components/MetricsPanel';
+import RepLog from '../components/RepLog';
+import FatigueSummary from '../components/FatigueSummary';
+import AsymmetryReport from '../components/AsymmetryReport';
 import ActivitySelector from '../components/ActivitySelector';
+import VideoFileButton from '../components/VideoFileButton';
+import CalibrationPanel from '../components/CalibrationPanel';
+import CameraSettings from '../components/CameraSettings';
 import usePoseDetection from '../hooks/usePoseDetection';
-import useActivityLogic from '../hooks/useActivityLogic';
-import { runCheatDetection } from '../utils/cheatDetection';
+import useActivityLogic, { ACTIVITIES } from '../hooks/useActivityLogic';
+import useScaleCalibration from '../hooks/useScaleCalibration';
+import useStoredReplay, { saveResultSession } from '../hooks/useStoredReplay';
+import { getCameraSetupKey } from '../utils/scaleCalibration';
+import { runCheatDetection, resetCheatDetection } from '../utils/cheatDetection';
 import { calculateFormScore, calculateXP } from '../utils/scoringSystem';
-import { saveTestResult } from '../services/offlineStorage';
+import { summarizeRepEvents } from '../utils/repEvents';
+import { analyzeFatigue } from '../utils/fatigueAnalysis';
+import { buildAsymmetryReport, repEventSides } from '../utils/asymmetry';
+import { encodeSession, decodeSession, SESSION_FILE_EXTENSION, SESSION_MIME_TYPE } from '../utils/sessionRecording';
+import { saveTestResult, updateTestResult, getSessionRecording } from '../services/offlineStorage';
 import { isOnline } from '../services/syncService';
+import { POSE_BACKENDS } from '../services/poseBackends';
+import { formatCapture } from '../services/cameraDevices';
 
 export default function Assessment() {
     const navigate = useNavigate();
@@ -25,33 +40,73 @@ export default function Assessment() {
     // Pose detection
     const {
         landmarks,
+        kinematics,
+        worldLandmarks,
         isLoading,
+        loadProgress,
+        loadError,
         isRunning,
         confidence,
         facingMode,
+        sourceType,
+        sourceError,
+        frameTime,
+        frameSize,
+        backend,
+        selectBackend,
+        cameraDevices,
+        cameraId,
+        captureFps,
+        captureInfo,
+        sourceFile,
+        selectCamera,
+        performanceStats,
+        setPerformanceProfile,
+        onSourceEnded,
         initializePose,
         startCamera,
+        startVideoFile,
+        startReplay,
+        startRecording,
+        stopRecording,
         stopCamera,
         switchCamera,
     } = usePoseDetection();
 
+    // Real-world scale for this camera setup
+    const {
+        calibration,
+        scale,
+        saveCalibration,
+        clearCalibration,
+    } = useScaleCalibration(getCameraSetupKey({ sourceType, facingMode, deviceId: captureInfo?.deviceId, file: sourceFile, frameSize }));
+
     // Activity logic
     const {
         activity,
         setActivity,
         metrics,
         formScores,
+        repEvents,
         isActive,
         processFrame,
         startSession,
         stopSession,
         resetMetrics,
-    } = useActivityLogic();
+    } = useActivityLogic({ scale });
 
     const [cheatWarnings, setCheatWarnings] = useState([]);
     const [showResults, setShowResults] = useState(false);
     const [finalResults, setFinalResults] = useState(null);
     const [cameraError, setCameraError] = useState(null);
+    const [lastSession, setLastSession] = useState(null); // { resultId, session }
+    const replayRef = useRef(null); // { resultId } while a recorded session is replaying
+    const sessionInputRef = useRef(null);
+
+    // Each activity sets its own frame-rate / model complexity bounds
+    useEffect(() => {
+        setPerformanceProfile(ACTIVITIES[activity]?.performance);
+    }, [activity, setPerformanceProfile]);
 
     // Initialize MediaPipe on mount
     useEffect(() => {
@@ -61,13 +116,13 @@ export default function Assessment() {
     // Process landmarks on each frame
     useEffect(() => {
         if (landmarks && isActive) {
-            processFrame(landmarks);
+            processFrame(landmarks, frameTime, kinematics, worldLandmarks);
 
             // Run cheat detection
-            const cheatResult = runCheatDetection(landmarks, null, 640, 480, null);
-            setCheatWarnings(cheatResult.warnings);
+            const cheatResult = runCheatDetection(landmarks, null, 640, 480, null, activity);
+            setCheatWarnings([...cheatResult.alerts, ...cheatResult.warnings]);
         }
-    }, [landmarks, isActive, processFrame]);
+    }, [landmarks, kinematics, worldLandmarks, frameTime, isActive, processFrame, activity]);
 
     // Handle Start
     const handleStart = useCallback(async () => {
@@ -77,21 +132,28 @@ export default function Assessment() {
                 await startCamera(videoRef.current, null);
             }
             resetMetrics();
+            resetCheatDetection();
             startSession();
+            startRecording({ activity });
         } catch (err) {
             setCameraError('Failed to access camera. Please grant permission and try again.');
         }
-    }, [isRunning, startCamera, resetMetrics, startSession]);
+    }, [isRunning, startCamera, resetMetrics, startSession, startRecording, activity]);
 
     // Handle Stop and show results
     const handleStop = useCallback(async () => {
-        stopSession();
+        const settled = stopSession();
+        const events = settled ? [...repEvents.slice(0, -1), settled.event] : repEvents;
+        const session = stopRecording();
+        const replay = replayRef.current;
+        replayRef.current = null;
 
-        const endurance = Math.min(100, activity === 'wall-sit'
-            ? Math.round((metrics.holdDuration / 60) * 100)
-            : activity === 'broad-jump'
+        const config = ACTIVITIES[activity];
+        const endurance = Math.min(100, config.type === 'timed'
+            ? Math.round((metrics.holdDuration / (config.target || 60)) * 100)
+            : config.type === 'distance'
                 ? Math.round((metrics.jumpDistance / 3) * 100)
-                : Math.round((metrics.repCount / 20) * 100)
+                : Math.round((metrics.repCount / (config.target || 20)) * 100)
         );
         const consistency = formScores.length > 1
             ? Math.round(100 - (formScores.reduce((s, v, _, a) => s + Math.abs(v - a.reduce((x, y) => x + y) / a.length), 0) / formScores.length))
@@ -110,20 +172,114 @@ export default function Assessment() {
             reps: metrics.repCount,
             duration: metrics.holdDuration,
             distance: metrics.jumpDistance,
+            repsPerSide: metrics.repsPerSide,
+            faultSeconds: metrics.faultSeconds,
+            faultCounts: settled?.faultCounts ?? metrics.faultCounts,
             xp,
             formScores,
+            repEvents: events,
+            tempo: summarizeRepEvents(events),
+            fatigue: config.type === 'reps' ? analyzeFatigue(events) : null,
+            asymmetry: buildAsymmetryReport(repEventSides(events, config.name)),
+            calibrated: scale.calibrated,
+            capture: captureInfo,
         };
+        // Live sessions carry their frame-rate report; rescored replays keep the original's
+        const performanceReport = replay ? null : session?.meta.performance;
+        if (performanceReport) {
+            results.performance = performanceReport;
+            results.lowConfidence = performanceReport.lowConfidence;
+        }
 
-        setFinalResults(results);
+        setFinalResults({ ...results, replayed: !!replay });
         setShowResults(true);
 
-        // Save to IndexedDB
+        // Replays re-score the stored result instead of creating a new one
+        if (replay) {
+            if (replay.resultId == null) return;
+            try {
+                await updateTestResult(replay.resultId, { ...results, rescoredAt: new Date().toISOString() });
+            } catch (err) {
+                console.error('Failed to update result:', err);
+            }
+            return;
+        }
+
+        // Save to IndexedDB, with the landmark session next to it
         try {
-            await saveTestResult(results);
+            const resultId = await saveTestResult(results);
+            if (session) {
+                await saveResultSession(resultId, session);
+                setLastSession({ resultId, session });
+            }
         } catch (err) {
             console.error('Failed to save result:', err);
         }
-    }, [activity, metrics, formScores, confidence, stopSession]);
+    }, [activity, metrics, formScores, repEvents, confidence, scale, captureInfo, stopSession, stopRecording]);
+
+    // Analyze an uploaded trial video (runs faster than real time)
+    const handleAnalyzeVideo = useCallback(async (file) => {
+        setCameraError(null);
+        if (videoRef.current) {
+            await startVideoFile(videoRef.current, file);
+        }
+        resetMetrics();
+        resetCheatDetection();
+        startSession();
+        startRecording({ activity, fileName: file.name });
+    }, [startVideoFile, resetMetrics, startSession, startRecording, activity]);
+
+    // Replay a recorded landmark session through the same scoring and cheat checks
+    const runReplay = useCallback((session, resultId = null) => {
+        setCameraError(null);
+        setShowResults(false);
+        if (session.meta.activity) setActivity(session.meta.activity);
+        replayRef.current = { resultId };
+        resetMetrics();
+        resetCheatDetection();
+        startSession();
+        startReplay(session);
+    }, [setActivity, resetMetrics, startSession, startReplay]);
+
+    // Replay (and re-score) a session stored with a saved result
+    const handleReplayStored = useCallback(async (resultId) => {
+        const record = await getSessionRecording(resultId);
+        if (!record) {
+            setCameraError('No recorded session found for this result.');
+            return;
+        }
+        runReplay(decodeSession(record.data), resultId);
+    }, [runReplay]);
+
+    // Opened from the Dashboard's recorded sessions
+    const { replayError } = useStoredReplay(useCallback((session, result) => runReplay(session, result.id), [runReplay]));
+
+    // Replay an exported session file (audit only, nothing is saved)
+    const handleReplayFile = useCallback(async (file) => {
+        try {
+            runReplay(decodeSession(await file.arrayBuffer()));
+        } catch (err) {
+            setCameraError(`Could not read session file: ${err.message}`);
+        }
+    }, [runReplay]);
+
+    // Download the last recorded session as a .als file
+    const handleExportSession = useCallback(() => {
+        if (!lastSession) return;
+        const blob = new Blob([encodeSession(lastSession.session)], { type: SESSION_MIME_TYPE });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `session-${lastSession.resultId}-${lastSession.session.meta.activity}${SESSION_FILE_EXTENSION}`;
+        a.click();
+        URL.revokeObjectURL(url);
+    }, [lastSession]);
+
+    // Finish the session when an uploaded video has been fully processed
+    useEffect(() => {
+        if (!isActive) return;
+        return onSourceEnded(() => handleStop());
+    }, [isActive, onSourceEnded, handleStop]);
 
     // Handle Reset
     const handleReset = useCallback(() => {
@@ -178,6 +334,24 @@ export default function Assessment() {
                     {isRunning && (
                         <span className="badge badge-green">🟢 Camera Active</span>
                     )}
+                    <select
+                        value={backend}
+                        onChange={(e) => selectBackend(e.target.value)}
+                        disabled={isLoading || isRunning}
+                        title="Pose model used on this device"
+                        style={{
+                            background: 'var(--glass-bg)',
+                            color: 'var(--text-secondary)',
+                            border: '1px solid var(--glass-border)',
+                            borderRadius: '8px',
+                            padding: '6px 8px',
+                            fontSize: '0.75rem',
+                        }}
+                    >
+                        {Object.values(POSE_BACKENDS).map((b) => (
+                            <option key={b.id} value={b.id}>{b.label}</option>
+                        ))}
+                    </select>
                 </div>
             </header>
 
@@ -194,19 +368,32 @@ export default function Assessment() {
                 <div style={{ display: 'flex', flexDirection: 'column', gap: '16px' }}>
                     {/* Camera Feed with Pose Overlay */}
                     <div ref={overlayContainerRef} style={{ position: 'relative', width: '100%' }}>
-                        <CameraFeed ref={videoRef} isRunning={isRunning} facingMode={facingMode} onSwitchCamera={switchCamera} />
+                        <CameraFeed
+                            ref={videoRef}
+                            isRunning={isRunning}
+                            facingMode={facingMode}
+                            onSwitchCamera={switchCamera}
+                            isLoading={isLoading}
+                            loadProgress={loadProgress}
+                            loadError={loadError}
+                            onRetryLoad={initializePose}
+                            sourceType={sourceType}
+                            sourceError={sourceError}
+                        />
                         {landmarks && isRunning && (
                             <PoseOverlay
                                 landmarks={landmarks}
                                 formQuality={metrics.formQuality}
+                                highlightJoints={metrics.faultJoints}
                                 width={640}
                                 height={480}
+                                mirrored={sourceType === 'camera'}
                             />
                         )}
                     </div>
 
                     {/* Camera Error */}
-                    {cameraError && (
+                    {(cameraError || replayError) && (
                         <div style={{
                             padding: '14px 18px',
                             borderRadius: '12px',
@@ -215,7 +402,7 @@ export default function Assessment() {
                             color: 'var(--danger-red)',
                             fontSize: '0.85rem',
                         }}>
-                            ⚠ {cameraError}
+                            ⚠ {cameraError || replayError}
                         </div>
                     )}
 
@@ -282,6 +469,36 @@ export default function Assessment() {
                                 ⏹ Stop
                             </button>
                         )}
+                        {!isActive && (
+                            <VideoFileButton
+                                onSelect={handleAnalyzeVideo}
+                                disabled={isLoading}
+                                style={{ padding: '16px 20px', fontSize: '1rem' }}
+                            />
+                        )}
+                        {!isActive && (
+                            <>
+                                <input
+                                    ref={sessionInputRef}
+                                    type="file"
+                                    accept={SESSION_FILE_EXTENSION}
+                                    style={{ display: 'none' }}
+                                    onChange={(e) => {
+                                        const file = e.target.files?.[0];
+                                        e.target.value = '';
+                                        if (file) handleReplayFile(file);
+                                    }}
+                                />
+                                <button
+                                    className="btn-secondary"
+                                    onClick={() => sessionInputRef.current?.click()}
+                                    style={{ padding: '16px 20px', fontSize: '1rem' }}
+                                    title="Replay an exported landmark session (.als) without a camera"
+                                >
+                                    🎞 Replay Session
+                                </button>
+                            </>
+                        )}
                         <button
                             className="btn-secondary"
                             onClick={handleReset}
@@ -303,6 +520,32 @@ export default function Assessment() {
                         confidence={confidence}
                         cheatWarnings={cheatWarnings}
                     />
+                    {sourceType === 'camera' && (
+                        <div style={{ marginTop: '16px' }}>
+                            <CameraSettings
+                                devices={cameraDevices}
+                                cameraId={cameraId}
+                                captureFps={captureFps}
+                                captureInfo={captureInfo}
+                                onSelect={selectCamera}
+                                performanceStats={performanceStats}
+                                disabled={isActive}
+                            />
+                        </div>
+                    )}
+                    {activity === 'broad-jump' && (
+                        <div style={{ marginTop: '16px' }}>
+                            <CalibrationPanel
+                                landmarks={landmarks}
+                                videoRef={videoRef}
+                                frameSize={frameSize}
+                                calibration={calibration}
+                                onSave={saveCalibration}
+                                onClear={clearCalibration}
+                                disabled={isActive}
+                            />
+                        </div>
+                    )}
                 </div>
             </div>
 
@@ -333,8 +576,10 @@ export default function Assessment() {
                             className="glass-card"
                             style={{
                                 padding: '40px',
-                                maxWidth: '480px',
+                                maxWidth: finalResults.repEvents?.length ? '640px' : '480px',
                                 width: '100%',
+                                maxHeight: '90vh',
+                                overflowY: 'auto',
                                 textAlign: 'center',
                                 border: '2px solid var(--neon-green)',
                             }}
@@ -346,7 +591,19 @@ export default function Assessment() {
                             </h2>
                             <p style={{ color: 'var(--text-secondary)', marginBottom: '24px' }}>
                                 {finalResults.activityName}
+                                {finalResults.replayed && ' · Replay'}
                             </p>
+                            {finalResults.capture && (
+                                <p style={{ fontSize: '0.72rem', color: 'var(--text-muted)', marginTop: '-18px', marginBottom: '20px' }}>
+                                    Captured at {formatCapture(finalResults.capture)}
+                                </p>
+                            )}
+                            {finalResults.lowConfidence && (
+                                <div className="badge badge-yellow" style={{ marginBottom: '20px' }}>
+                                    ⚠ Low confidence — inference averaged {finalResults.performance.avgFps} fps
+                                    (test needs ≥ {finalResults.performance.minFps})
+                                </div>
+                            )}
 
                             {/* Score Circle */}
                             <div style={{
@@ -412,6 +669,10 @@ export default function Assessment() {
                                 )}
                             </div>
 
+                            <FatigueSummary fatigue={finalResults.fatigue} />
+                            <AsymmetryReport report={finalResults.asymmetry} />
+                            <RepLog events={finalResults.repEvents} />
+
                             <div style={{ display: 'flex', gap: '12px' }}>
                                 <button className="btn-primary" onClick={() => { setShowResults(false); handleReset(); }}
                                     style={{ flex: 1, padding: '14px' }}>
@@ -422,6 +683,19 @@ export default function Assessment() {
                                     📊 Dashboard
                                 </button>
                             </div>
+
+                            {lastSession && !finalResults.replayed && (
+                                <div style={{ display: 'flex', gap: '12px', marginTop: '12px' }}>
+                                    <button className="btn-secondary" onClick={handleExportSession}
+                                        style={{ flex: 1, padding: '10px', fontSize: '0.85rem' }}>
+                                        ⬇ Export Session
+                                    </button>
+                                    <button className="btn-secondary" onClick={() => handleReplayStored(lastSession.resultId)}
+                                        style={{ flex: 1, padding: '10px', fontSize: '0.85rem' }}>
+                                        🎞 Replay & Re-score
+                                    </button>
+                                </div>
+                            )}
                         </motion.div>
                     </motion.div>
                 )}
@@ -0,0 +1,273 @@
+/**
+ * BalanceTest.jsx
+ * MODULE 8: Balance — Single-leg stork stand
+ * Times each leg's hold until the raised foot touches down, measures hip and
+ * shoulder sway, and reports left/right asymmetry.
+ */
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import CameraFeed from '../components/CameraFeed';
+import PoseOverlay from '../components/PoseOverlay';
+import FeedbackPopup from '../components/FeedbackPopup';
+import VideoFileButton from '../components/VideoFileButton';
+import CalibrationPanel from '../components/CalibrationPanel';
+import CameraSettings from '../components/CameraSettings';
+import usePoseDetection from '../hooks/usePoseDetection';
+import useScaleCalibration from '../hooks/useScaleCalibration';
+import { extractLandmarks } from '../utils/calculateAngle';
+import { getCameraSetupKey } from '../utils/scaleCalibration';
+import { createBalanceTrial, balanceAsymmetry, MAX_HOLD_MS } from '../utils/balanceAnalysis';
+import { calculateBalanceScore } from '../utils/scoringSystem';
+import { buildAsymmetryReport } from '../utils/asymmetry';
+import { saveTestResult } from '../services/offlineStorage';
+
+const LEGS = ['left', 'right'];
+
+export default function BalanceTest() {
+    const videoRef = useRef(null);
+    const { landmarks, isLoading, loadProgress, loadError, isRunning, facingMode, sourceType, sourceError, frameSize, cameraDevices, cameraId, captureFps, captureInfo, sourceFile, selectCamera, performanceStats, getPerformanceReport, resetPerformanceReport, getMediaTime, onFrame, initializePose, startCamera, startVideoFile, switchCamera } = usePoseDetection({ performance: 'hold' });
+    const { calibration, scale, saveCalibration, clearCalibration } = useScaleCalibration(
+        getCameraSetupKey({ sourceType, facingMode, deviceId: captureInfo?.deviceId, file: sourceFile, frameSize }),
+    );
+
+    const [trial, setTrial] = useState(null); // current leg's createBalanceTrial()
+    const [live, setLive] = useState(null);   // latest trial snapshot
+    const [legResults, setLegResults] = useState({});
+    const [summary, setSummary] = useState(null);
+    const [showFeedback, setShowFeedback] = useState(false);
+
+    useEffect(() => { initializePose(); }, [initializePose]);
+
+    const finishTest = useCallback(async (results) => {
+        const left = results.left;
+        const right = results.right;
+        const leftScore = calculateBalanceScore(left.holdSeconds, left.hipSway.velocityCmS);
+        const rightScore = calculateBalanceScore(right.holdSeconds, right.hipSway.velocityCmS);
+        const result = {
+            activity: 'balance',
+            activityName: 'Balance (Stork Stand)',
+            score: Math.round((leftScore + rightScore) / 2),
+            balance: {
+                left: { ...left, score: leftScore },
+                right: { ...right, score: rightScore },
+                holdAsymmetry: balanceAsymmetry(left.holdSeconds, right.holdSeconds),
+                swayAsymmetry: balanceAsymmetry(left.hipSway.velocityCmS, right.hipSway.velocityCmS),
+            },
+            asymmetry: buildAsymmetryReport({
+                holdSeconds: { label: 'Single-leg hold', unit: 's', left: left.holdSeconds, right: right.holdSeconds },
+                swayVelocity: {
+                    label: 'Hip sway velocity',
+                    unit: ' cm/s',
+                    left: left.hipSway.velocityCmS,
+                    right: right.hipSway.velocityCmS,
+                    higherIsBetter: false,
+                },
+            }),
+            calibrated: scale.calibrated,
+            capture: captureInfo,
+            lowConfidence: !!getPerformanceReport()?.lowConfidence,
+        };
+        setSummary(result);
+        try {
+            await saveTestResult(result);
+        } catch (err) {
+            console.warn('Failed to save balance result:', err);
+        }
+        setTimeout(() => setShowFeedback(true), 500);
+    }, [scale, captureInfo, getPerformanceReport]);
+
+    // Record a finished leg and move on to the next one
+    const completeLeg = useCallback((finished) => {
+        const results = { ...legResults, [finished.stance]: finished };
+        setLegResults(results);
+        const next = LEGS.find(leg => !results[leg]);
+        if (next) {
+            setTrial(createBalanceTrial(next));
+            setLive(null);
+        } else {
+            setTrial(null);
+            finishTest(results);
+        }
+    }, [legResults, finishTest]);
+
+    // Every inference drives the trial, so touchdown is timed to the frame
+    useEffect(() => {
+        if (!trial) return;
+        let done = false;
+        return onFrame((frameLandmarks, timestamp) => {
+            if (done) return;
+            const snapshot = trial.push(extractLandmarks(frameLandmarks), timestamp);
+            setLive(snapshot);
+            if (snapshot.state === 'ended') {
+                done = true;
+                completeLeg(trial.result(scale));
+            }
+        });
+    }, [trial, scale, onFrame, completeLeg]);
+
+    const beginTest = useCallback(() => {
+        resetPerformanceReport();
+        setLegResults({});
+        setSummary(null);
+        setLive(null);
+        setTrial(createBalanceTrial(LEGS[0]));
+    }, [resetPerformanceReport]);
+
+    const handleStart = useCallback(async () => {
+        if (!isRunning && videoRef.current) await startCamera(videoRef.current, null);
+        beginTest();
+    }, [isRunning, startCamera, beginTest]);
+
+    const handleAnalyzeVideo = useCallback(async (file) => {
+        if (videoRef.current) await startVideoFile(videoRef.current, file, { playbackRate: 1 });
+        beginTest();
+    }, [startVideoFile, beginTest]);
+
+    const handleStopLeg = useCallback(() => {
+        if (!trial) return;
+        trial.stop(getMediaTime());
+        completeLeg(trial.result(scale));
+    }, [trial, getMediaTime, completeLeg, scale]);
+
+    const holdSeconds = live ? Math.min(MAX_HOLD_MS, live.holdMs) / 1000 : 0;
+    const stance = trial ? live?.stance ?? LEGS.find(leg => !legResults[leg]) : null;
+
+    return (
+        <div style={{ maxWidth: '1000px', margin: '0 auto', padding: '24px 20px' }}>
+            <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }}>
+                <h1 style={{ fontSize: '1.8rem', fontWeight: 800, marginBottom: '8px' }}>
+                    🦩 <span className="gradient-text">Balance Test</span>
+                </h1>
+                <p style={{ color: 'var(--text-secondary)', marginBottom: '24px' }}>
+                    Stand on one leg for up to 60 seconds. AI times the hold, detects touchdown and measures sway — left leg first, then right.
+                </p>
+
+                <div style={{ display: 'grid', gridTemplateColumns: 'minmax(0, 2fr) minmax(250px, 1fr)', gap: '20px' }}>
+                    {/* Camera */}
+                    <div>
+                        <div style={{ position: 'relative', marginBottom: '16px' }}>
+                            <CameraFeed ref={videoRef} isRunning={isRunning} facingMode={facingMode} onSwitchCamera={switchCamera}
+                                isLoading={isLoading} loadProgress={loadProgress} loadError={loadError} onRetryLoad={initializePose}
+                                sourceType={sourceType} sourceError={sourceError} />
+                            {landmarks && isRunning && (
+                                <PoseOverlay landmarks={landmarks} formQuality={live?.state === 'holding' ? 'good' : 'warning'}
+                                    mirrored={sourceType !== 'file'} />
+                            )}
+                        </div>
+
+                        <div className="glass-card" style={{
+                            padding: '16px', textAlign: 'center', marginBottom: '16px',
+                            border: `2px solid ${live?.state === 'holding' ? 'var(--neon-green)' : trial ? 'var(--warning-yellow)' : 'var(--glass-border)'}`,
+                        }}>
+                            <div style={{ fontSize: '1rem', fontWeight: 700, color: live?.state === 'holding' ? 'var(--neon-green)' : 'var(--electric-blue)' }}>
+                                {!trial && !summary && '🎯 Face the camera, full body in frame, then press Start'}
+                                {trial && live?.state !== 'holding' && `🦶 Stand on your ${stance} leg and lift the other foot`}
+                                {trial && live?.state === 'holding' && `⏱ Holding on ${stance} leg — keep still!`}
+                                {!trial && summary && '✅ Both legs tested'}
+                            </div>
+                        </div>
+
+                        <div style={{ display: 'flex', gap: '12px' }}>
+                            {trial ? (
+                                <button className="btn-secondary" onClick={handleStopLeg} style={{ flex: 1, padding: '14px' }}>
+                                    ⏹ End {stance} leg
+                                </button>
+                            ) : (
+                                <>
+                                    <button className="btn-primary" onClick={handleStart} disabled={isLoading}
+                                        style={{ flex: 1, padding: '14px', opacity: isLoading ? 0.5 : 1 }}>
+                                        {isLoading ? '⏳ Loading...' : summary ? '🔄 Test Again' : '▶ Start Balance Test'}
+                                    </button>
+                                    <VideoFileButton onSelect={handleAnalyzeVideo} disabled={isLoading} />
+                                </>
+                            )}
+                        </div>
+                    </div>
+
+                    {/* Metrics */}
+                    <div style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
+                        <div className="glass-card" style={{ padding: '18px', textAlign: 'center' }}>
+                            <div style={{ fontSize: '0.65rem', fontWeight: 600, color: 'var(--text-muted)', textTransform: 'uppercase' }}>Hold Time</div>
+                            <div style={{ fontSize: '2.5rem', fontWeight: 900, color: 'var(--neon-green)', fontFamily: 'monospace' }}>
+                                {holdSeconds.toFixed(1)}<span style={{ fontSize: '1rem' }}>s</span>
+                            </div>
+                        </div>
+                        {LEGS.map(leg => (
+                            <div key={leg} className="glass-card" style={{ padding: '12px', textAlign: 'center' }}>
+                                <div style={{ fontSize: '0.65rem', fontWeight: 600, color: 'var(--text-muted)', textTransform: 'uppercase' }}>{leg} leg</div>
+                                <div style={{ fontSize: '1.5rem', fontWeight: 800, color: 'var(--electric-blue)' }}>
+                                    {legResults[leg] ? `${legResults[leg].holdSeconds}s` : '—'}
+                                </div>
+                                {legResults[leg] && (
+                                    <div style={{ fontSize: '0.7rem', color: 'var(--text-muted)' }}>
+                                        Hip sway {legResults[leg].hipSway.velocityCmS} cm/s · {legResults[leg].hipSway.areaCm2} cm²
+                                    </div>
+                                )}
+                            </div>
+                        ))}
+                        {sourceType === 'camera' && (
+                            <CameraSettings devices={cameraDevices} cameraId={cameraId} captureFps={captureFps}
+                                captureInfo={captureInfo} performanceStats={performanceStats} onSelect={selectCamera} disabled={!!trial} />
+                        )}
+                        <CalibrationPanel landmarks={landmarks} videoRef={videoRef} frameSize={frameSize}
+                            calibration={calibration} onSave={saveCalibration} onClear={clearCalibration}
+                            disabled={!!trial} />
+                    </div>
+                </div>
+
+                {/* Summary */}
+                {summary && (
+                    <div className="glass-card" style={{ padding: '20px', marginTop: '24px' }}>
+                        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px' }}>
+                            <h3 style={{ fontSize: '1rem', fontWeight: 700 }}>📋 Balance Report</h3>
+                            <span className="badge badge-green">Score {summary.score}/100</span>
+                        </div>
+                        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.82rem' }}>
+                            <thead>
+                                <tr style={{ borderBottom: '1px solid var(--glass-border)' }}>
+                                    {['', 'Hold', 'Ended', 'Hip path', 'Hip area', 'Shoulder path', 'Shoulder area', 'Score'].map(h => (
+                                        <th key={h} style={{ padding: '8px', textAlign: 'left', color: 'var(--text-muted)', fontSize: '0.7rem', textTransform: 'uppercase' }}>{h}</th>
+                                    ))}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {LEGS.map(leg => {
+                                    const r = summary.balance[leg];
+                                    return (
+                                        <tr key={leg} style={{ borderBottom: '1px solid rgba(255,255,255,0.03)' }}>
+                                            <td style={{ padding: '8px', fontWeight: 600, textTransform: 'capitalize' }}>{leg}</td>
+                                            <td style={{ padding: '8px' }}>{r.holdSeconds}s</td>
+                                            <td style={{ padding: '8px', color: 'var(--text-muted)' }}>{r.endReason}</td>
+                                            <td style={{ padding: '8px' }}>{r.hipSway.pathCm} cm</td>
+                                            <td style={{ padding: '8px' }}>{r.hipSway.areaCm2} cm²</td>
+                                            <td style={{ padding: '8px' }}>{r.shoulderSway.pathCm} cm</td>
+                                            <td style={{ padding: '8px' }}>{r.shoulderSway.areaCm2} cm²</td>
+                                            <td style={{ padding: '8px', fontWeight: 700, color: 'var(--neon-green)' }}>{r.score}</td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                        <div style={{ display: 'flex', gap: '8px', marginTop: '12px', flexWrap: 'wrap' }}>
+                            <span className={`badge ${summary.balance.holdAsymmetry > 20 ? 'badge-yellow' : 'badge-green'}`}>
+                                Hold asymmetry {summary.balance.holdAsymmetry}%
+                            </span>
+                            <span className={`badge ${summary.balance.swayAsymmetry > 20 ? 'badge-yellow' : 'badge-green'}`}>
+                                Sway asymmetry {summary.balance.swayAsymmetry}%
+                            </span>
+                            {summary.asymmetry?.flagged && (
+                                <span className="badge badge-red">
+                                    ⚠ Injury risk — asymmetry above {summary.asymmetry.threshold}%
+                                </span>
+                            )}
+                            {!summary.calibrated && <span className="badge badge-yellow">Uncalibrated — sway in cm is estimated</span>}
+                            {summary.lowConfidence && <span className="badge badge-yellow">⚠ Low AI frame rate</span>}
+                        </div>
+                    </div>
+                )}
+            </motion.div>
+            <FeedbackPopup isOpen={showFeedback} onClose={() => setShowFeedback(false)} testName="Balance Test" />
+            <style>{`@media(max-width:768px){div[style*="grid-template-columns: minmax(0, 2fr)"]{grid-template-columns:1fr!important}}`}</style>
+        </div>
+    );
+}
@@ -1,56 +1,95 @@
 /**
  * CoachDashboard.jsx
  * Coach panel for monitoring multiple athletes, comparing metrics,
- * generating PDF reports, and identifying top performers.
+ * generating PDF reports, identifying top performers and flagging
+ * left/right asymmetries above the coach's injury-risk threshold.
  */
 import { useState } from 'react';
 import { motion } from 'framer-motion';
 import RadarChart from '../components/RadarChart';
 import TrendGraph from '../components/TrendGraph';
 import Scorecard from '../components/Scorecard';
+import AsymmetryReport from '../components/AsymmetryReport';
+import { getScoreModules } from '../utils/scoringSystem';
+import { buildAsymmetryReport, getAsymmetryThreshold, setAsymmetryThreshold } from '../utils/asymmetry';
 
 // Mock athlete data
 const MOCK_ATHLETES = [
     {
         id: 'SAI-A001', name: 'Aarav Sharma', sport: 'Athletics', age: 19, state: 'Haryana',
         scores: { speed: 88, strength: 82, endurance: 90, skill: 75, reaction: 85, overall: 85, percentile: 92, rank: 12000 },
-        trend: [72, 75, 78, 80, 83, 85], tests: 24, xp: 4200, level: 22, badges: 6
+        trend: [72, 75, 78, 80, 83, 85], tests: 24, xp: 4200, level: 22, badges: 6,
+        sides: {
+            kneeRom: { label: 'Squat knee range of motion', unit: '°', left: 104, right: 101 },
+            balanceHold: { label: 'Single-leg hold', unit: 's', left: 30, right: 28.5 },
+        },
     },
     {
         id: 'SAI-A002', name: 'Priya Patel', sport: 'Basketball', age: 17, state: 'Gujarat',
-        scores: { speed: 78, strength: 70, endurance: 75, skill: 92, reaction: 88, overall: 81, percentile: 88, rank: 18000 },
-        trend: [65, 68, 72, 75, 78, 81], tests: 18, xp: 3200, level: 17, badges: 5
+        scores: { speed: 78, strength: 70, endurance: 75, skill: 92, reaction: 88, flexibility: 84, balance: 79, overall: 81, percentile: 88, rank: 18000 },
+        trend: [65, 68, 72, 75, 78, 81], tests: 18, xp: 3200, level: 17, badges: 5,
+        sides: {
+            shoulderFlexion: { label: 'Shoulder flexion', unit: '°', left: 171, right: 164 },
+            balanceHold: { label: 'Single-leg hold', unit: 's', left: 27, right: 24 },
+        },
     },
     {
         id: 'SAI-A003', name: 'Vikram Singh', sport: 'Football', age: 20, state: 'Punjab',
         scores: { speed: 92, strength: 88, endurance: 80, skill: 70, reaction: 75, overall: 82, percentile: 89, rank: 16500 },
-        trend: [68, 70, 74, 77, 80, 82], tests: 30, xp: 5100, level: 26, badges: 7
+        trend: [68, 70, 74, 77, 80, 82], tests: 30, xp: 5100, level: 26, badges: 7,
+        sides: {
+            kneeRom: { label: 'Squat knee range of motion', unit: '°', left: 98, right: 86 },
+            balanceHold: { label: 'Single-leg hold', unit: 's', left: 30, right: 21 },
+            swayVelocity: { label: 'Hip sway velocity', unit: ' cm/s', left: 2.1, right: 3.4, higherIsBetter: false },
+        },
     },
     {
         id: 'SAI-A004', name: 'Ananya Iyer', sport: 'Cricket', age: 18, state: 'Kerala',
-        scores: { speed: 72, strength: 65, endurance: 68, skill: 95, reaction: 90, overall: 78, percentile: 82, rank: 27000 },
+        scores: { speed: 72, strength: 65, endurance: 68, skill: 95, reaction: 90, flexibility: 76, balance: 71, overall: 78, percentile: 82, rank: 27000 },
         trend: [60, 63, 68, 72, 75, 78], tests: 15, xp: 2800, level: 15, badges: 4
     },
     {
         id: 'SAI-A005', name: 'Rohit Kumar', sport: 'Athletics', age: 21, state: 'Bihar',
         scores: { speed: 85, strength: 90, endurance: 82, skill: 60, reaction: 70, overall: 79, percentile: 84, rank: 24000 },
-        trend: [55, 60, 65, 70, 75, 79], tests: 20, xp: 3400, level: 18, badges: 5
+        trend: [55, 60, 65, 70, 75, 79], tests: 20, xp: 3400, level: 18, badges: 5,
+        sides: {
+            punchSpeed: { label: 'Punch speed', unit: ' m/s', left: 6.8, right: 7.4 },
+            kickHeight: { label: 'Kick height', unit: '%', left: 48, right: 62 },
+        },
     },
     {
         id: 'SAI-A006', name: 'Meera Das', sport: 'Basketball', age: 16, state: 'West Bengal',
-        scores: { speed: 70, strength: 62, endurance: 72, skill: 85, reaction: 82, overall: 74, percentile: 76, rank: 36000 },
+        scores: { speed: 70, strength: 62, endurance: 72, skill: 85, reaction: 82, flexibility: 88, overall: 74, percentile: 76, rank: 36000 },
         trend: [50, 55, 60, 66, 70, 74], tests: 12, xp: 2200, level: 12, badges: 3
     },
 ];
 
 const SPORT_FILTERS = ['All', 'Athletics', 'Football', 'Basketball', 'Cricket'];
 
+// Radar props for one athlete, or two compared on the axes both have scores for
+function radarProps(scores, compareScores = null) {
+    const modules = compareScores ? getScoreModules(scores, compareScores) : getScoreModules(scores);
+    return {
+        data: modules.map(m => scores[m.key]),
+        compareData: compareScores && modules.map(m => compareScores[m.key]),
+        labels: modules.map(m => m.label),
+    };
+}
+
 export default function CoachDashboard() {
     const [sportFilter, setSportFilter] = useState('All');
     const [selectedAthlete, setSelectedAthlete] = useState(null);
     const [compareAthletes, setCompareAthletes] = useState([]);
     const [showScorecard, setShowScorecard] = useState(false);
     const [view, setView] = useState('grid'); // grid, compare
+    const [threshold, setThreshold] = useState(getAsymmetryThreshold);
+
+    const updateThreshold = (value) => {
+        setThreshold(value);
+        if (value > 0 && value < 100) setAsymmetryThreshold(value);
+    };
+    // While the input is mid-edit (empty / out of range) keep judging by the saved setting
+    const asymmetryOf = athlete => buildAsymmetryReport(athlete.sides, threshold > 0 && threshold < 100 ? threshold : getAsymmetryThreshold());
 
     const filtered = sportFilter === 'All'
         ? MOCK_ATHLETES
@@ -81,13 +120,15 @@ Speed:     ${athlete.scores.speed}/100
 Strength:  ${athlete.scores.strength}/100
 Endurance: ${athlete.scores.endurance}/100
 Skill:     ${athlete.scores.skill}/100
-Reaction:  ${athlete.scores.reaction}/100
+Reaction:  ${athlete.scores.reaction}/100${athlete.scores.flexibility !== undefined ? `
+Flexibility: ${athlete.scores.flexibility}/100` : ''}${athlete.scores.balance !== undefined ? `
+Balance:   ${athlete.scores.balance}/100` : ''}
 
 OVERALL: ${athlete.scores.overall}/100 (Top ${Math.round(100 - athlete.scores.percentile)}%)
 National Rank: #${athlete.scores.rank.toLocaleString()} / 150,000
 
 Stats: ${athlete.tests} tests | ${athlete.xp} XP | Level ${athlete.level} | ${athlete.badges} badges
-
+${asymmetryReportText(asymmetryOf(athlete))}
 — Generated by AthleteAI Coach Dashboard
     `.trim();
 
@@ -132,8 +173,8 @@ Stats: ${athlete.tests} tests | ${athlete.xp} XP | Level ${athlete.level} | ${at
                     ))}
                 </div>
 
-                {/* Sport Filter */}
-                <div style={{ display: 'flex', gap: '8px', marginBottom: '20px', flexWrap: 'wrap' }}>
+                {/* Sport Filter + injury-risk threshold */}
+                <div style={{ display: 'flex', gap: '8px', marginBottom: '20px', flexWrap: 'wrap', alignItems: 'center' }}>
                     {SPORT_FILTERS.map(s => (
                         <button key={s}
                             className={s === sportFilter ? 'btn-primary' : 'btn-secondary'}
@@ -142,6 +183,12 @@ Stats: ${athlete.tests} tests | ${athlete.xp} XP | Level ${athlete.level} | ${at
                             {s}
                         </button>
                     ))}
+                    <label style={{ marginLeft: 'auto', display: 'flex', alignItems: 'center', gap: '8px', fontSize: '0.8rem', color: 'var(--text-secondary)' }}>
+                        ⚖️ Flag asymmetry above
+                        <input className="auth-input" type="number" min="1" max="99" value={threshold}
+                            onChange={(e) => updateThreshold(Number(e.target.value))} style={{ width: '70px' }} />
+                        %
+                    </label>
                 </div>
 
                 {view === 'grid' ? (
@@ -166,12 +213,15 @@ Stats: ${athlete.tests} tests | ${athlete.xp} XP | Level ${athlete.level} | ${at
                                 </div>
 
                                 {/* Mini radar */}
-                                <RadarChart data={[athlete.scores.speed, athlete.scores.strength, athlete.scores.endurance, athlete.scores.skill, athlete.scores.reaction]} size={150} />
+                                <RadarChart {...radarProps(athlete.scores)} size={150} />
 
                                 <div style={{ display: 'flex', gap: '6px', marginTop: '12px', flexWrap: 'wrap' }}>
                                     <span className="badge badge-green">Lv.{athlete.level}</span>
                                     <span className="badge badge-blue">{athlete.tests} tests</span>
                                     <span className="badge badge-green">🏅 {athlete.badges}</span>
+                                    {asymmetryOf(athlete)?.flagged && (
+                                        <span className="badge badge-red">⚠ {asymmetryOf(athlete).maxAsymmetry}% asymmetry</span>
+                                    )}
                                 </div>
 
                                 <div style={{ display: 'flex', gap: '8px', marginTop: '12px' }}>
@@ -211,8 +261,7 @@ Stats: ${athlete.tests} tests | ${athlete.xp} XP | Level ${athlete.level} | ${at
                                 <div className="glass-card" style={{ padding: '24px', textAlign: 'center', marginBottom: '24px' }}>
                                     <h3 style={{ fontSize: '1rem', fontWeight: 700, marginBottom: '16px' }}>Radar Comparison</h3>
                                     <RadarChart
-                                        data={[compareAthletes[0].scores.speed, compareAthletes[0].scores.strength, compareAthletes[0].scores.endurance, compareAthletes[0].scores.skill, compareAthletes[0].scores.reaction]}
-                                        compareData={[compareAthletes[1].scores.speed, compareAthletes[1].scores.strength, compareAthletes[1].scores.endurance, compareAthletes[1].scores.skill, compareAthletes[1].scores.reaction]}
+                                        {...radarProps(compareAthletes[0].scores, compareAthletes[1].scores)}
                                         size={300}
                                     />
                                     <div style={{ display: 'flex', justifyContent: 'center', gap: '24px', marginTop: '12px', fontSize: '0.8rem' }}>
@@ -224,12 +273,12 @@ Stats: ${athlete.tests} tests | ${athlete.xp} XP | Level ${athlete.level} | ${at
                                 {/* Metric comparison table */}
                                 <div className="glass-card" style={{ padding: '20px', marginBottom: '24px' }}>
                                     <h3 style={{ fontSize: '1rem', fontWeight: 700, marginBottom: '16px' }}>Score Breakdown</h3>
-                                    {['speed', 'strength', 'endurance', 'skill', 'reaction', 'overall'].map(metric => {
+                                    {[...getScoreModules(compareAthletes[0].scores, compareAthletes[1].scores).map(m => m.key), 'overall'].map(metric => {
                                         const a = compareAthletes[0].scores[metric];
                                         const b = compareAthletes[1].scores[metric];
                                         return (
                                             <div key={metric} style={{ display: 'flex', alignItems: 'center', gap: '12px', padding: '8px 0', borderBottom: '1px solid rgba(255,255,255,0.05)' }}>
-                                                <span style={{ width: '80px', fontSize: '0.8rem', color: 'var(--text-secondary)', textTransform: 'capitalize', fontWeight: 600 }}>{metric}</span>
+                                                <span style={{ width: '90px', fontSize: '0.8rem', color: 'var(--text-secondary)', textTransform: 'capitalize', fontWeight: 600 }}>{metric}</span>
                                                 <span style={{ width: '50px', textAlign: 'right', fontWeight: 700, color: a > b ? 'var(--neon-green)' : 'var(--text-secondary)' }}>{a}</span>
                                                 <div style={{ flex: 1, display: 'flex', gap: '4px', alignItems: 'center' }}>
                                                     <div style={{ flex: a, height: '8px', borderRadius: '4px', background: 'var(--neon-green)', transition: 'all 0.5s' }} />
@@ -268,8 +317,11 @@ Stats: ${athlete.tests} tests | ${athlete.xp} XP | Level ${athlete.level} | ${at
                                             {selectedAthlete.sport} • {selectedAthlete.state}
                                         </span>
                                     </h2>
-                                    <RadarChart data={[selectedAthlete.scores.speed, selectedAthlete.scores.strength, selectedAthlete.scores.endurance, selectedAthlete.scores.skill, selectedAthlete.scores.reaction]} size={240} />
+                                    <RadarChart {...radarProps(selectedAthlete.scores)} size={240} />
                                     <TrendGraph data={selectedAthlete.trend} labels={selectedAthlete.trend.map((_, i) => `W${i + 1}`)} height={140} title="Weekly Progress" />
+                                    <div style={{ marginTop: '16px' }}>
+                                        <AsymmetryReport report={asymmetryOf(selectedAthlete)} />
+                                    </div>
                                     <div style={{ display: 'flex', gap: '10px', marginTop: '16px' }}>
                                         <button className="btn-primary" onClick={() => setShowScorecard(true)} style={{ flex: 1, padding: '12px', fontSize: '0.85rem' }}>📊 Scorecard</button>
                                         <button className="btn-secondary" onClick={() => generatePDFReport(selectedAthlete)} style={{ flex: 1, padding: '12px', fontSize: '0.85rem' }}>📄 Download Report</button>
@@ -285,6 +337,17 @@ Stats: ${athlete.tests} tests | ${athlete.xp} XP | Level ${athlete.level} | ${at
     );
 }
 
+// Plain-text section for the downloadable report
+function asymmetryReportText(report) {
+    if (!report) return '';
+    const lines = report.metrics.map(m =>
+        `${m.label}: L ${m.left}${m.unit} / R ${m.right}${m.unit} — LSI ${m.lsi}%${m.flagged ? ` ⚠ ${m.weaker} weaker` : ''}`);
+    return `
+LEFT / RIGHT SYMMETRY (flagged above ${report.threshold}% asymmetry)
+${lines.join('\n')}${report.flagged ? '\nINJURY RISK: asymmetry above threshold — review with a physio' : ''}
+`;
+}
+
 function AthleteCompareCard({ athlete, color }) {
     return (
         <div className="glass-card" style={{ padding: '20px', textAlign: 'center' }}>
@@ -8,8 +8,15 @@ import { useState, useRef, useCallback, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import usePoseDetection from '../hooks/usePoseDetection';
 import PoseOverlay from '../components/PoseOverlay';
+import CalibrationPanel from '../components/CalibrationPanel';
+import CameraSettings from '../components/CameraSettings';
+import useScaleCalibration from '../hooks/useScaleCalibration';
 import { extractLandmarks, calculateDistance } from '../utils/calculateAngle';
+import { getCameraSetupKey } from '../utils/scaleCalibration';
 import FeedbackPopup from '../components/FeedbackPopup';
+import AsymmetryReport from '../components/AsymmetryReport';
+import { buildAsymmetryReport, sideValues } from '../utils/asymmetry';
+import { saveTestResult } from '../services/offlineStorage';
 
 const MODES = [
     { id: 'punch', name: 'Punch Speed', icon: '🥊', desc: 'Detect punch speed using wrist tracking' },
@@ -22,8 +29,14 @@ export default function CombatReaction() {
     const [mode, setMode] = useState('punch');
     const [results, setResults] = useState([]);
     const [showFeedback, setShowFeedback] = useState(false);
+    const [saved, setSaved] = useState(false);
+    const [camera, setCamera] = useState(null); // active mode's camera: { capture, getPerformanceReport }
+    const [performanceReport, setPerformanceReport] = useState(null); // frame-rate report of the saved session
 
-    const addResult = useCallback((r) => setResults(prev => [...prev, r]), []);
+    const addResult = useCallback((r) => {
+        setResults(prev => [...prev, r]);
+        setSaved(false);
+    }, []);
 
     // Aggregate stats
     const punchSpeeds = results.filter(r => r.type === 'punch');
@@ -49,6 +62,39 @@ export default function CombatReaction() {
         ? Math.min(...reactions.map(r => r.value))
         : '—';
 
+    // Left vs right on each side's best strike
+    const sides = (list, label, unit) => {
+        const best = sideValues(list.map(r => ({ side: r.side, value: r.value })), 'max');
+        return best && { label, unit, ...best };
+    };
+    const asymmetry = mode === 'punch' ? buildAsymmetryReport({ punchSpeed: sides(punchSpeeds, 'Punch speed', ' m/s') })
+        : mode === 'kick' ? buildAsymmetryReport({ kickHeight: sides(kickHeights, 'Kick height', '%') })
+            : null;
+
+    const handleSave = async () => {
+        const strikes = mode === 'punch' ? punchSpeeds : kickHeights;
+        const performance = camera?.getPerformanceReport() ?? null;
+        try {
+            await saveTestResult({
+                activity: `combat-${mode}`,
+                activityName: mode === 'punch' ? 'Punch Speed' : 'Kick Height',
+                score: null,
+                value: Math.max(...strikes.map(r => r.value)),
+                unit: mode === 'punch' ? 'm/s' : '% body height',
+                strikes,
+                asymmetry,
+                capture: camera?.capture ?? null,
+                performance,
+                lowConfidence: !!performance?.lowConfidence,
+            });
+            setSaved(true);
+            setPerformanceReport(performance);
+            setTimeout(() => setShowFeedback(true), 500);
+        } catch (err) {
+            console.error('Failed to save combat session:', err);
+        }
+    };
+
     return (
         <div style={{ maxWidth: '960px', margin: '0 auto', padding: '24px 20px' }}>
             <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }}>
@@ -64,7 +110,7 @@ export default function CombatReaction() {
                     {MODES.map(m => (
                         <button key={m.id}
                             className={m.id === mode ? 'btn-primary' : 'btn-secondary'}
-                            onClick={() => { setMode(m.id); setResults([]); }}
+                            onClick={() => { setMode(m.id); setResults([]); setSaved(false); }}
                             style={{ padding: '10px 20px', fontSize: '0.85rem' }}>
                             {m.icon} {m.name}
                         </button>
@@ -99,18 +145,33 @@ export default function CombatReaction() {
                     padding: '0', overflow: 'hidden', marginBottom: '24px',
                     background: 'var(--glass-bg)', backdropFilter: 'blur(16px)',
                 }}>
-                    {mode === 'punch' && <PunchSpeedMode onResult={addResult} />}
-                    {mode === 'kick' && <KickHeightMode onResult={addResult} />}
-                    {mode === 'challenge' && <ReactionChallengeMode onResult={addResult} />}
+                    {mode === 'punch' && <PunchSpeedMode onResult={addResult} onCamera={setCamera} />}
+                    {mode === 'kick' && <KickHeightMode onResult={addResult} onCamera={setCamera} />}
+                    {mode === 'challenge' && <ReactionChallengeMode onResult={addResult} onCamera={setCamera} />}
                 </div>
 
+                <AsymmetryReport report={asymmetry} />
+
                 {/* Recent Results */}
                 {results.length > 0 && (
                     <div className="glass-card" style={{
                         padding: '20px',
                         background: 'var(--glass-bg)', backdropFilter: 'blur(16px)',
                     }}>
-                        <h3 style={{ fontSize: '0.9rem', fontWeight: 700, marginBottom: '12px' }}>Recent Results</h3>
+                        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '12px' }}>
+                            <h3 style={{ fontSize: '0.9rem', fontWeight: 700 }}>Recent Results</h3>
+                            {mode !== 'challenge' && (
+                                <button className="btn-secondary" onClick={handleSave} disabled={saved}
+                                    style={{ padding: '6px 14px', fontSize: '0.75rem' }}>
+                                    {saved ? '✅ Saved' : '💾 Save Session'}
+                                </button>
+                            )}
+                        </div>
+                        {saved && performanceReport?.lowConfidence && (
+                            <div className="badge badge-yellow" style={{ marginBottom: '12px' }}>
+                                ⚠ Low confidence — AI ran at {performanceReport.avgFps} fps (needs ≥ {performanceReport.minFps})
+                            </div>
+                        )}
                         <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
                             {results.slice(-12).map((r, i) => (
                                 <div key={i} className="glass-card" style={{
@@ -164,19 +225,43 @@ function CameraSwitchBtn({ onSwitch }) {
     );
 }
 
+// ═══════ CAMERA SETTINGS ═══════
+// Each mode runs its own camera; report what it negotiated and how fast the AI ran so the session is saved with both
+function useCameraReport(pose, onCamera) {
+    const { captureInfo, getPerformanceReport } = pose;
+    useEffect(() => {
+        onCamera({ capture: captureInfo, getPerformanceReport });
+    }, [captureInfo, getPerformanceReport, onCamera]);
+}
+
+function ModeCameraSettings({ pose, disabled }) {
+    return (
+        <CameraSettings devices={pose.cameraDevices} cameraId={pose.cameraId} captureFps={pose.captureFps}
+            captureInfo={pose.captureInfo} performanceStats={pose.performanceStats} onSelect={pose.selectCamera} disabled={disabled} />
+    );
+}
+
 // ═══════ MODE 1: PUNCH SPEED ═══════
-function PunchSpeedMode({ onResult }) {
-    const pose = usePoseDetection();
+function PunchSpeedMode({ onResult, onCamera }) {
+    // Responsive filtering: punches are fast, lag would cap the measured speed
+    const pose = usePoseDetection({ filter: 'responsive', performance: 'timing' });
+    useCameraReport(pose, onCamera);
+    const { calibration, scale, saveCalibration, clearCalibration } = useScaleCalibration(
+        getCameraSetupKey({
+            sourceType: pose.sourceType, facingMode: pose.facingMode, deviceId: pose.captureInfo?.deviceId, frameSize: pose.frameSize,
+        }),
+        { fallbackCmPerUnit: 150 }, // camera FOV ≈ 1.5m wide at arm's length
+    );
     const videoRef = useRef(null);
     const [started, setStarted] = useState(false);
     const [lastPunch, setLastPunch] = useState(null);
     const [feedback, setFeedback] = useState('Stand in frame, then throw a punch!');
 
-    // Velocity tracking
-    const prevWristRef = useRef({ left: null, right: null, time: 0 });
+    // Punch state
     const punchStateRef = useRef('idle'); // idle, punching
     const punchStartRef = useRef(null);
     const maxVelocityRef = useRef(0);
+    const punchHandRef = useRef('Right'); // hand that started the punch
 
     // Start camera
     const handleStart = async () => {
@@ -190,70 +275,53 @@ function PunchSpeedMode({ onResult }) {
 
     // Process landmarks each frame
     useEffect(() => {
-        if (!pose.landmarks || !started) return;
-        const lm = extractLandmarks(pose.landmarks);
-        if (!lm) return;
-
-        const now = performance.now();
-        const dt = prevWristRef.current.time > 0 ? (now - prevWristRef.current.time) / 1000 : 0;
-
-        if (dt > 0 && dt < 0.2) {
-            // Calculate wrist velocities (normalized coords → approximate m/s)
-            // Assume camera FOV ≈ 1.5m width at arm's length
-            const SCALE = 1.5; // meters per normalized unit
-            const FPS_FACTOR = 1 / dt;
-
-            const leftVel = prevWristRef.current.left
-                ? calculateDistance(lm.leftWrist, prevWristRef.current.left) * SCALE * FPS_FACTOR
-                : 0;
-            const rightVel = prevWristRef.current.right
-                ? calculateDistance(lm.rightWrist, prevWristRef.current.right) * SCALE * FPS_FACTOR
-                : 0;
-
-            const maxVel = Math.max(leftVel, rightVel);
-            const hand = leftVel > rightVel ? 'Left' : 'Right';
-
-            // Punch detection state machine
-            const PUNCH_START_THRESHOLD = 2.0; // m/s to start detecting
-            const PUNCH_END_THRESHOLD = 0.8;   // m/s to end
-
-            if (punchStateRef.current === 'idle' && maxVel > PUNCH_START_THRESHOLD) {
-                punchStateRef.current = 'punching';
-                punchStartRef.current = now;
-                maxVelocityRef.current = maxVel;
-                setFeedback(`${hand} punch detected...`);
-            } else if (punchStateRef.current === 'punching') {
-                maxVelocityRef.current = Math.max(maxVelocityRef.current, maxVel);
-
-                if (maxVel < PUNCH_END_THRESHOLD) {
-                    // Punch ended
-                    const punchDuration = (now - punchStartRef.current) / 1000;
-                    const speed = Math.round(maxVelocityRef.current * 10) / 10;
-
-                    if (punchDuration < 1.0 && speed > 1.5) {
-                        const result = {
-                            type: 'punch',
-                            value: speed,
-                            label: `${hand} ${speed > 5 ? '💥' : '👊'}`,
-                            duration: Math.round(punchDuration * 1000),
-                        };
-                        onResult(result);
-                        setLastPunch(result);
-                        setFeedback(`${hand} punch: ${speed} m/s in ${Math.round(punchDuration * 1000)}ms!`);
-                    }
-
-                    punchStateRef.current = 'idle';
-                    maxVelocityRef.current = 0;
+        if (!pose.kinematics || !started) return;
+        const now = pose.frameTime;
+
+        // Wrist speeds from the filtered landmark stream, in m/s on the calibrated scale
+        const leftVel = scale.speedMs(pose.kinematics[15].vx, pose.kinematics[15].vy);
+        const rightVel = scale.speedMs(pose.kinematics[16].vx, pose.kinematics[16].vy);
+
+        const maxVel = Math.max(leftVel, rightVel);
+        const hand = leftVel > rightVel ? 'Left' : 'Right';
+
+        // Punch detection state machine
+        const PUNCH_START_THRESHOLD = 2.0; // m/s to start detecting
+        const PUNCH_END_THRESHOLD = 0.8;   // m/s to end
+
+        if (punchStateRef.current === 'idle' && maxVel > PUNCH_START_THRESHOLD) {
+            punchStateRef.current = 'punching';
+            punchStartRef.current = now;
+            maxVelocityRef.current = maxVel;
+            punchHandRef.current = hand;
+            setFeedback(`${hand} punch detected...`);
+        } else if (punchStateRef.current === 'punching') {
+            maxVelocityRef.current = Math.max(maxVelocityRef.current, maxVel);
+
+            if (maxVel < PUNCH_END_THRESHOLD) {
+                // Punch ended
+                const punchDuration = (now - punchStartRef.current) / 1000;
+                const speed = Math.round(maxVelocityRef.current * 10) / 10;
+
+                if (punchDuration < 1.0 && speed > 1.5) {
+                    const hand = punchHandRef.current;
+                    const result = {
+                        type: 'punch',
+                        value: speed,
+                        label: `${hand} ${speed > 5 ? '💥' : '👊'}`,
+                        side: hand.toLowerCase(),
+                        duration: Math.round(punchDuration * 1000),
+                    };
+                    onResult(result);
+                    setLastPunch(result);
+                    setFeedback(`${hand} punch: ${speed} m/s in ${Math.round(punchDuration * 1000)}ms!`);
                 }
+
+                punchStateRef.current = 'idle';
+                maxVelocityRef.current = 0;
             }
         }
-
-        prevWristRef.current = {
-            left: { ...lm.leftWrist },
-            right: { ...lm.rightWrist },
-            time: now,
-        };
-    }, [pose.landmarks, started]);
+    }, [pose.kinematics, pose.frameTime, started, scale]);
 
     const isFront = pose.facingMode === 'user' || !pose.facingMode;
 
@@ -315,13 +383,22 @@ function PunchSpeedMode({ onResult }) {
                     </div>
                 )}
             </div>
+
+            {started && (
+                <div style={{ padding: '16px', display: 'flex', flexDirection: 'column', gap: '12px' }}>
+                    <CalibrationPanel landmarks={pose.landmarks} videoRef={videoRef} frameSize={pose.frameSize}
+                        calibration={calibration} onSave={saveCalibration} onClear={clearCalibration} />
+                    <ModeCameraSettings pose={pose} />
+                </div>
+            )}
         </div>
     );
 }
 
 // ═══════ MODE 2: KICK HEIGHT ═══════
-function KickHeightMode({ onResult }) {
+function KickHeightMode({ onResult, onCamera }) {
     const pose = usePoseDetection();
+    useCameraReport(pose, onCamera);
     const videoRef = useRef(null);
     const [started, setStarted] = useState(false);
     const [lastKick, setLastKick] = useState(null);
@@ -332,6 +409,7 @@ function KickHeightMode({ onResult }) {
     const kickStateRef = useRef('idle');
     const maxHeightRef = useRef(0);
     const kickStartRef = useRef(0);
+    const kickLegRef = useRef('Right'); // leg that started the kick
 
     const handleStart = async () => {
         await pose.initializePose();
@@ -385,6 +463,7 @@ function KickHeightMode({ onResult }) {
             kickStateRef.current = 'kicking';
             kickStartRef.current = performance.now();
             maxHeightRef.current = maxLift;
+            kickLegRef.current = kickingLeg;
             setFeedback(`${kickingLeg} kick detected...`);
         } else if (kickStateRef.current === 'kicking') {
             maxHeightRef.current = Math.max(maxHeightRef.current, maxLift);
@@ -398,11 +477,13 @@ function KickHeightMode({ onResult }) {
                     const rating = height > 80 ? '🔥 Head height!' :
                         height > 50 ? '💪 Torso height' :
                             height > 30 ? '👍 Waist height' : '🦵 Low kick';
+                    const kickingLeg = kickLegRef.current;
 
                     const result = {
                         type: 'kick',
                         value: height,
                         label: `${kickingLeg} ${rating}`,
+                        side: kickingLeg.toLowerCase(),
                     };
                     onResult(result);
                     setLastKick(result);
@@ -474,6 +555,12 @@ function KickHeightMode({ onResult }) {
                     </div>
                 )}
             </div>
+
+            {started && (
+                <div style={{ padding: '16px' }}>
+                    <ModeCameraSettings pose={pose} />
+                </div>
+            )}
         </div>
     );
 }
@@ -489,8 +576,9 @@ const PROMPTS = [
     { text: 'RIGHT KICK', side: 'right', color: '#dc2626', emoji: '🦵👉' },
 ];
 
-function ReactionChallengeMode({ onResult }) {
-    const pose = usePoseDetection();
+function ReactionChallengeMode({ onResult, onCamera }) {
+    const pose = usePoseDetection({ performance: 'timing' });
+    useCameraReport(pose, onCamera);
     const videoRef = useRef(null);
     const [started, setStarted] = useState(false);
     const [phase, setPhase] = useState('idle'); // idle, waiting, prompt, result
@@ -696,6 +784,12 @@ function ReactionChallengeMode({ onResult }) {
                     </div>
                 )}
             </div>
+
+            {started && (
+                <div style={{ padding: '16px' }}>
+                    <ModeCameraSettings pose={pose} disabled={phase === 'waiting' || phase === 'prompt'} />
+                </div>
+            )}
         </div>
     );
 }
@@ -1,15 +1,20 @@
 /**
  * Dashboard.jsx
- * Athlete dashboard with radar chart, module scores, badges, test history, and trend graph.
+ * Athlete dashboard with radar chart, module scores, badges, injury-risk
+ * (left/right asymmetry) indicators, test history, and trend graph.
  */
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import RadarChart from '../components/RadarChart';
 import TrendGraph from '../components/TrendGraph';
 import Scorecard from '../components/Scorecard';
 import Leaderboard from '../components/Leaderboard';
-import { getLevel, getLevelProgress, checkBadges, calculatePercentile, calculateNationalRank, calculateOverallScore } from '../utils/scoringSystem';
+import AsymmetryReport from '../components/AsymmetryReport';
+import { getLevel, getLevelProgress, checkBadges, calculatePercentile, calculateNationalRank, calculateOverallScore, calculateFlexibilityModule, calculateAgilityModule, calculateSpeedModule, getScoreModules } from '../utils/scoringSystem';
+import { latestAsymmetry } from '../utils/asymmetry';
+import { getResultsByActivity, getAllResults, getRecordedResultIds } from '../services/offlineStorage';
+import { replayPath } from '../hooks/useStoredReplay';
 
 // Mock athlete data
 const MOCK_PROFILE = {
@@ -38,15 +43,81 @@ const MOCK_HISTORY = [
     { date: '2026-02-20', module: 'T-Test', score: 70, details: '10.8s completion' },
 ];
 
+const MODULE_COLORS = {
+    speed: '#39ff14',
+    strength: '#00d4ff',
+    endurance: '#a855f7',
+    skill: '#fbbf24',
+    reaction: '#ff3b5c',
+    flexibility: '#a78bfa',
+    balance: '#2dd4bf',
+};
+
+const MODULE_LABELS = {
+    speed: 'Speed & Agility',
+    skill: 'Skill Accuracy',
+    reaction: 'Reaction Time',
+};
+
+const MAX_RECORDINGS = 8; // recorded sessions listed for replay
+
 const TREND_DATA = [55, 58, 62, 65, 68, 70, 72, 74, 72, 75, 78, 76, 80, 82];
 
 export default function Dashboard() {
     const navigate = useNavigate();
     const [showScorecard, setShowScorecard] = useState(false);
+    const [optionalScores, setOptionalScores] = useState({});
+    const [measuredScores, setMeasuredScores] = useState({});
+    const [asymmetries, setAsymmetries] = useState([]);
+    const [recordings, setRecordings] = useState([]); // latest results with a stored landmark session
+
+    // Flexibility and balance are optional: each joins the radar once its test has been taken
+    useEffect(() => {
+        Promise.all([
+            getResultsByActivity('sit-and-reach'),
+            getResultsByActivity('shoulder-mobility'),
+            getResultsByActivity('balance'),
+        ])
+            .then(([sitAndReach, shoulder, balance]) => {
+                const flexibility = calculateFlexibilityModule(sitAndReach[0]?.score ?? null, shoulder[0]?.score ?? null);
+                setOptionalScores({
+                    ...(flexibility !== null && { flexibility }),
+                    ...(balance.length && { balance: balance[0].score }),
+                });
+            })
+            .catch(() => { /* IndexedDB unavailable */ });
+    }, []);
+
+    // Speed & agility from the latest standing sprint and agility drills, once any has been taken
+    useEffect(() => {
+        Promise.all(['sprint-20', 'sprint-40', 't-test', 'illinois', 'pro-agility'].map(getResultsByActivity))
+            .then(([sprint20, sprint40, tTest, illinois, proAgility]) => {
+                const sprint = [sprint20[0], sprint40[0]].filter(Boolean).sort((a, b) => b.date.localeCompare(a.date))[0];
+                const agility = calculateAgilityModule(tTest[0]?.score ?? null, illinois[0]?.score ?? null, proAgility[0]?.score ?? null);
+                const speed = calculateSpeedModule(sprint?.score ?? null, agility);
+                if (speed !== null) setMeasuredScores({ speed });
+            })
+            .catch(() => { /* IndexedDB unavailable */ });
+    }, []);
+
+    // Latest left/right report per test, flagged tests first; and the results that can be replayed
+    useEffect(() => {
+        Promise.all([getAllResults(), getRecordedResultIds()])
+            .then(([results, recordedIds]) => {
+                setAsymmetries(latestAsymmetry(results).sort((a, b) => b.report.flagged - a.report.flagged));
+                const recorded = new Set(recordedIds);
+                setRecordings(results.filter(r => recorded.has(r.id) && replayPath(r)).slice(0, MAX_RECORDINGS));
+            })
+            .catch(() => { /* IndexedDB unavailable */ });
+    }, []);
+    const flaggedTests = asymmetries.filter(a => a.report.flagged).length;
+
+    const scores = { ...MOCK_SCORES, ...measuredScores, ...optionalScores };
+    const modules = getScoreModules(scores);
 
     const level = getLevel(MOCK_PROFILE.totalXP);
     const progress = getLevelProgress(MOCK_PROFILE.totalXP);
-    const overall = calculateOverallScore(MOCK_SCORES);
+    const overall = calculateOverallScore(scores);
     const percentile = calculatePercentile(overall);
     const rank = calculateNationalRank(percentile);
 
@@ -121,18 +192,14 @@ export default function Dashboard() {
                 <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '16px', marginBottom: '24px' }}>
                     <div className="glass-card" style={{ padding: '24px', textAlign: 'center', background: 'var(--glass-bg)', backdropFilter: 'blur(16px)' }}>
                         <h3 style={{ fontSize: '0.9rem', fontWeight: 700, marginBottom: '12px' }}>Performance Radar</h3>
-                        <RadarChart data={[MOCK_SCORES.speed, MOCK_SCORES.strength, MOCK_SCORES.endurance, MOCK_SCORES.skill, MOCK_SCORES.reaction]} size={250} />
+                        <RadarChart data={modules.map(m => scores[m.key])} labels={modules.map(m => m.label)} size={250} />
                     </div>
 
                     <div className="glass-card" style={{ padding: '24px', background: 'var(--glass-bg)', backdropFilter: 'blur(16px)' }}>
                         <h3 style={{ fontSize: '0.9rem', fontWeight: 700, marginBottom: '16px' }}>Module Scores</h3>
-                        {[
-                            { label: 'Speed & Agility', value: MOCK_SCORES.speed, icon: '🏃', color: '#39ff14' },
-                            { label: 'Strength', value: MOCK_SCORES.strength, icon: '💪', color: '#00d4ff' },
-                            { label: 'Endurance', value: MOCK_SCORES.endurance, icon: '🫀', color: '#a855f7' },
-                            { label: 'Skill Accuracy', value: MOCK_SCORES.skill, icon: '🎯', color: '#fbbf24' },
-                            { label: 'Reaction Time', value: MOCK_SCORES.reaction, icon: '🧠', color: '#ff3b5c' },
-                        ].map((m) => (
+                        {modules.map(({ key, label, icon }) => ({
+                            label: MODULE_LABELS[key] || label, value: scores[key], icon, color: MODULE_COLORS[key],
+                        })).map((m) => (
                             <div key={m.label} style={{ marginBottom: '14px' }}>
                                 <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '4px', fontSize: '0.8rem' }}>
                                     <span>{m.icon} {m.label}</span>
@@ -166,6 +233,53 @@ export default function Dashboard() {
                     )}
                 </div>
 
+                {/* Injury Risk Indicators */}
+                {asymmetries.length > 0 && (
+                    <div className="glass-card" style={{ padding: '20px', marginBottom: '24px', background: 'var(--glass-bg)', backdropFilter: 'blur(16px)' }}>
+                        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '12px' }}>
+                            <h3 style={{ fontSize: '0.9rem', fontWeight: 700 }}>⚖️ Injury Risk Indicators</h3>
+                            <span className={`badge ${flaggedTests ? 'badge-red' : 'badge-green'}`}>
+                                {flaggedTests ? `${flaggedTests} asymmetr${flaggedTests === 1 ? 'y' : 'ies'} flagged` : 'Balanced left / right'}
+                            </span>
+                        </div>
+                        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(240px, 1fr))', gap: '12px' }}>
+                            {asymmetries.map(a => (
+                                <div key={a.activity} className="glass-card" style={{
+                                    padding: '12px 14px',
+                                    border: `1px solid ${a.report.flagged ? 'var(--danger-red)' : 'var(--glass-border)'}`,
+                                }}>
+                                    <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.8rem', marginBottom: '8px' }}>
+                                        <span style={{ fontWeight: 700 }}>{a.activityName}</span>
+                                        <span style={{ color: 'var(--text-muted)' }}>{new Date(a.date).toLocaleDateString()}</span>
+                                    </div>
+                                    <AsymmetryReport report={a.report} title={null} compact />
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                )}
+
+                {/* Recorded Sessions */}
+                {recordings.length > 0 && (
+                    <div className="glass-card" style={{ padding: '20px', marginBottom: '24px', background: 'var(--glass-bg)', backdropFilter: 'blur(16px)' }}>
+                        <h3 style={{ fontSize: '0.9rem', fontWeight: 700, marginBottom: '4px' }}>🎞 Recorded Sessions</h3>
+                        <p style={{ color: 'var(--text-muted)', fontSize: '0.75rem', marginBottom: '12px' }}>
+                            Replay a saved test without a camera to audit it, or re-score it with the current algorithms.
+                        </p>
+                        {recordings.map(r => (
+                            <div key={r.id} style={{ display: 'flex', alignItems: 'center', gap: '12px', padding: '8px 0', borderBottom: '1px solid rgba(255,255,255,0.03)', fontSize: '0.82rem' }}>
+                                <span style={{ color: 'var(--text-secondary)', minWidth: '90px' }}>{new Date(r.date).toLocaleDateString()}</span>
+                                <span style={{ fontWeight: 600, flex: 1 }}>{r.activityName || r.activity}</span>
+                                {r.rescoredAt && <span className="badge badge-blue">Re-scored</span>}
+                                <span style={{ fontWeight: 700, minWidth: '32px', textAlign: 'right' }}>{r.score}</span>
+                                <button className="btn-secondary" onClick={() => navigate(replayPath(r))} style={{ padding: '6px 12px', fontSize: '0.75rem' }}>
+                                    🎞 Replay & Re-score
+                                </button>
+                            </div>
+                        ))}
+                    </div>
+                )}
+
                 {/* Trend Graph */}
                 <div className="glass-card" style={{ padding: '24px', marginBottom: '24px', background: 'var(--glass-bg)', backdropFilter: 'blur(16px)' }}>
                     <h3 style={{ fontSize: '0.9rem', fontWeight: 700, marginBottom: '12px' }}>📈 Performance Trend</h3>
@@ -218,7 +332,7 @@ export default function Dashboard() {
                         onClick={e => e.stopPropagation()}>
                         <Scorecard
                             athlete={MOCK_PROFILE}
-                            scores={{ ...MOCK_SCORES, overall, percentile, rank }}
+                            scores={{ ...scores, overall, percentile, rank }}
                             onClose={() => setShowScorecard(false)}
                         />
                     </motion.div>
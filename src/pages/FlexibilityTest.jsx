@@ -0,0 +1,304 @@
+/**
+ * FlexibilityTest.jsx
+ * MODULE 7: Flexibility
+ * Sit-and-reach (fingertip reach past the toes, calibrated to cm) and shoulder
+ * mobility (overhead arm elevation). Scored against age/gender norms; results
+ * feed the optional Flexibility axis of the athlete's radar.
+ */
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import CameraFeed from '../components/CameraFeed';
+import PoseOverlay from '../components/PoseOverlay';
+import AsymmetryReport from '../components/AsymmetryReport';
+import FeedbackPopup from '../components/FeedbackPopup';
+import VideoFileButton from '../components/VideoFileButton';
+import CalibrationPanel from '../components/CalibrationPanel';
+import CameraSettings from '../components/CameraSettings';
+import usePoseDetection from '../hooks/usePoseDetection';
+import useScaleCalibration from '../hooks/useScaleCalibration';
+import { extractLandmarks } from '../utils/calculateAngle';
+import { getCameraSetupKey } from '../utils/scaleCalibration';
+import { measureSitAndReach, measureShoulderFlexion, createHoldTracker } from '../utils/flexibility';
+import { calculateSitAndReachScore, calculateShoulderMobilityScore } from '../utils/scoringSystem';
+import { buildAsymmetryReport } from '../utils/asymmetry';
+import { saveTestResult, getAthleteProfile, saveAthleteProfile } from '../services/offlineStorage';
+
+const MODES = {
+    'sit-and-reach': {
+        name: 'Sit & Reach',
+        icon: '🧘',
+        unit: 'cm',
+        instructions: 'Sit side-on to the camera, legs straight, and reach slowly towards your toes. Hold your furthest reach for 1 second.',
+    },
+    'shoulder-mobility': {
+        name: 'Shoulder Mobility',
+        icon: '🙆',
+        unit: '°',
+        instructions: 'Stand side-on, arms straight, and raise them overhead as far as they go. Hold for 1 second without arching your back.',
+    },
+};
+
+export default function FlexibilityTest() {
+    const videoRef = useRef(null);
+    const { landmarks, isLoading, loadProgress, loadError, isRunning, facingMode, sourceType, sourceError, frameSize, cameraDevices, cameraId, captureFps, captureInfo, sourceFile, selectCamera, performanceStats, getPerformanceReport, resetPerformanceReport, onFrame, initializePose, startCamera, startVideoFile, switchCamera } = usePoseDetection({ performance: 'hold' });
+    const { calibration, scale, saveCalibration, clearCalibration } = useScaleCalibration(
+        getCameraSetupKey({ sourceType, facingMode, deviceId: captureInfo?.deviceId, file: sourceFile, frameSize }),
+    );
+
+    const [mode, setMode] = useState('sit-and-reach');
+    const [athlete, setAthlete] = useState({ age: '', gender: '' });
+    const [phase, setPhase] = useState('idle'); // idle, measuring
+    const [current, setCurrent] = useState(null);
+    const [best, setBest] = useState(null);
+    const [results, setResults] = useState([]);
+    const [showFeedback, setShowFeedback] = useState(false);
+    const [holdTracker] = useState(() => createHoldTracker(1000));
+    // Shoulder mobility: each arm's best held flexion, for the left/right comparison
+    const [sideTrackers] = useState(() => ({ left: createHoldTracker(1000), right: createHoldTracker(1000) }));
+    const [sideBest, setSideBest] = useState({ left: null, right: null });
+
+    useEffect(() => { initializePose(); }, [initializePose]);
+
+    // Norms depend on age and gender — keep them on the athlete profile
+    useEffect(() => {
+        getAthleteProfile().then((profile) => {
+            if (profile) setAthlete({ age: profile.age ?? '', gender: profile.gender ?? '' });
+        }).catch(() => { /* no profile yet */ });
+    }, []);
+
+    const updateAthlete = useCallback((changes) => {
+        const next = { ...athlete, ...changes };
+        setAthlete(next);
+        getAthleteProfile()
+            .then(profile => saveAthleteProfile({ ...profile, ...next }))
+            .catch(() => { /* storage unavailable — applies to this session only */ });
+    }, [athlete]);
+
+    // Measure every inference, not just rendered frames, so the hold is timed accurately
+    useEffect(() => {
+        if (phase !== 'measuring') return;
+        return onFrame((frameLandmarks, timestamp, _kinematics, frameWorld) => {
+            const lm = extractLandmarks(frameLandmarks);
+            const world = extractLandmarks(frameWorld);
+            const measurement = mode === 'sit-and-reach'
+                ? measureSitAndReach(frameLandmarks, lm, world, scale)
+                : measureShoulderFlexion(lm, world);
+            const value = measurement ? (mode === 'sit-and-reach' ? measurement.reachCm : measurement.best) : null;
+            const { best: heldBest } = holdTracker.push(measurement?.valid ? value : null, timestamp);
+
+            setCurrent(measurement);
+            setBest(heldBest);
+            if (mode === 'shoulder-mobility') {
+                setSideBest({
+                    left: sideTrackers.left.push(measurement?.sides.left ?? null, timestamp).best,
+                    right: sideTrackers.right.push(measurement?.sides.right ?? null, timestamp).best,
+                });
+            }
+        });
+    }, [phase, mode, scale, holdTracker, sideTrackers, onFrame]);
+
+    const beginMeasuring = useCallback(() => {
+        resetPerformanceReport();
+        holdTracker.reset();
+        sideTrackers.left.reset();
+        sideTrackers.right.reset();
+        setCurrent(null);
+        setBest(null);
+        setSideBest({ left: null, right: null });
+        setPhase('measuring');
+    }, [holdTracker, sideTrackers, resetPerformanceReport]);
+
+    const handleStart = useCallback(async () => {
+        if (!isRunning && videoRef.current) await startCamera(videoRef.current, null);
+        beginMeasuring();
+    }, [isRunning, startCamera, beginMeasuring]);
+
+    const handleAnalyzeVideo = useCallback(async (file) => {
+        if (videoRef.current) await startVideoFile(videoRef.current, file, { playbackRate: 1 });
+        beginMeasuring();
+    }, [startVideoFile, beginMeasuring]);
+
+    const handleFinish = useCallback(async () => {
+        setPhase('idle');
+        if (best === null) return;
+
+        const profile = { age: athlete.age === '' ? null : Number(athlete.age), gender: athlete.gender || null };
+        const score = mode === 'sit-and-reach'
+            ? calculateSitAndReachScore(best, profile)
+            : calculateShoulderMobilityScore(best, profile);
+        const result = {
+            activity: mode,
+            activityName: MODES[mode].name,
+            score,
+            flexibility: mode === 'sit-and-reach' ? { reachCm: best } : { shoulderFlexion: best, sides: sideBest },
+            asymmetry: mode === 'shoulder-mobility'
+                ? buildAsymmetryReport({ shoulderFlexion: { label: 'Shoulder flexion', unit: '°', ...sideBest } })
+                : null,
+            athlete: profile,
+            calibrated: mode === 'sit-and-reach' ? scale.calibrated : true,
+            capture: captureInfo,
+            lowConfidence: !!getPerformanceReport()?.lowConfidence,
+        };
+        setResults(prev => [...prev, result]);
+        try {
+            await saveTestResult(result);
+        } catch (err) {
+            console.warn('Failed to save flexibility result:', err);
+        }
+        setTimeout(() => setShowFeedback(true), 500);
+    }, [best, sideBest, athlete, mode, scale, captureInfo, getPerformanceReport]);
+
+    const config = MODES[mode];
+    const needsCalibration = mode === 'sit-and-reach' && !scale.calibrated;
+
+    return (
+        <div style={{ maxWidth: '1000px', margin: '0 auto', padding: '24px 20px' }}>
+            <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }}>
+                <h1 style={{ fontSize: '1.8rem', fontWeight: 800, marginBottom: '8px' }}>
+                    🧘 <span className="gradient-text">Flexibility Test</span>
+                </h1>
+                <p style={{ color: 'var(--text-secondary)', marginBottom: '24px' }}>
+                    Sit-and-reach and shoulder mobility, scored against norms for your age and gender.
+                </p>
+
+                {/* Mode + athlete profile */}
+                <div style={{ display: 'flex', gap: '10px', marginBottom: '20px', flexWrap: 'wrap' }}>
+                    {Object.entries(MODES).map(([key, m]) => (
+                        <button key={key} className={mode === key ? 'btn-primary' : 'btn-secondary'}
+                            onClick={() => setMode(key)} disabled={phase !== 'idle'}
+                            style={{ padding: '10px 18px', fontSize: '0.85rem' }}>
+                            {m.icon} {m.name}
+                        </button>
+                    ))}
+                    <input className="auth-input" type="number" min="8" max="90" placeholder="Age"
+                        value={athlete.age} onChange={(e) => updateAthlete({ age: e.target.value })}
+                        style={{ width: '90px' }} />
+                    <select className="auth-input" value={athlete.gender}
+                        onChange={(e) => updateAthlete({ gender: e.target.value })} style={{ width: '130px' }}>
+                        <option value="">Gender</option>
+                        <option value="male">Male</option>
+                        <option value="female">Female</option>
+                    </select>
+                </div>
+
+                <div style={{ display: 'grid', gridTemplateColumns: 'minmax(0, 2fr) minmax(250px, 1fr)', gap: '20px' }}>
+                    {/* Camera */}
+                    <div>
+                        <div style={{ position: 'relative', marginBottom: '16px' }}>
+                            <CameraFeed ref={videoRef} isRunning={isRunning} facingMode={facingMode} onSwitchCamera={switchCamera}
+                                isLoading={isLoading} loadProgress={loadProgress} loadError={loadError} onRetryLoad={initializePose}
+                                sourceType={sourceType} sourceError={sourceError} />
+                            {landmarks && isRunning && (
+                                <PoseOverlay landmarks={landmarks} formQuality={current?.valid ? 'good' : current ? 'warning' : 'bad'}
+                                    mirrored={sourceType !== 'file'} />
+                            )}
+                        </div>
+
+                        <div className="glass-card" style={{
+                            padding: '16px', textAlign: 'center', marginBottom: '16px',
+                            border: `2px solid ${phase === 'measuring' ? (current?.valid ? 'var(--neon-green)' : 'var(--warning-yellow)') : 'var(--glass-border)'}`,
+                        }}>
+                            <div style={{ fontSize: '0.9rem', fontWeight: 600, color: 'var(--electric-blue)' }}>
+                                {phase === 'idle' ? config.instructions : current?.issue || (current ? '✅ Good position — hold your best reach' : '🔍 Looking for your full body...')}
+                            </div>
+                        </div>
+
+                        {needsCalibration && (
+                            <div style={{ marginBottom: '16px', fontSize: '0.8rem', color: 'var(--warning-yellow)' }}>
+                                ⚠ Camera not calibrated — reach in cm is an estimate. Calibrate below for accurate results.
+                            </div>
+                        )}
+
+                        <div style={{ display: 'flex', gap: '12px' }}>
+                            {phase === 'idle' ? (
+                                <>
+                                    <button className="btn-primary" onClick={handleStart} disabled={isLoading}
+                                        style={{ flex: 1, padding: '14px', opacity: isLoading ? 0.5 : 1 }}>
+                                        {isLoading ? '⏳ Loading...' : `▶ Start ${config.name}`}
+                                    </button>
+                                    <VideoFileButton onSelect={handleAnalyzeVideo} disabled={isLoading} />
+                                </>
+                            ) : (
+                                <button className="btn-primary" onClick={handleFinish} style={{ flex: 1, padding: '14px' }}>
+                                    ⏹ Finish & Score
+                                </button>
+                            )}
+                        </div>
+                    </div>
+
+                    {/* Metrics */}
+                    <div style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
+                        <div className="glass-card" style={{ padding: '18px', textAlign: 'center' }}>
+                            <div style={{ fontSize: '0.65rem', fontWeight: 600, color: 'var(--text-muted)', textTransform: 'uppercase' }}>Best Held</div>
+                            <div style={{ fontSize: '2.5rem', fontWeight: 900, color: 'var(--neon-green)', fontFamily: 'monospace' }}>
+                                {best ?? '—'}<span style={{ fontSize: '1rem' }}>{config.unit}</span>
+                            </div>
+                        </div>
+                        {mode === 'sit-and-reach' ? (
+                            <>
+                                <div className="glass-card" style={{ padding: '12px', textAlign: 'center' }}>
+                                    <div style={{ fontSize: '0.65rem', fontWeight: 600, color: 'var(--text-muted)', textTransform: 'uppercase' }}>Current Reach</div>
+                                    <div style={{ fontSize: '1.5rem', fontWeight: 800, color: 'var(--electric-blue)' }}>{current?.reachCm ?? '—'}cm</div>
+                                </div>
+                                <div className="glass-card" style={{ padding: '12px', textAlign: 'center' }}>
+                                    <div style={{ fontSize: '0.65rem', fontWeight: 600, color: 'var(--text-muted)', textTransform: 'uppercase' }}>Knee Angle</div>
+                                    <div style={{ fontSize: '1.5rem', fontWeight: 800, color: 'var(--accent-purple)' }}>{current?.kneeAngle ?? '—'}°</div>
+                                </div>
+                            </>
+                        ) : (
+                            <div className="glass-card" style={{ padding: '12px', textAlign: 'center' }}>
+                                <div style={{ fontSize: '0.65rem', fontWeight: 600, color: 'var(--text-muted)', textTransform: 'uppercase' }}>Left / Right</div>
+                                <div style={{ fontSize: '1.5rem', fontWeight: 800, color: 'var(--electric-blue)' }}>
+                                    {current ? `${current.left}° / ${current.right}°` : '—'}
+                                </div>
+                            </div>
+                        )}
+                        {sourceType === 'camera' && (
+                            <CameraSettings devices={cameraDevices} cameraId={cameraId} captureFps={captureFps}
+                                captureInfo={captureInfo} performanceStats={performanceStats} onSelect={selectCamera} disabled={phase !== 'idle'} />
+                        )}
+                        {mode === 'sit-and-reach' && (
+                            <CalibrationPanel landmarks={landmarks} videoRef={videoRef} frameSize={frameSize}
+                                calibration={calibration} onSave={saveCalibration} onClear={clearCalibration}
+                                disabled={phase !== 'idle'} />
+                        )}
+                    </div>
+                </div>
+
+                {/* History */}
+                {results.length > 0 && (
+                    <div className="glass-card" style={{ padding: '20px', marginTop: '24px' }}>
+                        <h3 style={{ fontSize: '1rem', fontWeight: 700, marginBottom: '12px' }}>📋 Results</h3>
+                        <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap' }}>
+                            {results.map((r, i) => (
+                                <div key={i} className="glass-card" style={{ padding: '12px 16px', textAlign: 'center', minWidth: '140px' }}>
+                                    <div style={{ fontSize: '0.7rem', color: 'var(--text-muted)' }}>{r.activityName}</div>
+                                    <div style={{ fontSize: '1.2rem', fontWeight: 800, color: 'var(--neon-green)' }}>
+                                        {r.flexibility.reachCm ?? r.flexibility.shoulderFlexion}{MODES[r.activity].unit}
+                                    </div>
+                                    <div style={{ fontSize: '0.7rem', color: 'var(--electric-blue)' }}>Score: {r.score}/100</div>
+                                    {!r.calibrated && (
+                                        <div style={{ fontSize: '0.65rem', color: 'var(--warning-yellow)' }}>Uncalibrated</div>
+                                    )}
+                                    {r.lowConfidence && (
+                                        <div style={{ fontSize: '0.65rem', color: 'var(--warning-yellow)' }}>⚠ Low AI frame rate</div>
+                                    )}
+                                    {r.asymmetry?.flagged && (
+                                        <div style={{ fontSize: '0.65rem', color: 'var(--danger-red)' }}>⚠ Left/right asymmetry</div>
+                                    )}
+                                </div>
+                            ))}
+                        </div>
+                        {results[results.length - 1].asymmetry && (
+                            <div style={{ marginTop: '16px' }}>
+                                <AsymmetryReport report={results[results.length - 1].asymmetry} compact />
+                            </div>
+                        )}
+                    </div>
+                )}
+            </motion.div>
+            <FeedbackPopup isOpen={showFeedback} onClose={() => setShowFeedback(false)} testName="Flexibility" />
+            <style>{`@media(max-width:768px){div[style*="grid-template-columns: minmax(0, 2fr)"]{grid-template-columns:1fr!important}}`}</style>
+        </div>
+    );
+}
@@ -0,0 +1,34 @@
+/**
+ * IllinoisAgility.jsx
+ * MODULE 1C: Illinois Agility Run
+ * 10 m × 5 m course started lying prone on the GO beep: the operator marks
+ * the eight cones on the frame, each turn cone must be reached and the four
+ * centre cones weaved on alternate sides, up and back. Timed to the finish gate.
+ */
+import AgilityDrill from '../components/AgilityDrill';
+import { ILLINOIS } from '../utils/agilityDrill';
+
+const CONE_STYLES = {
+    S: { label: 'S · Start', color: '#39ff14' },
+    T1: { label: 'T1', color: '#00d4ff' },
+    M1: { label: 'M1', color: '#a855f7' },
+    M2: { label: 'M2', color: '#a855f7' },
+    M3: { label: 'M3', color: '#a855f7' },
+    M4: { label: 'M4', color: '#a855f7' },
+    T2: { label: 'T2', color: '#00d4ff' },
+    F: { label: 'F · Finish', color: '#fbbf24' },
+};
+
+export default function IllinoisAgility() {
+    return (
+        <AgilityDrill
+            drill={ILLINOIS}
+            title="Illinois Agility Run"
+            icon="🔀"
+            testName="Illinois Agility"
+            coneStyles={CONE_STYLES}
+            routeHint="Lie prone at S · on the GO beep sprint to T1 · back to M1 · weave up to M4 and back to M1 · sprint to T2 · finish through F."
+            cameraHint="Place the camera at the start end, looking down the course."
+        />
+    );
+}
@@ -0,0 +1,29 @@
+/**
+ * ProAgilityDrill.jsx
+ * MODULE 1D: 5-10-5 Pro-Agility Shuttle
+ * Three cones 5 yd apart on one line: the athlete straddles S, sprints to
+ * either end cone and touches it, runs 10 yd to the far end and touches,
+ * then finishes back through S. The first direction is read from the start.
+ */
+import AgilityDrill from '../components/AgilityDrill';
+import { PRO_AGILITY } from '../utils/agilityDrill';
+
+const CONE_STYLES = {
+    S: { label: 'S · Start/Finish', color: '#39ff14' },
+    R: { label: 'R', color: '#00d4ff' },
+    L: { label: 'L', color: '#a855f7' },
+};
+
+export default function ProAgilityDrill() {
+    return (
+        <AgilityDrill
+            drill={PRO_AGILITY}
+            title="5-10-5 Pro-Agility Shuttle"
+            icon="↔️"
+            testName="5-10-5 Pro-Agility"
+            coneStyles={CONE_STYLES}
+            routeHint="Straddle S · sprint 5 yd to either end and touch · 10 yd to the other end and touch · finish through S."
+            cameraHint="Place the camera in front of S, square to the line of cones."
+        />
+    );
+}
@@ -1,7 +1,8 @@
 /**
  * PushUpTest.jsx
- * MODULE 2A: Push-Up Test (1 Minute)
- * Pose-based rep counting with form accuracy, fatigue tracking,
+ * MODULE 2A: Push-Up Test (standard, knee, hand-release, 90° cadence)
+ * Pose-based rep counting with per-protocol depth standards, rejected reps
+ * listed with their reasons, form accuracy, fatigue tracking,
  * cheat/malpractice detection with red overlay + beep, and feedback popup.
  */
 import { useState, useEffect, useRef, useCallback } from 'react';
@@ -10,51 +11,97 @@ import CameraFeed from '../components/CameraFeed';
 import PoseOverlay from '../components/PoseOverlay';
 import CheatAlertOverlay from '../components/CheatAlertOverlay';
 import FeedbackPopup from '../components/FeedbackPopup';
+import VideoFileButton from '../components/VideoFileButton';
+import CameraSettings from '../components/CameraSettings';
 import usePoseDetection from '../hooks/usePoseDetection';
-import { calculateAngle, extractLandmarks } from '../utils/calculateAngle';
+import useStoredReplay, { saveResultSession } from '../hooks/useStoredReplay';
+import { extractLandmarks } from '../utils/calculateAngle';
 import { runCheatDetection, playAlertBeep } from '../utils/cheatDetection';
 import TrendGraph from '../components/TrendGraph';
+import RepLog from '../components/RepLog';
+import FaultCue from '../components/FaultCue';
+import FatigueSummary from '../components/FatigueSummary';
+import AsymmetryReport from '../components/AsymmetryReport';
+import { createRepTracker, summarizeRepEvents, countFaults } from '../utils/repEvents';
+import { evaluateSignals, detectFaults, detectRepFaults, faultJoints } from '../utils/exerciseEngine';
+import { analyzeFatigue } from '../utils/fatigueAnalysis';
+import { buildAsymmetryReport, repEventSides } from '../utils/asymmetry';
+import { PUSHUP_PROTOCOLS, PUSHUP_SIGNALS, createPushUpJudge, startMetronome } from '../utils/pushUpProtocols';
+import { calculatePushUpScore } from '../utils/scoringSystem';
+import { saveTestResult, updateTestResult } from '../services/offlineStorage';
+
+// Rep events: elbow angle bottoms out at the low point of the push-up
+const REP_TRACKING = {
+    tempo: { signal: 'elbow', bottom: 'min' },
+    symmetry: ['leftElbow', 'rightElbow'],
+    angles: { elbow: 'elbow', body: 'body' },
+};
+
+// Side view: hips against the shoulder–ankle line
+const FAULT_SIGNALS = {
+    hipOffset: { lineOffset: ['midShoulder', 'midHip', 'midAnkle'] }, // + sag, − pike
+};
+
+// Named form faults (see exercises/faults.js), in the exercise-definition format
+const PUSHUP_FAULTS = [
+    { id: 'hip-sag', when: { signal: 'hipOffset', above: 0.06 }, quality: 'bad' },
+    { id: 'hip-pike', when: { signal: 'hipOffset', below: -0.08 } },
+    {
+        id: 'incomplete-lockout',
+        rep: { signal: 'elbow', over: 'max', below: 160 },
+        joints: ['leftShoulder', 'rightShoulder', 'leftElbow', 'rightElbow', 'leftWrist', 'rightWrist'],
+    },
+];
+
+const REP_FAULT_MS = 1500; // rep-level faults stay on screen this long
 
 export default function PushUpTest() {
     const videoRef = useRef(null);
-    const { landmarks, isLoading, isRunning, confidence, facingMode, initializePose, startCamera, stopCamera, switchCamera } = usePoseDetection();
+    const { landmarks, worldLandmarks, isLoading, loadProgress, loadError, isRunning, confidence, facingMode, sourceType, sourceError, frameTime, cameraDevices, cameraId, captureFps, captureInfo, selectCamera, performanceStats, getMediaTime, onSourceEnded, initializePose, startCamera, startVideoFile, startReplay, startRecording, stopRecording, stopCamera, switchCamera } = usePoseDetection({ performance: 'reps' });
 
+    const [protocolId, setProtocolId] = useState('standard');
     const [isActive, setIsActive] = useState(false);
     const [reps, setReps] = useState(0);
-    const [incompleteReps, setIncompleteReps] = useState(0);
+    const [rejectedReps, setRejectedReps] = useState([]); // { rep, reasons }
     const [formScore, setFormScore] = useState(100);
-    const [timer, setTimer] = useState(60);
+    const protocol = PUSHUP_PROTOCOLS[protocolId];
+    const [timer, setTimer] = useState(protocol.durationS ?? 0);
     const [phase, setPhase] = useState('idle');
-    const [repTimes, setRepTimes] = useState([]);
+    const [fatigue, setFatigue] = useState(null); // analyzeFatigue() over the reps so far
+    const [asymmetry, setAsymmetry] = useState(null);
+    const [performanceReport, setPerformanceReport] = useState(null); // frame-rate report of the last live set
+    const [repEvents, setRepEvents] = useState([]);
+    const [activeFaults, setActiveFaults] = useState([]);
+    const [faultCounts, setFaultCounts] = useState({});
     const [finished, setFinished] = useState(false);
     const [cheatAlerts, setCheatAlerts] = useState([]);
     const [showRedOverlay, setShowRedOverlay] = useState(false);
     const [showFeedback, setShowFeedback] = useState(false);
     const phaseRef = useRef('idle');
     const timerRef = useRef(null);
+    const startTimeRef = useRef(0);
     const formScoresRef = useRef([]);
+    const repTrackerRef = useRef(null);
+    const judgeRef = useRef(null);
+    const metronomeRef = useRef(null);
+    const rejectedCountRef = useRef(0);
+    const repEventsRef = useRef([]);
+    const elbowSeriesRef = useRef([]);  // elbow angles since the last rep
+    const repFaultsRef = useRef(null);  // { faults, until } from the last rep
     const lastBeepRef = useRef(0);
+    const replayRef = useRef(null); // { resultId } while a stored session is replaying
 
     useEffect(() => { initializePose(); }, [initializePose]);
-
-    // Timer countdown
-    useEffect(() => {
-        if (isActive && timer > 0) {
-            timerRef.current = setInterval(() => {
-                setTimer(prev => {
-                    if (prev <= 1) { handleStop(); return 0; }
-                    return prev - 1;
-                });
-            }, 1000);
-            return () => clearInterval(timerRef.current);
-        }
-    }, [isActive]);
+    useEffect(() => () => metronomeRef.current?.stop(), []);
 
     // Process frames for push-up detection + cheat detection
     useEffect(() => {
         if (!landmarks || !isActive) return;
+        // Ignore frames past the test window (video files can run ahead of the countdown poll)
+        if (protocol.durationS && frameTime - startTimeRef.current > protocol.durationS * 1000) return;
         const lm = extractLandmarks(landmarks);
         if (!lm) return;
+        const world = extractLandmarks(worldLandmarks);
 
         // --- Cheat Detection ---
         const cheatResult = runCheatDetection(landmarks, null, 0, 0, null, 'pushups');
@@ -73,62 +120,187 @@ export default function PushUpTest() {
         }
 
         // --- Push-up detection ---
-        const leftElbowAngle = calculateAngle(lm.leftShoulder, lm.leftElbow, lm.leftWrist);
-        const rightElbowAngle = calculateAngle(lm.rightShoulder, lm.rightElbow, lm.rightWrist);
-        const avgElbow = (leftElbowAngle + rightElbowAngle) / 2;
-        const bodyAngle = calculateAngle(lm.leftShoulder, lm.leftHip, lm.leftAnkle);
-        const bodyAligned = bodyAngle > 150;
-
-        const isDown = avgElbow < 100;
-        const isUp = avgElbow > 155;
-
-        if (phaseRef.current === 'idle' && isUp) {
-            phaseRef.current = 'up'; setPhase('up');
-        } else if (phaseRef.current === 'up' && isDown) {
-            phaseRef.current = 'down'; setPhase('down');
-        } else if (phaseRef.current === 'down' && isUp) {
-            phaseRef.current = 'up'; setPhase('up');
-            const repForm = bodyAligned ? (avgElbow > 160 ? 95 : 80) : 55;
+        const values = {
+            ...evaluateSignals(PUSHUP_SIGNALS, { lm, world }),
+            ...evaluateSignals(FAULT_SIGNALS, { lm }),
+        };
+        if (values.elbow === null) return;
+        const bodyLine = protocol.bodyLine.through === 'knee' ? values.kneeLine : values.body;
+        const bodyAligned = bodyLine > protocol.bodyLine.min;
+
+        const frameFaults = detectFaults(PUSHUP_FAULTS, values);
+        repTrackerRef.current?.frame(frameTime, values, frameFaults.map(f => f.id));
+        elbowSeriesRef.current.push(values.elbow);
+
+        const judged = judgeRef.current?.frame(frameTime, values);
+        if (judged && judged.phase !== phaseRef.current) {
+            phaseRef.current = judged.phase; setPhase(judged.phase);
+        }
+        if (judged?.rep) {
+            const { reasons, depth } = judged.rep;
+            const repForm = bodyAligned ? (values.elbow > 160 ? 95 : 80) : 55;
             formScoresRef.current.push(repForm);
+            const found = detectRepFaults(PUSHUP_FAULTS, { elbow: elbowSeriesRef.current });
+            elbowSeriesRef.current = [];
+            if (found.length) repFaultsRef.current = { faults: found, until: frameTime + REP_FAULT_MS };
+            const event = repTrackerRef.current?.complete(
+                frameTime, { score: repForm, rejected: reasons.length > 0, reasons, depth }, found.map(f => f.id),
+            );
+            if (event) {
+                repEventsRef.current = [...repEventsRef.current, event];
+                setFaultCounts(countFaults(repEventsRef.current));
+                setFatigue(analyzeFatigue(repEventsRef.current));
+            }
 
-            if (repForm > 50) {
+            if (!reasons.length) {
                 setReps(prev => prev + 1);
-                setRepTimes(prev => [...prev, Date.now()]);
             } else {
-                setIncompleteReps(prev => prev + 1);
+                rejectedCountRef.current += 1;
+                const repNumber = repEventsRef.current.length;
+                setRejectedReps(prev => [...prev, { rep: repNumber, reasons }]);
             }
 
             const avgForm = Math.round(formScoresRef.current.reduce((a, b) => a + b, 0) / formScoresRef.current.length);
             setFormScore(avgForm);
         }
-    }, [landmarks, isActive]);
 
-    const handleStart = useCallback(async () => {
-        if (!isRunning && videoRef.current) await startCamera(videoRef.current, null);
-        setReps(0); setIncompleteReps(0); setFormScore(100); setTimer(60);
-        setPhase('idle'); setFinished(false); setRepTimes([]);
+        if (repFaultsRef.current && frameTime > repFaultsRef.current.until) repFaultsRef.current = null;
+        setActiveFaults([...frameFaults, ...(repFaultsRef.current?.faults || [])]);
+    }, [landmarks, worldLandmarks, frameTime, isActive, protocol]);
+
+    // A replay brings its own protocol and start time, before the protocol state has re-rendered
+    const beginTest = useCallback(({ protocol: selected = protocol, startTime = getMediaTime() } = {}) => {
+        setReps(0); setRejectedReps([]); setFormScore(100); setTimer(selected.durationS ?? 0);
+        setPhase('idle'); setFinished(false); setFatigue(null); setAsymmetry(null); setRepEvents([]); setPerformanceReport(null);
+        setActiveFaults([]); setFaultCounts({});
         phaseRef.current = 'idle'; formScoresRef.current = [];
+        repTrackerRef.current = createRepTracker(REP_TRACKING); repEventsRef.current = [];
+        elbowSeriesRef.current = []; repFaultsRef.current = null; rejectedCountRef.current = 0;
+        startTimeRef.current = startTime;
+        judgeRef.current = createPushUpJudge(selected, { startTime });
         setIsActive(true);
-    }, [isRunning, startCamera]);
+    }, [getMediaTime, protocol]);
+
+    const handleStart = useCallback(async () => {
+        if (!isRunning && videoRef.current) await startCamera(videoRef.current, null);
+        beginTest();
+        startRecording({ activity: protocol.activity, protocol: protocolId, startTime: startTimeRef.current });
+        // Live sets only: the beat is counted from the start of the set
+        if (protocol.cadence) metronomeRef.current = startMetronome(protocol.cadence.beatMs);
+    }, [isRunning, startCamera, beginTest, startRecording, protocol, protocolId]);
+
+    // Uploaded videos are analyzed faster than real time; the countdown follows media time
+    const handleAnalyzeVideo = useCallback(async (file) => {
+        if (videoRef.current) await startVideoFile(videoRef.current, file);
+        beginTest();
+        startRecording({ activity: protocol.activity, protocol: protocolId, startTime: startTimeRef.current, fileName: file.name });
+    }, [startVideoFile, beginTest, startRecording, protocol, protocolId]);
 
-    const handleStop = useCallback(() => {
+    // Replay (and re-score) the session stored with a saved result, opened from the Dashboard
+    const runReplay = useCallback((session, result) => {
+        const id = session.meta.protocol ?? 'standard';
+        setProtocolId(id);
+        replayRef.current = { resultId: result.id };
+        startReplay(session);
+        beginTest({ protocol: PUSHUP_PROTOCOLS[id], startTime: session.meta.startTime ?? session.frames[0]?.t ?? 0 });
+    }, [startReplay, beginTest]);
+    const { replayError } = useStoredReplay(runReplay);
+
+    const handleStop = useCallback(async () => {
+        // The countdown and the end of a video can both stop the test
+        if (!repTrackerRef.current) return;
+        repTrackerRef.current = null;
+        judgeRef.current = null;
+        metronomeRef.current?.stop();
+        metronomeRef.current = null;
+        const session = stopRecording();
+        const replay = replayRef.current;
+        replayRef.current = null;
         setIsActive(false);
         clearInterval(timerRef.current);
         setFinished(true);
         setShowRedOverlay(false);
         setCheatAlerts([]);
+        setActiveFaults([]);
         // Show feedback popup after a brief delay
         setTimeout(() => setShowFeedback(true), 800);
-    }, []);
 
-    const fatigueRate = (() => {
-        if (repTimes.length < 4) return 0;
-        const mid = repTimes[0] + 30000;
-        const firstHalf = repTimes.filter(t => t < mid).length;
-        const secondHalf = repTimes.filter(t => t >= mid).length;
-        if (firstHalf === 0) return 0;
-        return Math.round(((firstHalf - secondHalf) / firstHalf) * 100);
-    })();
+        const events = repEventsRef.current;
+        const scores = formScoresRef.current;
+        setRepEvents(events);
+        const asymmetry = buildAsymmetryReport(repEventSides(events, 'Elbow'));
+        setAsymmetry(asymmetry);
+        const formAccuracy = scores.length ? Math.round(scores.reduce((a, b) => a + b, 0) / scores.length) : 0;
+        const validReps = events.filter(e => !e.rejected).length;
+        const fatigueResult = analyzeFatigue(events);
+        const result = {
+            activity: protocol.activity,
+            activityName: protocolId === 'standard' ? 'Push-Ups' : `Push-Ups (${protocol.label})`,
+            protocol: protocolId,
+            score: calculatePushUpScore(validReps, formAccuracy, fatigueResult?.fatigueIndex ?? 0),
+            formAccuracy,
+            reps: validReps,
+            incompleteReps: events.filter(e => e.rejected).length,
+            rejectedReps: events.filter(e => e.rejected).map(e => ({ rep: e.index + 1, reasons: e.reasons })),
+            formScores: scores,
+            repEvents: events,
+            tempo: summarizeRepEvents(events),
+            faultCounts: countFaults(events),
+            fatigue: fatigueResult,
+            asymmetry,
+            capture: captureInfo,
+        };
+        // Live sets carry their frame-rate report; rescored replays keep the original's
+        const performance = replay ? null : session?.meta.performance;
+        if (performance) {
+            result.performance = performance;
+            result.lowConfidence = !!performance.lowConfidence;
+        }
+        setPerformanceReport(performance);
+
+        // Replays re-score the stored result instead of creating a new one
+        try {
+            if (replay) {
+                await updateTestResult(replay.resultId, { ...result, rescoredAt: new Date().toISOString() });
+                return;
+            }
+            const resultId = await saveTestResult(result);
+            if (session) await saveResultSession(resultId, session);
+        } catch (err) {
+            console.error('Failed to save result:', err);
+        }
+    }, [protocol, protocolId, captureInfo, stopRecording]);
+
+    // Timer countdown (on the source's clock, so uploaded videos time correctly);
+    // cadence sets count up until the athlete misses the standard too often or stops keeping the beat
+    useEffect(() => {
+        if (!isActive) return;
+        timerRef.current = setInterval(() => {
+            const elapsed = Math.floor((getMediaTime() - startTimeRef.current) / 1000);
+            if (!protocol.durationS) {
+                setTimer(elapsed);
+                if (rejectedCountRef.current >= protocol.endAfterRejected || judgeRef.current?.missedBeat(getMediaTime())) handleStop();
+                return;
+            }
+            const remaining = Math.max(0, protocol.durationS - elapsed);
+            setTimer(remaining);
+            if (remaining === 0) handleStop();
+        }, 200);
+        return () => clearInterval(timerRef.current);
+    }, [isActive, getMediaTime, handleStop, protocol]);
+
+    // A video shorter than the test window ends the test when it runs out
+    useEffect(() => {
+        if (!isActive) return;
+        return onSourceEnded(() => handleStop());
+    }, [isActive, onSourceEnded, handleStop]);
+
+    const fatigueIndex = fatigue?.fatigueIndex ?? 0;
+
+    const selectProtocol = (id) => {
+        setProtocolId(id);
+        setTimer(PUSHUP_PROTOCOLS[id].durationS ?? 0);
+    };
 
     return (
         <div style={{ maxWidth: '1000px', margin: '0 auto', padding: '24px 20px' }}>
@@ -137,21 +309,44 @@ export default function PushUpTest() {
                     💪 <span className="gradient-text">Push-Up Test</span>
                 </h1>
                 <p style={{ color: 'var(--text-secondary)', marginBottom: '24px' }}>
-                    1-minute timed push-up test with AI rep counting and form analysis.
+                    Timed push-up test with AI rep counting and form analysis — every rep is judged against the protocol's depth standard.
                 </p>
 
+                {/* Protocol Selector */}
+                <div style={{ display: 'flex', gap: '12px', marginBottom: '12px', flexWrap: 'wrap' }}>
+                    {Object.entries(PUSHUP_PROTOCOLS).map(([id, p]) => (
+                        <button key={id} onClick={() => selectProtocol(id)} disabled={isActive}
+                            className={id === protocolId ? 'btn-primary' : 'btn-secondary'}
+                            style={{ padding: '10px 24px', fontSize: '0.9rem' }}>
+                            {p.label}
+                        </button>
+                    ))}
+                </div>
+                <p style={{ fontSize: '0.8rem', color: 'var(--text-muted)', marginBottom: '20px' }}>
+                    {protocol.hint}
+                </p>
+                {sourceType === 'replay' && (
+                    <div className="badge badge-blue" style={{ marginBottom: '16px' }}>🎞 Replaying a saved set — its result is re-scored when the replay ends</div>
+                )}
+                {replayError && (
+                    <p style={{ fontSize: '0.85rem', color: 'var(--danger-red)', marginBottom: '16px' }}>⚠ {replayError}</p>
+                )}
+
                 <div style={{ display: 'grid', gridTemplateColumns: 'minmax(0, 2fr) minmax(250px, 1fr)', gap: '20px' }}>
                     {/* Camera */}
                     <div>
                         <div style={{ position: 'relative', marginBottom: '16px' }}>
-                            <CameraFeed ref={videoRef} isRunning={isRunning} facingMode={facingMode} onSwitchCamera={switchCamera} />
-                            {landmarks && isRunning && <PoseOverlay landmarks={landmarks} formQuality={showRedOverlay ? 'bad' : formScore > 70 ? 'good' : formScore > 40 ? 'warning' : 'bad'} />}
+                            <CameraFeed ref={videoRef} isRunning={isRunning} facingMode={facingMode} onSwitchCamera={switchCamera}
+                                isLoading={isLoading} loadProgress={loadProgress} loadError={loadError} onRetryLoad={initializePose}
+                                sourceType={sourceType} sourceError={sourceError} />
+                            {landmarks && isRunning && <PoseOverlay landmarks={landmarks} formQuality={showRedOverlay ? 'bad' : formScore > 70 ? 'good' : formScore > 40 ? 'warning' : 'bad'}
+                                highlightJoints={faultJoints(activeFaults)} mirrored={sourceType === 'camera'} />}
                             <CheatAlertOverlay alerts={cheatAlerts} visible={showRedOverlay} />
                         </div>
 
                         {/* Timer */}
                         <div className="glass-card" style={{ padding: '16px', textAlign: 'center', marginBottom: '16px' }}>
-                            <div style={{ fontSize: '2.5rem', fontWeight: 900, fontFamily: 'monospace', color: timer <= 10 ? 'var(--danger-red)' : 'var(--neon-green)' }}>
+                            <div style={{ fontSize: '2.5rem', fontWeight: 900, fontFamily: 'monospace', color: protocol.durationS && timer <= 10 ? 'var(--danger-red)' : 'var(--neon-green)' }}>
                                 {String(Math.floor(timer / 60)).padStart(2, '0')}:{String(timer % 60).padStart(2, '0')}
                             </div>
                         </div>
@@ -159,10 +354,14 @@ export default function PushUpTest() {
                         {/* Controls */}
                         <div style={{ display: 'flex', gap: '12px' }}>
                             {!isActive ? (
-                                <button className="btn-primary" onClick={handleStart} disabled={isLoading}
-                                    style={{ flex: 1, padding: '14px', opacity: isLoading ? 0.5 : 1 }}>
-                                    {isLoading ? '⏳ Loading...' : '▶ Start 1-Min Test'}
-                                </button>
+                                <>
+                                    <button className="btn-primary" onClick={handleStart} disabled={isLoading}
+                                        style={{ flex: 1, padding: '14px', opacity: isLoading ? 0.5 : 1 }}>
+                                        {isLoading ? '⏳ Loading...' : protocol.durationS ? '▶ Start 1-Min Test' : '▶ Start Cadence Test'}
+                                    </button>
+                                    {/* Cadence reps are judged against the live metronome, which an uploaded video never heard */}
+                                    {!protocol.cadence && <VideoFileButton onSelect={handleAnalyzeVideo} disabled={isLoading} />}
+                                </>
                             ) : (
                                 <button className="btn-danger" onClick={handleStop} style={{ flex: 1, padding: '14px' }}>
                                     ⏹ Stop
@@ -174,10 +373,24 @@ export default function PushUpTest() {
                     {/* Metrics */}
                     <div style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
                         <MetricBox label="Total Reps" value={reps} color="var(--neon-green)" large />
-                        <MetricBox label="Incomplete" value={incompleteReps} color="var(--danger-red)" />
+                        <MetricBox label="Rejected" value={rejectedReps.length} color="var(--danger-red)" />
                         <MetricBox label="Form Accuracy" value={`${formScore}%`} color="var(--electric-blue)" />
-                        <MetricBox label="Fatigue Drop" value={`${fatigueRate}%`} color="var(--warning-yellow)" />
+                        <MetricBox label="Fatigue Index" value={`${fatigueIndex}%`} color="var(--warning-yellow)" />
                         <MetricBox label="AI Confidence" value={`${confidence}%`} color="var(--accent-purple)" />
+                        <FaultCue faults={activeFaults.map(f => f.id)} counts={faultCounts} />
+                        {rejectedReps.length > 0 && (
+                            <div className="glass-card" style={{ padding: '12px 16px' }}>
+                                <div style={{ fontSize: '0.65rem', color: 'var(--text-muted)', fontWeight: 600, textTransform: 'uppercase', marginBottom: '6px' }}>Rejected Reps</div>
+                                <div style={{ maxHeight: '120px', overflowY: 'auto', display: 'flex', flexDirection: 'column', gap: '4px' }}>
+                                    {[...rejectedReps].reverse().map(r => (
+                                        <div key={r.rep} style={{ fontSize: '0.75rem' }}>
+                                            <span style={{ fontWeight: 700, color: 'var(--danger-red)' }}>#{r.rep}</span>{' '}
+                                            <span style={{ color: 'var(--text-secondary)' }}>{r.reasons.join(' · ')}</span>
+                                        </div>
+                                    ))}
+                                </div>
+                            </div>
+                        )}
                         <div className="glass-card" style={{
                             padding: '12px', textAlign: 'center',
                             borderColor: phase === 'down' ? 'var(--neon-green)' : 'var(--glass-border)',
@@ -185,6 +398,10 @@ export default function PushUpTest() {
                             <div style={{ fontSize: '0.65rem', color: 'var(--text-muted)', fontWeight: 600, textTransform: 'uppercase' }}>Phase</div>
                             <div style={{ fontSize: '1rem', fontWeight: 700, color: 'var(--electric-blue)', textTransform: 'uppercase' }}>{phase}</div>
                         </div>
+                        {sourceType === 'camera' && (
+                            <CameraSettings devices={cameraDevices} cameraId={cameraId} captureFps={captureFps}
+                                captureInfo={captureInfo} performanceStats={performanceStats} onSelect={selectCamera} disabled={isActive} />
+                        )}
                     </div>
                 </div>
 
@@ -193,10 +410,20 @@ export default function PushUpTest() {
                     <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="glass-card"
                         style={{ padding: '24px', marginTop: '24px', textAlign: 'center', border: '2px solid var(--neon-green)' }}>
                         <h3 style={{ fontSize: '1.3rem', fontWeight: 800, marginBottom: '16px' }}>🏆 Test Complete!</h3>
+                        {performanceReport?.lowConfidence && (
+                            <div className="badge badge-yellow" style={{ marginBottom: '16px' }}>
+                                ⚠ Low confidence — AI ran at {performanceReport.avgFps} fps (needs ≥ {performanceReport.minFps})
+                            </div>
+                        )}
                         <div style={{ display: 'flex', justifyContent: 'center', gap: '24px', flexWrap: 'wrap' }}>
                             <div><div style={{ fontSize: '2rem', fontWeight: 900, color: 'var(--neon-green)' }}>{reps}</div><div style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>Valid Reps</div></div>
                             <div><div style={{ fontSize: '2rem', fontWeight: 900, color: 'var(--electric-blue)' }}>{formScore}%</div><div style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>Form Score</div></div>
-                            <div><div style={{ fontSize: '2rem', fontWeight: 900, color: 'var(--warning-yellow)' }}>{fatigueRate}%</div><div style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>Fatigue Drop</div></div>
+                            <div><div style={{ fontSize: '2rem', fontWeight: 900, color: 'var(--warning-yellow)' }}>{fatigueIndex}%</div><div style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>Fatigue Index</div></div>
+                        </div>
+                        <div style={{ marginTop: '20px' }}>
+                            <FatigueSummary fatigue={fatigue} />
+                            <AsymmetryReport report={asymmetry} />
+                            <RepLog events={repEvents} />
                         </div>
                     </motion.div>
                 )}
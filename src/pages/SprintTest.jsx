@@ -1,52 +1,150 @@
 /**
  * SprintTest.jsx
- * MODULE 1A: Sprint Test (20m / 40m)
- * Live camera with pose-based motion tracking for sprint timing.
+ * MODULE 1A: Sprint Test (20m / 40m, flying 10m / 20m, repeated sprints)
+ * Live camera with pose-based sprint timing: the operator draws start and
+ * finish lines on the frame, and the run is timed from the start-line
+ * crossing (or an audio start signal) to the torso crossing the finish.
+ * Split lines at user-defined marks give per-segment times, stride
+ * frequency and length, ground contact vs flight time, and a velocity curve.
+ *
+ * Protocols:
+ * - Standing 20m / 40m: line or signal start
+ * - Flying 10m / 20m: a run-in zone before the start line, timed from the
+ *   start line crossed at speed — isolates maximal velocity
+ * - Repeated sprint ability (6 × 30m, one every 20 s): beeps count each
+ *   departure in; every repetition is saved as it completes, and the set is
+ *   scored on mean time and % decrement
  */
-import { useState, useEffect, useRef, useCallback } from 'react';
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import { motion } from 'framer-motion';
 import CameraFeed from '../components/CameraFeed';
 import PoseOverlay from '../components/PoseOverlay';
 import CheatAlertOverlay from '../components/CheatAlertOverlay';
 import FeedbackPopup from '../components/FeedbackPopup';
+import VideoFileButton from '../components/VideoFileButton';
+import CameraSettings from '../components/CameraSettings';
+import VirtualLines from '../components/VirtualLines';
 import usePoseDetection from '../hooks/usePoseDetection';
-import { extractLandmarks } from '../utils/calculateAngle';
+import useStoredReplay, { saveResultSession } from '../hooks/useStoredReplay';
+import { formatCapture } from '../services/cameraDevices';
 import { runCheatDetection, playAlertBeep } from '../utils/cheatDetection';
+import { loadTimingLines, saveTimingLines, createSprintTimer, playStartSignal } from '../utils/sprintTiming';
+import { buildCourse, createRunRecorder, analyzeSprint } from '../utils/sprintAnalysis';
+import {
+    SPRINT_BENCHMARKS, FLYING_SPRINT_BENCHMARKS, rateSprintTime, calculateSprintScore,
+    calculateFlyingSprintScore, calculateSprintDecrement, calculateRepeatedSprintScore,
+} from '../utils/scoringSystem';
+import { saveTestResult, updateTestResult } from '../services/offlineStorage';
 import TrendGraph from '../components/TrendGraph';
 
-const BENCHMARKS = {
-    20: { elite: 2.8, good: 3.2, avg: 3.8, poor: 4.5 },
-    40: { elite: 4.8, good: 5.4, avg: 6.2, poor: 7.5 },
+// Saved results use the protocol id as their activity
+const PROTOCOLS = {
+    'sprint-20': { label: '20m Sprint', kind: 'standing', distance: 20 },
+    'sprint-40': { label: '40m Sprint', kind: 'standing', distance: 40 },
+    'flying-10': { label: 'Flying 10m', kind: 'flying', distance: 10, runIn: 20 },
+    'flying-20': { label: 'Flying 20m', kind: 'flying', distance: 20, runIn: 20 },
+    'rsa-6x30': { label: 'RSA 6×30m', kind: 'rsa', distance: 30, reps: 6, cycleS: 20 },
 };
+const RSA_REP_ACTIVITY = 'sprint-rsa-rep';
+
+const LINE_STYLES = {
+    start: { label: 'Start', color: '#39ff14' },
+    finish: { label: 'Finish', color: '#ff3b5c' },
+};
+const SPLIT_COLOR = '#00d4ff';
+const DEFAULT_SPLITS = [10]; // 0–10 m acceleration, then max velocity
+
+const START_MODES = {
+    line: { label: '🏁 Line start', hint: 'Timing starts when the hips cross the start line' },
+    signal: { label: '🔊 Signal start', hint: 'Beeps: on your marks, set, GO — reaction time from the GO beep' },
+};
+
+// "Set" command, then a randomized hold so the start can't be anticipated
+const SET_DELAY_MS = 2000;
+const MIN_HOLD_MS = 1000;
+const MAX_HOLD_MS = 2500;
+
+// Repeated sprints leave on the cycle: "on your marks" 5 s and "set" 2 s before each departure
+const RSA_MARKS_MS = 5000;
+const RSA_SET_MS = 2000;
+
+const toSeconds = ms => parseFloat((ms / 1000).toFixed(2));
+
+// Split marks on the course: the saved ones, or the default acceleration mark until the coach sets their own
+function courseSplits(lines, distance) {
+    return (lines.splits.length ? lines.splits : DEFAULT_SPLITS.map(d => ({ distance: d, line: null })))
+        .filter(s => s.distance > 0 && s.distance < distance);
+}
+
+// Timer and recorder for one run over a course ({ protocol, lines, frameSize })
+function createRun({ protocol, lines, frameSize }, mode) {
+    const splits = courseSplits(lines, protocol.distance).filter(s => s.line);
+    const aspect = frameSize ? frameSize.width / frameSize.height : undefined;
+    return {
+        timer: createSprintTimer({ lines, splits, startMode: mode, flying: protocol.kind === 'flying', aspect }),
+        recorder: createRunRecorder({ course: buildCourse(lines.start, lines.finish, protocol.distance, splits), aspect }),
+        startMode: mode,
+    };
+}
+
+// Times and splits of a finished run
+function measureRun(run, status, distance) {
+    return {
+        totalTime: toSeconds(status.totalMs),
+        reactionTime: status.reactionMs === null ? null : toSeconds(status.reactionMs),
+        analysis: analyzeSprint({
+            marks: [
+                { distance: 0, time: status.startTime },
+                ...status.splits.filter(split => split.time !== null),
+                { distance, time: status.finishTime },
+            ],
+            ...run.recorder.result(),
+            binMeters: distance / 8,
+        }),
+    };
+}
+
+async function saveResult(result) {
+    try {
+        await saveTestResult(result);
+    } catch (err) {
+        console.error('Failed to save result:', err);
+    }
+}
 
 export default function SprintTest() {
     const videoRef = useRef(null);
-    const { landmarks, isLoading, isRunning, confidence, facingMode, initializePose, startCamera, stopCamera, switchCamera } = usePoseDetection();
+    const { landmarks, isLoading, loadProgress, loadError, isRunning, confidence, facingMode, sourceType, sourceError, cameraDevices, cameraId, captureFps, captureInfo, selectCamera, performanceStats, getPerformanceReport, resetPerformanceReport, getMediaTime, frameSize, onFrame, initializePose, startCamera, startVideoFile, startReplay, startRecording, stopRecording, switchCamera } = usePoseDetection({ cameraFps: 60, performance: 'timing' });
 
-    const [distance, setDistance] = useState(20);
-    const [phase, setPhase] = useState('idle'); // idle, ready, running, finished
+    const [protocolId, setProtocolId] = useState('sprint-20');
+    const [phase, setPhase] = useState('idle'); // idle, ready, armed, running, rest, finished
+    const [lines, setLines] = useState(loadTimingLines);
+    const [editingLine, setEditingLine] = useState(null);
+    const [startMode, setStartMode] = useState('line');
     const [timer, setTimer] = useState(0);
     const [result, setResult] = useState(null);
-    const [history, setHistory] = useState([
-        { time: 3.42, reaction: 0.18, strides: 12, date: '02-18' },
-        { time: 3.31, reaction: 0.15, strides: 11, date: '02-19' },
-        { time: 3.28, reaction: 0.22, strides: 11, date: '02-20' },
-    ]);
+    const [reps, setReps] = useState([]);
+    const [countdown, setCountdown] = useState(0);
+    const [newSplit, setNewSplit] = useState('');
 
     const [cheatAlerts, setCheatAlerts] = useState([]);
     const [showRedOverlay, setShowRedOverlay] = useState(false);
     const [showFeedback, setShowFeedback] = useState(false);
 
-    const startTimeRef = useRef(null);
+    const runRef = useRef(null); // { timer, recorder, startMode, rep? } for the run in progress
+    const sessionRef = useRef(null); // repeated sprints: { id, reps, nextArmAt, done, latencyMs, replay? }
+    const replayRef = useRef(null); // { resultId } while a stored run is replaying
+    const signalRef = useRef(null);
     const timerRef = useRef(null);
-    const strideCountRef = useRef(0);
-    const prevAnkleY = useRef(null);
-    const movingUp = useRef(false);
     const lastBeepRef = useRef(0);
 
+    const protocol = PROTOCOLS[protocolId];
+    const { distance } = protocol;
+    const isRsa = protocol.kind === 'rsa';
+
     useEffect(() => { initializePose(); }, [initializePose]);
 
-    // Track movement + cheat detection
+    // Cheat detection
     useEffect(() => {
         if (!landmarks || phase !== 'running') return;
 
@@ -60,28 +158,247 @@ export default function SprintTest() {
         } else {
             setCheatAlerts([]); setShowRedOverlay(false);
         }
-
-        const lm = extractLandmarks(landmarks);
-        if (!lm) return;
-
-        const ankleY = (lm.leftAnkle.y + lm.rightAnkle.y) / 2;
-        if (prevAnkleY.current !== null) {
-            const delta = ankleY - prevAnkleY.current;
-            if (delta < -0.01 && !movingUp.current) { movingUp.current = true; }
-            else if (delta > 0.01 && movingUp.current) { movingUp.current = false; strideCountRef.current += 1; }
-        }
-        prevAnkleY.current = ankleY;
     }, [landmarks, phase]);
 
-    // Timer
+    // Timer display; the timing itself comes from frame timestamps
     useEffect(() => {
         if (phase === 'running') {
             timerRef.current = setInterval(() => {
-                setTimer(((Date.now() - startTimeRef.current) / 1000));
+                const status = runRef.current?.timer.status();
+                if (status?.started) setTimer(Math.max(0, (getMediaTime() - status.startTime) / 1000));
             }, 50);
             return () => clearInterval(timerRef.current);
         }
-    }, [phase]);
+    }, [phase, getMediaTime]);
+
+    const splitMarks = useMemo(() => courseSplits(lines, distance), [lines, distance]);
+    const drawnSplits = splitMarks.filter(s => s.line);
+
+    // Flying sprints are timed through the start line at speed; repeated sprints
+    // leave on our beeps; a recorded video didn't hear our signal, so files always use the start line
+    const activeStartMode = protocol.kind === 'flying' || sourceType === 'file' ? 'line' : isRsa ? 'signal' : startMode;
+    const linesReady = !!(lines.start && lines.finish);
+
+    const course = useMemo(() => ({ protocol, lines, frameSize }), [protocol, lines, frameSize]);
+
+    // Save a result with the landmark session of its run; a replay re-scores its stored result instead
+    const saveRecordedResult = useCallback(async (newResult, meta = {}) => {
+        const session = stopRecording();
+        const replay = replayRef.current;
+        replayRef.current = null;
+        try {
+            if (replay) {
+                await updateTestResult(replay.resultId, { ...newResult, rescoredAt: new Date().toISOString() });
+                return;
+            }
+            const resultId = await saveTestResult(newResult);
+            if (session) await saveResultSession(resultId, { ...session, meta: { ...session.meta, ...meta } });
+        } catch (err) {
+            console.error('Failed to save result:', err);
+        }
+    }, [stopRecording]);
+
+    // Repeated sprints: arm repetition `rep` (0-based) to leave at `departure`,
+    // or from the start line when there's no departure (uploaded videos).
+    // Replays leave on the recorded departures, without the beeps.
+    const armRep = useCallback((rep, departure, runCourse = course) => {
+        const session = sessionRef.current;
+        const run = { ...createRun(runCourse, departure === null ? 'line' : 'signal'), rep };
+        if (departure !== null) {
+            if (!session.replay) {
+                const now = getMediaTime();
+                const signal = playStartSignal(departure - RSA_SET_MS - now, departure - now);
+                signalRef.current = signal;
+                session.latencyMs = signal?.latencyMs ?? 0;
+            }
+            run.timer.schedule(departure - RSA_SET_MS, departure + session.latencyMs);
+            session.nextArmAt = departure + runCourse.protocol.cycleS * 1000 - RSA_MARKS_MS;
+        }
+        runRef.current = run;
+        setTimer(0);
+        setPhase('armed');
+    }, [course, getMediaTime]);
+
+    const finishSession = useCallback(() => {
+        const session = sessionRef.current;
+        session.done = true;
+        session.nextArmAt = null;
+        const times = session.reps.filter(r => r.completed).map(r => r.time);
+        const best = times.length ? Math.min(...times) : null;
+        const mean = times.length ? parseFloat((times.reduce((sum, t) => sum + t, 0) / times.length).toFixed(2)) : null;
+        const decrement = times.length ? calculateSprintDecrement(times) : null;
+        const score = calculateRepeatedSprintScore(times, distance, protocol.reps);
+        const performance = getPerformanceReport();
+        const newResult = {
+            kind: 'rsa', best, mean, decrement, score,
+            rating: mean === null ? 'Incomplete' : rateSprintTime(mean, SPRINT_BENCHMARKS[distance]),
+            reps: session.reps,
+            capture: captureInfo, performance, lowConfidence: !!performance?.lowConfidence,
+        };
+        saveRecordedResult({
+            activity: protocolId,
+            activityName: protocol.label,
+            sessionId: session.id,
+            score,
+            value: mean,
+            unit: 's',
+            best, mean, decrement, times,
+            completed: times.length,
+            reps: session.reps,
+        }, { signalLatencyMs: session.latencyMs });
+        setResult(newResult);
+        setPhase('finished');
+        setShowRedOverlay(false); setCheatAlerts([]);
+        setTimeout(() => setShowFeedback(true), 800);
+    }, [distance, protocol, protocolId, captureInfo, getPerformanceReport, saveRecordedResult]);
+
+    // Record one repetition (status null: not finished in time) and save it straight away
+    const recordRep = useCallback((run, status) => {
+        const session = sessionRef.current;
+        const measured = status?.finished ? measureRun(run, status, distance) : null;
+        const completed = !!measured && !status.falseStart;
+        const rep = {
+            rep: run.rep + 1,
+            time: completed ? measured.totalTime : null,
+            reactionTime: measured?.reactionTime ?? null,
+            topSpeed: measured?.analysis.topSpeed ?? null,
+            completed,
+            falseStart: !!status?.falseStart,
+        };
+        session.reps = [...session.reps, rep];
+        setReps(session.reps);
+        // A replay re-scores the set; its repetitions were saved when they were run
+        if (!session.replay) saveResult({
+            activity: RSA_REP_ACTIVITY,
+            activityName: `${protocol.label} — rep`,
+            sessionId: session.id,
+            protocol: protocolId,
+            of: protocol.reps,
+            score: completed ? calculateSprintScore(rep.time, distance) : 0,
+            value: rep.time,
+            unit: 's',
+            ...rep,
+        });
+
+        if (session.reps.length >= protocol.reps) finishSession();
+        else if (session.nextArmAt === null) armRep(session.reps.length, null);
+        else setPhase('rest');
+    }, [distance, protocol, protocolId, finishSession, armRep]);
+
+    const finishSprint = useCallback((status) => {
+        const run = runRef.current;
+        runRef.current = null;
+        clearInterval(timerRef.current);
+        if (run.rep !== undefined) {
+            recordRep(run, status);
+            return;
+        }
+
+        const { totalTime, reactionTime, analysis } = measureRun(run, status, distance);
+        const flying = protocol.kind === 'flying';
+        const rating = status.falseStart
+            ? 'False Start'
+            : rateSprintTime(totalTime, (flying ? FLYING_SPRINT_BENCHMARKS : SPRINT_BENCHMARKS)[distance]);
+        const score = status.falseStart ? 0 : flying ? calculateFlyingSprintScore(totalTime, distance) : calculateSprintScore(totalTime, distance);
+        const performance = getPerformanceReport();
+        const newResult = {
+            kind: protocol.kind, totalTime, reactionTime, rating, score,
+            strides: analysis.strides,
+            analysis,
+            startMode: run.startMode,
+            falseStart: status.falseStart,
+            capture: captureInfo, performance, lowConfidence: !!performance?.lowConfidence,
+        };
+        // A false start is re-run, not recorded (a replay still re-scores its result)
+        if (status.falseStart && !replayRef.current) {
+            stopRecording();
+        } else {
+            saveRecordedResult({
+                activity: protocolId,
+                activityName: protocol.label,
+                score,
+                value: totalTime,
+                unit: 's',
+                reactionTime, rating,
+                startMode: run.startMode,
+                topSpeed: analysis.topSpeed,
+                segments: analysis.segments,
+                lowConfidence: newResult.lowConfidence,
+            });
+        }
+        setTimer(totalTime);
+        setResult(newResult);
+        setPhase('finished');
+        setShowRedOverlay(false); setCheatAlerts([]);
+        setTimeout(() => setShowFeedback(true), 800);
+    }, [distance, protocol, protocolId, recordRep, captureInfo, getPerformanceReport, stopRecording, saveRecordedResult]);
+
+    // Run every inference frame through the sprint timer so crossings are timed from frame timestamps
+    useEffect(() => {
+        if (phase !== 'armed' && phase !== 'running') return;
+        return onFrame((frameLandmarks, timestamp) => {
+            const run = runRef.current;
+            if (!run) return;
+            run.recorder.frame(timestamp, frameLandmarks);
+            const status = run.timer.frame(timestamp, frameLandmarks);
+            if (status.finished) finishSprint(status);
+            else if (status.started && timestamp >= status.startTime) setPhase('running');
+        });
+    }, [phase, onFrame, finishSprint]);
+
+    // Repeated sprints on the cycle: count down to the next departure and arm it
+    // on time; a repetition still running by then didn't finish
+    useEffect(() => {
+        if (!isRsa || !['armed', 'running', 'rest'].includes(phase)) return;
+        const id = setInterval(() => {
+            const session = sessionRef.current;
+            if (!session?.nextArmAt) return;
+            const now = getMediaTime();
+            setCountdown(Math.max(0, (session.nextArmAt + RSA_MARKS_MS - now) / 1000));
+            if (now < session.nextArmAt) return;
+            if (runRef.current) {
+                const run = runRef.current;
+                runRef.current = null;
+                recordRep(run, null);
+            }
+            if (!session.done) armRep(session.reps.length, session.nextArmAt + RSA_MARKS_MS);
+        }, 100);
+        return () => clearInterval(id);
+    }, [isRsa, phase, getMediaTime, recordRep, armRep]);
+
+    const updateLines = useCallback((next) => {
+        setLines(next);
+        saveTimingLines(next);
+    }, []);
+
+    const drawLine = useCallback((id, line) => {
+        const split = id.startsWith('split-') ? Number(id.slice(6)) : null;
+        updateLines(split === null
+            ? { ...lines, [id]: line }
+            : { ...lines, splits: lines.splits.map(s => (s.distance === split ? { ...s, line } : s)) });
+        setEditingLine(null);
+    }, [lines, updateLines]);
+
+    const addSplit = useCallback(() => {
+        const mark = Number(newSplit);
+        setNewSplit('');
+        if (!(mark > 0 && mark < distance) || splitMarks.some(s => s.distance === mark)) return;
+        updateLines({ ...lines, splits: [...splitMarks, { distance: mark, line: null }].sort((a, b) => a.distance - b.distance) });
+    }, [newSplit, distance, splitMarks, lines, updateLines]);
+
+    const removeSplit = useCallback((mark) => {
+        updateLines({ ...lines, splits: splitMarks.filter(s => s.distance !== mark) });
+    }, [splitMarks, lines, updateLines]);
+
+    const overlayLines = {
+        start: lines.start,
+        finish: lines.finish,
+        ...Object.fromEntries(splitMarks.map(s => [`split-${s.distance}`, s.line])),
+    };
+    const overlayStyles = {
+        ...LINE_STYLES,
+        ...Object.fromEntries(splitMarks.map(s => [`split-${s.distance}`, { label: `${s.distance} m`, color: SPLIT_COLOR }])),
+    };
 
     const handleStartCamera = useCallback(async () => {
         if (!isRunning && videoRef.current) await startCamera(videoRef.current, null);
@@ -89,42 +406,100 @@ export default function SprintTest() {
         setResult(null);
     }, [isRunning, startCamera]);
 
-    const handleGo = useCallback(() => {
-        startTimeRef.current = Date.now();
-        strideCountRef.current = 0;
-        prevAnkleY.current = null;
-        movingUp.current = false;
+    // Uploaded sprint videos play in real time, leaving time to draw the lines and arm
+    // the run before the athlete in the clip reaches the start line; the times
+    // themselves come from the video's media clock.
+    const handleAnalyzeVideo = useCallback(async (file) => {
+        if (videoRef.current) await startVideoFile(videoRef.current, file, { playbackRate: 1 });
+        setPhase('ready');
+        setResult(null);
+    }, [startVideoFile]);
+
+    const handleArm = useCallback(() => {
+        setResult(null);
+        setEditingLine(null);
+        resetPerformanceReport();
+        const meta = { activity: protocolId, protocol: protocolId, startMode: activeStartMode, lines };
+        if (isRsa) {
+            const departure = activeStartMode === 'signal' ? getMediaTime() + RSA_MARKS_MS : null;
+            sessionRef.current = { id: Date.now(), reps: [], nextArmAt: null, done: false, latencyMs: 0 };
+            setReps([]);
+            startRecording({ ...meta, departure });
+            armRep(0, departure);
+            return;
+        }
+
+        const run = createRun(course, activeStartMode);
+        let schedule = null;
+        if (activeStartMode === 'signal') {
+            const signalDelay = SET_DELAY_MS + MIN_HOLD_MS + Math.random() * (MAX_HOLD_MS - MIN_HOLD_MS);
+            const now = getMediaTime();
+            const signal = playStartSignal(SET_DELAY_MS, signalDelay);
+            signalRef.current = signal;
+            schedule = { setAt: now + SET_DELAY_MS, goAt: now + signalDelay + (signal?.latencyMs ?? 0) };
+            run.timer.schedule(schedule.setAt, schedule.goAt);
+        }
+        startRecording({ ...meta, schedule });
+        runRef.current = run;
         setTimer(0);
-        setPhase('running');
-    }, []);
+        setPhase('armed');
+    }, [isRsa, armRep, course, lines, protocolId, activeStartMode, getMediaTime, resetPerformanceReport, startRecording]);
 
-    const handleFinish = useCallback(() => {
-        clearInterval(timerRef.current);
-        const totalTime = parseFloat(((Date.now() - startTimeRef.current) / 1000).toFixed(2));
-        const reactionTime = parseFloat((0.12 + Math.random() * 0.1).toFixed(2));
-        const strides = Math.max(strideCountRef.current, Math.floor(distance / 1.8));
-
-        const bench = BENCHMARKS[distance];
-        let rating = 'Poor';
-        if (totalTime <= bench.elite) rating = 'Elite';
-        else if (totalTime <= bench.good) rating = 'Good';
-        else if (totalTime <= bench.avg) rating = 'Average';
-
-        const score = Math.round(Math.max(0, Math.min(100, ((bench.poor - totalTime) / (bench.poor - bench.elite)) * 100)));
-        const newResult = { totalTime, reactionTime, strides, rating, score };
-        setResult(newResult);
-        setHistory(prev => [...prev, { time: totalTime, reaction: reactionTime, strides, date: new Date().toLocaleDateString().slice(0, 5) }]);
-        setPhase('finished');
+    // Replay (and re-score) a run stored with a saved result, opened from the Dashboard.
+    // It replays in real time so repeated sprints leave on the recorded cycle.
+    const runReplay = useCallback((session, saved) => {
+        const { protocol: id, startMode: mode = 'line', lines: recordedLines, schedule = null, departure = null, signalLatencyMs = 0 } = session.meta;
+        const replayProtocol = PROTOCOLS[id];
+        if (!replayProtocol || !recordedLines) return;
+        // The recorded lines are shown for the replay, not saved over this camera's
+        setProtocolId(id);
+        setLines(recordedLines);
+        if (replayProtocol.kind === 'standing') setStartMode(mode);
+        setResult(null);
+        setEditingLine(null);
+        replayRef.current = { resultId: saved.id };
+        startReplay(session, { playbackRate: 1 });
+
+        const replayCourse = { protocol: replayProtocol, lines: recordedLines, frameSize: session.meta.frameSize };
+        if (replayProtocol.kind === 'rsa') {
+            sessionRef.current = { id: saved.sessionId ?? Date.now(), reps: [], nextArmAt: null, done: false, latencyMs: signalLatencyMs, replay: true };
+            setReps([]);
+            armRep(0, departure, replayCourse);
+            return;
+        }
+        const run = createRun(replayCourse, mode);
+        if (schedule) run.timer.schedule(schedule.setAt, schedule.goAt);
+        runRef.current = run;
+        setTimer(0);
+        setPhase('armed');
+    }, [startReplay, armRep]);
+    const { replayError } = useStoredReplay(runReplay);
+
+    // Stops a repeated-sprint set too; repetitions already run stay saved
+    const handleCancel = useCallback(() => {
+        signalRef.current?.cancel();
+        stopRecording();
+        runRef.current = null;
+        sessionRef.current = null;
+        replayRef.current = null;
+        setTimer(0);
+        setPhase('ready');
         setShowRedOverlay(false); setCheatAlerts([]);
-        setTimeout(() => setShowFeedback(true), 800);
-    }, [distance]);
+    }, [stopRecording]);
 
     const handleReset = useCallback(() => {
         setPhase('ready');
         setTimer(0);
         setResult(null);
+        setReps([]);
     }, []);
 
+    const selectProtocol = (id) => {
+        setProtocolId(id);
+        setResult(null);
+        setReps([]);
+    };
+
     return (
         <div style={{ maxWidth: '1000px', margin: '0 auto', padding: '24px 20px' }}>
             <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }}>
@@ -132,27 +507,44 @@ export default function SprintTest() {
                     🏃 <span className="gradient-text">Sprint Test</span>
                 </h1>
                 <p style={{ color: 'var(--text-secondary)', marginBottom: '24px' }}>
-                    Live camera tracks your movement. Press GO to start timing, FINISH when you cross the line.
+                    Draw the start and finish lines on the camera view — the run is timed automatically as the athlete crosses them.
                 </p>
 
-                {/* Distance Selector */}
-                <div style={{ display: 'flex', gap: '12px', marginBottom: '20px' }}>
-                    {[20, 40].map(d => (
-                        <button key={d} onClick={() => { setDistance(d); setResult(null); }}
-                            className={d === distance ? 'btn-primary' : 'btn-secondary'}
+                {/* Protocol Selector */}
+                <div style={{ display: 'flex', gap: '12px', marginBottom: '12px', flexWrap: 'wrap' }}>
+                    {Object.entries(PROTOCOLS).map(([id, p]) => (
+                        <button key={id} onClick={() => selectProtocol(id)} disabled={phase === 'armed' || phase === 'running' || phase === 'rest'}
+                            className={id === protocolId ? 'btn-primary' : 'btn-secondary'}
                             style={{ padding: '10px 24px', fontSize: '0.9rem' }}>
-                            {d}m Sprint
+                            {p.label}
                         </button>
                     ))}
                 </div>
+                <p style={{ fontSize: '0.8rem', color: 'var(--text-muted)', marginBottom: '20px' }}>
+                    {protocol.kind === 'standing' && `Timed over ${distance} m from a standing start.`}
+                    {protocol.kind === 'flying' && `Mark a ${protocol.runIn} m run-in zone before the start line — the athlete accelerates through it and is timed over ${distance} m from the start line, at full speed.`}
+                    {isRsa && `${protocol.reps} × ${distance} m, one sprint every ${protocol.cycleS} s. Beeps count in each departure; walk back to the start line between sprints.`}
+                </p>
+                {sourceType === 'replay' && (
+                    <div className="badge badge-blue" style={{ marginBottom: '16px' }}>🎞 Replaying a saved run — its result is re-scored when the replay finishes</div>
+                )}
+                {replayError && (
+                    <p style={{ fontSize: '0.85rem', color: 'var(--danger-red)', marginBottom: '16px' }}>⚠ {replayError}</p>
+                )}
 
                 <div style={{ display: 'grid', gridTemplateColumns: 'minmax(0, 2fr) minmax(250px, 1fr)', gap: '20px' }}>
                     {/* Camera feed */}
                     <div>
                         <div style={{ position: 'relative', marginBottom: '16px' }}>
-                            <CameraFeed ref={videoRef} isRunning={isRunning} facingMode={facingMode} onSwitchCamera={switchCamera} />
+                            <CameraFeed ref={videoRef} isRunning={isRunning} facingMode={facingMode} onSwitchCamera={switchCamera}
+                                isLoading={isLoading} loadProgress={loadProgress} loadError={loadError} onRetryLoad={initializePose}
+                                sourceType={sourceType} sourceError={sourceError} />
                             {landmarks && isRunning && (
-                                <PoseOverlay landmarks={landmarks} formQuality={showRedOverlay ? 'bad' : phase === 'running' ? 'good' : 'warning'} />
+                                <PoseOverlay landmarks={landmarks} formQuality={showRedOverlay ? 'bad' : phase === 'running' ? 'good' : 'warning'} mirrored={sourceType === 'camera'} />
+                            )}
+                            {isRunning && (
+                                <VirtualLines lines={overlayLines} styles={overlayStyles} editing={editingLine}
+                                    onDraw={drawLine} mirrored={sourceType === 'camera'} />
                             )}
                             <CheatAlertOverlay alerts={cheatAlerts} visible={showRedOverlay} />
                         </div>
@@ -166,13 +558,16 @@ export default function SprintTest() {
                                 fontSize: '3rem', fontWeight: 900, fontFamily: 'monospace',
                                 color: phase === 'running' ? 'var(--neon-green)' : 'var(--text-primary)',
                             }}>
-                                {timer.toFixed(2)}s
+                                {phase === 'rest' ? `${countdown.toFixed(1)}s` : `${timer.toFixed(2)}s`}
                             </div>
                             <div style={{ fontSize: '0.8rem', color: 'var(--text-muted)' }}>
+                                {isRsa && ['armed', 'running', 'rest'].includes(phase) && `Sprint ${Math.min(reps.length + 1, protocol.reps)} of ${protocol.reps} · `}
                                 {phase === 'idle' && 'Start camera to begin'}
-                                {phase === 'ready' && 'Press GO when the athlete starts running'}
-                                {phase === 'running' && '🟢 TIMING — Press FINISH at the line'}
-                                {phase === 'finished' && 'Sprint complete!'}
+                                {phase === 'ready' && (linesReady ? START_MODES[activeStartMode].hint : 'Draw the start and finish lines on the camera view')}
+                                {phase === 'armed' && (activeStartMode === 'signal' ? '🔊 On your marks… set…' : '⏳ Waiting for the athlete to cross the start line')}
+                                {phase === 'running' && '🟢 TIMING — stops when the torso crosses the finish line'}
+                                {phase === 'rest' && '🚶 Recover — walk back to the start line'}
+                                {phase === 'finished' && (result?.falseStart ? '🚫 False start — moved before the signal' : isRsa ? 'Set complete!' : 'Sprint complete!')}
                             </div>
                         </div>
 
@@ -184,16 +579,17 @@ export default function SprintTest() {
                                     {isLoading ? '⏳ Loading AI...' : '📸 Start Camera'}
                                 </button>
                             )}
+                            {phase === 'idle' && <VideoFileButton onSelect={handleAnalyzeVideo} disabled={isLoading} />}
                             {phase === 'ready' && (
-                                <button className="btn-primary" onClick={handleGo}
-                                    style={{ flex: 1, padding: '14px', fontSize: '1.1rem', background: 'var(--neon-green)', color: '#0a0e27' }}>
-                                    🚀 GO!
+                                <button className="btn-primary" onClick={handleArm} disabled={!linesReady || !!editingLine}
+                                    style={{ flex: 1, padding: '14px', fontSize: '1.1rem', background: 'var(--neon-green)', color: '#0a0e27', opacity: linesReady && !editingLine ? 1 : 0.5 }}>
+                                    🚀 {isRsa ? 'Start Set' : activeStartMode === 'signal' ? 'Start Signal' : 'Arm Timer'}
                                 </button>
                             )}
-                            {phase === 'running' && (
-                                <button className="btn-danger" onClick={handleFinish}
+                            {(phase === 'armed' || phase === 'running' || phase === 'rest') && (
+                                <button className="btn-danger" onClick={handleCancel}
                                     style={{ flex: 1, padding: '14px', fontSize: '1.1rem' }}>
-                                    🏁 FINISH
+                                    ⏹ {isRsa ? 'Stop Set' : 'Cancel Run'}
                                 </button>
                             )}
                             {phase === 'finished' && (
@@ -204,40 +600,197 @@ export default function SprintTest() {
                                 </>
                             )}
                         </div>
+
+                        {/* Timing setup */}
+                        {(phase === 'ready' || phase === 'finished') && (
+                            <div className="glass-card" style={{ padding: '14px 16px', marginTop: '16px' }}>
+                                <div style={{ display: 'flex', gap: '8px', marginBottom: '10px', flexWrap: 'wrap' }}>
+                                    {Object.entries(START_MODES).map(([id, m]) => (
+                                        <button key={id} className={activeStartMode === id ? 'btn-primary' : 'btn-secondary'}
+                                            onClick={() => setStartMode(id)} disabled={protocol.kind !== 'standing' || (id === 'signal' && sourceType === 'file')}
+                                            style={{ flex: 1, padding: '8px', fontSize: '0.78rem' }}>
+                                            {m.label}
+                                        </button>
+                                    ))}
+                                </div>
+                                <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+                                    {Object.entries(LINE_STYLES).map(([id, style]) => (
+                                        <button key={id} className="btn-secondary"
+                                            onClick={() => setEditingLine(editingLine === id ? null : id)}
+                                            style={{ flex: 1, padding: '8px', fontSize: '0.78rem', borderColor: editingLine === id ? style.color : undefined }}>
+                                            {editingLine === id ? '✕ Cancel' : `✏️ ${lines[id] ? 'Redraw' : 'Draw'} ${style.label.toLowerCase()} line`}
+                                        </button>
+                                    ))}
+                                </div>
+
+                                {/* Split marks */}
+                                <div style={{ display: 'flex', gap: '6px', marginTop: '10px', flexWrap: 'wrap', alignItems: 'center' }}>
+                                    <span style={{ fontSize: '0.72rem', color: 'var(--text-muted)', fontWeight: 600 }}>Splits:</span>
+                                    {splitMarks.map(s => {
+                                        const id = `split-${s.distance}`;
+                                        return (
+                                            <span key={id} className={`badge ${s.line ? 'badge-blue' : 'badge-yellow'}`} style={{ gap: '6px' }}>
+                                                <button onClick={() => setEditingLine(editingLine === id ? null : id)} title={s.line ? 'Redraw line' : 'Draw line'}
+                                                    style={{ background: 'none', border: 'none', color: 'inherit', cursor: 'pointer', padding: 0, fontWeight: 700 }}>
+                                                    {editingLine === id ? '✕' : '✏️'} {s.distance} m
+                                                </button>
+                                                <button onClick={() => removeSplit(s.distance)} title="Remove mark"
+                                                    style={{ background: 'none', border: 'none', color: 'inherit', cursor: 'pointer', padding: 0 }}>
+                                                    ×
+                                                </button>
+                                            </span>
+                                        );
+                                    })}
+                                    <input className="auth-input" type="number" min="1" max={distance - 1} placeholder="m"
+                                        value={newSplit} onChange={(e) => setNewSplit(e.target.value)}
+                                        onKeyDown={(e) => { if (e.key === 'Enter') addSplit(); }}
+                                        style={{ width: '64px', padding: '4px 8px', fontSize: '0.75rem' }} />
+                                    <button className="btn-secondary" onClick={addSplit} style={{ padding: '4px 10px', fontSize: '0.72rem' }}>＋ Mark</button>
+                                </div>
+                                {splitMarks.some(s => !s.line) && (
+                                    <div style={{ marginTop: '6px', fontSize: '0.72rem', color: 'var(--warning-yellow)' }}>
+                                        Draw a line for each split mark — marks without one are left out of the splits.
+                                    </div>
+                                )}
+                                {sourceType === 'file' && (
+                                    <div style={{ marginTop: '8px', fontSize: '0.72rem', color: 'var(--text-muted)' }}>
+                                        Uploaded videos are timed from the start line — the athlete in the video didn't hear our signal.
+                                        {isRsa && ' Each sprint is timed as the athlete crosses the start line again.'}
+                                    </div>
+                                )}
+                            </div>
+                        )}
                     </div>
 
                     {/* Metrics */}
                     <div style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
-                        {result ? (
+                        {result?.kind === 'rsa' ? (
+                            <>
+                                <MetricBox label="Best Time" value={result.best === null ? '—' : `${result.best}s`} color="var(--neon-green)" large />
+                                <MetricBox label="Mean Time" value={result.mean === null ? '—' : `${result.mean}s`} color="var(--electric-blue)" />
+                                <MetricBox label="Decrement" value={result.decrement === null ? '—' : `${result.decrement}%`} color="var(--accent-purple)" />
+                                <MetricBox label="Completed" value={`${result.reps.filter(r => r.completed).length}/${protocol.reps}`} color="var(--accent-purple)" />
+                                <MetricBox label="Rating" value={result.rating} color={
+                                    result.rating === 'Elite' ? 'var(--neon-green)' : result.rating === 'Good' ? 'var(--electric-blue)' : 'var(--warning-yellow)'
+                                } />
+                                <MetricBox label="Score" value={`${result.score}/100`} color="var(--neon-green)" large />
+                            </>
+                        ) : result ? (
                             <>
                                 <MetricBox label="Total Time" value={`${result.totalTime}s`} color="var(--neon-green)" large />
-                                <MetricBox label="Reaction Time" value={`${result.reactionTime}s`} color="var(--electric-blue)" />
+                                <MetricBox label="Reaction Time" value={result.reactionTime === null ? '—' : `${result.reactionTime}s`} color="var(--electric-blue)" />
+                                <MetricBox label="Top Speed" value={result.analysis.topSpeed === null ? '—' : `${result.analysis.topSpeed} m/s`} color="var(--accent-purple)" />
                                 <MetricBox label="Strides" value={result.strides} color="var(--accent-purple)" />
                                 <MetricBox label="Rating" value={result.rating} color={
-                                    result.rating === 'Elite' ? 'var(--neon-green)' : result.rating === 'Good' ? 'var(--electric-blue)' : 'var(--warning-yellow)'
+                                    result.falseStart ? 'var(--danger-red)' : result.rating === 'Elite' ? 'var(--neon-green)' : result.rating === 'Good' ? 'var(--electric-blue)' : 'var(--warning-yellow)'
                                 } />
                                 <MetricBox label="Score" value={`${result.score}/100`} color="var(--neon-green)" large />
+                                {result.capture && (
+                                    <MetricBox label="Capture" value={formatCapture(result.capture)} color="var(--text-secondary)" />
+                                )}
+                                {result.lowConfidence && (
+                                    <div className="badge badge-yellow" style={{ justifyContent: 'center' }}>
+                                        ⚠ Low confidence — AI ran at {result.performance.avgFps} fps (needs ≥ {result.performance.minFps})
+                                    </div>
+                                )}
                             </>
                         ) : (
                             <>
-                                <MetricBox label="Distance" value={`${distance}m`} color="var(--electric-blue)" large />
-                                <MetricBox label="Strides" value={strideCountRef.current} color="var(--accent-purple)" />
+                                <MetricBox label="Distance" value={isRsa ? `${protocol.reps} × ${distance}m` : `${distance}m`} color="var(--electric-blue)" large />
+                                {isRsa && reps.length > 0 && (
+                                    <MetricBox label="Last Sprint" value={reps[reps.length - 1].completed ? `${reps[reps.length - 1].time}s` : 'DNF'} color="var(--neon-green)" />
+                                )}
+                                <MetricBox label="Split Marks" value={drawnSplits.length ? drawnSplits.map(s => `${s.distance}m`).join(' · ') : '—'} color="var(--accent-purple)" />
                                 <MetricBox label="AI Confidence" value={`${confidence}%`} color="var(--neon-green)" />
                                 <MetricBox label="Status" value={phase.toUpperCase()} color="var(--warning-yellow)" />
                             </>
                         )}
+                        {sourceType === 'camera' && (
+                            <CameraSettings devices={cameraDevices} cameraId={cameraId} captureFps={captureFps}
+                                captureInfo={captureInfo} performanceStats={performanceStats} onSelect={selectCamera} disabled={phase === 'running'} />
+                        )}
                     </div>
                 </div>
 
-                {/* History / Trend */}
-                {history.length > 1 && (
+                {/* Repeated sprints, as they complete */}
+                {isRsa && reps.length > 0 && (
+                    <div className="glass-card" style={{ padding: '24px', marginTop: '24px' }}>
+                        <h3 style={{ fontSize: '1rem', fontWeight: 700, marginBottom: '16px' }}>🔁 Repetitions</h3>
+                        <div style={{ overflowX: 'auto' }}>
+                            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.8rem' }}>
+                                <thead>
+                                    <tr style={{ borderBottom: '1px solid var(--glass-border)' }}>
+                                        {['Sprint', 'Time', 'Reaction', 'Top Speed', 'Status'].map(h => (
+                                            <th key={h} style={{ padding: '8px 10px', textAlign: 'left', color: 'var(--text-muted)', fontWeight: 600, fontSize: '0.68rem', textTransform: 'uppercase' }}>{h}</th>
+                                        ))}
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {reps.map(r => {
+                                        const best = result?.best !== null && r.time === result?.best;
+                                        return (
+                                            <tr key={r.rep} style={{ borderBottom: '1px solid rgba(255,255,255,0.03)' }}>
+                                                <td style={{ padding: '8px 10px', fontWeight: 600 }}>{r.rep} / {protocol.reps}</td>
+                                                <td style={{ padding: '8px 10px', fontFamily: 'monospace', color: best ? 'var(--neon-green)' : undefined, fontWeight: best ? 700 : undefined }}>
+                                                    {r.time === null ? '—' : `${r.time}s`}
+                                                </td>
+                                                <td style={{ padding: '8px 10px' }}>{r.reactionTime === null ? '—' : `${r.reactionTime}s`}</td>
+                                                <td style={{ padding: '8px 10px' }}>{r.topSpeed === null ? '—' : `${r.topSpeed} m/s`}</td>
+                                                <td style={{ padding: '8px 10px' }}>
+                                                    {r.completed ? <span className="badge badge-green">✓</span>
+                                                        : <span className="badge badge-red">{r.falseStart ? 'False start' : 'DNF'}</span>}
+                                                </td>
+                                            </tr>
+                                        );
+                                    })}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                )}
+
+                {/* Splits + velocity over distance */}
+                {result && result.kind !== 'rsa' && !result.falseStart && (
                     <div className="glass-card" style={{ padding: '24px', marginTop: '24px' }}>
-                        <h3 style={{ fontSize: '1rem', fontWeight: 700, marginBottom: '16px' }}>📈 Improvement Trend</h3>
-                        <TrendGraph
-                            data={history.map(h => Math.round(((BENCHMARKS[distance].poor - h.time) / (BENCHMARKS[distance].poor - BENCHMARKS[distance].elite)) * 100))}
-                            labels={history.map(h => h.date)}
-                            height={160}
-                        />
+                        <h3 style={{ fontSize: '1rem', fontWeight: 700, marginBottom: '16px' }}>⏱️ Splits & Strides</h3>
+                        <div style={{ overflowX: 'auto', marginBottom: '20px' }}>
+                            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.8rem' }}>
+                                <thead>
+                                    <tr style={{ borderBottom: '1px solid var(--glass-border)' }}>
+                                        {['Segment', 'Time', 'Velocity', 'Strides', 'Frequency', 'Stride Length', 'Contact', 'Flight'].map(h => (
+                                            <th key={h} style={{ padding: '8px 10px', textAlign: 'left', color: 'var(--text-muted)', fontWeight: 600, fontSize: '0.68rem', textTransform: 'uppercase' }}>{h}</th>
+                                        ))}
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {result.analysis.segments.map(seg => (
+                                        <tr key={seg.from} style={{ borderBottom: '1px solid rgba(255,255,255,0.03)' }}>
+                                            <td style={{ padding: '8px 10px', fontWeight: 600 }}>{seg.from}–{seg.to} m</td>
+                                            <td style={{ padding: '8px 10px', fontFamily: 'monospace' }}>{seg.time}s</td>
+                                            <td style={{ padding: '8px 10px', color: 'var(--neon-green)', fontWeight: 700 }}>{seg.velocity ?? '—'} m/s</td>
+                                            <td style={{ padding: '8px 10px' }}>{seg.strides}</td>
+                                            <td style={{ padding: '8px 10px' }}>{seg.strideFrequency === null ? '—' : `${seg.strideFrequency} Hz`}</td>
+                                            <td style={{ padding: '8px 10px' }}>{seg.strideLength === null ? '—' : `${seg.strideLength} m`}</td>
+                                            <td style={{ padding: '8px 10px', color: 'var(--text-secondary)' }}>{seg.contactMs === null ? '—' : `${seg.contactMs} ms`}</td>
+                                            <td style={{ padding: '8px 10px', color: 'var(--text-secondary)' }}>{seg.flightMs === null ? '—' : `${seg.flightMs} ms`}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                        {result.analysis.velocity.length > 1 ? (
+                            <TrendGraph
+                                data={result.analysis.velocity.map(v => v.velocity)}
+                                labels={result.analysis.velocity.map(v => `${v.distance}m`)}
+                                height={160}
+                                yMax={0}
+                                title="Velocity over distance (m/s)"
+                            />
+                        ) : (
+                            <p style={{ fontSize: '0.8rem', color: 'var(--text-muted)' }}>
+                                Not enough tracked frames between the lines to chart velocity.
+                            </p>
+                        )}
                     </div>
                 )}
             </motion.div>
@@ -9,22 +9,32 @@ import { motion } from 'framer-motion';
 const TESTS = [
     {
         id: 'sprint', path: '/test/sprint', icon: '🏃', name: 'Sprint Test',
-        desc: '20m / 40m sprint timing with AI motion tracking',
+        desc: '20m / 40m, flying and repeated sprints timed with AI motion tracking',
         category: 'Speed & Agility', color: '#2dd4bf', difficulty: 'Medium',
     },
     {
         id: 't-test', path: '/test/t-test', icon: '⚡', name: 'T-Test Agility',
-        desc: 'Agility drill with direction change efficiency scoring',
+        desc: 'Camera-timed T-test with cone touches, route checks and cut balance',
         category: 'Speed & Agility', color: '#2dd4bf', difficulty: 'Hard',
     },
+    {
+        id: 'illinois', path: '/test/illinois', icon: '🔀', name: 'Illinois Agility',
+        desc: 'Prone start on the beep, weave checks through the centre cones',
+        category: 'Speed & Agility', color: '#2dd4bf', difficulty: 'Hard',
+    },
+    {
+        id: 'pro-agility', path: '/test/pro-agility', icon: '↔️', name: '5-10-5 Pro-Agility',
+        desc: 'Shuttle run with line touches and split timing, either direction first',
+        category: 'Speed & Agility', color: '#2dd4bf', difficulty: 'Medium',
+    },
     {
         id: 'pushups', path: '/test/pushups', icon: '💪', name: 'Push-Up Test',
-        desc: '1-minute timed push-ups with AI rep counting & form analysis',
+        desc: 'Standard, knee, hand-release and cadence push-ups with AI depth standards',
         category: 'Strength', color: '#5eead4', difficulty: 'Medium',
     },
     {
         id: 'vjump', path: '/test/vertical-jump', icon: '🦘', name: 'Vertical Jump',
-        desc: 'Jump height detection with explosive power scoring',
+        desc: 'CMJ and squat jump with flight-time height, countermovement depth and arm swing',
         category: 'Strength', color: '#5eead4', difficulty: 'Easy',
     },
     {
@@ -47,6 +57,16 @@ const TESTS = [
         desc: 'Punch speed, kick height & reaction challenges using AI pose tracking',
         category: 'Combat', color: '#ef4444', difficulty: 'Advanced',
     },
+    {
+        id: 'flexibility', path: '/test/flexibility', icon: '🧘', name: 'Flexibility',
+        desc: 'Sit-and-reach and shoulder mobility, scored against age & gender norms',
+        category: 'Flexibility', color: '#a78bfa', difficulty: 'Easy',
+    },
+    {
+        id: 'balance', path: '/test/balance', icon: '🦩', name: 'Balance Test',
+        desc: 'Single-leg stork stand with hip & shoulder sway analysis, left vs right',
+        category: 'Balance', color: '#2dd4bf', difficulty: 'Easy',
+    },
     {
         id: 'assessment', path: '/assessment', icon: '📹', name: 'Camera Assessment',
         desc: 'Wall Sit, Sit-Ups, Squats, Broad Jump with live pose tracking',
@@ -1,7 +1,10 @@
 /**
  * VerticalJump.jsx
- * MODULE 2B: Vertical Jump Test
+ * MODULE 2B: Vertical Jump Test (countermovement jump / squat jump)
  * Detects standing reach, jump peak, calculates explosive power and landing stability.
+ * Height from the hips' rise (calibrated scale) or from flight time between
+ * take-off and landing (utils/jumpAnalysis.js), with countermovement depth,
+ * time to take-off and arm-swing contribution.
  */
 import { useState, useEffect, useRef, useCallback } from 'react';
 import { motion } from 'framer-motion';
@@ -9,27 +12,55 @@ import CameraFeed from '../components/CameraFeed';
 import PoseOverlay from '../components/PoseOverlay';
 import CheatAlertOverlay from '../components/CheatAlertOverlay';
 import FeedbackPopup from '../components/FeedbackPopup';
+import VideoFileButton from '../components/VideoFileButton';
+import CalibrationPanel from '../components/CalibrationPanel';
+import CameraSettings from '../components/CameraSettings';
 import usePoseDetection from '../hooks/usePoseDetection';
+import useScaleCalibration from '../hooks/useScaleCalibration';
+import useStoredReplay, { saveResultSession } from '../hooks/useStoredReplay';
 import { extractLandmarks } from '../utils/calculateAngle';
+import { getCameraSetupKey } from '../utils/scaleCalibration';
 import { runCheatDetection, playAlertBeep } from '../utils/cheatDetection';
+import { JUMP_PROTOCOLS, createJumpRecorder, analyzeJump } from '../utils/jumpAnalysis';
+import { calculateJumpScore } from '../utils/scoringSystem';
+import { saveTestResult, updateTestResult } from '../services/offlineStorage';
+
+const HEIGHT_METHODS = {
+    flight: { label: '⏱️ Flight time', hint: 'Height from the time between take-off and landing — no calibration needed' },
+    hip: { label: '📏 Hip rise', hint: 'Height from the rise of the hips above standing, on the calibrated scale' },
+};
+
+// Flight time needs the touchdown: wait this many frames after the hips start to fall
+const MAX_LANDING_FRAMES = 60;
 
 export default function VerticalJump() {
     const videoRef = useRef(null);
-    const { landmarks, isLoading, isRunning, confidence, facingMode, initializePose, startCamera, stopCamera, switchCamera } = usePoseDetection();
+    const { landmarks, isLoading, loadProgress, loadError, isRunning, confidence, facingMode, sourceType, sourceError, frameSize, cameraDevices, cameraId, captureFps, captureInfo, sourceFile, selectCamera, performanceStats, onFrame, getMediaTime, getPerformanceReport, resetPerformanceReport, initializePose, startCamera, startVideoFile, startReplay, startRecording, stopRecording, stopCamera, switchCamera } = usePoseDetection({ cameraFps: 60, performance: 'timing' });
+    const { calibration, scale, saveCalibration, clearCalibration } = useScaleCalibration(
+        getCameraSetupKey({ sourceType, facingMode, deviceId: captureInfo?.deviceId, file: sourceFile, frameSize }),
+    );
 
+    const [protocolId, setProtocolId] = useState('cmj');
+    const [method, setMethod] = useState('flight');
     const [phase, setPhase] = useState('idle'); // idle, calibrating, ready, jumping, landed
     const [standingReach, setStandingReach] = useState(null);
     const [jumpPeak, setJumpPeak] = useState(null);
     const [jumpHeight, setJumpHeight] = useState(0);
     const [powerScore, setPowerScore] = useState(0);
     const [landingStability, setLandingStability] = useState(0);
+    const [jumpDetails, setJumpDetails] = useState(null); // analyzeJump() of the last attempt
     const [attempts, setAttempts] = useState([]);
     const [bestJump, setBestJump] = useState(0);
 
     const standingRef = useRef(null);
+    const standingHipRef = useRef(null);
+    const groundRef = useRef(null);
     const peakRef = useRef(null);
     const prevHipY = useRef(null);
     const stabilityFrames = useRef([]);
+    const recorderRef = useRef(null);
+    const readyAtRef = useRef(null); // when the reach was set, on the source's clock
+    const replayRef = useRef(null); // { resultId, readyAt } while a stored attempt is replaying
     const lastBeepRef = useRef(0);
 
     const [cheatAlerts, setCheatAlerts] = useState([]);
@@ -38,6 +69,37 @@ export default function VerticalJump() {
 
     useEffect(() => { initializePose(); }, [initializePose]);
 
+    // Record every inference frame of the attempt, so take-off and landing are timed from frame timestamps
+    useEffect(() => {
+        if (phase !== 'ready' && phase !== 'jumping' && phase !== 'landed') return;
+        return onFrame((frameLandmarks, timestamp) => recorderRef.current?.frame(timestamp, frameLandmarks));
+    }, [phase, onFrame]);
+
+    // Save an attempt with its landmark session; replays re-score the stored attempt instead
+    const saveAttempt = useCallback(async (attempt) => {
+        const session = stopRecording();
+        const replay = replayRef.current;
+        replayRef.current = null;
+        const result = {
+            activity: 'vertical-jump',
+            activityName: 'Vertical Jump',
+            score: attempt.power,
+            value: attempt.height,
+            unit: 'cm',
+            ...attempt,
+        };
+        try {
+            if (replay) {
+                await updateTestResult(replay.resultId, { ...result, rescoredAt: new Date().toISOString() });
+                return;
+            }
+            const resultId = await saveTestResult(result);
+            if (session) await saveResultSession(resultId, { ...session, meta: { ...session.meta, readyAt: readyAtRef.current } });
+        } catch (err) {
+            console.error('Failed to save result:', err);
+        }
+    }, [stopRecording]);
+
     useEffect(() => {
         if (!landmarks || phase === 'idle') return;
         const lm = extractLandmarks(landmarks);
@@ -59,7 +121,11 @@ export default function VerticalJump() {
             if (!standingRef.current || wristY < standingRef.current) {
                 standingRef.current = wristY;
             }
-            setStandingReach(Math.round((1 - standingRef.current) * 300)); // Approx cm
+            // Ground = heels; hip baseline for jump height
+            const heelY = (lm.leftHeel.y + lm.rightHeel.y) / 2;
+            groundRef.current = Math.max(groundRef.current ?? 0, heelY);
+            standingHipRef.current = hipY;
+            setStandingReach(Math.round(scale.cmY(groundRef.current - standingRef.current)));
         }
 
         if (phase === 'ready') {
@@ -82,9 +148,10 @@ export default function VerticalJump() {
 
             // Detect landing — hip starts going down then stabilizes
             if (prevHipY.current !== null && hipY > peakRef.current + 0.03) {
-                const jumpPixels = (standingRef.current || 0.5) - peakRef.current;
-                const heightCm = Math.round(Math.max(0, jumpPixels * 300));
-                const power = Math.round(Math.min(100, (heightCm / 70) * 100)); // 70cm = elite
+                // Hip rise above the standing baseline, on the calibrated scale
+                const jumpPixels = (standingHipRef.current ?? hipY) - peakRef.current;
+                const heightCm = Math.round(Math.max(0, scale.cmY(jumpPixels)));
+                const power = calculateJumpScore(heightCm);
 
                 setJumpPeak(peakRef.current);
                 setJumpHeight(heightCm);
@@ -99,30 +166,101 @@ export default function VerticalJump() {
             // Track landing stability (hip Y variance over a few frames)
             stabilityFrames.current.push(hipY);
             if (stabilityFrames.current.length >= 15) {
+                const jump = analyzeJump({
+                    samples: recorderRef.current?.samples() ?? [],
+                    protocol: JUMP_PROTOCOLS[protocolId],
+                    standingHipY: standingHipRef.current,
+                });
+                if (method === 'flight' && !jump?.landing && stabilityFrames.current.length < MAX_LANDING_FRAMES) return;
+
+                const flightHeight = jump?.heightCm ?? null;
+                const usedMethod = method === 'flight' && flightHeight !== null ? 'flight' : 'hip';
+                const height = usedMethod === 'flight' ? Math.round(flightHeight) : jumpHeight;
+                const power = calculateJumpScore(height);
+                const details = jump && {
+                    flightMs: jump.flightMs,
+                    flightHeight,
+                    hipHeight: jumpHeight,
+                    depthCm: Math.round(scale.cmY(jump.depth)),
+                    kneeAngle: jump.kneeAngle,
+                    timeToTakeoffMs: jump.timeToTakeoffMs,
+                    armSwingPercent: jump.armSwingPercent,
+                    warnings: jump.warnings,
+                };
+                setJumpHeight(height);
+                setPowerScore(power);
+                setJumpDetails(details);
+
                 const avg = stabilityFrames.current.reduce((a, b) => a + b) / stabilityFrames.current.length;
                 const variance = stabilityFrames.current.reduce((s, v) => s + Math.pow(v - avg, 2), 0) / stabilityFrames.current.length;
                 const stability = Math.round(Math.max(0, Math.min(100, 100 - variance * 10000)));
                 setLandingStability(stability);
 
-                setAttempts(prev => [...prev, { height: jumpHeight, power: powerScore, stability }]);
-                setBestJump(prev => Math.max(prev, jumpHeight));
+                const lowConfidence = !!getPerformanceReport()?.lowConfidence;
+                const attempt = { height, power, stability, capture: captureInfo, lowConfidence, protocol: protocolId, method: usedMethod, ...details };
+                setAttempts(prev => [...prev, attempt]);
+                saveAttempt(attempt);
+                setBestJump(prev => Math.max(prev, height));
                 setPhase('idle');
                 setShowRedOverlay(false); setCheatAlerts([]);
                 setTimeout(() => setShowFeedback(true), 500);
             }
         }
-    }, [landmarks, phase, jumpHeight, powerScore]);
+    }, [landmarks, phase, jumpHeight, scale, captureInfo, getPerformanceReport, protocolId, method, saveAttempt]);
 
-    const handleStart = useCallback(async () => {
-        if (!isRunning && videoRef.current) await startCamera(videoRef.current, null);
+    const beginCalibration = useCallback(() => {
+        resetPerformanceReport();
         standingRef.current = null;
+        standingHipRef.current = null;
+        groundRef.current = null;
         peakRef.current = null;
         prevHipY.current = null;
+        recorderRef.current = null;
         setPhase('calibrating');
         setJumpHeight(0);
         setPowerScore(0);
         setLandingStability(0);
-    }, [isRunning, startCamera]);
+        setJumpDetails(null);
+    }, [resetPerformanceReport]);
+
+    const beginJump = useCallback(() => {
+        recorderRef.current = createJumpRecorder({ aspect: frameSize ? frameSize.width / frameSize.height : undefined });
+        readyAtRef.current = getMediaTime();
+        setPhase('ready');
+    }, [frameSize, getMediaTime]);
+
+    const handleStart = useCallback(async () => {
+        if (!isRunning && videoRef.current) await startCamera(videoRef.current, null);
+        beginCalibration();
+        startRecording({ activity: 'vertical-jump', protocol: protocolId, method });
+    }, [isRunning, startCamera, beginCalibration, startRecording, protocolId, method]);
+
+    // Uploaded videos play in real time so the reach can be confirmed on cue
+    const handleAnalyzeVideo = useCallback(async (file) => {
+        if (videoRef.current) await startVideoFile(videoRef.current, file, { playbackRate: 1 });
+        beginCalibration();
+        startRecording({ activity: 'vertical-jump', protocol: protocolId, method, fileName: file.name });
+    }, [startVideoFile, beginCalibration, startRecording, protocolId, method]);
+
+    // Replay (and re-score) an attempt stored with a saved result, opened from the Dashboard
+    const runReplay = useCallback((session, result) => {
+        const { protocol: replayProtocol = 'cmj', method: replayMethod = 'flight', readyAt = null } = session.meta;
+        setProtocolId(replayProtocol);
+        setMethod(replayMethod);
+        replayRef.current = { resultId: result.id, readyAt };
+        startReplay(session);
+        beginCalibration();
+    }, [startReplay, beginCalibration]);
+    const { replayError } = useStoredReplay(runReplay);
+
+    // Replays set the reach when the operator did
+    useEffect(() => {
+        if (phase !== 'calibrating' || !replayRef.current) return;
+        const { readyAt } = replayRef.current;
+        return onFrame((frameLandmarks, timestamp) => {
+            if (!recorderRef.current && (readyAt === null || timestamp >= readyAt)) beginJump();
+        });
+    }, [phase, onFrame, beginJump]);
 
     return (
         <div style={{ maxWidth: '1000px', margin: '0 auto', padding: '24px 20px' }}>
@@ -134,12 +272,44 @@ export default function VerticalJump() {
                     AI detects your standing reach and jump peak to calculate explosive power.
                 </p>
 
+                {/* Protocol & height method */}
+                <div style={{ display: 'flex', gap: '12px', marginBottom: '12px', flexWrap: 'wrap' }}>
+                    {Object.entries(JUMP_PROTOCOLS).map(([id, p]) => (
+                        <button key={id} onClick={() => setProtocolId(id)} disabled={phase !== 'idle'}
+                            className={id === protocolId ? 'btn-primary' : 'btn-secondary'}
+                            style={{ padding: '10px 24px', fontSize: '0.9rem' }}>
+                            {p.label}
+                        </button>
+                    ))}
+                    {Object.entries(HEIGHT_METHODS).map(([id, m]) => (
+                        <button key={id} onClick={() => setMethod(id)} disabled={phase !== 'idle'}
+                            className={id === method ? 'btn-primary' : 'btn-secondary'}
+                            style={{ padding: '10px 18px', fontSize: '0.85rem' }}>
+                            {m.label}
+                        </button>
+                    ))}
+                </div>
+                <p style={{ fontSize: '0.8rem', color: 'var(--text-muted)', marginBottom: '20px' }}>
+                    {protocolId === 'cmj'
+                        ? 'Dip and jump in one movement. '
+                        : 'Squat down, hold still for a second, then jump straight up — no dip first. '}
+                    {HEIGHT_METHODS[method].hint}.
+                </p>
+                {sourceType === 'replay' && (
+                    <div className="badge badge-blue" style={{ marginBottom: '16px' }}>🎞 Replaying a saved attempt — its result is re-scored when the landing is analyzed</div>
+                )}
+                {replayError && (
+                    <p style={{ fontSize: '0.85rem', color: 'var(--danger-red)', marginBottom: '16px' }}>⚠ {replayError}</p>
+                )}
+
                 <div style={{ display: 'grid', gridTemplateColumns: 'minmax(0, 2fr) minmax(250px, 1fr)', gap: '20px' }}>
                     {/* Camera */}
                     <div>
                         <div style={{ position: 'relative', marginBottom: '16px' }}>
-                            <CameraFeed ref={videoRef} isRunning={isRunning} facingMode={facingMode} onSwitchCamera={switchCamera} />
-                            {landmarks && isRunning && <PoseOverlay landmarks={landmarks} formQuality={showRedOverlay ? 'bad' : phase === 'jumping' ? 'good' : 'warning'} />}
+                            <CameraFeed ref={videoRef} isRunning={isRunning} facingMode={facingMode} onSwitchCamera={switchCamera}
+                                isLoading={isLoading} loadProgress={loadProgress} loadError={loadError} onRetryLoad={initializePose}
+                                sourceType={sourceType} sourceError={sourceError} />
+                            {landmarks && isRunning && <PoseOverlay landmarks={landmarks} formQuality={showRedOverlay ? 'bad' : phase === 'jumping' ? 'good' : 'warning'} mirrored={sourceType === 'camera'} />}
                             <CheatAlertOverlay alerts={cheatAlerts} visible={showRedOverlay} />
                         </div>
 
@@ -151,7 +321,7 @@ export default function VerticalJump() {
                             <div style={{ fontSize: '1rem', fontWeight: 700, color: phase === 'jumping' ? 'var(--neon-green)' : 'var(--electric-blue)' }}>
                                 {phase === 'idle' && '🎯 Press Start to begin'}
                                 {phase === 'calibrating' && '📏 Raise both arms high — Calibrating reach...'}
-                                {phase === 'ready' && '🦘 Ready — JUMP when ready!'}
+                                {phase === 'ready' && (protocolId === 'cmj' ? '🦘 Ready — JUMP when ready!' : '🦘 Squat, hold… then JUMP!')}
                                 {phase === 'jumping' && '🚀 JUMPING — Tracking peak height...'}
                                 {phase === 'landed' && '📊 Analyzing landing stability...'}
                             </div>
@@ -163,8 +333,9 @@ export default function VerticalJump() {
                                 style={{ flex: 1, padding: '14px', opacity: isLoading || phase !== 'idle' ? 0.5 : 1 }}>
                                 {phase === 'calibrating' ? '📏 Calibrating...' : isLoading ? '⏳ Loading...' : '▶ Start Jump Test'}
                             </button>
+                            {phase === 'idle' && <VideoFileButton onSelect={handleAnalyzeVideo} disabled={isLoading} />}
                             {phase === 'calibrating' && (
-                                <button className="btn-secondary" onClick={() => setPhase('ready')} style={{ padding: '14px 24px' }}>
+                                <button className="btn-secondary" onClick={beginJump} style={{ padding: '14px 24px' }}>
                                     ✅ Reach Set — Ready
                                 </button>
                             )}
@@ -185,6 +356,26 @@ export default function VerticalJump() {
                             <div style={{ fontSize: '0.65rem', fontWeight: 600, color: 'var(--text-muted)', textTransform: 'uppercase' }}>Landing Stability</div>
                             <div style={{ fontSize: '1.5rem', fontWeight: 800, color: 'var(--accent-purple)' }}>{landingStability}%</div>
                         </div>
+                        {jumpDetails && (
+                            <div className="glass-card" style={{ padding: '12px 16px' }}>
+                                <div style={{ fontSize: '0.65rem', fontWeight: 600, color: 'var(--text-muted)', textTransform: 'uppercase', marginBottom: '8px' }}>Jump Analysis</div>
+                                {[
+                                    ['Flight time', jumpDetails.flightMs !== null ? `${jumpDetails.flightMs} ms` : '—'],
+                                    ['Flight / hip height', `${jumpDetails.flightHeight !== null ? Math.round(jumpDetails.flightHeight) : '—'} / ${jumpDetails.hipHeight} cm`],
+                                    [protocolId === 'cmj' ? 'Countermovement' : 'Squat depth', `${jumpDetails.depthCm} cm · knee ${jumpDetails.kneeAngle}°`],
+                                    ['Time to take-off', jumpDetails.timeToTakeoffMs !== null ? `${jumpDetails.timeToTakeoffMs} ms` : '—'],
+                                    ['Arm swing', jumpDetails.armSwingPercent !== null ? `${jumpDetails.armSwingPercent}%` : '—'],
+                                ].map(([label, value]) => (
+                                    <div key={label} style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.78rem', padding: '2px 0' }}>
+                                        <span style={{ color: 'var(--text-secondary)' }}>{label}</span>
+                                        <span style={{ fontWeight: 700, fontFamily: 'monospace' }}>{value}</span>
+                                    </div>
+                                ))}
+                                {jumpDetails.warnings.map(w => (
+                                    <div key={w} className="badge badge-yellow" style={{ marginTop: '6px' }}>⚠ {w}</div>
+                                ))}
+                            </div>
+                        )}
                         <div className="glass-card" style={{ padding: '12px', textAlign: 'center' }}>
                             <div style={{ fontSize: '0.65rem', fontWeight: 600, color: 'var(--text-muted)', textTransform: 'uppercase' }}>Best Jump</div>
                             <div style={{ fontSize: '1.5rem', fontWeight: 800, color: 'var(--warning-yellow)' }}>{bestJump}cm</div>
@@ -193,6 +384,13 @@ export default function VerticalJump() {
                             <div style={{ fontSize: '0.65rem', fontWeight: 600, color: 'var(--text-muted)', textTransform: 'uppercase' }}>Attempts</div>
                             <div style={{ fontSize: '1.5rem', fontWeight: 800, color: 'var(--text-primary)' }}>{attempts.length}</div>
                         </div>
+                        {sourceType === 'camera' && (
+                            <CameraSettings devices={cameraDevices} cameraId={cameraId} captureFps={captureFps}
+                                captureInfo={captureInfo} performanceStats={performanceStats} onSelect={selectCamera} disabled={phase !== 'idle'} />
+                        )}
+                        <CalibrationPanel landmarks={landmarks} videoRef={videoRef} frameSize={frameSize}
+                            calibration={calibration} onSave={saveCalibration} onClear={clearCalibration}
+                            disabled={phase !== 'idle'} />
                     </div>
                 </div>
 
@@ -206,6 +404,18 @@ export default function VerticalJump() {
                                     <div style={{ fontSize: '0.7rem', color: 'var(--text-muted)' }}>Attempt {i + 1}</div>
                                     <div style={{ fontSize: '1.2rem', fontWeight: 800, color: 'var(--neon-green)' }}>{a.height}cm</div>
                                     <div style={{ fontSize: '0.7rem', color: 'var(--electric-blue)' }}>Power: {a.power}</div>
+                                    <div style={{ fontSize: '0.65rem', color: 'var(--text-muted)' }}>
+                                        {a.protocol === 'cmj' ? 'CMJ' : 'SJ'} · {a.method === 'flight' ? `${a.flightMs} ms flight` : 'hip rise'}
+                                    </div>
+                                    {a.warnings?.length > 0 && (
+                                        <div style={{ fontSize: '0.65rem', color: 'var(--warning-yellow)' }}>⚠ {a.warnings[0]}</div>
+                                    )}
+                                    {a.capture && (
+                                        <div style={{ fontSize: '0.65rem', color: 'var(--text-muted)' }}>{a.capture.frameRate} fps</div>
+                                    )}
+                                    {a.lowConfidence && (
+                                        <div style={{ fontSize: '0.65rem', color: 'var(--warning-yellow)' }}>⚠ Low AI frame rate</div>
+                                    )}
                                 </div>
                             ))}
                         </div>
@@ -0,0 +1,123 @@
+/**
+ * cameraDevices.js
+ * Camera enumeration, capture constraint negotiation and capture reports.
+ *
+ * Browsers treat resolution and frame rate as hints: a webcam asked for
+ * 120 fps may deliver 30. getCaptureReport() records what the track actually
+ * negotiated so every score can be traced back to its capture quality.
+ */
+
+const CAMERA_STORAGE_KEY = 'athleteai_camera_device';
+
+// Frame rates offered to operators; high rates sharpen sprint and jump timing
+export const CAMERA_FPS_OPTIONS = [30, 60, 120];
+
+export const DEFAULT_CAMERA_FPS = 30;
+
+const IDEAL_WIDTH = 1280;
+const IDEAL_HEIGHT = 960;
+
+/**
+ * List the video inputs on this device.
+ * Labels stay empty until camera permission has been granted once.
+ * @returns {Promise<Array<{ deviceId: string, label: string }>>}
+ */
+export async function listVideoInputs() {
+    if (!navigator.mediaDevices?.enumerateDevices) return [];
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices
+        .filter(device => device.kind === 'videoinput' && device.deviceId)
+        .map((device, i) => ({
+            deviceId: device.deviceId,
+            label: device.label || `Camera ${i + 1}`,
+        }));
+}
+
+/**
+ * Build getUserMedia video constraints.
+ * A chosen device wins over facing mode; frame rate is requested as ideal
+ * so cameras that can't reach it still open at their best rate.
+ * @param {Object} request
+ * @param {string|null} [request.deviceId]
+ * @param {string} [request.facingMode] - user, environment
+ * @param {number} [request.frameRate]
+ * @returns {MediaTrackConstraints}
+ */
+export function buildVideoConstraints({ deviceId, facingMode, frameRate = DEFAULT_CAMERA_FPS }) {
+    return {
+        ...(deviceId ? { deviceId: { exact: deviceId } } : { facingMode }),
+        width: { ideal: IDEAL_WIDTH },
+        height: { ideal: IDEAL_HEIGHT },
+        frameRate: { ideal: frameRate },
+    };
+}
+
+/**
+ * Describe what a live video track actually negotiated.
+ * @param {MediaStreamTrack} track
+ * @param {number} requestedFrameRate
+ * @returns {Object} Capture report (plain JSON, stored with results)
+ */
+export function getCaptureReport(track, requestedFrameRate) {
+    const settings = track.getSettings?.() || {};
+    const capabilities = track.getCapabilities?.() || {};
+    return {
+        deviceId: settings.deviceId || null,
+        label: track.label || 'Camera',
+        facingMode: settings.facingMode || null,
+        width: settings.width || null,
+        height: settings.height || null,
+        frameRate: settings.frameRate ? Math.round(settings.frameRate) : null,
+        requestedFrameRate,
+        maxFrameRate: capabilities.frameRate?.max ? Math.round(capabilities.frameRate.max) : null,
+        maxWidth: capabilities.width?.max || null,
+        maxHeight: capabilities.height?.max || null,
+    };
+}
+
+/**
+ * One-line summary of a capture report, e.g. "1280×720 @ 60 fps".
+ * @param {Object|null} capture - From getCaptureReport()
+ * @returns {string}
+ */
+export function formatCapture(capture) {
+    if (!capture) return '—';
+    const size = capture.width && capture.height ? `${capture.width}×${capture.height}` : 'unknown size';
+    return `${size} @ ${capture.frameRate ?? '?'} fps`;
+}
+
+/**
+ * Camera the operator picked on this device (persisted in localStorage).
+ * @returns {string|null} Device id, or null to follow facing mode
+ */
+export function getPreferredCamera() {
+    try {
+        return localStorage.getItem(CAMERA_STORAGE_KEY) || null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Remember (or forget, with null) the camera for this device.
+ * @param {string|null} deviceId
+ */
+export function setPreferredCamera(deviceId) {
+    try {
+        if (deviceId) localStorage.setItem(CAMERA_STORAGE_KEY, deviceId);
+        else localStorage.removeItem(CAMERA_STORAGE_KEY);
+    } catch {
+        // Storage unavailable (private mode) — the next visit opens the default camera again
+    }
+}
+
+export default {
+    CAMERA_FPS_OPTIONS,
+    DEFAULT_CAMERA_FPS,
+    listVideoInputs,
+    buildVideoConstraints,
+    getCaptureReport,
+    formatCapture,
+    getPreferredCamera,
+    setPreferredCamera,
+};
@@ -6,10 +6,11 @@
 import { openDB } from 'idb';
 
 const DB_NAME = 'AthleteAI_DB';
-const DB_VERSION = 1;
+const DB_VERSION = 2;
 const STORE_RESULTS = 'testResults';
 const STORE_ATHLETE = 'athleteProfile';
 const STORE_SYNC_QUEUE = 'syncQueue';
+const STORE_SESSIONS = 'sessionRecordings';
 
 /**
  * Initialize the IndexedDB database.
@@ -40,6 +41,11 @@ async function getDB() {
                     autoIncrement: true,
                 });
             }
+
+            // Landmark session recordings, keyed by their test result ID
+            if (!db.objectStoreNames.contains(STORE_SESSIONS)) {
+                db.createObjectStore(STORE_SESSIONS, { keyPath: 'resultId' });
+            }
         },
     });
 }
@@ -89,6 +95,68 @@ export async function getResultsByActivity(activity) {
     return results.sort((a, b) => new Date(b.date) - new Date(a.date));
 }
 
+/**
+ * Get a single test result.
+ * @param {number} id - Result ID
+ * @returns {Object|undefined} Test result
+ */
+export async function getTestResult(id) {
+    const db = await getDB();
+    return await db.get(STORE_RESULTS, id);
+}
+
+/**
+ * Merge changes into a stored test result (e.g. a re-score from replay).
+ * @param {number} id - Result ID
+ * @param {Object} changes - Fields to update
+ */
+export async function updateTestResult(id, changes) {
+    const db = await getDB();
+    const tx = db.transaction(STORE_RESULTS, 'readwrite');
+    const result = await tx.store.get(id);
+    if (result) {
+        await tx.store.put({ ...result, ...changes, id });
+    }
+    await tx.done;
+}
+
+// ===== SESSION RECORDINGS =====
+
+/**
+ * Store the encoded landmark session for a test result.
+ * @param {number} resultId - ID returned by saveTestResult
+ * @param {ArrayBuffer} data - Session file from encodeSession()
+ * @param {Object} meta - Small summary (frame count, duration, source)
+ */
+export async function saveSessionRecording(resultId, data, meta = {}) {
+    const db = await getDB();
+    await db.put(STORE_SESSIONS, {
+        resultId,
+        data,
+        meta,
+        savedAt: new Date().toISOString(),
+    });
+}
+
+/**
+ * Get the landmark session recorded with a test result.
+ * @param {number} resultId - Result ID
+ * @returns {Object|undefined} { resultId, data, meta, savedAt }
+ */
+export async function getSessionRecording(resultId) {
+    const db = await getDB();
+    return await db.get(STORE_SESSIONS, resultId);
+}
+
+/**
+ * IDs of the test results that have a landmark session stored with them.
+ * @returns {Array<number>} Result IDs
+ */
+export async function getRecordedResultIds() {
+    const db = await getDB();
+    return await db.getAllKeys(STORE_SESSIONS);
+}
+
 // ===== ATHLETE PROFILE =====
 
 /**
@@ -151,6 +219,11 @@ export default {
     saveTestResult,
     getAllResults,
     getResultsByActivity,
+    getTestResult,
+    updateTestResult,
+    saveSessionRecording,
+    getSessionRecording,
+    getRecordedResultIds,
     saveAthleteProfile,
     getAthleteProfile,
     getSyncQueue,
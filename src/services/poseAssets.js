@@ -0,0 +1,103 @@
+/**
+ * poseAssets.js
+ * Locates the self-hosted MediaPipe Pose WASM/model files and registers
+ * the service worker that precaches them for fully offline pose detection.
+ *
+ * The base URL defaults to the copy bundled under /mediapipe/pose/ and can be
+ * overridden with VITE_POSE_ASSET_BASE (e.g. a LAN server at a testing camp).
+ *
+ * Alternative backends (see poseBackends.js) locate their assets here too,
+ * under the same base so the service worker precaches them with the rest: the
+ * Tasks WASM fileset in tasks-vision/ and the PoseLandmarker / MoveNet models
+ * (fetched with `npm run fetch-models`) in models/. A model the build didn't
+ * find to self-host (VITE_POSE_MODELS, set by vite.config.js) loads from its
+ * public host instead, online only; VITE_POSE_LANDMARKER_MODEL_BASE /
+ * VITE_MOVENET_MODEL_BASE point every model at a mirror.
+ */
+
+const DEFAULT_ASSET_BASE = `${import.meta.env.BASE_URL}mediapipe/pose/`;
+
+export const POSE_ASSET_BASE = withTrailingSlash(import.meta.env.VITE_POSE_ASSET_BASE || DEFAULT_ASSET_BASE);
+export const POSE_ASSETS_VERSION = import.meta.env.VITE_POSE_ASSETS_VERSION || 'dev';
+
+export const TASKS_WASM_BASE = withTrailingSlash(import.meta.env.VITE_TASKS_WASM_BASE || `${POSE_ASSET_BASE}tasks-vision/`);
+
+// Model files self-hosted under models/, comma-separated
+const SELF_HOSTED_MODELS = (import.meta.env.VITE_POSE_MODELS || '').split(',').filter(Boolean);
+
+// Model hosts, laid out like the public ones
+const POSE_LANDMARKER_MODEL_BASE = import.meta.env.VITE_POSE_LANDMARKER_MODEL_BASE;
+const MOVENET_MODEL_BASE = import.meta.env.VITE_MOVENET_MODEL_BASE;
+const PUBLIC_POSE_LANDMARKER_MODEL_BASE = 'https://storage.googleapis.com/mediapipe-models/pose_landmarker/';
+const PUBLIC_MOVENET_MODEL_BASE = 'https://tfhub.dev/google/tfjs-model/movenet/singlepose/';
+
+const selfHosted = file => !!file && SELF_HOSTED_MODELS.includes(file);
+
+function withTrailingSlash(url) {
+    return url.endsWith('/') ? url : `${url}/`;
+}
+
+/**
+ * Resolve a MediaPipe Pose asset file name to its URL.
+ * Used as the `locateFile` callback of the Pose solution.
+ * @param {string} file - Asset file name requested by MediaPipe
+ * @returns {string} Absolute or root-relative URL
+ */
+export function getPoseAssetUrl(file) {
+    return `${POSE_ASSET_BASE}${file}`;
+}
+
+/**
+ * URL of a PoseLandmarker model bundle.
+ * @param {'lite'|'full'|'heavy'} variant
+ * @returns {string}
+ */
+export function getPoseLandmarkerModelUrl(variant) {
+    const file = `pose_landmarker_${variant}.task`;
+    if (!POSE_LANDMARKER_MODEL_BASE && selfHosted(file)) return `${POSE_ASSET_BASE}models/${file}`;
+    const base = POSE_LANDMARKER_MODEL_BASE || PUBLIC_POSE_LANDMARKER_MODEL_BASE;
+    return `${withTrailingSlash(base)}pose_landmarker_${variant}/float16/latest/${file}`;
+}
+
+/**
+ * URL of a MoveNet TFJS graph.
+ * @param {'lightning'|'thunder'} variant
+ * @returns {string} model.json, or a TF Hub model handle
+ */
+export function getMoveNetModelUrl(variant) {
+    const file = `movenet-${variant}/model.json`;
+    if (!MOVENET_MODEL_BASE && selfHosted(file)) return `${POSE_ASSET_BASE}models/${file}`;
+    return `${withTrailingSlash(MOVENET_MODEL_BASE || PUBLIC_MOVENET_MODEL_BASE)}${variant}/4`;
+}
+
+/**
+ * Register the service worker that precaches the pose assets.
+ * Safe to call when service workers are unsupported (no-op).
+ * @returns {Promise<ServiceWorkerRegistration|null>}
+ */
+export async function registerPoseAssetCache() {
+    if (!('serviceWorker' in navigator)) return null;
+
+    const assetBase = new URL(POSE_ASSET_BASE, window.location.href).href;
+    const params = new URLSearchParams({ assetBase, version: POSE_ASSETS_VERSION });
+
+    try {
+        return await navigator.serviceWorker.register(
+            `${import.meta.env.BASE_URL}sw.js?${params}`,
+            { scope: import.meta.env.BASE_URL },
+        );
+    } catch (error) {
+        console.warn('Pose asset cache unavailable:', error);
+        return null;
+    }
+}
+
+export default {
+    POSE_ASSET_BASE,
+    POSE_ASSETS_VERSION,
+    TASKS_WASM_BASE,
+    getPoseAssetUrl,
+    getPoseLandmarkerModelUrl,
+    getMoveNetModelUrl,
+    registerPoseAssetCache,
+};
@@ -0,0 +1,339 @@
+/**
+ * poseBackends.js
+ * Pluggable pose estimation backends. Every backend produces landmarks in the
+ * 33-point MediaPipe Pose layout that extractLandmarks() and the rest of the
+ * app read, so consumers never depend on the model that produced them.
+ *
+ * Backends with fewer keypoints (MoveNet has 17) degrade gracefully: each
+ * missing point is estimated from its nearest anatomical neighbour with
+ * visibility 0, so index lookups never fail and visibility-gated code
+ * (overlay, confidence) simply ignores it.
+ *
+ * A backend is { id, label, keypointCount, runsInWorker, hasWorldLandmarks, create(config) },
+ * where create() returns an engine as described in poseEngine.js.
+ */
+import {
+    TASKS_WASM_BASE,
+    getPoseAssetUrl,
+    getPoseLandmarkerModelUrl,
+    getMoveNetModelUrl,
+} from './poseAssets';
+
+export const POSE_LANDMARK_COUNT = 33;
+
+const BACKEND_STORAGE_KEY = 'athleteai_pose_backend';
+
+// COCO-17 keypoint order (MoveNet) → MediaPipe Pose landmark index
+const COCO_TO_POSE = [0, 2, 5, 7, 8, 11, 12, 13, 14, 15, 16, 23, 24, 25, 26, 27, 28];
+
+// Landmarks COCO lacks → nearest landmark it has
+const MISSING_LANDMARK_FALLBACK = {
+    1: 2, 3: 2,             // left eye inner/outer → left eye
+    4: 5, 6: 5,             // right eye inner/outer → right eye
+    9: 0, 10: 0,            // mouth → nose
+    17: 15, 19: 15, 21: 15, // left hand → left wrist
+    18: 16, 20: 16, 22: 16, // right hand → right wrist
+    29: 27, 31: 27,         // left heel/foot → left ankle
+    30: 28, 32: 28,         // right heel/foot → right ankle
+};
+
+/**
+ * Expand a partial keypoint set into the full 33-landmark layout.
+ * @param {Array<Object|undefined>} partial - Sparse array indexed by MediaPipe landmark index
+ * @returns {Array} 33 landmarks; estimated points have visibility 0 and `estimated: true`
+ */
+export function completeLandmarks(partial) {
+    const landmarks = [];
+    for (let i = 0; i < POSE_LANDMARK_COUNT; i++) {
+        if (partial[i]) {
+            landmarks.push(partial[i]);
+            continue;
+        }
+        const source = partial[MISSING_LANDMARK_FALLBACK[i]] || { x: 0, y: 0, z: 0 };
+        landmarks.push({ x: source.x, y: source.y, z: source.z || 0, visibility: 0, estimated: true });
+    }
+    return landmarks;
+}
+
+// Engine result when no person is detected
+const NO_RESULT = { landmarks: null, worldLandmarks: null };
+
+/**
+ * Map MediaPipe-style options onto a backend's own knobs.
+ * modelComplexity 0/1/2 → lite/full/heavy model variant.
+ */
+function modelVariant(options) {
+    return ['lite', 'full', 'heavy'][options.modelComplexity ?? 1] || 'full';
+}
+
+// ===== MEDIAPIPE POSE (legacy solution) =====
+
+const mediapipePoseBackend = {
+    id: 'mediapipe-pose',
+    label: 'MediaPipe Pose',
+    keypointCount: 33,
+    runsInWorker: true,
+    hasWorldLandmarks: true,
+
+    create({ options, onAssetRequested }) {
+        let pose = null;
+        let latestResult = NO_RESULT;
+
+        const ready = (async () => {
+            // Dynamic import for code splitting
+            const { Pose } = await import('@mediapipe/pose');
+
+            pose = new Pose({
+                locateFile: (file) => {
+                    onAssetRequested?.(file);
+                    return getPoseAssetUrl(file);
+                },
+            });
+            pose.setOptions(options);
+            pose.onResults((results) => {
+                latestResult = {
+                    landmarks: results.poseLandmarks || null,
+                    worldLandmarks: results.poseWorldLandmarks || null,
+                };
+            });
+
+            // Load WASM + model now so failures surface here instead of on the first frame
+            await pose.initialize();
+        })();
+
+        return {
+            kind: 'main',
+            backend: 'mediapipe-pose',
+            ready,
+            async send(image, at) {
+                latestResult = NO_RESULT;
+                await pose.send({ image }, at);
+                return latestResult;
+            },
+            setOptions(newOptions) {
+                pose?.setOptions(newOptions);
+            },
+            close() {
+                pose?.close();
+                pose = null;
+            },
+        };
+    },
+};
+
+// ===== MEDIAPIPE TASKS (PoseLandmarker) =====
+
+const tasksVisionBackend = {
+    id: 'tasks-vision',
+    label: 'MediaPipe Tasks PoseLandmarker',
+    keypointCount: 33,
+    runsInWorker: false,
+    hasWorldLandmarks: true,
+
+    create({ options, onAssetRequested }) {
+        let landmarker = null;
+        let currentVariant = modelVariant(options);
+        let vision = null;
+        let PoseLandmarker = null;
+
+        const landmarkerOptions = (opts, variant) => ({
+            baseOptions: { modelAssetPath: getPoseLandmarkerModelUrl(variant), delegate: 'GPU' },
+            runningMode: 'VIDEO',
+            numPoses: 1,
+            minPoseDetectionConfidence: opts.minDetectionConfidence ?? 0.5,
+            minPosePresenceConfidence: opts.minDetectionConfidence ?? 0.5,
+            minTrackingConfidence: opts.minTrackingConfidence ?? 0.5,
+        });
+
+        const ready = (async () => {
+            const tasks = await import('@mediapipe/tasks-vision');
+            PoseLandmarker = tasks.PoseLandmarker;
+            onAssetRequested?.('vision_wasm_internal.wasm');
+            vision = await tasks.FilesetResolver.forVisionTasks(TASKS_WASM_BASE);
+            onAssetRequested?.(`pose_landmarker_${currentVariant}.task`);
+            landmarker = await PoseLandmarker.createFromOptions(vision, landmarkerOptions(options, currentVariant));
+        })();
+
+        let closed = false;
+        let pending = ready.catch(() => {}); // option changes run one at a time, after loading
+
+        async function applyOptions(newOptions) {
+            const variant = modelVariant(newOptions);
+            if (variant === currentVariant) {
+                await landmarker?.setOptions(landmarkerOptions(newOptions, variant));
+                return;
+            }
+            // A different model variant needs a new landmarker
+            const next = await PoseLandmarker.createFromOptions(vision, landmarkerOptions(newOptions, variant));
+            if (closed) {
+                next.close();
+                return;
+            }
+            currentVariant = variant;
+            landmarker?.close();
+            landmarker = next;
+        }
+
+        return {
+            kind: 'main',
+            backend: 'tasks-vision',
+            ready,
+            async send(image, at) {
+                const result = landmarker.detectForVideo(image, at);
+                return {
+                    landmarks: result.landmarks?.[0] || null,
+                    worldLandmarks: result.worldLandmarks?.[0] || null,
+                };
+            },
+            setOptions(newOptions) {
+                const run = pending.then(() => applyOptions(newOptions));
+                pending = run.catch(() => {});
+                return run;
+            },
+            close() {
+                closed = true;
+                landmarker?.close();
+                landmarker = null;
+            },
+        };
+    },
+};
+
+// ===== MOVENET (TensorFlow.js) =====
+
+const movenetBackend = {
+    id: 'movenet',
+    label: 'MoveNet (TensorFlow.js)',
+    keypointCount: 17,
+    runsInWorker: false,
+    hasWorldLandmarks: false,
+
+    create({ options, onAssetRequested }) {
+        let detector = null;
+        let poseDetection = null;
+        // Lightning for lite, Thunder (slower, more accurate) otherwise
+        const movenetVariant = opts => (opts.modelComplexity === 0 ? 'lightning' : 'thunder');
+        let currentVariant = movenetVariant(options);
+
+        const modelType = variant => (variant === 'lightning'
+            ? poseDetection.movenet.modelType.SINGLEPOSE_LIGHTNING
+            : poseDetection.movenet.modelType.SINGLEPOSE_THUNDER);
+        const createDetector = (opts, variant) => poseDetection.createDetector(poseDetection.SupportedModels.MoveNet, {
+            modelType: modelType(variant),
+            modelUrl: getMoveNetModelUrl(variant),
+            enableSmoothing: opts.smoothLandmarks ?? true,
+        });
+
+        const ready = (async () => {
+            const [tf, detection] = await Promise.all([
+                import('@tensorflow/tfjs-core'),
+                import('@tensorflow-models/pose-detection'),
+                import('@tensorflow/tfjs-backend-webgl'),
+            ]);
+            await tf.setBackend('webgl');
+            await tf.ready();
+            poseDetection = detection;
+            onAssetRequested?.(modelType(currentVariant));
+            detector = await createDetector(options, currentVariant);
+        })();
+
+        let closed = false;
+        let pending = ready.catch(() => {}); // variant changes run one at a time, after loading
+
+        async function applyOptions(newOptions) {
+            // Thresholds are applied by consumers; only the model type needs a new detector
+            const variant = movenetVariant(newOptions);
+            if (variant === currentVariant) return;
+            const next = await createDetector(newOptions, variant);
+            if (closed) {
+                next.dispose();
+                return;
+            }
+            currentVariant = variant;
+            detector?.dispose();
+            detector = next;
+        }
+
+        return {
+            kind: 'main',
+            backend: 'movenet',
+            ready,
+            async send(image, at) {
+                const [pose] = await detector.estimatePoses(image, { flipHorizontal: false }, at);
+                if (!pose) return NO_RESULT;
+
+                // Keypoints are in pixels — normalize to 0..1 like MediaPipe
+                const width = image.videoWidth || image.width;
+                const height = image.videoHeight || image.height;
+                const partial = [];
+                pose.keypoints.forEach((kp, i) => {
+                    partial[COCO_TO_POSE[i]] = { x: kp.x / width, y: kp.y / height, z: 0, visibility: kp.score ?? 0 };
+                });
+                return { landmarks: completeLandmarks(partial), worldLandmarks: null };
+            },
+            setOptions(newOptions) {
+                const run = pending.then(() => applyOptions(newOptions));
+                pending = run.catch(() => {});
+                return run;
+            },
+            close() {
+                closed = true;
+                detector?.dispose();
+                detector = null;
+            },
+        };
+    },
+};
+
+export const POSE_BACKENDS = {
+    [mediapipePoseBackend.id]: mediapipePoseBackend,
+    [tasksVisionBackend.id]: tasksVisionBackend,
+    [movenetBackend.id]: movenetBackend,
+};
+
+export const DEFAULT_BACKEND = mediapipePoseBackend.id;
+
+/**
+ * Look up a backend, falling back to the default for unknown ids.
+ * @param {string} id
+ * @returns {Object} Backend
+ */
+export function getPoseBackend(id) {
+    return POSE_BACKENDS[id] || POSE_BACKENDS[DEFAULT_BACKEND];
+}
+
+/**
+ * Backend chosen for this device (persisted in localStorage).
+ * @returns {string} Backend id
+ */
+export function getPreferredBackend() {
+    try {
+        const saved = localStorage.getItem(BACKEND_STORAGE_KEY);
+        return POSE_BACKENDS[saved] ? saved : DEFAULT_BACKEND;
+    } catch {
+        return DEFAULT_BACKEND;
+    }
+}
+
+/**
+ * Remember the backend for this device.
+ * @param {string} id - Backend id
+ */
+export function setPreferredBackend(id) {
+    if (!POSE_BACKENDS[id]) return;
+    try {
+        localStorage.setItem(BACKEND_STORAGE_KEY, id);
+    } catch {
+        // Storage unavailable (private mode) — the default backend loads again on the next visit
+    }
+}
+
+export default {
+    POSE_BACKENDS,
+    POSE_LANDMARK_COUNT,
+    DEFAULT_BACKEND,
+    completeLandmarks,
+    getPoseBackend,
+    getPreferredBackend,
+    setPreferredBackend,
+};
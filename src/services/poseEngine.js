@@ -0,0 +1,144 @@
+/**
+ * poseEngine.js
+ * Runs pose inference either in a Web Worker (OffscreenCanvas) or on the
+ * main thread, with any backend from poseBackends.js. All engines share one
+ * interface so usePoseDetection doesn't care where or how inference runs:
+ *
+ *   engine.kind                → 'worker' | 'main'
+ *   engine.backend             → backend id
+ *   await engine.send(image, t) → { landmarks, worldLandmarks } (33 points each, or null;
+ *                                  world landmarks are metres, hip-centred, when the backend has them)
+ *   engine.setOptions(options)
+ *   engine.close()
+ */
+import { POSE_ASSET_BASE } from './poseAssets';
+import { getPoseBackend, DEFAULT_BACKEND } from './poseBackends';
+
+/**
+ * Whether this browser can run pose inference off the main thread.
+ * @returns {boolean}
+ */
+export function supportsWorkerInference() {
+    return typeof Worker !== 'undefined'
+        && typeof OffscreenCanvas !== 'undefined'
+        && typeof createImageBitmap === 'function';
+}
+
+/**
+ * Create and initialize a pose engine, preferring the worker when the
+ * backend supports it. Falls back to the main thread if the worker fails to start.
+ * @param {Object} config
+ * @param {string} [config.backend] - Backend id (see poseBackends.js)
+ * @param {Object} config.options - MediaPipe Pose style options
+ * @param {Function} [config.onAssetRequested] - Called with each asset file name as it loads
+ * @param {boolean} [config.preferWorker=true]
+ * @returns {Promise<Object>} Initialized engine
+ */
+export async function createPoseEngine({ backend = DEFAULT_BACKEND, options, onAssetRequested, preferWorker = true }) {
+    const poseBackend = getPoseBackend(backend);
+
+    if (preferWorker && poseBackend.runsInWorker && supportsWorkerInference()) {
+        const engine = createWorkerPoseEngine({ options, onAssetRequested });
+        try {
+            await engine.ready;
+            return engine;
+        } catch (error) {
+            console.warn('Pose worker unavailable, running inference on the main thread:', error);
+            engine.close();
+        }
+    }
+
+    const engine = poseBackend.create({ options, onAssetRequested });
+    try {
+        await engine.ready;
+    } catch (error) {
+        engine.close();
+        throw error;
+    }
+    return engine;
+}
+
+/**
+ * Worker engine (legacy MediaPipe Pose backend): frames are copied into
+ * ImageBitmaps and transferred, so the main thread only pays for the bitmap copy.
+ */
+export function createWorkerPoseEngine({ options, onAssetRequested }) {
+    const worker = new Worker(new URL('../workers/poseWorker.js', import.meta.url));
+    const pending = new Map();
+    let nextId = 0;
+    let resolveReady;
+    let rejectReady;
+    const ready = new Promise((resolve, reject) => {
+        resolveReady = resolve;
+        rejectReady = reject;
+    });
+
+    const failPending = (error) => {
+        pending.forEach(({ reject }) => reject(error));
+        pending.clear();
+    };
+
+    worker.onmessage = ({ data }) => {
+        switch (data.type) {
+            case 'progress':
+                onAssetRequested?.(data.file);
+                break;
+            case 'ready':
+                resolveReady();
+                break;
+            case 'result':
+                pending.get(data.id)?.resolve({ landmarks: data.landmarks, worldLandmarks: data.worldLandmarks });
+                pending.delete(data.id);
+                break;
+            case 'error': {
+                const error = new Error(data.message);
+                if (data.id == null) {
+                    rejectReady(error);
+                } else {
+                    pending.get(data.id)?.reject(error);
+                    pending.delete(data.id);
+                }
+                break;
+            }
+            default:
+                break;
+        }
+    };
+
+    worker.onerror = (event) => {
+        const error = new Error(event.message || 'Pose worker crashed');
+        rejectReady(error);
+        failPending(error);
+    };
+
+    // importScripts needs an absolute URL inside the worker
+    const assetBase = new URL(POSE_ASSET_BASE, window.location.href).href;
+    worker.postMessage({ type: 'init', assetBase, options });
+
+    return {
+        kind: 'worker',
+        backend: 'mediapipe-pose',
+        ready,
+        async send(image, at) {
+            const bitmap = await createImageBitmap(image);
+            const id = ++nextId;
+            return new Promise((resolve, reject) => {
+                pending.set(id, { resolve, reject });
+                worker.postMessage({ type: 'frame', id, image: bitmap, at }, [bitmap]);
+            });
+        },
+        setOptions(newOptions) {
+            worker.postMessage({ type: 'setOptions', options: newOptions });
+        },
+        close() {
+            worker.terminate();
+            failPending(new Error('Pose engine closed'));
+        },
+    };
+}
+
+export default {
+    supportsWorkerInference,
+    createPoseEngine,
+    createWorkerPoseEngine,
+};
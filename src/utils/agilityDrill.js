@@ -0,0 +1,396 @@
+/**
+ * agilityDrill.js
+ * Camera-tracked cone drills: the operator marks the cones on the frame, and
+ * the athlete's route is checked and timed from pose landmarks.
+ *
+ * - Layouts: cone positions in metres (for diagrams) and the route as a list
+ *   of legs, each ending at a cone that is touched, rounded, or reached by
+ *   weaving through cones in between; the last leg ends at the finish gate
+ * - Start / finish: the feet crossing a gate through the start (finish) cone,
+ *   square to the first (last) leg, timed from frame timestamps as in
+ *   utils/sprintTiming.js — or an audio start signal for drills started on "go".
+ *   A start counts once the feet are well past the gate, so an athlete
+ *   straddling the line (5-10-5) doesn't trigger it by shifting their weight
+ * - Cone touches: either wrist reaching down (below the hips) to the marked
+ *   cone base while the feet are at the cone — from behind, an upright
+ *   runner's hand can line up with a cone still metres ahead
+ * - Route: each leg must head for its cone — moving the other way, or past
+ *   the cone without touching it, rejects the run; shuffle legs must be run
+ *   facing forward, not turned side-on; weaves must pass the cones on
+ *   alternate sides
+ * - Cuts: trunk lean either side of each touch or turn (balance) and the
+ *   time spent slowed down around it (direction-change efficiency)
+ *
+ * Marked cones are in normalized source-frame coordinates (the landmark space).
+ */
+import { lineSide, crossingTime } from './sprintTiming';
+
+const STORAGE_KEY = 'athleteai_agility_cones';
+const MIN_VISIBILITY = 0.5;
+const TOUCH_RADIUS = 0.6;      // wrist within this share of torso length of the cone base
+const ROUTE_MARGIN = 0.35;     // share of a leg the feet may stray before the route counts as wrong
+const REACH_MARGIN = 0.1;      // a rounded cone is reached within this share of the leg
+const START_COMMIT = 0.2;      // share of the first leg past the start gate that confirms the start
+const TURN_RATIO = 0.5;        // shoulder width below this share of the set position: turned side-on
+const TURN_MS = 300;           // ...for this long
+const CUT_WINDOW_MS = 250;     // trunk lean is read this long either side of each touch
+const CUT_SPEED_RATIO = 0.3;   // slowed below this share of the legs' peak speed: in the cut
+const LEAN_UPRIGHT = 15;       // ° of lateral trunk lean with full balance marks
+const LEAN_POOR = 45;
+const CUT_FAST_MS = 250;       // cut time with full direction-change marks
+const CUT_SLOW_MS = 1000;
+
+/**
+ * T-test: sprint A→B, shuffle left to C, right to D, left back to B,
+ * backpedal through A. B, C and D are 5 yd apart, A is 10 yd from B.
+ */
+export const T_TEST = {
+    id: 't-test',
+    cones: {
+        A: { x: 0, y: 0 },
+        B: { x: 0, y: 9.14 },
+        C: { x: -4.57, y: 9.14 },
+        D: { x: 4.57, y: 9.14 },
+    },
+    start: 'A',
+    finish: 'A',
+    route: [
+        { to: 'B', move: 'sprint', check: 'touch' },
+        { to: 'C', move: 'shuffle', check: 'touch' },
+        { to: 'D', move: 'shuffle', check: 'touch' },
+        { to: 'B', move: 'shuffle', check: 'touch' },
+        { to: 'A', move: 'backpedal' },
+    ],
+};
+
+/**
+ * Illinois agility run: 10 m × 5 m, started lying prone on "go". Sprint to
+ * the far cone, back to the centre line, weave up and back through the four
+ * centre cones (3.3 m apart), sprint to the other far cone and back to finish.
+ */
+export const ILLINOIS = {
+    id: 'illinois',
+    cones: {
+        S: { x: 0, y: 0 },
+        T1: { x: 0, y: 10 },
+        M1: { x: 2.5, y: 0 },
+        M2: { x: 2.5, y: 3.3 },
+        M3: { x: 2.5, y: 6.7 },
+        M4: { x: 2.5, y: 10 },
+        T2: { x: 5, y: 10 },
+        F: { x: 5, y: 0 },
+    },
+    start: 'S',
+    finish: 'F',
+    startSignal: true,
+    route: [
+        { to: 'T1', move: 'sprint', check: 'reach' },
+        { to: 'M1', move: 'sprint', check: 'reach' },
+        { to: 'M4', move: 'weave', check: 'reach', through: ['M2', 'M3'] },
+        { to: 'M1', move: 'weave', check: 'reach', through: ['M3', 'M2'] },
+        { to: 'T2', move: 'sprint', check: 'reach' },
+        { to: 'F', move: 'sprint' },
+    ],
+};
+
+/**
+ * 5-10-5 pro-agility shuttle: from the centre line, sprint 5 yd and touch
+ * the line, 10 yd the other way and touch, then back through the centre.
+ * Either direction first.
+ */
+export const PRO_AGILITY = {
+    id: 'pro-agility',
+    cones: {
+        S: { x: 0, y: 0 },
+        R: { x: 4.57, y: 0 },
+        L: { x: -4.57, y: 0 },
+    },
+    start: 'S',
+    finish: 'S',
+    mirror: { R: 'L', L: 'R' },
+    route: [
+        { to: 'R', move: 'sprint', check: 'touch' },
+        { to: 'L', move: 'sprint', check: 'touch' },
+        { to: 'S', move: 'sprint' },
+    ],
+};
+
+/**
+ * Saved cone positions for a drill's camera setup.
+ * @param {string} drillId
+ * @returns {Object} cone id → { x, y }
+ */
+export function loadCones(drillId) {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY))?.[drillId] ?? {};
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * @param {string} drillId
+ * @param {Object} cones - cone id → { x, y }
+ */
+export function saveCones(drillId, cones) {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...saved, [drillId]: cones }));
+    } catch { /* storage unavailable — cones apply to this session only */ }
+}
+
+const mid = (p, q) => ({ x: (p.x + q.x) / 2, y: (p.y + q.y) / 2 });
+const visible = p => p && (p.visibility ?? 1) >= MIN_VISIBILITY;
+
+// Feet, wrists, torso scale, facing and trunk lean from one frame
+function bodyFrame(landmarks, aspect) {
+    const [ls, rs, lw, rw, lh, rh, la, ra] = [11, 12, 15, 16, 23, 24, 27, 28].map(i => landmarks?.[i]);
+    if (![ls, rs, lh, rh, la, ra].every(visible)) return null;
+    const dist = (p, q) => Math.hypot((p.x - q.x) * aspect, p.y - q.y);
+    const shoulders = mid(ls, rs);
+    const hips = mid(lh, rh);
+    return {
+        feet: mid(la, ra),
+        wrists: [lw, rw].filter(p => visible(p) && p.y > hips.y),
+        torso: dist(shoulders, hips),
+        width: dist(ls, rs) / (dist(shoulders, hips) || 1),
+        lean: (Math.atan2((shoulders.x - hips.x) * aspect, hips.y - shoulders.y) * 180) / Math.PI,
+    };
+}
+
+// Line through `at`, square to the direction from → to (aspect-corrected)
+function squareLine(at, from, to, aspect) {
+    return { a: at, b: { x: at.x - (to.y - from.y) / aspect, y: at.y + (to.x - from.x) * aspect } };
+}
+
+// Progress of p along from → to: 0 at `from`, 1 at `to`
+function along(from, to, p, aspect) {
+    const dx = (to.x - from.x) * aspect;
+    const dy = to.y - from.y;
+    return ((p.x - from.x) * aspect * dx + (p.y - from.y) * dy) / (dx * dx + dy * dy || 1);
+}
+
+/**
+ * Tracks one run of a drill. Feed every pose frame.
+ * @param {Object} options
+ * @param {Object} options.drill - Layout, e.g. T_TEST
+ * @param {Object} options.cones - cone id → { x, y } as marked on the frame
+ * @param {number} [options.aspect=16/9] - Frame width / height
+ */
+export function createDrillTracker({ drill, cones, aspect = 16 / 9 }) {
+    const startCone = cones[drill.start];
+    const firstTo = cones[drill.route[0].to];
+    const startGate = squareLine(startCone, startCone, firstTo, aspect);
+    const ahead = Math.sign(lineSide(startGate, firstTo));
+
+    let route = drill.route;
+    let prev = null;
+    let setWidth = null;  // shoulder width / torso in the start position
+    let turnedSince = null;
+    let startTime = null;
+    let pending = null;   // start gate crossing not yet confirmed: { time, mirrored }
+    let finishTime = null;
+    let rejected = null;
+    let leg = 0;
+    let weaveSides = [];  // side of the leg line each cone of the current weave was passed on
+    const legs = [];
+    const turns = [];
+    const samples = [];
+
+    const legFrom = i => (i === 0 ? drill.start : route[i - 1].to);
+
+    const status = () => ({
+        started: startTime !== null,
+        finished: finishTime !== null,
+        rejected,
+        startTime,
+        finishTime,
+        totalMs: startTime !== null && finishTime !== null ? finishTime - startTime : null,
+        legs: legs.map(l => ({ ...l })),
+        next: startTime !== null && finishTime === null && !rejected ? route[leg].to : null,
+    });
+
+    const endLeg = (t) => {
+        const step = route[leg];
+        const begin = leg === 0 ? startTime : legs[leg - 1].end;
+        legs.push({ from: legFrom(leg), to: step.to, move: step.move, start: begin, end: t, ms: t - begin });
+        leg += 1;
+        weaveSides = [];
+    };
+
+    return {
+        /**
+         * Signal start: the "go" signal on the source clock.
+         * @param {number} signal - ms
+         */
+        schedule(signal) {
+            startTime = signal;
+        },
+
+        /**
+         * @param {number} t - Frame timestamp (ms)
+         * @param {Array|null} landmarks
+         * @returns {Object} Tracker status
+         */
+        frame(t, landmarks) {
+            const body = bodyFrame(landmarks, aspect);
+            if (!body || finishTime !== null || rejected) return status();
+
+            if (startTime === null || t < startTime) setWidth = body.width;
+
+            if (startTime === null && prev) {
+                // Through the gate towards the first cone — or, on drills run either way, the mirrored one
+                const crossed = crossingTime(startGate, prev.t, prev.feet, t, body.feet);
+                if (crossed !== null) {
+                    const mirrored = Math.sign(lineSide(startGate, prev.feet)) === ahead;
+                    pending = !mirrored || drill.mirror ? { time: crossed, mirrored } : null;
+                }
+                const gone = along(startCone, firstTo, body.feet, aspect);
+                if (pending && (pending.mirrored ? -gone : gone) >= START_COMMIT) {
+                    startTime = pending.time;
+                    if (pending.mirrored) route = drill.route.map(step => ({ ...step, to: drill.mirror[step.to] ?? step.to }));
+                }
+            }
+
+            if (startTime !== null && t >= startTime) {
+                samples.push({ t, feet: body.feet, lean: body.lean });
+                const step = route[leg];
+                const from = cones[legFrom(leg)];
+                const to = cones[step.to];
+
+                // Heading for the cone? 0 at the leg's start, 1 at its cone
+                const progress = along(from, to, body.feet, aspect);
+
+                if (leg === route.length - 1) {
+                    const finishGate = squareLine(to, from, to, aspect);
+                    const beyond = -Math.sign(lineSide(finishGate, from));
+                    if (prev && Math.sign(lineSide(finishGate, prev.feet)) === -beyond) {
+                        const crossed = crossingTime(finishGate, prev.t, prev.feet, t, body.feet);
+                        if (crossed !== null) {
+                            finishTime = crossed;
+                            endLeg(crossed);
+                        }
+                    }
+                } else if (step.check === 'touch') {
+                    if (progress > 1 - ROUTE_MARGIN && body.wrists.some(w => Math.hypot((w.x - to.x) * aspect, w.y - to.y) < TOUCH_RADIUS * body.torso)) {
+                        turns.push({ cone: step.to, time: t });
+                        endLeg(t);
+                    } else if (progress > 1 + ROUTE_MARGIN) {
+                        rejected = `Skipped cone ${step.to}`;
+                    }
+                } else {
+                    // Weave: note the side of the leg line as the feet pass each cone in between
+                    const line = { a: from, b: to };
+                    (step.through || []).forEach((id, i) => {
+                        if (i !== weaveSides.length || !prev) return;
+                        const gate = squareLine(cones[id], from, to, aspect);
+                        const gateAhead = Math.sign(lineSide(gate, to));
+                        if (Math.sign(lineSide(gate, prev.feet)) !== -gateAhead) return;
+                        if (crossingTime(gate, prev.t, prev.feet, t, body.feet) === null) return;
+                        const side = Math.sign(lineSide(line, body.feet));
+                        if (i > 0 && side === weaveSides[i - 1]) rejected = `Missed the weave at cone ${id}`;
+                        weaveSides.push(side);
+                    });
+                    if (!rejected && progress >= 1 - REACH_MARGIN) {
+                        if (weaveSides.length < (step.through || []).length) rejected = `Skipped the weave to cone ${step.to}`;
+                        else {
+                            turns.push({ cone: step.to, time: t });
+                            endLeg(t);
+                        }
+                    }
+                }
+
+                if (!rejected && finishTime === null && progress < -ROUTE_MARGIN) {
+                    rejected = step.move === 'shuffle'
+                        ? `Wrong shuffle direction — shuffle to cone ${step.to}`
+                        : `Moved away from cone ${step.to}`;
+                }
+
+                if (!rejected && step.move === 'shuffle' && body.width < TURN_RATIO * setWidth) {
+                    if (turnedSince === null) turnedSince = t;
+                    else if (t - turnedSince >= TURN_MS) rejected = 'Turned to run — shuffle sideways, facing forward';
+                } else {
+                    turnedSince = null;
+                }
+            }
+
+            prev = { t, feet: body.feet };
+            return status();
+        },
+
+        status,
+
+        /**
+         * @returns {{ turns: Array<{ cone, time }>, samples: Array<{ t, feet, lean }> }}
+         */
+        result() {
+            return { turns: turns.map(c => ({ ...c })), samples };
+        },
+    };
+}
+
+/**
+ * Balance and direction-change efficiency at each cut (cone touched or
+ * rounded) of a finished run.
+ * @param {Object} run
+ * @param {Array<{ cone, time }>} run.turns - From createDrillTracker().result()
+ * @param {Array<{ t, feet, lean }>} run.samples - From createDrillTracker().result()
+ * @param {number} run.startTime - ms
+ * @param {number} run.finishTime - ms
+ * @param {number} [run.aspect=16/9]
+ * @returns {{
+ *   cuts: Array<{ cone, leanDeg, cutMs }>,
+ *   balance: number|null,         0-100 from peak lateral trunk lean
+ *   directionScore: number|null,  0-100 from time spent slowed in each cut
+ * }}
+ */
+export function analyzeCuts({ turns, samples, startTime, finishTime, aspect = 16 / 9 }) {
+    const speeds = samples.map((s, i) => {
+        const p = samples[Math.max(0, i - 1)];
+        const n = samples[Math.min(samples.length - 1, i + 1)];
+        return n.t > p.t ? Math.hypot((n.feet.x - p.feet.x) * aspect, n.feet.y - p.feet.y) / (n.t - p.t) : 0;
+    });
+    const peak = (from, to) => Math.max(0, ...samples.map((s, i) => (s.t >= from && s.t <= to ? speeds[i] : 0)));
+
+    const cuts = turns.map((touch, k) => {
+        const before = k === 0 ? startTime : turns[k - 1].time;
+        const after = k === turns.length - 1 ? finishTime : turns[k + 1].time;
+        const threshold = CUT_SPEED_RATIO * Math.min(peak(before, touch.time), peak(touch.time, after));
+
+        // Slowed-down stretch around the slowest frame near the touch
+        let at = -1;
+        samples.forEach((s, i) => {
+            if (Math.abs(s.t - touch.time) <= CUT_WINDOW_MS && (at < 0 || speeds[i] < speeds[at])) at = i;
+        });
+        let lo = at;
+        let hi = at;
+        while (lo > 0 && speeds[lo - 1] < threshold && samples[lo - 1].t > before) lo -= 1;
+        while (hi < samples.length - 1 && speeds[hi + 1] < threshold && samples[hi + 1].t < after) hi += 1;
+
+        const around = samples.filter(s => Math.abs(s.t - touch.time) <= CUT_WINDOW_MS);
+        return {
+            cone: touch.cone,
+            leanDeg: around.length ? Math.round(Math.max(...around.map(s => Math.abs(s.lean)))) : null,
+            cutMs: at >= 0 && speeds[at] < threshold ? Math.round(samples[hi].t - samples[lo].t) : 0,
+        };
+    });
+
+    const mean = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+    const scale = (value, best, worst) => Math.round(Math.max(0, Math.min(100, ((worst - value) / (worst - best)) * 100)));
+    const leans = cuts.map(c => c.leanDeg).filter(v => v !== null);
+    return {
+        cuts,
+        balance: leans.length ? scale(mean(leans), LEAN_UPRIGHT, LEAN_POOR) : null,
+        directionScore: cuts.length ? scale(mean(cuts.map(c => c.cutMs)), CUT_FAST_MS, CUT_SLOW_MS) : null,
+    };
+}
+
+export default {
+    T_TEST,
+    ILLINOIS,
+    PRO_AGILITY,
+    loadCones,
+    saveCones,
+    createDrillTracker,
+    analyzeCuts,
+};
@@ -0,0 +1,175 @@
+/**
+ * asymmetry.js
+ * Bilateral asymmetry: collects side-specific metrics from the camera tests
+ * into a report stored with each result, computes limb symmetry indices and
+ * flags asymmetries above a configurable threshold as injury-risk indicators.
+ *
+ * Limb symmetry index (LSI) = weaker side / stronger side × 100, so 100 is
+ * perfectly symmetric; asymmetry = 100 − LSI. An LSI below 85–90% is the
+ * usual return-to-play / injury-risk cut-off.
+ */
+
+export const DEFAULT_ASYMMETRY_THRESHOLD = 15; // % asymmetry (LSI < 85%)
+
+const STORAGE_KEY = 'athleteai_asymmetry_threshold';
+
+/**
+ * @returns {number} Flagging threshold in % asymmetry (coach setting)
+ */
+export function getAsymmetryThreshold() {
+    try {
+        const saved = Number(localStorage.getItem(STORAGE_KEY));
+        return saved > 0 && saved < 100 ? saved : DEFAULT_ASYMMETRY_THRESHOLD;
+    } catch {
+        return DEFAULT_ASYMMETRY_THRESHOLD;
+    }
+}
+
+/**
+ * @param {number} threshold - % asymmetry, 1-99
+ */
+export function setAsymmetryThreshold(threshold) {
+    try {
+        localStorage.setItem(STORAGE_KEY, String(threshold));
+    } catch { /* storage unavailable — default applies next session */ }
+}
+
+/**
+ * Limb symmetry index.
+ * @param {number} left
+ * @param {number} right
+ * @returns {number|null} 0-100 (100 = symmetric), null without usable values
+ */
+export function limbSymmetryIndex(left, right) {
+    if (!Number.isFinite(left) || !Number.isFinite(right) || left < 0 || right < 0) return null;
+    const larger = Math.max(left, right);
+    return larger > 0 ? Math.round((Math.min(left, right) / larger) * 100) : 100;
+}
+
+/**
+ * Reduce per-side samples (e.g. every punch) to one value per side.
+ * @param {Array<{ side: 'left'|'right', value: number }>} samples
+ * @param {'mean'|'max'|'min'} [reduce='mean']
+ * @returns {{ left: number, right: number }|null} Null unless both sides have samples
+ */
+export function sideValues(samples, reduce = 'mean') {
+    const pick = (side) => {
+        const values = samples.filter(s => s.side === side && Number.isFinite(s.value)).map(s => s.value);
+        if (!values.length) return null;
+        if (reduce === 'max') return Math.max(...values);
+        if (reduce === 'min') return Math.min(...values);
+        return values.reduce((sum, v) => sum + v, 0) / values.length;
+    };
+    const left = pick('left');
+    const right = pick('right');
+    return left === null || right === null ? null : { left, right };
+}
+
+function evaluate(metric, threshold) {
+    const lsi = limbSymmetryIndex(metric.left, metric.right);
+    const higherIsBetter = metric.higherIsBetter ?? true;
+    const leftWeaker = higherIsBetter ? metric.left < metric.right : metric.left > metric.right;
+    const asymmetry = lsi === null ? null : 100 - lsi;
+    return {
+        ...metric,
+        higherIsBetter,
+        lsi,
+        asymmetry,
+        weaker: asymmetry ? (leftWeaker ? 'left' : 'right') : null,
+        flagged: asymmetry !== null && asymmetry > threshold,
+    };
+}
+
+/**
+ * Build the asymmetry report stored with a result.
+ * @param {Object} sides - key → { label, unit?, left, right, higherIsBetter? } (entries may be null)
+ * @param {number} [threshold] - % asymmetry; defaults to the coach setting
+ * @returns {{ metrics: Array, maxAsymmetry: number, flagged: boolean, threshold: number }|null}
+ */
+export function buildAsymmetryReport(sides, threshold = getAsymmetryThreshold()) {
+    const metrics = Object.entries(sides || {})
+        .filter(([, m]) => m && Number.isFinite(m.left) && Number.isFinite(m.right))
+        .map(([key, m]) => evaluate({
+            key,
+            ...m,
+            left: Math.round(m.left * 10) / 10,
+            right: Math.round(m.right * 10) / 10,
+        }, threshold))
+        .filter(m => m.lsi !== null);
+    if (!metrics.length) return null;
+    return {
+        metrics,
+        maxAsymmetry: Math.max(...metrics.map(m => m.asymmetry)),
+        flagged: metrics.some(m => m.flagged),
+        threshold,
+    };
+}
+
+/**
+ * Re-judge a stored report against another threshold (the setting may have changed).
+ * @param {Object|null} report - From buildAsymmetryReport()
+ * @param {number} threshold
+ * @returns {Object|null}
+ */
+export function applyThreshold(report, threshold) {
+    if (!report) return null;
+    const metrics = report.metrics.map(m => evaluate(m, threshold));
+    return { ...report, metrics, flagged: metrics.some(m => m.flagged), threshold };
+}
+
+/**
+ * Side-specific metrics from rep events (utils/repEvents.js): range of motion
+ * of the left/right joints, and form score per working side (e.g. lunges).
+ * @param {Array} events
+ * @param {string} [joint='Joint'] - Label for the range-of-motion metric
+ * @returns {Object} Sides for buildAsymmetryReport()
+ */
+export function repEventSides(events, joint = 'Joint') {
+    const counted = (events || []).filter(e => !e.rejected);
+    const rom = counted.filter(e => e.symmetry);
+    const mean = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+    const perSide = sideValues(counted.filter(e => e.side).map(e => ({ side: e.side, value: e.score })));
+    return {
+        rangeOfMotion: rom.length ? {
+            label: `${joint} range of motion`,
+            unit: '°',
+            left: mean(rom.map(e => e.symmetry.leftRom)),
+            right: mean(rom.map(e => e.symmetry.rightRom)),
+        } : null,
+        formScore: perSide && { label: 'Form score per side', unit: '%', ...perSide },
+    };
+}
+
+/**
+ * Latest asymmetry report per test, from stored results (newest first).
+ * @param {Array} results - e.g. getAllResults()
+ * @param {number} [threshold] - Re-judges each report; defaults to the coach setting
+ * @returns {Array<{ activity, activityName, date, report }>}
+ */
+export function latestAsymmetry(results, threshold = getAsymmetryThreshold()) {
+    const seen = new Set();
+    const latest = [];
+    (results || []).forEach((result) => {
+        if (!result.asymmetry || seen.has(result.activity)) return;
+        seen.add(result.activity);
+        latest.push({
+            activity: result.activity,
+            activityName: result.activityName || result.activity,
+            date: result.date,
+            report: applyThreshold(result.asymmetry, threshold),
+        });
+    });
+    return latest;
+}
+
+export default {
+    DEFAULT_ASYMMETRY_THRESHOLD,
+    getAsymmetryThreshold,
+    setAsymmetryThreshold,
+    limbSymmetryIndex,
+    sideValues,
+    buildAsymmetryReport,
+    applyThreshold,
+    repEventSides,
+    latestAsymmetry,
+};
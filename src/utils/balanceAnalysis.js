@@ -0,0 +1,181 @@
+/**
+ * balanceAnalysis.js
+ * Single-leg (stork stand) balance trials: detects the raised foot and its
+ * touchdown from ankle landmarks, times the hold, and measures hip and
+ * shoulder sway from their trajectories.
+ *
+ * Sway is reported as path length (total distance travelled), mean sway
+ * velocity, and the area of the 95% confidence ellipse of positions.
+ */
+
+const LIFT_RATIO = 0.08;       // raised ankle above the stance ankle, in leg lengths
+const TOUCHDOWN_RATIO = 0.04;  // back within this → foot down
+const LIFT_CONFIRM_MS = 300;   // foot must stay up this long before the clock starts
+const TOUCHDOWN_CONFIRM_MS = 150;
+const CHI2_95 = 5.991;         // χ² (2 dof, 95%) for the confidence ellipse
+
+export const MAX_HOLD_MS = 60000;
+
+const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+
+/**
+ * How high the raised foot is above the stance foot, in stance-leg lengths.
+ * @param {Object} lm - Named landmarks (extractLandmarks)
+ * @param {'left'|'right'} stance - Leg the athlete stands on
+ * @returns {number|null}
+ */
+export function footLift(lm, stance) {
+    const raised = stance === 'left' ? 'right' : 'left';
+    const hip = lm[`${stance}Hip`];
+    const ankle = lm[`${stance}Ankle`];
+    const raisedAnkle = lm[`${raised}Ankle`];
+    if (!hip || !ankle || !raisedAnkle || (raisedAnkle.visibility ?? 1) < 0.3) return null;
+    const legLength = Math.hypot(ankle.x - hip.x, ankle.y - hip.y);
+    if (legLength < 0.05) return null;
+    return (ankle.y - raisedAnkle.y) / legLength;
+}
+
+/**
+ * Sway metrics for a trajectory.
+ * @param {Array<{x: number, y: number, t: number}>} points - Normalized positions over time (ms)
+ * @param {Object} scale - Real-world converters (createScale)
+ * @returns {{ pathCm: number, velocityCmS: number, areaCm2: number }}
+ */
+export function computeSway(points, scale) {
+    if (points.length < 2) return { pathCm: 0, velocityCmS: 0, areaCm2: 0 };
+    const cm = points.map(p => ({ x: scale.cmX(p.x), y: scale.cmY(p.y) }));
+
+    let path = 0;
+    for (let i = 1; i < cm.length; i++) {
+        path += Math.hypot(cm[i].x - cm[i - 1].x, cm[i].y - cm[i - 1].y);
+    }
+    const seconds = (points[points.length - 1].t - points[0].t) / 1000;
+
+    const meanX = cm.reduce((sum, p) => sum + p.x, 0) / cm.length;
+    const meanY = cm.reduce((sum, p) => sum + p.y, 0) / cm.length;
+    let sxx = 0, syy = 0, sxy = 0;
+    cm.forEach((p) => {
+        sxx += (p.x - meanX) ** 2;
+        syy += (p.y - meanY) ** 2;
+        sxy += (p.x - meanX) * (p.y - meanY);
+    });
+    const n = cm.length - 1;
+    const det = Math.max(0, (sxx / n) * (syy / n) - (sxy / n) ** 2);
+
+    return {
+        pathCm: Math.round(path * 10) / 10,
+        velocityCmS: seconds > 0 ? Math.round((path / seconds) * 10) / 10 : 0,
+        areaCm2: Math.round(Math.PI * CHI2_95 * Math.sqrt(det) * 10) / 10,
+    };
+}
+
+/**
+ * Asymmetry between legs, as a percentage of the better one.
+ * @param {number} left
+ * @param {number} right
+ * @returns {number} 0-100
+ */
+export function balanceAsymmetry(left, right) {
+    const best = Math.max(left, right);
+    return best > 0 ? Math.round((Math.abs(left - right) / best) * 100) : 0;
+}
+
+/**
+ * Stateful single-leg trial: waits for the foot to lift, times the hold and
+ * records sway until touchdown or MAX_HOLD_MS.
+ * @param {'left'|'right'} stance - Leg the athlete stands on
+ */
+export function createBalanceTrial(stance) {
+    let state = 'waiting'; // waiting, holding, ended
+    let liftedSince = null;
+    let downSince = null;
+    let startedAt = null;
+    let endedAt = null;
+    let endReason = null;
+    const hipPath = [];
+    const shoulderPath = [];
+
+    const snapshot = now => ({
+        stance,
+        state,
+        holdMs: startedAt === null ? 0 : (endedAt ?? now) - startedAt,
+        endReason,
+    });
+
+    return {
+        /**
+         * Feed one frame.
+         * @param {Object|null} lm - Named landmarks
+         * @param {number} t - Timestamp in ms
+         * @returns {{ stance, state, holdMs, endReason, lift: number|null }}
+         */
+        push(lm, t) {
+            if (state === 'ended' || !lm) return { ...snapshot(t), lift: null };
+            const lift = footLift(lm, stance);
+
+            if (state === 'waiting') {
+                if (lift !== null && lift > LIFT_RATIO) {
+                    liftedSince ??= t;
+                    if (t - liftedSince >= LIFT_CONFIRM_MS) {
+                        state = 'holding';
+                        startedAt = liftedSince;
+                    }
+                } else {
+                    liftedSince = null;
+                }
+                return { ...snapshot(t), lift };
+            }
+
+            hipPath.push({ ...midpoint(lm.leftHip, lm.rightHip), t });
+            shoulderPath.push({ ...midpoint(lm.leftShoulder, lm.rightShoulder), t });
+
+            if (lift !== null && lift < TOUCHDOWN_RATIO) {
+                downSince ??= t;
+                if (t - downSince >= TOUCHDOWN_CONFIRM_MS) {
+                    state = 'ended';
+                    endedAt = downSince;
+                    endReason = 'touchdown';
+                }
+            } else {
+                downSince = null;
+            }
+            if (state === 'holding' && t - startedAt >= MAX_HOLD_MS) {
+                state = 'ended';
+                endedAt = startedAt + MAX_HOLD_MS;
+                endReason = 'complete';
+            }
+            return { ...snapshot(t), lift };
+        },
+
+        /** Stop the trial now (operator ended it). */
+        stop(t) {
+            if (state === 'ended') return;
+            endedAt = state === 'holding' ? t : null;
+            endReason = 'stopped';
+            state = 'ended';
+        },
+
+        /**
+         * Final result; sway only covers the hold itself.
+         * @param {Object} scale - Real-world converters (createScale)
+         */
+        result(scale) {
+            const held = p => endedAt === null || p.t <= endedAt;
+            return {
+                stance,
+                holdSeconds: Math.round(snapshot(endedAt ?? 0).holdMs / 100) / 10,
+                endReason,
+                hipSway: computeSway(hipPath.filter(held), scale),
+                shoulderSway: computeSway(shoulderPath.filter(held), scale),
+            };
+        },
+    };
+}
+
+export default {
+    MAX_HOLD_MS,
+    footLift,
+    computeSway,
+    balanceAsymmetry,
+    createBalanceTrial,
+};
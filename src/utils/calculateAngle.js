@@ -3,7 +3,7 @@
  * Computes the angle (in degrees) at point B in triangle A-B-C
  * using vector math (dot product / cross product).
  *
- * Each point is an object: { x, y }
+ * Each point is an object: { x, y } — or { x, y, z } for 3D world landmarks.
  */
 
 /**
@@ -20,6 +20,40 @@ export function calculateAngle(a, b, c) {
     return angle;
 }
 
+/**
+ * Calculate the angle at vertex B in 3D, from world landmarks.
+ * Unlike the 2D angle this doesn't shrink or grow as a limb turns
+ * towards or away from the camera.
+ * @param {Object} a - First point {x, y, z}
+ * @param {Object} b - Vertex point {x, y, z}
+ * @param {Object} c - Third point {x, y, z}
+ * @returns {number} Angle in degrees (0-180)
+ */
+export function calculateAngle3D(a, b, c) {
+    const ba = { x: a.x - b.x, y: a.y - b.y, z: (a.z || 0) - (b.z || 0) };
+    const bc = { x: c.x - b.x, y: c.y - b.y, z: (c.z || 0) - (b.z || 0) };
+    const dot = ba.x * bc.x + ba.y * bc.y + ba.z * bc.z;
+    const magnitude = Math.hypot(ba.x, ba.y, ba.z) * Math.hypot(bc.x, bc.y, bc.z);
+    if (!magnitude) return 0;
+    const cosine = Math.min(1, Math.max(-1, dot / magnitude));
+    return Math.acos(cosine) * (180 / Math.PI);
+}
+
+/**
+ * Angle at a named joint: true 3D angle when world landmarks are available,
+ * otherwise the 2D angle in the image plane.
+ * @param {Object} lm - Named image landmarks from extractLandmarks()
+ * @param {Object|null} world - Named world landmarks from extractLandmarks(), or null
+ * @param {string} a - First landmark name, e.g. 'leftHip'
+ * @param {string} b - Vertex landmark name, e.g. 'leftKnee'
+ * @param {string} c - Third landmark name, e.g. 'leftAnkle'
+ * @returns {number} Angle in degrees (0-180)
+ */
+export function jointAngle(lm, world, a, b, c) {
+    if (world) return calculateAngle3D(world[a], world[b], world[c]);
+    return calculateAngle(lm[a], lm[b], lm[c]);
+}
+
 /**
  * Calculate the distance between two points.
  * @param {Object} a - {x, y}
@@ -44,9 +78,24 @@ export function getAngleQuality(angle, minTarget, maxTarget) {
     return 'bad';
 }
 
+// extractLandmarks() names → MediaPipe indices
+export const LANDMARK_INDEX = {
+    nose: 0,
+    leftShoulder: 11, rightShoulder: 12,
+    leftElbow: 13, rightElbow: 14,
+    leftWrist: 15, rightWrist: 16,
+    leftHip: 23, rightHip: 24,
+    leftKnee: 25, rightKnee: 26,
+    leftAnkle: 27, rightAnkle: 28,
+    leftHeel: 29, rightHeel: 30,
+    leftFootIndex: 31, rightFootIndex: 32,
+};
+
 /**
- * Extract key landmark positions from MediaPipe pose results.
- * @param {Array} landmarks - Array of 33 landmarks from MediaPipe
+ * Extract key landmark positions from pose results.
+ * Every backend delivers the 33-point MediaPipe layout (see services/poseBackends.js);
+ * points a backend can't detect are estimated with visibility 0.
+ * @param {Array} landmarks - Array of 33 landmarks
  * @returns {Object} Named landmark positions
  */
 export function extractLandmarks(landmarks) {
@@ -143,6 +143,14 @@ export function checkForVideoCuts(landmarks) {
     return { cut: false };
 }
 
+/**
+ * Clear per-session detector state (frame-to-frame history) so a replayed
+ * session is evaluated exactly like the original run.
+ */
+export function resetCheatDetection() {
+    prevLandmarkPositions = null;
+}
+
 /**
  * Malpractice detection: check if the user is doing the wrong exercise.
  * @param {string} expectedActivity - The activity they should be performing
@@ -205,6 +213,47 @@ export function checkMalpractice(expectedActivity, landmarks) {
             }
             break;
         }
+        case 'lunges': {
+            // Lunges: upright torso; nose level with the hips means lying down
+            if (lHip && rHip && lHip.visibility > 0.3) {
+                const hipY = (lHip.y + rHip.y) / 2;
+                if (Math.abs(nose.y - hipY) < 0.05) {
+                    return { malpractice: true, reason: 'Incorrect position — stand upright for lunges' };
+                }
+            }
+            break;
+        }
+        case 'plank': {
+            // Plank: body roughly horizontal. Nose well above the hips → standing or kneeling up
+            if (lHip && rHip && lHip.visibility > 0.3 && rHip.visibility > 0.3) {
+                const hipY = (lHip.y + rHip.y) / 2;
+                if (nose.y < hipY - 0.25 && torsoAngle > 0.3) {
+                    return { malpractice: true, reason: 'You appear to be upright — get into plank position' };
+                }
+            }
+            break;
+        }
+        case 'burpees': {
+            // Burpees: the jump and the plank both need the feet in frame
+            if (!lAnkle || !rAnkle || (lAnkle.visibility < 0.3 && rAnkle.visibility < 0.3)) {
+                return { malpractice: true, reason: 'Step back — your feet must stay in frame for burpees' };
+            }
+            break;
+        }
+        case 'jumping-jacks': {
+            // Jumping jacks: standing, with the hands travelling above the shoulders
+            if (lHip && rHip && lHip.visibility > 0.3) {
+                const hipY = (lHip.y + rHip.y) / 2;
+                if (Math.abs(nose.y - hipY) < 0.05) {
+                    return { malpractice: true, reason: 'Incorrect position — stand upright for jumping jacks' };
+                }
+            }
+            if (lWrist && rWrist && lWrist.visibility > 0.3 && rWrist.visibility > 0.3
+                && lKnee && rKnee && lWrist.y > lKnee.y && rWrist.y > rKnee.y) {
+                return { malpractice: true, reason: 'Hands below the knees — this doesn\'t look like jumping jacks' };
+            }
+            break;
+        }
         case 'vertical-jump':
         case 'broad-jump': {
             // Jump tests: user should be standing initially
@@ -320,6 +369,7 @@ export default {
     checkFaceVisible,
     checkCameraAngle,
     checkForVideoCuts,
+    resetCheatDetection,
     checkMalpractice,
     checkBrightness,
     checkNoSuddenLightingChange,
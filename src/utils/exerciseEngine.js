@@ -0,0 +1,545 @@
+/**
+ * exerciseEngine.js
+ * Interprets a declarative exercise definition (see src/exercises/) frame by
+ * frame: derives signals from landmarks, runs the phase state machine,
+ * counts and scores reps or times holds, and reports activity metrics.
+ *
+ * Definition format:
+ *
+ *   id, name, icon, type ('reps' | 'timed' | 'distance'), performance, metrics, target
+ *       Registry fields (see ACTIVITIES in useActivityLogic); `target` is the rep count
+ *       or hold seconds that scores 100% endurance
+ *
+ *   signals: { name: spec }       Evaluated in order each frame; later specs may use earlier ones
+ *       Landmark names are those of extractLandmarks(), plus midShoulder, midElbow,
+ *       midWrist, midHip, midKnee and midAnkle (midpoints of the left/right pair).
+ *       { angle: [a, b, c] }          Joint angle at b (3D from world landmarks when available)
+ *       { angle: [a, b, c], planar: true }  Always the 2D image-plane angle
+ *       { midpoint: [a, b], axis }    Normalized x or y of the midpoint of two landmarks
+ *       { position: a, axis }         Normalized x or y of one landmark
+ *       { distance: [a, b] }          Normalized 2D distance between two landmarks
+ *       { inclination: [a, b] }       Degrees of the a→b segment from vertical (0 upright, 90 horizontal)
+ *       { lineOffset: [a, p, b] }     How far p sits below (+) or above (−) the a–b line, per unit of line length
+ *       { velocity: [i, ...], axis }  Mean landmark velocity (vx / vy) from kinematics
+ *       { average: [s, ...] }         Mean of other signals
+ *       { difference: [s1, s2] }      |s1 − s2|  (s1 − s2 with `signed: true`)
+ *       { ratio: [s1, s2] }           s1 / s2
+ *       { percent: s, from, to }      0 at `from`, 100 at `to`, clamped
+ *       { max: [s, ...] } / { min: [s, ...] }
+ *       { lowest: [s, ...] }          Index of the smallest signal (e.g. which knee is higher in frame)
+ *       { pick: [s, ...], by }        The signal at index `by` (another signal)
+ *
+ *   Condition: { signal, above?, below?, between?: [lo, hi] } — or an array (all must hold)
+ *
+ *   phases: {
+ *       initial: 'idle',
+ *       hysteresis: 0,              Signal units past an enter threshold before switching
+ *       minFrames: 1,               Consecutive frames a switch condition must hold
+ *       states: { name: { enter: Condition, active?: boolean, quality?: 'good'|'warning'|'bad' } },
+ *       transitions: { from: [to, ...] },
+ *   }
+ *
+ *   rep: {                          (reps / distance) A rep completes on this transition
+ *       from, to,
+ *       valid?: Condition,          Checked at completion; failing reps are rejected
+ *       measure?: { name, signal, since, scale?: 'cmX'|'cmY', keep?: 'max'|'last', min? }
+ *                                   Change in `signal` since entering phase `since`
+ *       split?: { metric, signal, since, labels }
+ *                                   Count reps per label of `signal` (an index) on entering `since`,
+ *                                   e.g. lunges per leg → metrics[metric] = { left, right }
+ *       tempo?: { signal, bottom: 'min'|'max', first?: 'eccentric'|'concentric' }
+ *                                   Signal whose turning point splits the rep (see utils/repEvents.js)
+ *       symmetry?: [left, right]    Signals compared for left/right range of motion
+ *   }
+ *   Every completed (or rejected) rep carries an `event` with its tempo, joint angle
+ *   ranges (display.jointAngles), symmetry and faults.
+ *
+ *   faults: [{ id, when?: Condition, rep?: { signal, over, above?, below?, after? }, quality?, joints? }]
+ *       Named form faults (catalogue in src/exercises/faults.js). `when` is checked every
+ *       frame and sets formQuality (default 'warning'); `rep` is checked on the rep's own
+ *       series at completion. With `after: true` it is checked on the frames after the
+ *       rep instead, up to the next phase change, and added to that rep's event (process()
+ *       returns it as `settled`; finish() settles the last rep), e.g. incomplete lockout =
+ *       max knee angle below 170° over the stand that follows the rep.
+ *       Active faults → metrics.faults / metrics.faultJoints (rep faults stay active for
+ *       REP_FAULT_MS); reps showing each fault → metrics.faultCounts.
+ *
+ *   hold: {                         (timed) Hold timer and stability
+ *       valid: Condition, warning?: Condition,
+ *       faults?: [{ name, when: Condition }],   Seconds spent in each fault → metrics.faultSeconds
+ *                                               (`name` is a fault id, also reported in metrics.faults)
+ *   }
+ *
+ *   scoring: [{ signal, over: 'min'|'max'|'mean'|'last', good, bad, weight }]
+ *       Per-rep form score: each rule ramps 100 at `good` → 0 at `bad`, weighted.
+ *       `signal` may also name the rep's measure.
+ *
+ *   quality: [{ when: Condition, quality }]   Frame-level form overrides, first match wins
+ *   defaultQuality: 'good'                    When no state or rule applies
+ *   display: { jointAngles: { label: signal }, metrics: { metricKey: signal } }
+ */
+import { calculateAngle, calculateAngle3D, LANDMARK_INDEX } from './calculateAngle';
+import { averageKinematics } from './landmarkFilter';
+import { createRepTracker } from './repEvents';
+import { getFault } from '../exercises/faults';
+
+const MIDPOINTS = {
+    midShoulder: ['leftShoulder', 'rightShoulder'],
+    midElbow: ['leftElbow', 'rightElbow'],
+    midWrist: ['leftWrist', 'rightWrist'],
+    midHip: ['leftHip', 'rightHip'],
+    midKnee: ['leftKnee', 'rightKnee'],
+    midAnkle: ['leftAnkle', 'rightAnkle'],
+};
+
+// Longest gap between frames that still counts towards fault time (ms)
+const MAX_FRAME_GAP = 250;
+
+// How long a fault found at the end of a rep stays on screen (ms)
+const REP_FAULT_MS = 1500;
+
+const QUALITY_RANK = { good: 0, warning: 1, bad: 2 };
+
+const allDefined = values => values.every(v => v !== null && v !== undefined && !Number.isNaN(v));
+
+function withMidpoints(named) {
+    if (!named) return named;
+    const points = { ...named };
+    Object.entries(MIDPOINTS).forEach(([name, [a, b]]) => {
+        points[name] = {
+            x: (named[a].x + named[b].x) / 2,
+            y: (named[a].y + named[b].y) / 2,
+            z: ((named[a].z || 0) + (named[b].z || 0)) / 2,
+            visibility: Math.min(named[a].visibility ?? 1, named[b].visibility ?? 1),
+        };
+    });
+    return points;
+}
+
+/**
+ * Evaluate a definition's signals for one frame.
+ * @param {Object} specs - definition.signals
+ * @param {Object} frame - { lm, world, kinematics }
+ * @returns {Object} Signal values (null when inputs are missing)
+ */
+export function evaluateSignals(specs, { lm, world, kinematics }) {
+    const points = withMidpoints(lm);
+    const worldPoints = withMidpoints(world);
+    const values = {};
+    Object.entries(specs).forEach(([name, spec]) => {
+        values[name] = evaluateSignal(spec, values, points, worldPoints, kinematics);
+    });
+    return values;
+}
+
+function evaluateSignal(spec, values, lm, world, kinematics) {
+    if (spec.angle) {
+        const [a, b, c] = spec.angle;
+        if (world && !spec.planar) return calculateAngle3D(world[a], world[b], world[c]);
+        return calculateAngle(lm[a], lm[b], lm[c]);
+    }
+    if (spec.midpoint) {
+        const [a, b] = spec.midpoint;
+        return (lm[a][spec.axis] + lm[b][spec.axis]) / 2;
+    }
+    if (spec.position) return lm[spec.position][spec.axis];
+    if (spec.distance) {
+        const [a, b] = spec.distance;
+        return Math.hypot(lm[b].x - lm[a].x, lm[b].y - lm[a].y);
+    }
+    if (spec.inclination) {
+        const [a, b] = spec.inclination;
+        return Math.atan2(Math.abs(lm[b].x - lm[a].x), Math.abs(lm[b].y - lm[a].y)) * (180 / Math.PI);
+    }
+    if (spec.lineOffset) {
+        const [a, p, b] = spec.lineOffset.map(name => lm[name]);
+        const length = Math.hypot(b.x - a.x, b.y - a.y);
+        if (Math.abs(b.x - a.x) < 1e-3 || !length) return null;
+        const lineY = a.y + ((p.x - a.x) / (b.x - a.x)) * (b.y - a.y);
+        return (p.y - lineY) / length;
+    }
+    if (spec.velocity) {
+        const indices = spec.velocity.map(i => (typeof i === 'string' ? LANDMARK_INDEX[i] : i));
+        const velocity = averageKinematics(kinematics, indices);
+        return velocity ? velocity[spec.axis] : null;
+    }
+
+    if (spec.pick) {
+        const index = values[spec.by];
+        return index === null || index === undefined ? null : values[spec.pick[index]] ?? null;
+    }
+
+    const inputs = (spec.average || spec.difference || spec.ratio || spec.max || spec.min || spec.lowest || [spec.percent])
+        .map(s => values[s]);
+    if (!allDefined(inputs)) return null;
+    if (spec.average) return inputs.reduce((sum, v) => sum + v, 0) / inputs.length;
+    if (spec.difference) return spec.signed ? inputs[0] - inputs[1] : Math.abs(inputs[0] - inputs[1]);
+    if (spec.ratio) return inputs[1] ? inputs[0] / inputs[1] : null;
+    if (spec.max) return Math.max(...inputs);
+    if (spec.min) return Math.min(...inputs);
+    if (spec.lowest) return inputs.indexOf(Math.min(...inputs));
+    if (spec.percent) {
+        const ratio = (spec.from - inputs[0]) / (spec.from - spec.to);
+        return Math.max(0, Math.min(100, ratio * 100));
+    }
+    throw new Error(`Unknown signal spec: ${JSON.stringify(spec)}`);
+}
+
+/**
+ * Test a condition against signal values.
+ * @param {Object|Array} condition
+ * @param {Object} values - Signal values
+ * @param {number} [margin=0] - Hysteresis: thresholds must be passed by this much
+ * @returns {boolean}
+ */
+export function matches(condition, values, margin = 0) {
+    if (!condition) return false;
+    if (Array.isArray(condition)) return condition.every(c => matches(c, values, margin));
+    const value = values[condition.signal];
+    if (value === null || value === undefined) return false;
+    if (condition.above !== undefined && !(value > condition.above + margin)) return false;
+    if (condition.below !== undefined && !(value < condition.below - margin)) return false;
+    if (condition.between && !(value >= condition.between[0] + margin && value <= condition.between[1] - margin)) return false;
+    return true;
+}
+
+/**
+ * Score one value on a linear ramp: 100 at `good`, 0 at `bad`.
+ */
+function rampScore(value, good, bad) {
+    if (value === null || value === undefined) return 0;
+    const ratio = (value - bad) / (good - bad);
+    return Math.max(0, Math.min(100, ratio * 100));
+}
+
+function reduceSeries(series, over) {
+    if (!series.length) return null;
+    switch (over) {
+        case 'min': return Math.min(...series);
+        case 'max': return Math.max(...series);
+        case 'mean': return series.reduce((sum, v) => sum + v, 0) / series.length;
+        default: return series[series.length - 1];
+    }
+}
+
+/**
+ * Weighted per-rep form score.
+ * @param {Array} rules - definition.scoring
+ * @param {Object} series - Signal name → values over the rep
+ * @param {Object} extra - Values that aren't series (the rep's measure)
+ * @returns {number} 0-100
+ */
+export function scoreRep(rules, series, extra = {}) {
+    if (!rules?.length) return 100;
+    let total = 0;
+    let weights = 0;
+    rules.forEach((rule) => {
+        const value = rule.signal in extra ? extra[rule.signal] : reduceSeries(series[rule.signal] || [], rule.over);
+        const weight = rule.weight ?? 1;
+        total += rampScore(value, rule.good, rule.bad) * weight;
+        weights += weight;
+    });
+    return Math.round(total / (weights || 1));
+}
+
+/**
+ * Frame-level faults active for these signal values.
+ * @param {Array} faults - definition.faults
+ * @param {Object} values - Signal values
+ * @returns {Array} Matching fault specs
+ */
+export function detectFaults(faults, values) {
+    return (faults || []).filter(f => f.when && matches(f.when, values));
+}
+
+/**
+ * Rep-level faults, judged on the rep's series (e.g. the highest knee angle).
+ * @param {Array} faults - definition.faults
+ * @param {Object} series - Signal name → values over the rep
+ * @param {boolean} [after=false] - Judge the `after` faults instead, on the series after the rep
+ * @returns {Array} Matching fault specs
+ */
+export function detectRepFaults(faults, series, after = false) {
+    return (faults || []).filter((f) => {
+        if (!f.rep || !!f.rep.after !== after) return false;
+        const { signal, over, after: _after, ...bounds } = f.rep;
+        return matches({ signal: 'value', ...bounds }, { value: reduceSeries(series[signal] || [], over) });
+    });
+}
+
+/**
+ * Landmarks to highlight for a set of faults.
+ * @param {Array} faults - Fault specs ({ id, joints? })
+ * @returns {Array<string>} Landmark names
+ */
+export function faultJoints(faults) {
+    return [...new Set(faults.flatMap(f => f.joints || getFault(f.id).joints))];
+}
+
+/**
+ * Create a stateful interpreter for one exercise session.
+ * @param {Object} definition - Exercise definition
+ * @returns {{ definition: Object, process: Function, finish: Function, reset: Function }}
+ */
+export function createExerciseEngine(definition) {
+    const phases = definition.phases;
+    const repTracker = definition.rep && createRepTracker({
+        tempo: definition.rep.tempo,
+        symmetry: definition.rep.symmetry,
+        angles: definition.display?.jointAngles,
+    });
+    let phase;
+    let pending;        // { to, frames } candidate transition (minFrames debounce)
+    let phaseEntry;     // phase name → signal snapshot when it was entered
+    let series;         // signal name → values since the last rep
+    let repScores;
+    let repCount;
+    let measured;       // best/last measure value
+    let repsPerSide;
+    let holdStart;
+    let validFrames;
+    let totalFrames;
+    let faultMs;
+    let faultCounts;    // fault id → reps showing it
+    let repFaults;      // { faults, until } from the last rep
+    let settling;       // { event, series } the last rep's `after` faults are judged on
+    let lastTimestamp;
+
+    function reset() {
+        phase = phases?.initial ?? 'idle';
+        pending = null;
+        phaseEntry = {};
+        series = {};
+        repScores = [];
+        repCount = 0;
+        measured = 0;
+        repsPerSide = Object.fromEntries((definition.rep?.split?.labels || []).map(label => [label, 0]));
+        holdStart = null;
+        validFrames = 0;
+        totalFrames = 0;
+        faultMs = Object.fromEntries((definition.hold?.faults || []).map(fault => [fault.name, 0]));
+        faultCounts = Object.fromEntries((definition.faults || []).map(fault => [fault.id, 0]));
+        repFaults = null;
+        settling = null;
+        lastTimestamp = null;
+        repTracker?.reset();
+    }
+    reset();
+
+    // Advance the state machine; returns the transition taken, if any
+    function step(values) {
+        if (!phases) return null;
+        const candidates = phases.transitions[phase] || [];
+        const margin = phases.hysteresis || 0;
+        const next = candidates.find(to => matches(phases.states[to]?.enter, values, margin));
+        if (!next) {
+            pending = null;
+            return null;
+        }
+        pending = pending?.to === next ? { to: next, frames: pending.frames + 1 } : { to: next, frames: 1 };
+        if (pending.frames < (phases.minFrames || 1)) return null;
+
+        const transition = { from: phase, to: next };
+        phase = next;
+        pending = null;
+        phaseEntry[next] = values;
+        return transition;
+    }
+
+    // Close the rep event, adding rep-level faults and counting every fault once per rep
+    function logRep(timestamp, extra, found = []) {
+        const event = repTracker.complete(timestamp, extra, found.map(f => f.id));
+        if (!event) return null;
+        event.faults.forEach((id) => { faultCounts[id] = (faultCounts[id] || 0) + 1; });
+        if (found.length) repFaults = { faults: found, until: timestamp + REP_FAULT_MS };
+        return event;
+    }
+
+    // Judge the last rep's `after` faults; returns its updated event if any were found
+    function settle(timestamp) {
+        if (!settling) return null;
+        const { event, series: after } = settling;
+        settling = null;
+        const found = detectRepFaults(definition.faults, after, true).filter(f => !event.faults.includes(f.id));
+        if (!found.length) return null;
+        found.forEach((f) => { faultCounts[f.id] = (faultCounts[f.id] || 0) + 1; });
+        repFaults = { faults: found, until: timestamp + REP_FAULT_MS };
+        return { ...event, faults: [...event.faults, ...found.map(f => f.id)] };
+    }
+
+    function completeRep(values, scale, timestamp) {
+        const rep = definition.rep;
+        const reject = () => {
+            series = {};
+            return { rejected: true, event: logRep(timestamp, { rejected: true }) };
+        };
+        if (rep.valid && !matches(rep.valid, values)) return reject();
+
+        const extra = {};
+        if (rep.measure) {
+            const { name, signal, since, min = 0 } = rep.measure;
+            const start = phaseEntry[since]?.[signal];
+            if (start === null || start === undefined || values[signal] === null) return reject();
+            const delta = Math.abs(values[signal] - start);
+            const value = Math.round(rep.measure.scale ? scale[rep.measure.scale](delta) : delta);
+            if (value <= min) return reject();
+            extra[name] = value;
+            measured = rep.measure.keep === 'last' ? value : Math.max(measured, value);
+        }
+
+        let side;
+        if (rep.split) {
+            side = rep.split.labels[phaseEntry[rep.split.since]?.[rep.split.signal]];
+            if (side) repsPerSide[side]++;
+        }
+
+        const score = scoreRep(definition.scoring, series, extra);
+        const found = detectRepFaults(definition.faults, series);
+        repScores.push(score);
+        repCount++;
+        series = {};
+        const result = { score, ...(side && { side }), ...extra };
+        const event = logRep(timestamp, result, found);
+        if (event && definition.faults?.some(f => f.rep?.after)) settling = { event, series: {} };
+        return { ...result, event };
+    }
+
+    /**
+     * Process one frame.
+     * @param {Object} frame
+     * @param {Object} frame.lm - Named landmarks (extractLandmarks)
+     * @param {Object|null} frame.world - Named world landmarks, or null
+     * @param {Array|null} frame.kinematics - Per-landmark kinematics
+     * @param {number} frame.timestamp - ms
+     * @param {Object} frame.scale - Real-world converters (createScale)
+     * @returns {{ metrics: Object, rep: Object|null }} Metrics to merge; `rep` when a rep completed
+     *   (`{ score, ...measure, event }`, or `{ rejected: true, event }`); `settled` when the previous
+     *   rep's event gained `after` faults (it replaces that event)
+     */
+    function process({ lm, world, kinematics, timestamp, scale }) {
+        const values = evaluateSignals(definition.signals, { lm, world, kinematics });
+        totalFrames++;
+        const frameMs = lastTimestamp === null ? 0 : Math.min(MAX_FRAME_GAP, Math.max(0, timestamp - lastTimestamp));
+        lastTimestamp = timestamp;
+
+        Object.entries(values).forEach(([name, value]) => {
+            if (value === null) return;
+            (series[name] ||= []).push(value);
+            if (settling) (settling.series[name] ||= []).push(value);
+        });
+
+        const metrics = {};
+        let rep = null;
+        let settled = null;
+
+        const frameFaults = detectFaults(definition.faults, values);
+        repTracker?.frame(timestamp, values, frameFaults.map(f => f.id));
+
+        const transition = step(values);
+        if (transition) settled = settle(timestamp);
+        if (transition && definition.rep
+            && transition.from === definition.rep.from && transition.to === definition.rep.to) {
+            rep = completeRep(values, scale, timestamp);
+        }
+
+        // Frame-level zone: the state whose enter condition holds right now
+        const zone = phases && Object.values(phases.states).find(state => matches(state.enter, values));
+        let active = !!zone?.active;
+        let quality = zone?.quality;
+
+        if (definition.hold) {
+            const valid = matches(definition.hold.valid, values);
+            const warning = !valid && matches(definition.hold.warning, values);
+            if (valid) {
+                validFrames++;
+                if (holdStart === null) holdStart = timestamp;
+            }
+            const stabilityScore = Math.round((validFrames / totalFrames) * 100);
+            active = valid;
+            quality = valid ? 'good' : warning ? 'warning' : 'bad';
+            Object.assign(metrics, {
+                holdDuration: holdStart !== null ? Math.floor((timestamp - holdStart) / 1000) : 0,
+                stabilityScore,
+                postureAccuracy: valid ? 100 : warning ? 70 : 30,
+                formScore: stabilityScore,
+            });
+
+            if (definition.hold.faults) {
+                // Faults only accrue once the hold has started
+                const fault = holdStart !== null && definition.hold.faults.find(f => matches(f.when, values));
+                if (fault) faultMs[fault.name] += frameMs;
+                metrics.faultSeconds = Object.fromEntries(
+                    Object.entries(faultMs).map(([name, ms]) => [name, Math.round(ms / 100) / 10]),
+                );
+                metrics.fault = fault ? fault.name : null;
+                if (fault) frameFaults.push({ id: fault.name, quality });
+            }
+        }
+
+        const rule = definition.quality?.find(r => matches(r.when, values));
+        if (rule) quality = rule.quality;
+        frameFaults.forEach((fault) => {
+            const faultQuality = fault.quality || 'warning';
+            if (!quality || QUALITY_RANK[faultQuality] > QUALITY_RANK[quality]) quality = faultQuality;
+        });
+        if (rep?.rejected) {
+            quality = 'bad';
+            active = false;
+        } else if (rep) {
+            active = true;
+        }
+
+        metrics.phase = active ? 'active' : 'rest';
+        metrics.formQuality = quality || definition.defaultQuality || 'good';
+
+        if (repFaults && timestamp > repFaults.until) repFaults = null;
+        const shown = [...frameFaults, ...(repFaults?.faults || [])];
+        metrics.faults = [...new Set(shown.map(f => f.id))];
+        metrics.faultJoints = faultJoints(shown);
+        if (definition.faults) metrics.faultCounts = { ...faultCounts };
+
+        if (definition.rep) {
+            metrics.repCount = repCount;
+            if (repScores.length) {
+                metrics.formScore = Math.round(repScores.reduce((sum, s) => sum + s, 0) / repScores.length);
+            }
+            if (definition.rep.measure) metrics[definition.rep.measure.name] = measured;
+            if (definition.rep.split) metrics[definition.rep.split.metric] = { ...repsPerSide };
+        }
+
+        const display = definition.display || {};
+        if (display.jointAngles) {
+            metrics.jointAngles = {};
+            Object.entries(display.jointAngles).forEach(([label, signal]) => {
+                if (values[signal] !== null) metrics.jointAngles[label] = Math.round(values[signal]);
+            });
+        }
+        Object.entries(display.metrics || {}).forEach(([key, signal]) => {
+            if (values[signal] !== null) metrics[key] = Math.round(values[signal]);
+        });
+
+        return { metrics, rep, settled, phase, values };
+    }
+
+    /**
+     * End of the set: judge the last rep's `after` faults.
+     * @param {number} timestamp - ms
+     * @returns {{ event: Object, faultCounts: Object }|null} The last rep's updated event, or null if unchanged
+     */
+    function finish(timestamp = lastTimestamp) {
+        const event = settle(timestamp);
+        return event && { event, faultCounts: { ...faultCounts } };
+    }
+
+    return { definition, process, finish, reset };
+}
+
+export default {
+    evaluateSignals,
+    matches,
+    scoreRep,
+    detectFaults,
+    detectRepFaults,
+    faultJoints,
+    createExerciseEngine,
+};
@@ -0,0 +1,138 @@
+/**
+ * fatigueAnalysis.js
+ * Fatigue and performance decay across a set of reps, shared by every
+ * rep-based test. Works on the per-rep timeline from utils/repEvents.js:
+ * rep duration, range of motion (depth) and form score.
+ *
+ * - Trends: least-squares slope of each series, as % of its fitted first rep per rep
+ * - Rep quality: form, depth and speed of each rep relative to the opening reps
+ * - Breakdown: first rep where rolling quality stays below BREAKDOWN_RATIO of the opening reps
+ * - Fatigue index: % drop in mean quality from the first third of the set to the last
+ */
+
+const MIN_REPS = 4;          // fewer reps can't show a trend
+const BASELINE_REPS = 3;     // opening reps that define fresh quality
+const ROLLING_REPS = 3;      // window for the breakdown check
+const BREAKDOWN_RATIO = 0.85;
+
+const mean = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+const round1 = v => Math.round(v * 10) / 10;
+
+/**
+ * Least-squares line through (index, value).
+ * @param {Array<number>} values
+ * @returns {{ slope: number, intercept: number }}
+ */
+export function linearTrend(values) {
+    const n = values.length;
+    const xMean = (n - 1) / 2;
+    const yMean = mean(values);
+    let num = 0;
+    let den = 0;
+    values.forEach((y, x) => {
+        num += (x - xMean) * (y - yMean);
+        den += (x - xMean) ** 2;
+    });
+    const slope = den ? num / den : 0;
+    return { slope, intercept: yMean - slope * xMean };
+}
+
+// Slope as % of the fitted first value, per rep
+function trendPercent(values) {
+    const usable = values.filter(v => v !== null && v !== undefined);
+    if (usable.length < MIN_REPS) return null;
+    const { slope, intercept } = linearTrend(usable);
+    return intercept ? round1((slope / intercept) * 100) : null;
+}
+
+/**
+ * Per-rep timeline from rep events; rejected reps are left out.
+ * @param {Array} events - From createRepTracker().complete()
+ * @returns {Array<{ rep: number, durationMs: number, depth: number|null, formScore: number|null }>}
+ */
+export function repTimeline(events) {
+    return (events || [])
+        .filter(e => !e.rejected)
+        .map(e => ({
+            rep: e.index + 1,
+            durationMs: e.end - e.start,
+            depth: e.rangeOfMotion ?? null,
+            formScore: e.score ?? null,
+        }));
+}
+
+/**
+ * Quality of each rep relative to the opening reps (100 = as good as fresh).
+ * Averages whichever of form, depth and speed are available.
+ */
+function repQuality(timeline) {
+    const opening = timeline.slice(0, BASELINE_REPS);
+    const baseline = key => {
+        const values = opening.map(r => r[key]).filter(v => v);
+        return values.length ? mean(values) : null;
+    };
+    const form = baseline('formScore');
+    const depth = baseline('depth');
+    const duration = baseline('durationMs');
+
+    return timeline.map((r) => {
+        const parts = [];
+        if (form && r.formScore !== null) parts.push(r.formScore / form);
+        if (depth && r.depth) parts.push(r.depth / depth);
+        if (duration && r.durationMs > 0) parts.push(duration / r.durationMs);
+        return parts.length ? Math.min(1.2, mean(parts)) * 100 : 100;
+    });
+}
+
+/**
+ * Analyze fatigue over a set.
+ * @param {Array} events - Rep events (utils/repEvents.js)
+ * @returns {{
+ *   reps: number,
+ *   fatigueIndex: number,              0 (no decay) – 100
+ *   breakdownRep: number|null,         First rep of sustained breakdown (1-based), or null
+ *   qualityRepsBeforeBreakdown: number,
+ *   trends: { durationPctPerRep, depthPctPerRep, formPctPerRep },
+ *   quality: Array<number>,            Per-rep quality (100 = fresh)
+ * }|null} Null with fewer than MIN_REPS counted reps
+ */
+export function analyzeFatigue(events) {
+    const timeline = repTimeline(events);
+    if (timeline.length < MIN_REPS) return null;
+
+    const quality = repQuality(timeline);
+
+    let breakdown = null;
+    for (let i = BASELINE_REPS; i + ROLLING_REPS <= quality.length; i++) {
+        if (mean(quality.slice(i, i + ROLLING_REPS)) < BREAKDOWN_RATIO * 100) {
+            // Breakdown starts at the first rep in the window that is itself below par
+            const offset = quality.slice(i, i + ROLLING_REPS).findIndex(q => q < BREAKDOWN_RATIO * 100);
+            breakdown = i + Math.max(0, offset);
+            break;
+        }
+    }
+
+    const third = Math.max(1, Math.floor(timeline.length / 3));
+    const first = mean(quality.slice(0, third));
+    const last = mean(quality.slice(-third));
+    const fatigueIndex = first > 0 ? Math.round(Math.max(0, Math.min(100, ((first - last) / first) * 100))) : 0;
+
+    return {
+        reps: timeline.length,
+        fatigueIndex,
+        breakdownRep: breakdown === null ? null : timeline[breakdown].rep,
+        qualityRepsBeforeBreakdown: breakdown === null ? timeline.length : breakdown,
+        trends: {
+            durationPctPerRep: trendPercent(timeline.map(r => r.durationMs)),
+            depthPctPerRep: trendPercent(timeline.map(r => r.depth)),
+            formPctPerRep: trendPercent(timeline.map(r => r.formScore)),
+        },
+        quality: quality.map(q => Math.round(q)),
+    };
+}
+
+export default {
+    linearTrend,
+    repTimeline,
+    analyzeFatigue,
+};
@@ -0,0 +1,130 @@
+/**
+ * flexibility.js
+ * Pose measurements for the flexibility tests:
+ * - Sit-and-reach: fingertip reach past the toes, seated with straight legs (side view)
+ * - Shoulder mobility: overhead arm elevation with straight elbows (side or front view)
+ *
+ * A reach only counts once it has been held; see createHoldTracker().
+ */
+import { jointAngle } from './calculateAngle';
+
+// MediaPipe index-finger tips — not part of extractLandmarks()
+const FINGERTIP_INDEX = { left: 19, right: 20 };
+
+const MIN_KNEE_ANGLE = 160;   // legs straight for sit-and-reach
+const MIN_ELBOW_ANGLE = 150;  // elbows straight for shoulder flexion
+const MAX_TORSO_LEAN = 15;    // degrees of back arch that would fake shoulder range
+
+const visibility = (lm, side) => ['Hip', 'Knee', 'Ankle', 'FootIndex']
+    .reduce((sum, joint) => sum + (lm[`${side}${joint}`]?.visibility ?? 0), 0);
+
+/**
+ * Measure sit-and-reach on one frame. Uses the leg nearest the camera.
+ * @param {Array} landmarks - Raw pose landmarks (33)
+ * @param {Object} lm - Named landmarks (extractLandmarks)
+ * @param {Object|null} world - Named world landmarks, or null
+ * @param {Object} scale - Real-world converters (createScale)
+ * @returns {{ reachCm: number, kneeAngle: number, valid: boolean, issue: string|null }|null}
+ */
+export function measureSitAndReach(landmarks, lm, world, scale) {
+    if (!lm) return null;
+    const side = visibility(lm, 'left') >= visibility(lm, 'right') ? 'left' : 'right';
+    const hip = lm[`${side}Hip`];
+    const toe = lm[`${side}FootIndex`];
+    const fingertip = landmarks[FINGERTIP_INDEX[side]];
+    if (!fingertip || Math.abs(toe.x - hip.x) < 0.05) return null;
+
+    // Legs point from hip to toe; reach is positive past the toes in that direction
+    const direction = Math.sign(toe.x - hip.x);
+    const reachCm = scale.cmX((fingertip.x - toe.x) * direction);
+    const kneeAngle = jointAngle(lm, world, `${side}Hip`, `${side}Knee`, `${side}Ankle`);
+    const valid = kneeAngle >= MIN_KNEE_ANGLE;
+
+    return {
+        reachCm: Math.round(reachCm * 10) / 10,
+        kneeAngle: Math.round(kneeAngle),
+        valid,
+        issue: valid ? null : 'Keep your knees straight',
+    };
+}
+
+/**
+ * Measure overhead shoulder flexion on one frame.
+ * @param {Object} lm - Named landmarks (extractLandmarks)
+ * @param {Object|null} world - Named world landmarks, or null
+ * @returns {{ left: number, right: number, best: number, sides: { left: number|null, right: number|null },
+ *            valid: boolean, issue: string|null }|null} `sides` holds each arm's flexion when it counts on its own
+ */
+export function measureShoulderFlexion(lm, world) {
+    if (!lm) return null;
+    const arm = (side) => ({
+        flexion: jointAngle(lm, world, `${side}Hip`, `${side}Shoulder`, `${side}Elbow`),
+        elbow: jointAngle(lm, world, `${side}Shoulder`, `${side}Elbow`, `${side}Wrist`),
+    });
+    const left = arm('left');
+    const right = arm('right');
+
+    // Torso lean from vertical, image plane
+    const hipX = (lm.leftHip.x + lm.rightHip.x) / 2;
+    const hipY = (lm.leftHip.y + lm.rightHip.y) / 2;
+    const shoulderX = (lm.leftShoulder.x + lm.rightShoulder.x) / 2;
+    const shoulderY = (lm.leftShoulder.y + lm.rightShoulder.y) / 2;
+    const lean = Math.atan2(Math.abs(shoulderX - hipX), Math.abs(hipY - shoulderY)) * (180 / Math.PI);
+
+    let issue = null;
+    if (lean > MAX_TORSO_LEAN) issue = 'Stand tall — don\'t arch your back';
+    else if (Math.max(left.elbow, right.elbow) < MIN_ELBOW_ANGLE) issue = 'Keep your elbows straight';
+
+    // An arm only counts with its elbow straight
+    const counted = [left, right].filter(a => a.elbow >= MIN_ELBOW_ANGLE).map(a => a.flexion);
+    const side = a => (lean <= MAX_TORSO_LEAN && a.elbow >= MIN_ELBOW_ANGLE ? Math.round(a.flexion) : null);
+
+    return {
+        left: Math.round(left.flexion),
+        right: Math.round(right.flexion),
+        best: counted.length ? Math.round(Math.max(...counted)) : 0,
+        sides: { left: side(left), right: side(right) },
+        valid: !issue && counted.length > 0,
+        issue,
+    };
+}
+
+/**
+ * Track the best value held for `holdMs`: the held value is the minimum over
+ * the last `holdMs`, so a momentary lunge or tracking spike doesn't count.
+ * @param {number} [holdMs=1000]
+ */
+export function createHoldTracker(holdMs = 1000) {
+    let samples = []; // { t, value }
+    let best = null;
+
+    return {
+        /**
+         * @param {number|null} value - Null (or an invalid frame) restarts the hold
+         * @param {number} t - Timestamp in ms
+         * @returns {{ held: number|null, best: number|null }}
+         */
+        push(value, t) {
+            if (value === null || value === undefined) {
+                samples = [];
+                return { held: null, best };
+            }
+            samples.push({ t, value });
+            while (samples.length > 1 && t - samples[1].t >= holdMs) samples.shift();
+            const held = t - samples[0].t >= holdMs ? Math.min(...samples.map(s => s.value)) : null;
+            if (held !== null && (best === null || held > best)) best = held;
+            return { held, best };
+        },
+
+        reset() {
+            samples = [];
+            best = null;
+        },
+    };
+}
+
+export default {
+    measureSitAndReach,
+    measureShoulderFlexion,
+    createHoldTracker,
+};
@@ -0,0 +1,196 @@
+/**
+ * jumpAnalysis.js
+ * Flight-time jump height and countermovement analysis from pose landmarks
+ * (side or front view, whole body in frame).
+ *
+ * - Take-off / landing: the lowest point of either foot (heel or toe)
+ *   crossing a small lift threshold, found between the two frames either
+ *   side, then extrapolated down to ground level at the foot's speed across
+ *   those frames. Timing at the threshold alone would clip ~25–30 ms off a
+ *   ~500 ms flight and read the height ~10% low
+ * - Height from flight time: h = g·t²/8 (take-off and landing in the same
+ *   posture, so rise and fall take equal time) — no distance calibration needed
+ * - Countermovement depth: lowest hip position before take-off below the
+ *   standing hips, with the knee angle there
+ * - Time to take-off: from movement onset (the hips leaving standing height
+ *   for a countermovement jump, or the held squat for a squat jump) to take-off
+ * - Arm-swing contribution: the arms' share of the centre-of-mass rise from
+ *   the bottom of the jump to take-off, with the arms (elbow height as their
+ *   centre of mass) at ~10% of body mass and the rest of the body following
+ *   the hips
+ * - Squat jump: the athlete holds a still squat, then jumps without dipping
+ *   first; a dip or a missing hold is flagged
+ */
+import { calculateAngle } from './calculateAngle';
+
+const G = 9.81;
+const MIN_VISIBILITY = 0.5;
+const MAX_SAMPLES = 1200;     // ~20 s at 60 fps
+const BASELINE_MS = 300;      // standing still at the start of the recording
+const FOOT_LIFT = 0.04;       // foot off the ground: raised this share of leg length
+const MIN_FLIGHT_MS = 100;    // shorter airborne stretches are tracking noise
+const ONSET = 0.03;           // hips moved this share of leg length: movement has started
+const ARM_MASS = 0.1;         // both arms, share of body mass
+const HOLD_MS = 1000;         // squat jump: still hold before the push
+const PUSH_MS = 500;          // ...which ends at most this long before take-off
+const HOLD_SPREAD = 0.05;     // hip range over the hold, share of leg length
+const DIP_TOLERANCE = 0.03;   // hips dropping below the hold by more than this: countermovement
+const MIN_SQUAT = 0.15;       // hold at least this far below standing, share of leg length
+
+export const JUMP_PROTOCOLS = {
+    cmj: { label: 'Countermovement Jump', countermovement: true },
+    'squat-jump': { label: 'Squat Jump', countermovement: false },
+};
+
+/**
+ * Jump height from flight time.
+ * @param {number} flightMs
+ * @returns {number} cm
+ */
+export function flightTimeHeight(flightMs) {
+    const t = flightMs / 1000;
+    return ((G * t * t) / 8) * 100;
+}
+
+/**
+ * Records the landmarks a jump is analyzed from. Feed every pose frame.
+ * @param {Object} [options]
+ * @param {number} [options.aspect=16/9] - Frame width / height
+ */
+export function createJumpRecorder({ aspect = 16 / 9 } = {}) {
+    const samples = [];
+    const visible = p => p && (p.visibility ?? 1) >= MIN_VISIBILITY;
+
+    return {
+        /**
+         * @param {number} t - Frame timestamp (ms)
+         * @param {Array|null} landmarks
+         */
+        frame(t, landmarks) {
+            const [le, re, lh, rh, lk, la, ra] = [13, 14, 23, 24, 25, 27, 28].map(i => landmarks?.[i]);
+            const feet = [29, 30, 31, 32].map(i => landmarks?.[i]).filter(visible);
+            if (![lh, rh, lk, la, ra].every(visible) || !feet.length) return;
+            samples.push({
+                t,
+                hipY: (lh.y + rh.y) / 2,
+                footY: Math.max(...feet.map(p => p.y)),
+                elbowY: visible(le) && visible(re) ? (le.y + re.y) / 2 : null,
+                knee: calculateAngle(lh, lk, la),
+                leg: Math.hypot((lh.x - la.x) * aspect, lh.y - la.y),
+            });
+            if (samples.length > MAX_SAMPLES) samples.shift();
+        },
+
+        /** @returns {Array<{ t, hipY, footY, elbowY, knee, leg }>} */
+        samples: () => samples,
+    };
+}
+
+const percentile = (values, p) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted.length ? sorted[Math.floor((sorted.length - 1) * p)] : null;
+};
+const median = values => percentile(values, 0.5);
+
+// Time a value crossed `level` between two samples
+const crossing = (a, b, key, level) => a.t + (b.t - a.t) * ((level - a[key]) / (b[key] - a[key]));
+
+// Time the foot was at ground level, extrapolated from where it crossed `level` between two
+// samples at its speed between them (at most one frame gap beyond the crossing)
+function groundContact(a, b, level, ground) {
+    const speed = (b.footY - a.footY) / (b.t - a.t);
+    const shift = (ground - level) / speed;
+    return crossing(a, b, 'footY', level) + Math.max(-(b.t - a.t), Math.min(b.t - a.t, shift));
+}
+
+/**
+ * Analyze a recorded jump.
+ * @param {Object} jump
+ * @param {Array} jump.samples - From createJumpRecorder().samples(), starting with the athlete standing (or, for
+ *   a squat jump, getting into the squat)
+ * @param {Object} jump.protocol - From JUMP_PROTOCOLS
+ * @param {number|null} [jump.standingHipY] - Standing hip height (normalized y); defaults to the start of the recording
+ * @returns {{
+ *   takeoff: number, landing: number|null, flightMs: number|null, heightCm: number|null,
+ *   depth: number,              Countermovement depth, normalized y (convert with a scale)
+ *   depthRatio: number,         ...as a share of leg length
+ *   kneeAngle: number|null,     At the bottom, degrees
+ *   timeToTakeoffMs: number|null,
+ *   armSwingPercent: number|null,
+ *   warnings: Array<string>,
+ * }|null} Null until a take-off has been seen
+ */
+export function analyzeJump({ samples, protocol, standingHipY = null }) {
+    if (samples.length < 3) return null;
+    const t0 = samples[0].t;
+    const baseline = samples.filter(s => s.t - t0 <= BASELINE_MS);
+    const leg = percentile(samples.map(s => s.leg), 0.9); // legs straight, not squatting
+    const ground = median(baseline.map(s => s.footY));
+    const standing = standingHipY ?? median(baseline.map(s => s.hipY));
+    const liftLevel = ground - FOOT_LIFT * leg;
+    const airborne = s => s.footY < liftLevel;
+
+    // First airborne stretch long enough to be a jump
+    let up = -1;
+    let down = -1;
+    for (let i = 1; i < samples.length && down < 0; i++) {
+        if (up < 0 && airborne(samples[i]) && !airborne(samples[i - 1])) up = i;
+        else if (up >= 0 && !airborne(samples[i])) {
+            if (samples[i].t - samples[up].t >= MIN_FLIGHT_MS) down = i;
+            else up = -1;
+        }
+    }
+    if (up < 0) return null;
+
+    const takeoff = groundContact(samples[up - 1], samples[up], liftLevel, ground);
+    const landing = down >= 0 ? groundContact(samples[down - 1], samples[down], liftLevel, ground) : null;
+    const flightMs = landing !== null ? landing - takeoff : null;
+    const before = samples.slice(0, up);
+
+    // Bottom of the jump: lowest hips before take-off
+    const bottom = before.reduce((low, s) => (s.hipY > low.hipY ? s : low), before[0]);
+    const warnings = [];
+    let onset = null;
+
+    if (protocol.countermovement) {
+        const still = before.filter(s => s.t <= bottom.t && s.hipY - standing <= ONSET * leg);
+        onset = still.length ? still[still.length - 1].t : null;
+    } else {
+        const hold = before.filter(s => s.t >= takeoff - PUSH_MS - HOLD_MS && s.t <= takeoff - PUSH_MS);
+        const holdY = median(hold.map(s => s.hipY));
+        const spread = hold.length ? Math.max(...hold.map(s => s.hipY)) - Math.min(...hold.map(s => s.hipY)) : Infinity;
+        if (holdY === null || holdY - standing < MIN_SQUAT * leg) warnings.push('Start from a held squat');
+        else if (spread > HOLD_SPREAD * leg) warnings.push('Hold the squat still for a second before jumping');
+        if (holdY !== null) {
+            if (bottom.hipY - holdY > DIP_TOLERANCE * leg) warnings.push('Dipped before jumping — countermovement in a squat jump');
+            const still = before.filter(s => s.t >= bottom.t && s.hipY >= holdY - ONSET * leg);
+            onset = still.length ? still[still.length - 1].t : null;
+        }
+    }
+
+    // Arm swing: arms' share of the centre-of-mass rise from the bottom to take-off
+    const atTakeoff = samples[up - 1];
+    const hipRise = bottom.hipY - atTakeoff.hipY;
+    const armRise = bottom.elbowY !== null && atTakeoff.elbowY !== null ? Math.max(0, bottom.elbowY - atTakeoff.elbowY) : null;
+    const comRise = armRise !== null ? ARM_MASS * armRise + (1 - ARM_MASS) * hipRise : null;
+
+    return {
+        takeoff,
+        landing,
+        flightMs: flightMs !== null ? Math.round(flightMs) : null,
+        heightCm: flightMs !== null ? Math.round(flightTimeHeight(flightMs) * 10) / 10 : null,
+        depth: Math.max(0, bottom.hipY - standing),
+        depthRatio: Math.round((Math.max(0, bottom.hipY - standing) / leg) * 100) / 100,
+        kneeAngle: Math.round(bottom.knee),
+        timeToTakeoffMs: onset !== null ? Math.round(takeoff - onset) : null,
+        armSwingPercent: comRise > 0 ? Math.round(((ARM_MASS * armRise) / comRise) * 100) : null,
+        warnings,
+    };
+}
+
+export default {
+    JUMP_PROTOCOLS,
+    flightTimeHeight,
+    createJumpRecorder,
+    analyzeJump,
+};
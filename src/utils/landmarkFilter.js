@@ -0,0 +1,167 @@
+/**
+ * landmarkFilter.js
+ * Temporal smoothing for pose landmarks using the One Euro filter
+ * (Casiez et al., 2012): heavy smoothing when a joint is still, little lag
+ * when it moves fast. Also derives per-landmark velocity and acceleration
+ * from the real frame timestamps, so consumers don't diff raw frames.
+ *
+ * Units: positions are normalized image coords; velocity is units/s and
+ * acceleration units/s².
+ */
+
+const AXES = ['x', 'y', 'z'];
+
+export const FILTER_PRESETS = {
+    // Fast movements (punches, sprints): minimal lag
+    responsive: { minCutoff: 2.5, beta: 20, dCutoff: 1.0 },
+    // General default for rep counting
+    balanced: { minCutoff: 1.2, beta: 8, dCutoff: 1.0 },
+    // Static holds (wall sit, balance): maximum steadiness
+    smooth: { minCutoff: 0.6, beta: 3, dCutoff: 1.0 },
+};
+
+function smoothingFactor(cutoff, dt) {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+}
+
+/**
+ * Create a One Euro filter for a single scalar signal.
+ * @param {Object} config
+ * @param {number} config.minCutoff - Minimum cutoff frequency (Hz); lower = smoother at rest
+ * @param {number} config.beta - Speed coefficient; higher = less lag when moving
+ * @param {number} config.dCutoff - Cutoff for the derivative estimate (Hz)
+ * @returns {{ filter: Function, reset: Function }}
+ */
+export function createOneEuroFilter({ minCutoff = 1.0, beta = 0, dCutoff = 1.0 } = {}) {
+    let prevValue = null;
+    let prevDerivative = 0;
+    let prevTime = null;
+
+    return {
+        /**
+         * @param {number} value - Raw sample
+         * @param {number} t - Sample time in seconds
+         * @returns {number} Filtered value
+         */
+        filter(value, t) {
+            if (prevTime === null) {
+                prevValue = value;
+                prevTime = t;
+                return value;
+            }
+            const dt = t - prevTime;
+            if (dt <= 0) return prevValue;
+
+            const rawDerivative = (value - prevValue) / dt;
+            const aD = smoothingFactor(dCutoff, dt);
+            const derivative = prevDerivative + aD * (rawDerivative - prevDerivative);
+
+            const cutoff = minCutoff + beta * Math.abs(derivative);
+            const a = smoothingFactor(cutoff, dt);
+            const filtered = prevValue + a * (value - prevValue);
+
+            prevValue = filtered;
+            prevDerivative = derivative;
+            prevTime = t;
+            return filtered;
+        },
+        reset() {
+            prevValue = null;
+            prevDerivative = 0;
+            prevTime = null;
+        },
+    };
+}
+
+/**
+ * Create a filter for full landmark frames.
+ * @param {string|Object|false} [config='balanced'] - Preset name, One Euro config, or false for no smoothing
+ * @returns {{ process: Function, reset: Function }}
+ */
+export function createLandmarkFilter(config = 'balanced') {
+    const params = typeof config === 'string' ? FILTER_PRESETS[config] : config;
+    const enabled = !!params;
+    const dCutoff = params?.dCutoff ?? 1.0;
+
+    let filters = [];      // [landmark][axis] One Euro filters
+    let prev = null;       // { t, positions, velocities }
+
+    const reset = () => {
+        filters = [];
+        prev = null;
+    };
+
+    /**
+     * Smooth one frame and compute its kinematics.
+     * @param {Array} landmarks - Raw landmarks
+     * @param {number} timestampMs - Frame time in ms
+     * @returns {{ landmarks: Array, kinematics: Array<{ vx, vy, vz, speed, ax, ay, az, acceleration }> }}
+     */
+    const process = (landmarks, timestampMs) => {
+        const t = timestampMs / 1000;
+        // Time went backwards (new source / replay restart) — start over
+        if (prev && t <= prev.t) reset();
+
+        const smoothed = landmarks.map((lm, i) => {
+            if (!enabled) return lm;
+            if (!filters[i]) filters[i] = AXES.map(() => createOneEuroFilter(params));
+            return {
+                ...lm,
+                x: filters[i][0].filter(lm.x, t),
+                y: filters[i][1].filter(lm.y, t),
+                z: filters[i][2].filter(lm.z || 0, t),
+            };
+        });
+
+        const dt = prev ? t - prev.t : 0;
+        const aV = dt > 0 ? smoothingFactor(dCutoff * 4, dt) : 0;
+        const kinematics = smoothed.map((lm, i) => {
+            if (!prev) return { vx: 0, vy: 0, vz: 0, speed: 0, ax: 0, ay: 0, az: 0, acceleration: 0 };
+
+            const p = prev.positions[i];
+            const v0 = prev.velocities[i];
+            // Velocity from smoothed positions, lightly low-passed so acceleration stays usable
+            const vx = v0.vx + aV * ((lm.x - p.x) / dt - v0.vx);
+            const vy = v0.vy + aV * ((lm.y - p.y) / dt - v0.vy);
+            const vz = v0.vz + aV * (((lm.z || 0) - (p.z || 0)) / dt - v0.vz);
+            const ax = (vx - v0.vx) / dt;
+            const ay = (vy - v0.vy) / dt;
+            const az = (vz - v0.vz) / dt;
+            return {
+                vx, vy, vz,
+                speed: Math.hypot(vx, vy),
+                ax, ay, az,
+                acceleration: Math.hypot(ax, ay),
+            };
+        });
+
+        prev = { t, positions: smoothed, velocities: kinematics };
+        return { landmarks: smoothed, kinematics };
+    };
+
+    return { process, reset };
+}
+
+/**
+ * Average kinematics of several landmarks (e.g. hip midpoint).
+ * @param {Array} kinematics - Per-landmark kinematics from createLandmarkFilter
+ * @param {number[]} indices - Landmark indices
+ * @returns {Object|null}
+ */
+export function averageKinematics(kinematics, indices) {
+    if (!kinematics) return null;
+    const avg = (key) => indices.reduce((sum, i) => sum + kinematics[i][key], 0) / indices.length;
+    const vx = avg('vx');
+    const vy = avg('vy');
+    const ax = avg('ax');
+    const ay = avg('ay');
+    return { vx, vy, speed: Math.hypot(vx, vy), ax, ay, acceleration: Math.hypot(ax, ay) };
+}
+
+export default {
+    FILTER_PRESETS,
+    createOneEuroFilter,
+    createLandmarkFilter,
+    averageKinematics,
+};
@@ -0,0 +1,225 @@
+/**
+ * performanceGovernor.js
+ * Measures effective inference FPS and latency on the live camera and adapts
+ * the pose model complexity and FPS cap within bounds set per test.
+ *
+ * Slow devices step down to a lighter model before giving up frame rate;
+ * devices with headroom raise the FPS cap to the test's target first, then
+ * step up to a heavier model. A complexity that once proved too slow is not
+ * retried, so the governor settles instead of oscillating.
+ *
+ * Every evaluation window counts towards a session report; sessions that
+ * spent too long below the test's minimum FPS are flagged low-confidence.
+ */
+
+// Bounds per kind of test. Timing needs frame rate; static holds favour accuracy.
+// `minFpsShare` sets the minimum as a share of the camera's negotiated frame rate
+// instead (`minFps` until that is known), so a 30 fps camera running flat out passes.
+export const PERFORMANCE_PROFILES = {
+    timing: { minFps: 24, minFpsShare: 0.8, targetFps: 60, minComplexity: 0, maxComplexity: 1 },
+    reps: { minFps: 15, targetFps: 30, minComplexity: 0, maxComplexity: 2 },
+    hold: { minFps: 10, targetFps: 15, minComplexity: 1, maxComplexity: 2 },
+};
+
+export const DEFAULT_PROFILE = 'reps';
+
+const COMPLEXITY_LABELS = ['lite', 'full', 'heavy'];
+
+const WINDOW_MS = 2000;          // measurement window
+const EVALUATE_EVERY_MS = 1000;  // stats/adaptation cadence
+const COOLDOWN_MS = 3000;        // let a change settle before judging it
+const FPS_STEP = 10;
+const LOW_FPS_TOLERANCE = 0.2;   // share of the session allowed below minFps
+
+/**
+ * Resolve a profile name or custom bounds into full bounds.
+ * @param {string|Object} profile - Key of PERFORMANCE_PROFILES, or partial bounds
+ * @returns {{ minFps: number, minFpsShare?: number, targetFps: number, minComplexity: number, maxComplexity: number }}
+ */
+export function resolveProfile(profile) {
+    if (typeof profile === 'string') {
+        return PERFORMANCE_PROFILES[profile] || PERFORMANCE_PROFILES[DEFAULT_PROFILE];
+    }
+    return { ...PERFORMANCE_PROFILES[DEFAULT_PROFILE], ...profile };
+}
+
+/**
+ * Human-readable model complexity.
+ * @param {number} complexity - 0, 1 or 2
+ * @returns {string}
+ */
+export function complexityLabel(complexity) {
+    return COMPLEXITY_LABELS[complexity] || 'full';
+}
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * @param {string|Object} profile - Initial bounds (see resolveProfile)
+ * @param {Object} [initial]
+ * @param {number} [initial.modelComplexity=1]
+ * @param {number} [initial.fpsCap=30]
+ */
+export function createPerformanceGovernor(profile, { modelComplexity = 1, fpsCap = 30 } = {}) {
+    let bounds = resolveProfile(profile);
+    let cameraFps = Infinity;
+    let complexity = clamp(modelComplexity, bounds.minComplexity, bounds.maxComplexity);
+    let complexityCeiling = bounds.maxComplexity;
+    let cap = clamp(fpsCap, bounds.minFps, bounds.targetFps);
+    let samples = []; // { t, latency }
+    let lastEvaluation = null;
+    let lastChange = -Infinity;
+    let session = null;
+
+    const minFps = () => (bounds.minFpsShare && Number.isFinite(cameraFps)
+        ? Math.round(cameraFps * bounds.minFpsShare)
+        : bounds.minFps);
+    const maxCap = () => Math.max(minFps(), Math.min(bounds.targetFps, cameraFps));
+
+    const resetSession = () => {
+        session = { windows: 0, lowWindows: 0, fpsSum: 0, latencySum: 0 };
+    };
+    resetSession();
+
+    const settings = () => ({ modelComplexity: complexity, fpsCap: cap });
+
+    // Re-clamp after bounds change; returns the new settings if anything moved
+    const reclamp = () => {
+        const before = settings();
+        complexityCeiling = bounds.maxComplexity;
+        complexity = clamp(complexity, bounds.minComplexity, bounds.maxComplexity);
+        cap = clamp(cap, minFps(), maxCap());
+        const after = settings();
+        return before.modelComplexity !== after.modelComplexity || before.fpsCap !== after.fpsCap ? after : null;
+    };
+
+    function adapt(fps, latency, now) {
+        if (now - lastChange < COOLDOWN_MS) return null;
+        const budget = 1000 / cap;
+
+        // Falling behind because inference itself is too slow
+        if (fps < cap * 0.85 && latency > budget * 0.9) {
+            if (complexity > bounds.minComplexity) {
+                complexity--;
+                complexityCeiling = complexity;
+            } else if (cap > minFps()) {
+                cap = clamp(Math.floor(fps / 5) * 5, minFps(), cap - 5);
+            } else {
+                return null;
+            }
+            return settings();
+        }
+
+        // Keeping up with room to spare
+        if (fps >= cap * 0.9 && latency < budget * 0.5) {
+            if (cap < maxCap()) {
+                cap = Math.min(maxCap(), cap + FPS_STEP);
+            } else if (complexity < complexityCeiling) {
+                complexity++;
+            } else {
+                return null;
+            }
+            return settings();
+        }
+        return null;
+    }
+
+    return {
+        settings,
+
+        /**
+         * Record one completed inference.
+         * @param {number} latency - Inference time in ms
+         * @param {number} now - Completion time in ms (performance.now() clock)
+         * @returns {{ stats: Object, change: Object|null }|null} Null between evaluations
+         */
+        record(latency, now) {
+            samples.push({ t: now, latency });
+            while (samples.length && now - samples[0].t > WINDOW_MS) samples.shift();
+            if (lastEvaluation === null) lastEvaluation = now;
+            if (now - lastEvaluation < EVALUATE_EVERY_MS || samples.length < 2) return null;
+            lastEvaluation = now;
+
+            const span = samples[samples.length - 1].t - samples[0].t;
+            const fps = span > 0 ? ((samples.length - 1) * 1000) / span : 0;
+            const meanLatency = samples.reduce((sum, s) => sum + s.latency, 0) / samples.length;
+
+            session.windows++;
+            session.fpsSum += fps;
+            session.latencySum += meanLatency;
+            if (fps < minFps()) session.lowWindows++;
+
+            const change = adapt(fps, meanLatency, now);
+            if (change) {
+                lastChange = now;
+                samples = [];
+                lastEvaluation = null;
+            }
+
+            return {
+                stats: {
+                    fps: Math.round(fps),
+                    latencyMs: Math.round(meanLatency),
+                    ...settings(),
+                    minFps: minFps(),
+                    belowMinimum: fps < minFps(),
+                },
+                change,
+            };
+        },
+
+        /**
+         * Switch to another test's bounds.
+         * @returns {Object|null} New settings if the current ones were out of bounds
+         */
+        setProfile(newProfile) {
+            bounds = resolveProfile(newProfile);
+            return reclamp();
+        },
+
+        /**
+         * Never cap above what the camera delivers.
+         * @returns {Object|null} New settings if the cap had to move
+         */
+        setCameraFps(fps) {
+            cameraFps = fps || Infinity;
+            return reclamp();
+        },
+
+        /** Drop the measurement window (new source, restarted camera). */
+        restart() {
+            samples = [];
+            lastEvaluation = null;
+            lastChange = -Infinity;
+        },
+
+        /**
+         * Summary of the session since the last resetReport().
+         * @returns {Object|null} Null if nothing was measured (files, replays)
+         */
+        report() {
+            if (!session.windows) return null;
+            const lowFpsRatio = session.lowWindows / session.windows;
+            return {
+                avgFps: Math.round(session.fpsSum / session.windows),
+                avgLatencyMs: Math.round(session.latencySum / session.windows),
+                minFps: minFps(),
+                modelComplexity: complexity,
+                lowFpsRatio: Math.round(lowFpsRatio * 100) / 100,
+                lowConfidence: lowFpsRatio > LOW_FPS_TOLERANCE,
+            };
+        },
+
+        resetReport: resetSession,
+    };
+}
+
+export default {
+    PERFORMANCE_PROFILES,
+    DEFAULT_PROFILE,
+    resolveProfile,
+    complexityLabel,
+    createPerformanceGovernor,
+};
@@ -0,0 +1,231 @@
+/**
+ * pushUpProtocols.js
+ * Push-up protocols and their rep standards, judged from pose landmarks
+ * (side view).
+ *
+ * - Depth: chest-to-fist height, estimated as the shoulders' height above
+ *   the wrists in forearm lengths. The forearm stays near vertical through
+ *   the rep, so it scales the vertical gap in the same image units: about 2
+ *   at lockout, 1 with the elbows at 90°, ~0.6 with the chest at fist height
+ *   and ~0.4 with the chest on the floor
+ * - Body line: shoulder–hip–ankle angle (shoulder–hip–knee for knee push-ups)
+ * - Knee push-ups: knees on the floor, i.e. level with the ankles
+ * - Hand release: the lower wrist lifted off its floor level at the bottom,
+ *   so both hands leave the floor
+ * - Cadence: a metronome beats "down" / "up" every 1.5 s (20 reps a minute,
+ *   as in the 90° push-up test); each rep must lock out on an "up" beat, and
+ *   the test ends at the second rejected rep. Live camera only, as the beat
+ *   is counted from the metronome started with the set
+ *
+ * A rep is any descent that bends the elbows past DOWN_ELBOW and returns to
+ * lockout. Each one is judged against the protocol; a rep that fails a
+ * standard is rejected with the reasons listed.
+ */
+
+const UP_ELBOW = 155;      // lockout
+const UP_DEPTH = 1.5;      // ...with the shoulders well above the wrists (not arms swept out on the floor)
+const DOWN_ELBOW = 120;    // bent this far: a rep attempt
+const KNEE_DOWN = 0.3;     // knee height above the ankles, forearm lengths
+const HAND_LIFT = 0.25;    // wrist rise off the floor, forearm lengths
+
+/**
+ * Protocols. Standard keeps the original `pushups` activity for its history.
+ */
+export const PUSHUP_PROTOCOLS = {
+    standard: {
+        label: 'Standard', activity: 'pushups', durationS: 60,
+        depth: { max: 0.6, reason: 'Chest not down to fist height' },
+        bodyLine: { through: 'ankle', min: 150 },
+        hint: 'Full push-ups for 1 minute — chest down to fist height, body straight from shoulders to ankles.',
+    },
+    knee: {
+        label: 'Knee', activity: 'pushups-knee', durationS: 60,
+        depth: { max: 0.6, reason: 'Chest not down to fist height' },
+        bodyLine: { through: 'knee', min: 150 },
+        kneesDown: true,
+        hint: 'Push-ups from the knees for 1 minute — body straight from shoulders to knees, chest down to fist height.',
+    },
+    'hand-release': {
+        label: 'Hand-Release', activity: 'pushups-hand-release', durationS: 60,
+        depth: { max: 0.4, reason: 'Chest not down to the floor' },
+        bodyLine: { through: 'ankle', min: 150 },
+        release: true,
+        hint: 'Chest to the floor and lift both hands off it at the bottom of every rep, for 1 minute.',
+    },
+    cadence: {
+        label: '90° Cadence', activity: 'pushups-cadence', durationS: null,
+        elbow: { max: 90, reason: 'Elbows not bent to 90°' },
+        bodyLine: { through: 'ankle', min: 150 },
+        cadence: { beatMs: 1500, toleranceMs: 500 },
+        endAfterRejected: 2,
+        hint: 'Down on one beat, up on the next — elbows to 90° every rep. The test ends at the second missed standard, or when a beat passes without a rep. Live camera only.',
+    },
+};
+
+/**
+ * Per-frame signals in the exerciseEngine format (see evaluateSignals()).
+ */
+export const PUSHUP_SIGNALS = {
+    leftElbow: { angle: ['leftShoulder', 'leftElbow', 'leftWrist'] },
+    rightElbow: { angle: ['rightShoulder', 'rightElbow', 'rightWrist'] },
+    elbow: { average: ['leftElbow', 'rightElbow'] },
+    body: { angle: ['leftShoulder', 'leftHip', 'leftAnkle'] },
+    kneeLine: { angle: ['leftShoulder', 'leftHip', 'leftKnee'] },
+    forearm: { distance: ['midElbow', 'midWrist'] },
+    shoulderY: { position: 'midShoulder', axis: 'y' },
+    leftWristY: { position: 'leftWrist', axis: 'y' },
+    rightWristY: { position: 'rightWrist', axis: 'y' },
+    wristY: { max: ['leftWristY', 'rightWristY'] }, // the lower wrist
+    kneeY: { position: 'midKnee', axis: 'y' },
+    ankleY: { position: 'midAnkle', axis: 'y' },
+    chestGap: { difference: ['wristY', 'shoulderY'], signed: true },
+    depth: { ratio: ['chestGap', 'forearm'] },
+    kneeGap: { difference: ['ankleY', 'kneeY'], signed: true },
+    kneeHeight: { ratio: ['kneeGap', 'forearm'] },
+};
+
+const defined = v => v !== null && v !== undefined && !Number.isNaN(v);
+
+/**
+ * Rep counter and judge for one set. Feed every frame's signal values.
+ * @param {Object} protocol - From PUSHUP_PROTOCOLS
+ * @param {Object} [options]
+ * @param {number} [options.startTime=0] - Set start (ms); the metronome's first "up" beat
+ */
+export function createPushUpJudge(protocol, { startTime = 0 } = {}) {
+    let phase = 'idle';
+    let rep = null;        // extremes since the descent began
+    let wristFloor = null; // wrist level with the hands planted at lockout
+    let lastEnd = null;
+
+    const bodyLine = values => (protocol.bodyLine.through === 'knee' ? values.kneeLine : values.body);
+
+    function judge(t) {
+        const reasons = [];
+        if (protocol.depth && !(rep.minDepth <= protocol.depth.max)) reasons.push(protocol.depth.reason);
+        if (protocol.elbow && !(rep.minElbow <= protocol.elbow.max)) reasons.push(protocol.elbow.reason);
+        if (rep.minBody < protocol.bodyLine.min) reasons.push('Body not straight — hips sagging or piked');
+        if (protocol.kneesDown && rep.maxKnee > KNEE_DOWN) reasons.push('Knees off the floor');
+        if (protocol.release && !(rep.maxLift >= HAND_LIFT)) reasons.push('Hands not lifted at the bottom');
+        if (protocol.cadence) {
+            // Up beats fall every two beats from the start
+            const { beatMs, toleranceMs } = protocol.cadence;
+            const offset = (t - startTime) % (2 * beatMs);
+            const early = lastEnd !== null && t - lastEnd < 2 * beatMs - toleranceMs;
+            if (Math.min(offset, 2 * beatMs - offset) > toleranceMs || early) reasons.push('Off the beat');
+        }
+        return reasons;
+    }
+
+    return {
+        /**
+         * @param {number} t - Frame timestamp (ms)
+         * @param {Object} values - PUSHUP_SIGNALS values
+         * @returns {{ phase: string, rep: { reasons: Array<string>, depth: number|null, elbow: number|null }|null }}
+         *   `rep` is set on the frame a rep locks out
+         */
+        frame(t, values) {
+            if (!defined(values.elbow)) return { phase, rep: null };
+            const up = values.elbow > UP_ELBOW && values.depth > UP_DEPTH;
+            const down = values.elbow < DOWN_ELBOW;
+
+            if (phase !== 'down' && up && defined(values.wristY)) {
+                wristFloor = wristFloor === null ? values.wristY : Math.max(wristFloor, values.wristY);
+            }
+
+            if (phase === 'idle' && up) phase = 'up';
+            else if (phase === 'up' && down) {
+                phase = 'down';
+                rep = { minDepth: Infinity, minElbow: Infinity, minBody: Infinity, maxKnee: -Infinity, maxLift: -Infinity };
+            }
+
+            if (phase === 'down') {
+                if (defined(values.depth)) rep.minDepth = Math.min(rep.minDepth, values.depth);
+                rep.minElbow = Math.min(rep.minElbow, values.elbow);
+                if (defined(bodyLine(values))) rep.minBody = Math.min(rep.minBody, bodyLine(values));
+                if (defined(values.kneeHeight)) rep.maxKnee = Math.max(rep.maxKnee, values.kneeHeight);
+                if (wristFloor !== null && defined(values.wristY) && values.forearm > 0) {
+                    rep.maxLift = Math.max(rep.maxLift, (wristFloor - values.wristY) / values.forearm);
+                }
+
+                if (up) {
+                    phase = 'up';
+                    const reasons = judge(t);
+                    lastEnd = t;
+                    const result = {
+                        reasons,
+                        depth: Number.isFinite(rep.minDepth) ? Math.round(rep.minDepth * 100) / 100 : null,
+                        elbow: Math.round(rep.minElbow),
+                    };
+                    rep = null;
+                    return { phase, rep: result };
+                }
+            }
+            return { phase, rep: null };
+        },
+
+        /**
+         * Cadence sets: whether a whole up-beat window has passed without a rep
+         * locking out (the athlete stopped, or is holding the top off the beat).
+         * @param {number} t - Current time (ms), on the frame clock
+         * @returns {boolean}
+         */
+        missedBeat(t) {
+            if (!protocol.cadence) return false;
+            const { beatMs, toleranceMs } = protocol.cadence;
+            return t - (lastEnd ?? startTime) > 2 * beatMs + toleranceMs;
+        },
+    };
+}
+
+let audioCtx = null;
+
+/**
+ * Cadence metronome: a low "down" beep and a high "up" beep in turn, every
+ * `beatMs`, scheduled ahead on the audio clock so the beat doesn't drift.
+ * The first beat ("down") plays one beat after the call.
+ * @param {number} beatMs
+ * @returns {{ stop: Function }|null} Null without Web Audio
+ */
+export function startMetronome(beatMs) {
+    try {
+        if (!audioCtx) audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+        const origin = audioCtx.currentTime;
+        const queued = [];
+        let beat = 1;
+        const schedule = () => {
+            // Keep a second of beats queued
+            while (origin + (beat * beatMs) / 1000 < audioCtx.currentTime + 1) {
+                const at = origin + (beat * beatMs) / 1000;
+                const osc = audioCtx.createOscillator();
+                const gain = audioCtx.createGain();
+                osc.connect(gain);
+                gain.connect(audioCtx.destination);
+                osc.frequency.value = beat % 2 ? 440 : 880;
+                gain.gain.value = 0.3;
+                osc.start(at);
+                osc.stop(at + 0.1);
+                queued.push(osc);
+                osc.onended = () => queued.splice(queued.indexOf(osc), 1);
+                beat += 1;
+            }
+        };
+        schedule();
+        const interval = setInterval(schedule, 250);
+        return {
+            stop: () => {
+                clearInterval(interval);
+                queued.forEach((osc) => { try { osc.stop(); } catch { /* already stopped */ } });
+            },
+        };
+    } catch {
+        return null;
+    }
+}
+
+export default {
+    PUSHUP_PROTOCOLS,
+    PUSHUP_SIGNALS,
+    createPushUpJudge,
+    startMetronome,
+};
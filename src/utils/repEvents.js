@@ -0,0 +1,170 @@
+/**
+ * repEvents.js
+ * Builds a structured event for every rep: start / bottom / end timestamps,
+ * eccentric and concentric durations, time under tension, range of motion of
+ * the tempo signal, joint angle ranges, left/right symmetry and the form
+ * faults seen during the rep.
+ *
+ * The rep window is found from a tempo signal (e.g. knee angle): `bottom` is
+ * its turning point, and the rep starts when the signal last left the top of
+ * its range before that.
+ */
+
+// Share of the rep's range the signal may move before the rep counts as started
+const START_MARGIN = 0.1;
+
+// Frames kept while waiting for a rep (~60 s at 30 fps)
+const MAX_FRAMES = 1800;
+
+const round = v => Math.round(v);
+
+/**
+ * @param {Object} [options]
+ * @param {Object} [options.tempo] - { signal, bottom: 'min'|'max', first: 'eccentric'|'concentric' }
+ *   `first` is the half of the rep that ends at the bottom (eccentric for squats,
+ *   concentric for sit-ups)
+ * @param {Array<string>} [options.symmetry] - [leftSignal, rightSignal]
+ * @param {Object} [options.angles] - Label → signal, reported as { min, max }
+ */
+export function createRepTracker({ tempo, symmetry, angles = {} } = {}) {
+    let frames = []; // { t, values, faults }
+    let index = 0;
+
+    // Indices of the rep window within `frames`
+    function findWindow() {
+        if (!tempo) return { start: 0, bottom: null };
+        const series = frames.map(f => f.values[tempo.signal]);
+        const defined = series.map((v, i) => [v, i]).filter(([v]) => v !== null && v !== undefined);
+        if (!defined.length) return { start: 0, bottom: null };
+
+        const atBottom = tempo.bottom === 'max' ? Math.max : Math.min;
+        const bottomValue = atBottom(...defined.map(([v]) => v));
+        const bottom = defined.find(([v]) => v === bottomValue)[1];
+
+        const before = defined.filter(([, i]) => i <= bottom);
+        const topValue = tempo.bottom === 'max'
+            ? Math.min(...before.map(([v]) => v))
+            : Math.max(...before.map(([v]) => v));
+        const threshold = topValue + (bottomValue - topValue) * START_MARGIN;
+        const atTop = ([v]) => (tempo.bottom === 'max' ? v <= threshold : v >= threshold);
+        const lastTop = [...before].reverse().find(atTop);
+        return { start: lastTop ? lastTop[1] : 0, bottom };
+    }
+
+    function range(window, signal) {
+        const values = window.map(f => f.values[signal]).filter(v => v !== null && v !== undefined);
+        return values.length ? { min: Math.min(...values), max: Math.max(...values) } : null;
+    }
+
+    return {
+        /**
+         * Record one frame.
+         * @param {number} t - Timestamp in ms
+         * @param {Object} values - Signal values
+         * @param {Array<string>} [faults] - Fault names active on this frame
+         */
+        frame(t, values, faults = []) {
+            frames.push({ t, values, faults });
+            if (frames.length > MAX_FRAMES) frames.shift();
+        },
+
+        /**
+         * Close the current rep and start collecting the next one.
+         * @param {number} t - Completion timestamp in ms
+         * @param {Object} [extra] - Merged into the event (score, side, rejected, ...)
+         * @param {Array<string>} [repFaults] - Faults judged on the whole rep (e.g. incomplete lockout)
+         * @returns {Object|null} Rep event, or null if no frames were seen
+         */
+        complete(t, extra = {}, repFaults = []) {
+            if (!frames.length) return null;
+            const { start, bottom } = findWindow();
+            const window = frames.slice(start);
+            const startAt = frames[start].t;
+            const bottomAt = bottom !== null ? frames[bottom].t : null;
+            frames = [];
+
+            const event = {
+                index: index++,
+                start: startAt,
+                bottom: bottomAt,
+                end: t,
+                eccentricMs: null,
+                concentricMs: null,
+                timeUnderTensionMs: round(t - startAt),
+                rangeOfMotion: null,
+                angles: {},
+                symmetry: null,
+                ...extra,
+                faults: [...new Set([...window.flatMap(f => f.faults), ...repFaults])],
+            };
+
+            if (bottomAt !== null) {
+                const toBottom = round(bottomAt - startAt);
+                const fromBottom = round(t - bottomAt);
+                const concentricFirst = tempo.first === 'concentric';
+                event.eccentricMs = concentricFirst ? fromBottom : toBottom;
+                event.concentricMs = concentricFirst ? toBottom : fromBottom;
+                const tempoRange = range(window, tempo.signal);
+                event.rangeOfMotion = round(tempoRange.max - tempoRange.min);
+            }
+
+            Object.entries(angles).forEach(([label, signal]) => {
+                const r = range(window, signal);
+                if (r) event.angles[label] = { min: round(r.min), max: round(r.max) };
+            });
+
+            if (symmetry) {
+                const left = range(window, symmetry[0]);
+                const right = range(window, symmetry[1]);
+                if (left && right) {
+                    const leftRom = left.max - left.min;
+                    const rightRom = right.max - right.min;
+                    const larger = Math.max(leftRom, rightRom);
+                    event.symmetry = {
+                        leftRom: round(leftRom),
+                        rightRom: round(rightRom),
+                        percent: larger > 0 ? round((Math.min(leftRom, rightRom) / larger) * 100) : 100,
+                    };
+                }
+            }
+            return event;
+        },
+
+        reset() {
+            frames = [];
+            index = 0;
+        },
+    };
+}
+
+/**
+ * Tempo summary over a set of rep events, e.g. for the results screen.
+ * @param {Array} events - From createRepTracker().complete()
+ * @returns {{ avgEccentricMs: number|null, avgConcentricMs: number|null, totalTimeUnderTensionMs: number }}
+ */
+export function summarizeRepEvents(events) {
+    const timed = events.filter(e => e.eccentricMs !== null && !e.rejected);
+    const mean = key => (timed.length ? round(timed.reduce((sum, e) => sum + e[key], 0) / timed.length) : null);
+    return {
+        avgEccentricMs: mean('eccentricMs'),
+        avgConcentricMs: mean('concentricMs'),
+        totalTimeUnderTensionMs: events.filter(e => !e.rejected).reduce((sum, e) => sum + e.timeUnderTensionMs, 0),
+    };
+}
+
+/**
+ * Number of reps showing each fault.
+ * @param {Array} events - From createRepTracker().complete()
+ * @returns {Object} Fault id → rep count
+ */
+export function countFaults(events) {
+    const counts = {};
+    events.forEach(e => e.faults.forEach((id) => { counts[id] = (counts[id] || 0) + 1; }));
+    return counts;
+}
+
+export default {
+    createRepTracker,
+    summarizeRepEvents,
+    countFaults,
+};
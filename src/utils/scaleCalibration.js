@@ -0,0 +1,183 @@
+/**
+ * scaleCalibration.js
+ * Converts normalized landmark distances into real-world centimetres in the
+ * athlete's plane. A calibration is a centimetres-per-pixel factor for one
+ * camera setup (device, orientation, resolution), derived from either the
+ * athlete's standing height or a reference object of known size.
+ *
+ * Calibrations are stored per setup in localStorage, so a fixed tripod at a
+ * testing centre only needs calibrating once.
+ */
+
+const STORAGE_KEY = 'athleteai_calibrations';
+
+// Legacy assumption used before calibration existed: 1 normalized unit ≈ 300 cm
+// (full body in frame). Close-up setups pass their own fallback.
+const UNCALIBRATED_CM_PER_UNIT = 300;
+
+// Eye height as a fraction of standing height (Drillis & Contini anthropometry)
+const EYE_HEIGHT_RATIO = 0.936;
+
+export const REFERENCE_OBJECTS = {
+    'a4-long': { label: 'A4 sheet — long edge', cm: 29.7 },
+    'a4-short': { label: 'A4 sheet — short edge', cm: 21.0 },
+    'cones-1m': { label: 'Cones 1 m apart', cm: 100 },
+    'cones-5m': { label: 'Cones 5 m apart', cm: 500 },
+    custom: { label: 'Custom length', cm: null },
+};
+
+/**
+ * Identify a camera setup. Calibrations only carry over between sessions
+ * filmed with the same source, lens and resolution. Uploaded videos are each
+ * their own setup: two clips at one resolution can be filmed from anywhere.
+ * @param {Object} setup
+ * @param {string} setup.sourceType - camera, file, replay
+ * @param {string} [setup.facingMode]
+ * @param {string} [setup.deviceId]
+ * @param {{ name: string, size: number, lastModified: number }|null} [setup.file] - Uploaded video (sourceFile)
+ * @param {{ width: number, height: number }|null} setup.frameSize
+ * @returns {string|null} Setup key, or null until the frame size (and for a video, the file) is known
+ */
+export function getCameraSetupKey({ sourceType, facingMode, deviceId, file, frameSize }) {
+    if (!frameSize?.width || !frameSize?.height) return null;
+    if (sourceType === 'file' && !file) return null;
+    const lens = sourceType === 'camera' ? (deviceId || facingMode || 'default')
+        : sourceType === 'file' ? `${file.name}/${file.size}/${file.lastModified}`
+            : sourceType;
+    return `${sourceType}:${lens}:${frameSize.width}x${frameSize.height}`;
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Calibrate from the athlete's standing height.
+ * Uses the eye-to-heel span over several frames of the athlete standing still.
+ * @param {Array<Array>} samples - Landmark frames (33-point layout)
+ * @param {number} heightCm - Athlete's standing height
+ * @param {{ width: number, height: number }} frameSize - Video frame size in pixels
+ * @returns {Object|null} Calibration, or null if the body wasn't fully visible
+ */
+export function calibrateFromHeight(samples, heightCm, frameSize) {
+    const spans = samples
+        .filter(lm => lm && [2, 5, 29, 30].every(i => lm[i]?.visibility > 0.5))
+        .map((lm) => {
+            const eyeY = (lm[2].y + lm[5].y) / 2;
+            const heelY = (lm[29].y + lm[30].y) / 2;
+            return (heelY - eyeY) * frameSize.height;
+        })
+        .filter(span => span > 0);
+
+    if (spans.length < 5) return null;
+
+    const staturePixels = median(spans) / EYE_HEIGHT_RATIO;
+    return {
+        method: 'height',
+        reference: `${heightCm} cm athlete`,
+        cmPerPixel: heightCm / staturePixels,
+        frameWidth: frameSize.width,
+        frameHeight: frameSize.height,
+        createdAt: new Date().toISOString(),
+    };
+}
+
+/**
+ * Calibrate from two points marking a reference object of known length.
+ * @param {{ x: number, y: number }} a - Normalized point
+ * @param {{ x: number, y: number }} b - Normalized point
+ * @param {number} lengthCm - Real distance between the points
+ * @param {{ width: number, height: number }} frameSize - Video frame size in pixels
+ * @param {string} [reference] - Description for the record
+ * @returns {Object|null} Calibration
+ */
+export function calibrateFromMarker(a, b, lengthCm, frameSize, reference = 'marker') {
+    const pixels = Math.hypot((b.x - a.x) * frameSize.width, (b.y - a.y) * frameSize.height);
+    if (!pixels || !lengthCm) return null;
+    return {
+        method: 'marker',
+        reference,
+        cmPerPixel: lengthCm / pixels,
+        frameWidth: frameSize.width,
+        frameHeight: frameSize.height,
+        createdAt: new Date().toISOString(),
+    };
+}
+
+/**
+ * Build unit converters for a calibration. Without one, falls back to a
+ * rough cm-per-unit estimate and reports `calibrated: false`.
+ * @param {Object|null} calibration
+ * @param {number} [fallbackCmPerUnit=300] - Estimate used when uncalibrated
+ * @returns {{ calibrated: boolean, cmX: Function, cmY: Function, cm: Function, speedMs: Function }}
+ */
+export function createScale(calibration, fallbackCmPerUnit = UNCALIBRATED_CM_PER_UNIT) {
+    const cmPerUnitX = calibration ? calibration.cmPerPixel * calibration.frameWidth : fallbackCmPerUnit;
+    const cmPerUnitY = calibration ? calibration.cmPerPixel * calibration.frameHeight : fallbackCmPerUnit;
+
+    return {
+        calibrated: !!calibration,
+        /** Horizontal normalized distance → cm */
+        cmX: (dx) => dx * cmPerUnitX,
+        /** Vertical normalized distance → cm */
+        cmY: (dy) => dy * cmPerUnitY,
+        /** Distance between two normalized points → cm */
+        cm: (a, b) => Math.hypot((b.x - a.x) * cmPerUnitX, (b.y - a.y) * cmPerUnitY),
+        /** Normalized velocity (units/s) → m/s */
+        speedMs: (vx, vy) => Math.hypot(vx * cmPerUnitX, vy * cmPerUnitY) / 100,
+    };
+}
+
+// ===== STORAGE =====
+
+let calibrationCache = null;
+
+function readAll() {
+    if (calibrationCache) return calibrationCache;
+    try {
+        calibrationCache = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch {
+        calibrationCache = {};
+    }
+    return calibrationCache;
+}
+
+/**
+ * Load the calibration saved for a camera setup.
+ * @param {string|null} setupKey
+ * @returns {Object|null}
+ */
+export function loadCalibration(setupKey) {
+    if (!setupKey) return null;
+    return readAll()[setupKey] || null;
+}
+
+/**
+ * Save (or clear, with null) the calibration for a camera setup.
+ * @param {string} setupKey
+ * @param {Object|null} calibration
+ */
+export function saveCalibration(setupKey, calibration) {
+    if (!setupKey) return;
+    const all = { ...readAll() };
+    if (calibration) all[setupKey] = calibration;
+    else delete all[setupKey];
+    calibrationCache = all;
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+    } catch {
+        // Storage unavailable — calibration lasts for this session only
+    }
+}
+
+export default {
+    REFERENCE_OBJECTS,
+    getCameraSetupKey,
+    calibrateFromHeight,
+    calibrateFromMarker,
+    createScale,
+    loadCalibration,
+    saveCalibration,
+};
@@ -1,11 +1,13 @@
 /**
  * scoringSystem.js
  * Multi-module weighted scoring algorithm.
- * Speed Score = (Sprint + Agility) / 2
+ * Speed Score = (Sprint + Agility) / 2, Agility = mean of T-test, Illinois and 5-10-5 taken
  * Strength Score = (Pushups + Jump) / 2
  * Endurance Score = Beep Test Level score
  * Skill Score = Accuracy %
  * Reaction Score = Reaction time score
+ * Flexibility Score = (Sit-and-reach + Shoulder mobility) / 2 — optional
+ * Balance Score = (Left leg + Right leg stork stand) / 2 — optional
  * Final = Weighted average → radar chart
  */
 
@@ -16,8 +18,88 @@ const MODULE_WEIGHTS = {
     endurance: 0.2,
     skill: 0.15,
     reaction: 0.15,
+    flexibility: 0.1,
+    balance: 0.1,
 };
 
+// Score axes in radar order. Optional modules only count once the athlete
+// has a score for them.
+export const SCORE_MODULES = [
+    { key: 'speed', label: 'Speed', icon: '🏃' },
+    { key: 'strength', label: 'Strength', icon: '💪' },
+    { key: 'endurance', label: 'Endurance', icon: '🫀' },
+    { key: 'skill', label: 'Skill', icon: '🎯' },
+    { key: 'reaction', label: 'Reaction', icon: '🧠' },
+    { key: 'flexibility', label: 'Flexibility', icon: '🧘', optional: true },
+    { key: 'balance', label: 'Balance', icon: '🦩', optional: true },
+];
+
+// ═══════ FLEXIBILITY NORMS ═══════
+// Sit-and-reach: cm past the toes (negative = short of the toes).
+// Shoulder flexion: degrees of overhead arm elevation (180 = arm vertical).
+// Each band ramps 0 at `poor` → 100 at `excellent`.
+const SIT_AND_REACH_NORMS = {
+    male: [
+        { maxAge: 17, poor: -12, excellent: 14 },
+        { maxAge: 35, poor: -10, excellent: 17 },
+        { maxAge: 50, poor: -14, excellent: 13 },
+        { maxAge: Infinity, poor: -18, excellent: 9 },
+    ],
+    female: [
+        { maxAge: 17, poor: -7, excellent: 19 },
+        { maxAge: 35, poor: -5, excellent: 21 },
+        { maxAge: 50, poor: -8, excellent: 18 },
+        { maxAge: Infinity, poor: -12, excellent: 15 },
+    ],
+};
+
+const SHOULDER_FLEXION_NORMS = {
+    male: [
+        { maxAge: 35, poor: 140, excellent: 178 },
+        { maxAge: 50, poor: 130, excellent: 172 },
+        { maxAge: Infinity, poor: 120, excellent: 165 },
+    ],
+    female: [
+        { maxAge: 35, poor: 145, excellent: 180 },
+        { maxAge: 50, poor: 135, excellent: 175 },
+        { maxAge: Infinity, poor: 125, excellent: 168 },
+    ],
+};
+
+// ═══════ SPRINT BENCHMARKS ═══════
+// Seconds. Standing starts are timed from the start line or signal; flying
+// sprints from a line crossed at speed after a run-in zone.
+export const SPRINT_BENCHMARKS = {
+    20: { elite: 2.8, good: 3.2, avg: 3.8, poor: 4.5 },
+    30: { elite: 3.9, good: 4.3, avg: 4.9, poor: 5.8 },
+    40: { elite: 4.8, good: 5.4, avg: 6.2, poor: 7.5 },
+};
+
+export const FLYING_SPRINT_BENCHMARKS = {
+    10: { elite: 1.0, good: 1.15, avg: 1.3, poor: 1.55 },
+    20: { elite: 2.0, good: 2.25, avg: 2.55, poor: 3.0 },
+};
+
+// Repeated sprints: % decrement across the set (lower is better)
+const SPRINT_DECREMENT = { elite: 3, poor: 12 };
+
+// ═══════ AGILITY BENCHMARKS ═══════
+// Seconds, per protocol (keys are the drill ids in utils/agilityDrill.js)
+export const AGILITY_BENCHMARKS = {
+    't-test': { elite: 9.5, good: 10.5, avg: 11.5, poor: 13.0 },
+    illinois: { elite: 15.2, good: 16.1, avg: 18.1, poor: 19.3 },
+    'pro-agility': { elite: 4.2, good: 4.6, avg: 5.1, poor: 5.8 },
+};
+
+// Unknown age/gender → adult norms averaged across genders
+function findNorm(table, { age, gender } = {}) {
+    const pick = rows => rows.find(row => (age ?? 25) <= row.maxAge);
+    if (table[gender]) return pick(table[gender]);
+    const male = pick(table.male);
+    const female = pick(table.female);
+    return { poor: (male.poor + female.poor) / 2, excellent: (male.excellent + female.excellent) / 2 };
+}
+
 // ═══════ INDIVIDUAL SCORE CALCULATORS ═══════
 
 /**
@@ -33,34 +115,105 @@ export function calculateFormScore(formAccuracy, endurance, consistency, aiConfi
     return Math.round(Math.min(100, Math.max(0, score)));
 }
 
+// Linear 0 at `poor` → 100 at `elite` (for times: lower is better)
+function timeScore(time, { elite, poor }) {
+    return Math.round(Math.max(0, Math.min(100, ((poor - time) / (poor - elite)) * 100)));
+}
+
+// Rating band for a time (lower is better)
+function timeRating(time, { elite, good, avg }) {
+    if (time <= elite) return 'Elite';
+    if (time <= good) return 'Good';
+    if (time <= avg) return 'Average';
+    return 'Poor';
+}
+
+/**
+ * Rating band for a sprint time.
+ * @param {number} time - Seconds
+ * @param {{ elite, good, avg }} benchmarks - From SPRINT_BENCHMARKS or FLYING_SPRINT_BENCHMARKS
+ * @returns {'Elite'|'Good'|'Average'|'Poor'}
+ */
+export function rateSprintTime(time, benchmarks) {
+    return timeRating(time, benchmarks);
+}
+
 /**
  * Score sprint based on time relative to benchmarks.
  * @param {number} time - Sprint time in seconds
- * @param {number} distance - 20 or 40 meters
+ * @param {number} distance - 20, 30 or 40 meters
  * @returns {number} 0-100
  */
 export function calculateSprintScore(time, distance = 20) {
-    const benchmarks = distance === 20
-        ? { elite: 2.8, poor: 4.5 }
-        : { elite: 4.8, poor: 7.5 };
-    return Math.round(Math.max(0, Math.min(100, ((benchmarks.poor - time) / (benchmarks.poor - benchmarks.elite)) * 100)));
+    return timeScore(time, SPRINT_BENCHMARKS[distance] || SPRINT_BENCHMARKS[20]);
 }
 
 /**
- * Score agility T-Test based on completion time.
- * @param {number} time - T-test time in seconds
+ * Score a flying sprint (timed after a run-in zone), which isolates top speed.
+ * @param {number} time - Seconds over the timed zone
+ * @param {number} distance - 10 or 20 meters
  * @returns {number} 0-100
  */
-export function calculateAgilityScore(time) {
-    const elite = 9.5, poor = 13.0;
-    return Math.round(Math.max(0, Math.min(100, ((poor - time) / (poor - elite)) * 100)));
+export function calculateFlyingSprintScore(time, distance = 10) {
+    return timeScore(time, FLYING_SPRINT_BENCHMARKS[distance] || FLYING_SPRINT_BENCHMARKS[10]);
+}
+
+/**
+ * Percentage decrement over a set of repeated sprints:
+ * (total time / (best time × sprints) − 1) × 100.
+ * @param {Array<number>} times - Seconds per sprint
+ * @returns {number} % (0 = no slowing down)
+ */
+export function calculateSprintDecrement(times) {
+    if (!times.length) return 0;
+    const best = Math.min(...times);
+    const total = times.reduce((sum, t) => sum + t, 0);
+    return Math.round(((total / (best * times.length)) - 1) * 1000) / 10;
+}
+
+/**
+ * Score a repeated-sprint-ability set: mean time (70%) and how well speed
+ * held up, as % decrement (30%). Sprints not completed score nothing.
+ * @param {Array<number>} times - Seconds per completed sprint
+ * @param {number} distance - Meters per sprint
+ * @param {number} [sprints] - Sprints in the set, including any not completed
+ * @returns {number} 0-100
+ */
+export function calculateRepeatedSprintScore(times, distance = 30, sprints = times.length) {
+    if (!times.length) return 0;
+    const meanTime = times.reduce((sum, t) => sum + t, 0) / times.length;
+    const decrement = calculateSprintDecrement(times);
+    const decrementScore = Math.max(0, Math.min(100,
+        ((SPRINT_DECREMENT.poor - decrement) / (SPRINT_DECREMENT.poor - SPRINT_DECREMENT.elite)) * 100));
+    const score = calculateSprintScore(meanTime, distance) * 0.7 + decrementScore * 0.3;
+    return Math.round(score * (times.length / Math.max(sprints, times.length)));
+}
+
+/**
+ * Score an agility drill based on completion time.
+ * @param {number} time - Drill time in seconds
+ * @param {string} [protocol='t-test'] - 't-test', 'illinois' or 'pro-agility'
+ * @returns {number} 0-100
+ */
+export function calculateAgilityScore(time, protocol = 't-test') {
+    return timeScore(time, AGILITY_BENCHMARKS[protocol] || AGILITY_BENCHMARKS['t-test']);
+}
+
+/**
+ * Rating band for an agility drill time.
+ * @param {number} time - Seconds
+ * @param {string} [protocol='t-test']
+ * @returns {'Elite'|'Good'|'Average'|'Poor'}
+ */
+export function rateAgilityTime(time, protocol = 't-test') {
+    return timeRating(time, AGILITY_BENCHMARKS[protocol] || AGILITY_BENCHMARKS['t-test']);
 }
 
 /**
  * Score push-up test based on reps, form, and fatigue.
  * @param {number} reps - Total reps in 1 minute
  * @param {number} formAccuracy - 0-100
- * @param {number} fatigueRate - 0-100 (lower is better)
+ * @param {number} fatigueRate - Fatigue index 0-100 from analyzeFatigue() (lower is better)
  * @returns {number} 0-100
  */
 export function calculatePushUpScore(reps, formAccuracy, fatigueRate) {
@@ -124,29 +277,90 @@ export function calculateCombatScore(avgReactionMs, punchSpeedMs = 0, kickHeight
     return Math.round(reactionScore * 0.4 + punchScore * 0.3 + kickScore * 0.3);
 }
 
+/**
+ * Score sit-and-reach against age/gender norms.
+ * @param {number} reachCm - Fingertip reach past the toes in cm (negative = short)
+ * @param {Object} [athlete] - { age, gender: 'male'|'female' }
+ * @returns {number} 0-100
+ */
+export function calculateSitAndReachScore(reachCm, athlete) {
+    const { poor, excellent } = findNorm(SIT_AND_REACH_NORMS, athlete);
+    return Math.round(Math.max(0, Math.min(100, ((reachCm - poor) / (excellent - poor)) * 100)));
+}
+
+/**
+ * Score overhead shoulder flexion against age/gender norms.
+ * @param {number} angle - Best arm elevation in degrees
+ * @param {Object} [athlete] - { age, gender: 'male'|'female' }
+ * @returns {number} 0-100
+ */
+export function calculateShoulderMobilityScore(angle, athlete) {
+    const { poor, excellent } = findNorm(SHOULDER_FLEXION_NORMS, athlete);
+    return Math.round(Math.max(0, Math.min(100, ((angle - poor) / (excellent - poor)) * 100)));
+}
+
+/**
+ * Score one leg of the stork stand.
+ * @param {number} holdSeconds - Time on one leg (60s = full marks)
+ * @param {number} swayVelocityCmS - Mean hip sway velocity in cm/s (lower is better)
+ * @returns {number} 0-100
+ */
+export function calculateBalanceScore(holdSeconds, swayVelocityCmS) {
+    const holdScore = Math.min(100, (holdSeconds / 60) * 100);
+    // 1 cm/s = 100, 6 cm/s = 0
+    const swayScore = Math.max(0, Math.min(100, ((6 - swayVelocityCmS) / 5) * 100));
+    return Math.round(holdScore * 0.7 + swayScore * 0.3);
+}
+
 // ═══════ COMPOSITE SCORING ═══════
 
+/**
+ * Modules to show for one or more score sets (e.g. two athletes compared).
+ * Optional modules are included only when every set has a score for them.
+ * @param {...Object} scoreSets - Module scores
+ * @returns {Array} Entries of SCORE_MODULES
+ */
+export function getScoreModules(...scoreSets) {
+    return SCORE_MODULES.filter(module => !module.optional
+        || scoreSets.every(scores => typeof scores?.[module.key] === 'number'));
+}
+
 /**
  * Calculate overall weighted score from all module scores.
- * @param {Object} moduleScores - { speed, strength, endurance, skill, reaction }
+ * Optional modules without a score are left out and the weights rescaled.
+ * @param {Object} moduleScores - { speed, strength, endurance, skill, reaction, flexibility? }
  * @returns {number} 0-100
  */
 export function calculateOverallScore(moduleScores) {
-    const { speed = 0, strength = 0, endurance = 0, skill = 0, reaction = 0 } = moduleScores;
-    const overall =
-        speed * MODULE_WEIGHTS.speed +
-        strength * MODULE_WEIGHTS.strength +
-        endurance * MODULE_WEIGHTS.endurance +
-        skill * MODULE_WEIGHTS.skill +
-        reaction * MODULE_WEIGHTS.reaction;
-    return Math.round(Math.min(100, Math.max(0, overall)));
+    let total = 0;
+    let weights = 0;
+    getScoreModules(moduleScores).forEach(({ key }) => {
+        total += (moduleScores[key] || 0) * MODULE_WEIGHTS[key];
+        weights += MODULE_WEIGHTS[key];
+    });
+    return Math.round(Math.min(100, Math.max(0, total / weights)));
 }
 
 /**
  * Calculate combined speed score from sprint + agility.
+ * Either may be null when that test hasn't been taken.
+ * @returns {number|null} Null when neither has a score
  */
 export function calculateSpeedModule(sprintScore, agilityScore) {
-    return Math.round((sprintScore + agilityScore) / 2);
+    const scores = [sprintScore, agilityScore].filter(score => typeof score === 'number');
+    if (!scores.length) return null;
+    return Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length);
+}
+
+/**
+ * Combined agility score: mean of the drills taken (T-test, Illinois, 5-10-5).
+ * @param {...(number|null)} drillScores - 0-100 each, null if not taken
+ * @returns {number|null} Null when no drill has a score
+ */
+export function calculateAgilityModule(...drillScores) {
+    const scores = drillScores.filter(score => typeof score === 'number');
+    if (!scores.length) return null;
+    return Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length);
 }
 
 /**
@@ -156,6 +370,18 @@ export function calculateStrengthModule(pushUpScore, jumpScore) {
     return Math.round((pushUpScore + jumpScore) / 2);
 }
 
+/**
+ * Calculate flexibility score from whichever flexibility tests were taken.
+ * @param {number|null} sitAndReachScore
+ * @param {number|null} shoulderScore
+ * @returns {number|null} Null when neither test has a score
+ */
+export function calculateFlexibilityModule(sitAndReachScore, shoulderScore) {
+    const scores = [sitAndReachScore, shoulderScore].filter(score => typeof score === 'number');
+    if (!scores.length) return null;
+    return Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length);
+}
+
 // ═══════ XP & LEVELING ═══════
 
 export function calculateXP(reps, formAccuracy) {
@@ -217,17 +443,31 @@ export function calculateNationalRank(percentile, totalAthletes = 150000) {
 
 export default {
     calculateFormScore,
+    SPRINT_BENCHMARKS,
+    FLYING_SPRINT_BENCHMARKS,
+    rateSprintTime,
     calculateSprintScore,
+    calculateFlyingSprintScore,
+    calculateSprintDecrement,
+    calculateRepeatedSprintScore,
+    AGILITY_BENCHMARKS,
     calculateAgilityScore,
+    rateAgilityTime,
     calculatePushUpScore,
     calculateJumpScore,
     calculateBeepScore,
     calculateAccuracyScore,
     calculateReactionScore,
     calculateCombatScore,
+    calculateSitAndReachScore,
+    calculateShoulderMobilityScore,
+    calculateBalanceScore,
+    getScoreModules,
     calculateOverallScore,
     calculateSpeedModule,
+    calculateAgilityModule,
     calculateStrengthModule,
+    calculateFlexibilityModule,
     calculateXP,
     getLevel,
     getLevelProgress,
@@ -236,4 +476,5 @@ export default {
     calculatePercentile,
     calculateNationalRank,
     MODULE_WEIGHTS,
+    SCORE_MODULES,
 };
@@ -0,0 +1,193 @@
+/**
+ * sessionRecording.js
+ * Records the pose landmark stream of a test session and packs it into a
+ * compact binary "session file" (.als) for storage, audit and replay.
+ *
+ * Layout (little-endian):
+ *   'ALS1' magic | uint32 header length | header JSON (UTF-8) | pad to 8
+ *   Float64 frame timestamps (ms) | Uint8 landmark-present flags | pad to 2
+ *   Int16 landmark data — x, y, z, visibility per landmark, quantized ×10000
+ *   (format 2+) Uint8 world-present flags | pad to 2 | Int16 world landmark data (metres)
+ */
+
+const MAGIC = 'ALS1';
+const FORMAT_VERSION = 2;
+const LANDMARK_COUNT = 33;
+const FIELDS = ['x', 'y', 'z', 'visibility'];
+const QUANT_SCALE = 10000; // 0.0001 precision, range ±3.27 (normalized units or metres)
+
+export const SESSION_FILE_EXTENSION = '.als';
+export const SESSION_MIME_TYPE = 'application/x-athleteai-session';
+
+/**
+ * Create a recorder that collects timestamped landmark frames.
+ * @param {Object} meta - Session metadata (source, activity, ...)
+ * @returns {{ addFrame: Function, finish: Function, frameCount: Function }}
+ */
+export function createSessionRecorder(meta = {}) {
+    const frames = [];
+    const startedAt = new Date().toISOString();
+
+    return {
+        /**
+         * @param {number} t - Frame timestamp in ms
+         * @param {Array|null} landmarks - Pose landmarks, or null if no person
+         * @param {Array|null} [worldLandmarks] - World landmarks (metres), if the backend has them
+         */
+        addFrame(t, landmarks, worldLandmarks = null) {
+            frames.push({
+                t,
+                landmarks: copyLandmarks(landmarks),
+                worldLandmarks: copyLandmarks(worldLandmarks),
+            });
+        },
+        frameCount() {
+            return frames.length;
+        },
+        /**
+         * @returns {{ meta: Object, frames: Array }} The recorded session
+         */
+        finish() {
+            return {
+                meta: { ...meta, startedAt, endedAt: new Date().toISOString() },
+                frames,
+            };
+        },
+    };
+}
+
+/**
+ * Pack a recorded session into a compact ArrayBuffer.
+ * @param {{ meta: Object, frames: Array }} session
+ * @returns {ArrayBuffer}
+ */
+export function encodeSession({ meta = {}, frames = [] }) {
+    const header = new TextEncoder().encode(JSON.stringify({
+        formatVersion: FORMAT_VERSION,
+        landmarkCount: LANDMARK_COUNT,
+        frameCount: frames.length,
+        meta,
+    }));
+
+    const timesOffset = align(8 + header.length, 8);
+    const presentOffset = timesOffset + frames.length * 8;
+    const dataOffset = align(presentOffset + frames.length, 2);
+    const valuesPerFrame = LANDMARK_COUNT * FIELDS.length;
+    const worldPresentOffset = dataOffset + frames.length * valuesPerFrame * 2;
+    const worldDataOffset = align(worldPresentOffset + frames.length, 2);
+    const buffer = new ArrayBuffer(worldDataOffset + frames.length * valuesPerFrame * 2);
+
+    const view = new DataView(buffer);
+    for (let i = 0; i < MAGIC.length; i++) view.setUint8(i, MAGIC.charCodeAt(i));
+    view.setUint32(4, header.length, true);
+    new Uint8Array(buffer, 8, header.length).set(header);
+
+    const times = new Float64Array(buffer, timesOffset, frames.length);
+    const present = new Uint8Array(buffer, presentOffset, frames.length);
+    const data = new Int16Array(buffer, dataOffset, frames.length * valuesPerFrame);
+    const worldPresent = new Uint8Array(buffer, worldPresentOffset, frames.length);
+    const worldData = new Int16Array(buffer, worldDataOffset, frames.length * valuesPerFrame);
+
+    frames.forEach((frame, f) => {
+        times[f] = frame.t;
+        if (frame.landmarks) {
+            present[f] = 1;
+            writeLandmarks(data, f * valuesPerFrame, frame.landmarks);
+        }
+        if (frame.worldLandmarks) {
+            worldPresent[f] = 1;
+            writeLandmarks(worldData, f * valuesPerFrame, frame.worldLandmarks);
+        }
+    });
+
+    return buffer;
+}
+
+/**
+ * Unpack a session file produced by encodeSession.
+ * @param {ArrayBuffer} buffer
+ * @returns {{ meta: Object, frames: Array<{ t: number, landmarks: Array|null, worldLandmarks: Array|null }> }}
+ */
+export function decodeSession(buffer) {
+    const view = new DataView(buffer);
+    const magic = String.fromCharCode(...new Uint8Array(buffer, 0, 4));
+    if (magic !== MAGIC) throw new Error('Not an AthleteAI session file');
+
+    const headerLength = view.getUint32(4, true);
+    const header = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, 8, headerLength)));
+    const { frameCount, landmarkCount, formatVersion } = header;
+
+    const timesOffset = align(8 + headerLength, 8);
+    const presentOffset = timesOffset + frameCount * 8;
+    const dataOffset = align(presentOffset + frameCount, 2);
+    const valuesPerFrame = landmarkCount * FIELDS.length;
+
+    const times = new Float64Array(buffer, timesOffset, frameCount);
+    const present = new Uint8Array(buffer, presentOffset, frameCount);
+    const data = new Int16Array(buffer, dataOffset, frameCount * valuesPerFrame);
+
+    // Format 1 files predate world landmarks
+    let worldPresent = null;
+    let worldData = null;
+    if (formatVersion >= 2) {
+        const worldPresentOffset = dataOffset + frameCount * valuesPerFrame * 2;
+        worldPresent = new Uint8Array(buffer, worldPresentOffset, frameCount);
+        worldData = new Int16Array(buffer, align(worldPresentOffset + frameCount, 2), frameCount * valuesPerFrame);
+    }
+
+    const frames = [];
+    for (let f = 0; f < frameCount; f++) {
+        frames.push({
+            t: times[f],
+            landmarks: present[f] ? readLandmarks(data, f * valuesPerFrame, landmarkCount) : null,
+            worldLandmarks: worldPresent?.[f] ? readLandmarks(worldData, f * valuesPerFrame, landmarkCount) : null,
+        });
+    }
+
+    return { meta: header.meta || {}, frames };
+}
+
+function copyLandmarks(landmarks) {
+    return landmarks
+        ? landmarks.map(lm => ({ x: lm.x, y: lm.y, z: lm.z || 0, visibility: lm.visibility || 0 }))
+        : null;
+}
+
+function writeLandmarks(target, offset, landmarks) {
+    for (let l = 0; l < LANDMARK_COUNT; l++) {
+        const lm = landmarks[l] || {};
+        FIELDS.forEach((field, k) => {
+            target[offset + l * FIELDS.length + k] = quantize(lm[field] || 0);
+        });
+    }
+}
+
+function readLandmarks(source, offset, count) {
+    const landmarks = [];
+    for (let l = 0; l < count; l++) {
+        const base = offset + l * FIELDS.length;
+        landmarks.push({
+            x: source[base] / QUANT_SCALE,
+            y: source[base + 1] / QUANT_SCALE,
+            z: source[base + 2] / QUANT_SCALE,
+            visibility: source[base + 3] / QUANT_SCALE,
+        });
+    }
+    return landmarks;
+}
+
+function quantize(value) {
+    return Math.max(-32768, Math.min(32767, Math.round(value * QUANT_SCALE)));
+}
+
+function align(offset, to) {
+    return Math.ceil(offset / to) * to;
+}
+
+export default {
+    createSessionRecorder,
+    encodeSession,
+    decodeSession,
+    SESSION_FILE_EXTENSION,
+    SESSION_MIME_TYPE,
+};
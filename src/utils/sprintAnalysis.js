@@ -0,0 +1,221 @@
+/**
+ * sprintAnalysis.js
+ * Splits, strides and velocity of a sprint timed by utils/sprintTiming.js.
+ *
+ * - Position: the torso's distance down the track, interpolated between the
+ *   drawn lines (start, split marks, finish) from its distance to each line
+ * - Ground contact: a foot is down while its lowest point (heel or toe) is at
+ *   ground level and it is near-stationary horizontally while the hips move on
+ * - Strides are counted per ground contact (either foot), as in sprint
+ *   coaching: stride frequency is ~4–5 Hz at top speed
+ * - Segments between consecutive marks: time, mean velocity, stride frequency,
+ *   estimated stride length (segment length / strides), contact and flight times
+ */
+import { lineSide, lineMidpoint } from './sprintTiming';
+
+const MIN_VISIBILITY = 0.5;
+const GROUND_WINDOW_MS = 1000;   // ground level = lowest foot point over the last second
+const GROUND_BAND = 0.08;        // foot within this share of leg length from ground level
+const STANCE_SPEED_RATIO = 0.4;  // stance foot moves slower than this share of hip speed
+
+const FEET = {
+    left: { heel: 29, toe: 31, ankle: 27, hip: 23 },
+    right: { heel: 30, toe: 32, ankle: 28, hip: 24 },
+};
+
+const round = (v, digits = 2) => Math.round(v * 10 ** digits) / 10 ** digits;
+const mean = values => (values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+
+/**
+ * Order the drawn lines into a course, each oriented so the far side (towards
+ * the finish) is positive.
+ * @param {Object} start - Start line { a, b }
+ * @param {Object} finish - Finish line { a, b }
+ * @param {number} distance - Start to finish (m)
+ * @param {Array<{ distance: number, line: Object }>} [splits] - Drawn split marks
+ * @returns {Array<{ distance, line, sign, length }>}
+ */
+export function buildCourse(start, finish, distance, splits = []) {
+    const marks = [
+        { distance: 0, line: start },
+        ...splits.filter(s => s.line && s.distance > 0 && s.distance < distance).sort((a, b) => a.distance - b.distance),
+        { distance, line: finish },
+    ];
+    const finishMid = lineMidpoint(finish);
+    const startMid = lineMidpoint(start);
+    return marks.map((mark, i) => {
+        const last = i === marks.length - 1;
+        return {
+            distance: mark.distance,
+            line: mark.line,
+            sign: last ? -Math.sign(lineSide(mark.line, startMid)) : Math.sign(lineSide(mark.line, finishMid)),
+            length: Math.hypot(mark.line.b.x - mark.line.a.x, mark.line.b.y - mark.line.a.y) || 1,
+        };
+    });
+}
+
+/**
+ * Distance down the course of a point between the start and finish lines.
+ * @param {Array} course - From buildCourse()
+ * @param {{ x, y }} p
+ * @returns {number|null} Metres, or null outside the course
+ */
+export function trackPosition(course, p) {
+    const d = course.map(m => (m.sign * lineSide(m.line, p)) / m.length);
+    for (let i = 0; i < course.length - 1; i++) {
+        if (d[i] >= 0 && d[i + 1] <= 0) {
+            const span = d[i] - d[i + 1];
+            return course[i].distance + (span ? (course[i + 1].distance - course[i].distance) * (d[i] / span) : 0);
+        }
+    }
+    return null;
+}
+
+/**
+ * Records ground contacts and torso position over a run.
+ * @param {Object} options
+ * @param {Array} options.course - From buildCourse()
+ * @param {number} [options.aspect=16/9] - Frame width / height
+ */
+export function createRunRecorder({ course, aspect = 16 / 9 }) {
+    const contacts = [];
+    const positions = [];
+    const feet = { left: { down: false, on: null, prev: null, ground: [] }, right: { down: false, on: null, prev: null, ground: [] } };
+    let prevHips = null;
+    let lastT = null;
+
+    return {
+        /**
+         * @param {number} t - Frame timestamp (ms)
+         * @param {Array|null} landmarks
+         */
+        frame(t, landmarks) {
+            const lh = landmarks?.[23];
+            const rh = landmarks?.[24];
+            const ls = landmarks?.[11];
+            const rs = landmarks?.[12];
+            if (![lh, rh, ls, rs].every(p => p && (p.visibility ?? 1) >= MIN_VISIBILITY)) return;
+            lastT = t;
+
+            const hips = { x: (lh.x + rh.x) / 2, y: (lh.y + rh.y) / 2 };
+            const torso = { x: (hips.x + (ls.x + rs.x) / 2) / 2, y: (hips.y + (ls.y + rs.y) / 2) / 2 };
+            const distance = trackPosition(course, torso);
+            if (distance !== null) positions.push({ t, distance });
+
+            const dt = prevHips ? t - prevHips.t : 0;
+            const hipSpeed = dt > 0 ? (Math.abs(hips.x - prevHips.x) * aspect) / dt : 0;
+            prevHips = { t, x: hips.x };
+
+            Object.entries(FEET).forEach(([side, idx]) => {
+                const heel = landmarks[idx.heel];
+                const toe = landmarks[idx.toe];
+                if (![heel, toe].every(p => p && (p.visibility ?? 1) >= MIN_VISIBILITY)) return;
+                const foot = feet[side];
+                const y = Math.max(heel.y, toe.y);
+                const x = (heel.x + toe.x) / 2;
+                const hip = landmarks[idx.hip];
+                const ankle = landmarks[idx.ankle];
+                const leg = Math.hypot((hip.x - ankle.x) * aspect, hip.y - ankle.y);
+
+                foot.ground = [...foot.ground.filter(g => t - g.t < GROUND_WINDOW_MS), { t, y }];
+                const groundY = Math.max(...foot.ground.map(g => g.y));
+                const footSpeed = foot.prev && t > foot.prev.t ? (Math.abs(x - foot.prev.x) * aspect) / (t - foot.prev.t) : 0;
+                foot.prev = { t, x };
+
+                const down = groundY - y < GROUND_BAND * leg && footSpeed < STANCE_SPEED_RATIO * hipSpeed;
+                if (down && !foot.down) foot.on = t;
+                if (!down && foot.down) contacts.push({ foot: side, on: foot.on, off: t });
+                foot.down = down;
+            });
+        },
+
+        /**
+         * @returns {{ contacts: Array<{ foot, on, off }>, positions: Array<{ t, distance }> }}
+         */
+        result() {
+            const open = Object.entries(feet)
+                .filter(([, foot]) => foot.down)
+                .map(([side, foot]) => ({ foot: side, on: foot.on, off: lastT }));
+            return { contacts: [...contacts, ...open].sort((a, b) => a.on - b.on), positions };
+        },
+    };
+}
+
+// First time the torso reached `distance`, interpolated between samples
+function timeAtDistance(positions, distance) {
+    for (let i = 1; i < positions.length; i++) {
+        const a = positions[i - 1];
+        const b = positions[i];
+        if (a.distance < distance && b.distance >= distance) {
+            return a.t + (b.t - a.t) * ((distance - a.distance) / (b.distance - a.distance));
+        }
+    }
+    return null;
+}
+
+/**
+ * Analyze a timed run.
+ * @param {Object} run
+ * @param {Array<{ distance: number, time: number }>} run.marks - Start (0 m), crossed splits and finish, with crossing times (ms)
+ * @param {Array} run.contacts - From createRunRecorder().result()
+ * @param {Array} run.positions - From createRunRecorder().result()
+ * @param {number} [run.binMeters=5] - Resolution of the velocity curve
+ * @returns {{
+ *   segments: Array<{ from, to, time, velocity, strides, strideFrequency, strideLength, contactMs, flightMs }>,
+ *   velocity: Array<{ distance: number, velocity: number }>,  Mean velocity over each bin, at its far end
+ *   topSpeed: number|null,
+ *   strides: number,
+ *   contactMs: number|null,
+ *   flightMs: number|null,
+ * }}
+ */
+export function analyzeSprint({ marks, contacts, positions, binMeters = 5 }) {
+    const start = marks[0].time;
+    const finish = marks[marks.length - 1].time;
+    const steps = contacts.filter(c => c.on >= start && c.on < finish);
+    const flights = steps.slice(0, -1).map((c, i) => ({ t: c.off, ms: Math.max(0, steps[i + 1].on - c.off) }));
+
+    const segments = marks.slice(1).map((mark, i) => {
+        const from = marks[i];
+        const seconds = (mark.time - from.time) / 1000;
+        const inSegment = steps.filter(c => c.on >= from.time && c.on < mark.time);
+        const segmentFlights = flights.filter(f => f.t >= from.time && f.t < mark.time).map(f => f.ms);
+        const length = mark.distance - from.distance;
+        return {
+            from: from.distance,
+            to: mark.distance,
+            time: round(seconds),
+            velocity: seconds > 0 ? round(length / seconds) : null,
+            strides: inSegment.length,
+            strideFrequency: inSegment.length && seconds > 0 ? round(inSegment.length / seconds) : null,
+            strideLength: inSegment.length ? round(length / inSegment.length) : null,
+            contactMs: inSegment.length ? Math.round(mean(inSegment.map(c => c.off - c.on))) : null,
+            flightMs: segmentFlights.length ? Math.round(mean(segmentFlights)) : null,
+        };
+    });
+
+    const total = marks[marks.length - 1].distance;
+    const velocity = [];
+    for (let d = binMeters; d <= total + 1e-6; d += binMeters) {
+        const t0 = timeAtDistance(positions, d - binMeters) ?? (d === binMeters ? start : null);
+        const t1 = timeAtDistance(positions, d) ?? (Math.abs(d - total) < 1e-6 ? finish : null);
+        if (t0 !== null && t1 !== null && t1 > t0) velocity.push({ distance: round(d, 1), velocity: round(binMeters / ((t1 - t0) / 1000)) });
+    }
+
+    const contactTimes = steps.map(c => c.off - c.on);
+    return {
+        segments,
+        velocity,
+        topSpeed: velocity.length ? Math.max(...velocity.map(v => v.velocity)) : null,
+        strides: steps.length,
+        contactMs: contactTimes.length ? Math.round(mean(contactTimes)) : null,
+        flightMs: flights.length ? Math.round(mean(flights.map(f => f.ms))) : null,
+    };
+}
+
+export default {
+    buildCourse,
+    trackPosition,
+    createRunRecorder,
+    analyzeSprint,
+};
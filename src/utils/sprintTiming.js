@@ -0,0 +1,250 @@
+/**
+ * sprintTiming.js
+ * Automatic sprint timing from virtual lines drawn on the camera frame.
+ *
+ * - Start: the athlete's hips crossing the start line, or an audio start
+ *   signal played by the app. Flying starts (after a run-in zone) use the
+ *   torso, like the finish, since the athlete is already at speed
+ * - Finish and split marks: the torso (shoulder–hip centre, as in
+ *   photo-finish rules) crossing the finish line or a split line
+ * - Crossing times are interpolated between the two frames either side of the
+ *   line using their timestamps, so timing resolution isn't limited to the frame rate
+ * - Reaction time (signal start): first movement of the hips after the signal,
+ *   back-dated from the movement threshold to the last still frame; movement
+ *   before the signal, or within 100 ms of it, is a false start
+ *
+ * Lines are in normalized source-frame coordinates (the landmark space), and
+ * are treated as infinite: draw them along the gate so the running path crosses them.
+ * Only crossings towards the finish count, so walking back between
+ * repetitions doesn't trigger the lines.
+ */
+
+const STORAGE_KEY = 'athleteai_sprint_lines';
+const MIN_VISIBILITY = 0.5;
+const MOVEMENT_THRESHOLD = 0.08; // hip displacement, fraction of torso length (~4 cm)
+const STILL_FRACTION = 0.25;     // below this share of the threshold the hips count as still
+const MIN_REACTION_MS = 100;     // faster than humanly possible: anticipated the gun
+
+/**
+ * Saved timing lines for the sprint camera setup.
+ * @returns {{ start: Object|null, finish: Object|null, splits: Array<{ distance: number, line: Object|null }> }}
+ */
+export function loadTimingLines() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return { start: saved?.start ?? null, finish: saved?.finish ?? null, splits: saved?.splits ?? [] };
+    } catch {
+        return { start: null, finish: null, splits: [] };
+    }
+}
+
+/**
+ * @param {{ start: Object|null, finish: Object|null, splits: Array }} lines
+ */
+export function saveTimingLines(lines) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(lines));
+    } catch { /* storage unavailable — lines apply to this session only */ }
+}
+
+/**
+ * Signed side of a point relative to a line (2D cross product). Zero on the line.
+ * @param {{ a: {x, y}, b: {x, y} }} line
+ * @param {{ x: number, y: number }} p
+ * @returns {number}
+ */
+export function lineSide(line, p) {
+    return (line.b.x - line.a.x) * (p.y - line.a.y) - (line.b.y - line.a.y) * (p.x - line.a.x);
+}
+
+/**
+ * @param {{ a: {x, y}, b: {x, y} }} line
+ * @returns {{ x: number, y: number }}
+ */
+export function lineMidpoint(line) {
+    return { x: (line.a.x + line.b.x) / 2, y: (line.a.y + line.b.y) / 2 };
+}
+
+/**
+ * Time a point crossed a line between two frames, interpolated linearly.
+ * @param {Object} line
+ * @param {number} t0 - Previous frame timestamp (ms)
+ * @param {{ x, y }} p0 - Point on the previous frame
+ * @param {number} t1 - Current frame timestamp (ms)
+ * @param {{ x, y }} p1 - Point on the current frame
+ * @returns {number|null} Crossing time, or null if the line wasn't crossed
+ */
+export function crossingTime(line, t0, p0, t1, p1) {
+    const s0 = lineSide(line, p0);
+    const s1 = lineSide(line, p1);
+    if (s0 === 0) return null; // counted on the frame that reached the line
+    if (s1 !== 0 && Math.sign(s0) === Math.sign(s1)) return null;
+    return t0 + (t1 - t0) * (s0 / (s0 - s1));
+}
+
+// Crossing only when moving onto the side of the line with sign `aheadSign`
+function forwardCrossing(line, aheadSign, t0, p0, t1, p1) {
+    return Math.sign(lineSide(line, p0)) === -aheadSign ? crossingTime(line, t0, p0, t1, p1) : null;
+}
+
+/**
+ * Hip, shoulder and torso centres from one frame's landmarks.
+ * @param {Array} landmarks - MediaPipe landmarks
+ * @returns {{ hips: {x, y}, shoulders: {x, y}, torso: {x, y} }|null} Null if not clearly visible
+ */
+export function bodyPoints(landmarks) {
+    const ls = landmarks?.[11];
+    const rs = landmarks?.[12];
+    const lh = landmarks?.[23];
+    const rh = landmarks?.[24];
+    if (![ls, rs, lh, rh].every(p => p && (p.visibility ?? 1) >= MIN_VISIBILITY)) return null;
+    const hips = { x: (lh.x + rh.x) / 2, y: (lh.y + rh.y) / 2 };
+    const shoulders = { x: (ls.x + rs.x) / 2, y: (ls.y + rs.y) / 2 };
+    return {
+        hips,
+        shoulders,
+        torso: { x: (hips.x + shoulders.x) / 2, y: (hips.y + shoulders.y) / 2 },
+    };
+}
+
+/**
+ * Timer for one sprint. Feed every pose frame; it reports start, finish and
+ * reaction from frame timestamps alone.
+ * @param {Object} options
+ * @param {{ start: Object, finish: Object }} options.lines
+ * @param {Array<{ distance: number, line: Object }>} [options.splits] - Split marks between start and finish
+ * @param {'line'|'signal'} [options.startMode='line']
+ * @param {boolean} [options.flying=false] - Flying start: timed from the torso crossing the start line
+ * @param {number} [options.aspect=16/9] - Frame width / height, to measure movement in true proportions
+ */
+export function createSprintTimer({ lines, splits = [], startMode = 'line', flying = false, aspect = 16 / 9 }) {
+    let prev = null;
+    let setTime = null;
+    let signalTime = null;
+    let baseline = null; // body in the "set" position
+    let startTime = null;
+    let finishTime = null;
+    let firstMovement = null;
+    let falseStart = false;
+    let lastStill = null; // last frame time the hips were still, after "set"
+    const splitTimes = splits.map(split => ({ distance: split.distance, time: null }));
+    // Side of each line the athlete runs towards
+    const finishMid = lineMidpoint(lines.finish);
+    const ahead = line => Math.sign(lineSide(line, finishMid));
+    const finishAhead = -Math.sign(lineSide(lines.finish, lineMidpoint(lines.start)));
+
+    const startPoint = flying ? 'torso' : 'hips';
+    const displacement = (p, q) => Math.hypot((p.x - q.x) * aspect, p.y - q.y);
+
+    const status = () => ({
+        started: startTime !== null,
+        finished: finishTime !== null,
+        startTime,
+        finishTime,
+        totalMs: startTime !== null && finishTime !== null ? finishTime - startTime : null,
+        reactionMs: firstMovement !== null && signalTime !== null && !falseStart ? firstMovement - signalTime : null,
+        falseStart,
+        splits: splitTimes.map(split => ({ ...split })),
+    });
+
+    return {
+        /**
+         * Signal start: the "set" command and start signal on the source clock.
+         * @param {number} set - ms
+         * @param {number} signal - ms
+         */
+        schedule(set, signal) {
+            setTime = set;
+            signalTime = signal;
+            startTime = signal;
+        },
+
+        /**
+         * @param {number} t - Frame timestamp (ms)
+         * @param {Array|null} landmarks
+         * @returns {Object} Timer status
+         */
+        frame(t, landmarks) {
+            const points = bodyPoints(landmarks);
+            if (!points) return status();
+
+            if (startMode === 'signal' && firstMovement === null && setTime !== null) {
+                if (t < setTime || !baseline) {
+                    baseline = points;
+                    lastStill = t;
+                } else {
+                    const moved = displacement(points.hips, baseline.hips) / displacement(baseline.shoulders, baseline.hips);
+                    if (moved <= MOVEMENT_THRESHOLD * STILL_FRACTION) lastStill = t;
+                    else if (moved > MOVEMENT_THRESHOLD) {
+                        firstMovement = lastStill;
+                        falseStart = firstMovement < signalTime + MIN_REACTION_MS;
+                    }
+                }
+            }
+
+            if (prev) {
+                if (startMode === 'line' && startTime === null) {
+                    startTime = forwardCrossing(lines.start, ahead(lines.start), prev.t, prev[startPoint], t, points[startPoint]);
+                }
+                if (startTime !== null && finishTime === null) {
+                    splits.forEach((split, i) => {
+                        if (splitTimes[i].time !== null) return;
+                        const crossed = forwardCrossing(split.line, ahead(split.line), prev.t, prev.torso, t, points.torso);
+                        if (crossed !== null && crossed > startTime) splitTimes[i].time = crossed;
+                    });
+                    const crossed = forwardCrossing(lines.finish, finishAhead, prev.t, prev.torso, t, points.torso);
+                    if (crossed !== null && crossed > startTime) finishTime = crossed;
+                }
+            }
+            prev = { t, ...points };
+            return status();
+        },
+
+        status,
+    };
+}
+
+let audioCtx = null;
+
+/**
+ * Play the start commands on the speaker: a low "on your marks" beep now,
+ * a low "set" beep after `setDelayMs` and a high start beep after `signalDelayMs`.
+ * Beeps are scheduled on the audio clock, so they don't drift with timers.
+ * @param {number} setDelayMs
+ * @param {number} signalDelayMs
+ * @returns {{ latencyMs: number, cancel: Function }|null} Output latency to add to the signal time; null without Web Audio
+ */
+export function playStartSignal(setDelayMs, signalDelayMs) {
+    try {
+        if (!audioCtx) audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+        const now = audioCtx.currentTime;
+        const oscillators = [[0, 440], [setDelayMs, 440], [signalDelayMs, 880]].map(([delay, freq]) => {
+            const osc = audioCtx.createOscillator();
+            const gain = audioCtx.createGain();
+            osc.connect(gain);
+            gain.connect(audioCtx.destination);
+            osc.frequency.value = freq;
+            gain.gain.value = 0.3;
+            osc.start(now + delay / 1000);
+            osc.stop(now + delay / 1000 + (freq === 880 ? 0.3 : 0.15));
+            return osc;
+        });
+        return {
+            latencyMs: ((audioCtx.outputLatency || 0) + (audioCtx.baseLatency || 0)) * 1000,
+            cancel: () => oscillators.forEach((osc) => { try { osc.stop(); } catch { /* already stopped */ } }),
+        };
+    } catch {
+        return null;
+    }
+}
+
+export default {
+    loadTimingLines,
+    saveTimingLines,
+    lineSide,
+    lineMidpoint,
+    crossingTime,
+    bodyPoints,
+    createSprintTimer,
+    playStartSignal,
+};
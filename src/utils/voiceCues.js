@@ -0,0 +1,54 @@
+/**
+ * voiceCues.js
+ * Spoken coaching cues via the Web Speech API. Off by default; the choice is
+ * remembered per device.
+ */
+
+const STORAGE_KEY = 'athleteai_voice_cues';
+
+/**
+ * @returns {boolean} Whether the browser can speak
+ */
+export function isSpeechSupported() {
+    return typeof window !== 'undefined' && 'speechSynthesis' in window;
+}
+
+/**
+ * @returns {boolean} Whether the athlete turned spoken cues on
+ */
+export function getVoiceCuesEnabled() {
+    try {
+        return localStorage.getItem(STORAGE_KEY) === 'on';
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * @param {boolean} enabled
+ */
+export function setVoiceCuesEnabled(enabled) {
+    try {
+        localStorage.setItem(STORAGE_KEY, enabled ? 'on' : 'off');
+    } catch { /* storage unavailable — keep the in-memory choice */ }
+    if (!enabled && isSpeechSupported()) window.speechSynthesis.cancel();
+}
+
+/**
+ * Speak a cue, replacing anything still queued so cues never lag behind the set.
+ * @param {string} text
+ */
+export function speakCue(text) {
+    if (!isSpeechSupported() || !text) return;
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.rate = 1.1;
+    window.speechSynthesis.cancel();
+    window.speechSynthesis.speak(utterance);
+}
+
+export default {
+    isSpeechSupported,
+    getVoiceCuesEnabled,
+    setVoiceCuesEnabled,
+    speakCue,
+};
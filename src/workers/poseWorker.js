@@ -0,0 +1,66 @@
+/**
+ * poseWorker.js
+ * Runs MediaPipe Pose inside a Web Worker so inference never blocks the UI
+ * thread. The solution renders into its own OffscreenCanvas; frames arrive
+ * as transferred ImageBitmaps and landmark arrays are posted back.
+ *
+ * Messages in:  init { assetBase, options } | frame { id, image, at } | setOptions { options }
+ * Messages out: progress { file } | ready | result { id, landmarks, worldLandmarks } | error { id?, message }
+ */
+let pose = null;
+let latestResults = null;
+
+async function init({ assetBase, options }) {
+    // pose.js is a classic script that defines self.Pose and loads its WASM via importScripts
+    self.importScripts(`${assetBase}pose.js`);
+
+    pose = new self.Pose({
+        locateFile: (file) => {
+            self.postMessage({ type: 'progress', file });
+            return `${assetBase}${file}`;
+        },
+    });
+    pose.setOptions(options);
+    pose.onResults((results) => {
+        latestResults = results;
+    });
+
+    await pose.initialize();
+    self.postMessage({ type: 'ready' });
+}
+
+async function processFrame({ id, image, at }) {
+    try {
+        latestResults = null;
+        await pose.send({ image }, at);
+        self.postMessage({
+            type: 'result',
+            id,
+            landmarks: latestResults?.poseLandmarks || null,
+            worldLandmarks: latestResults?.poseWorldLandmarks || null,
+        });
+    } finally {
+        image.close();
+    }
+}
+
+self.onmessage = async (event) => {
+    const message = event.data;
+    try {
+        switch (message.type) {
+            case 'init':
+                await init(message);
+                break;
+            case 'frame':
+                await processFrame(message);
+                break;
+            case 'setOptions':
+                pose?.setOptions(message.options);
+                break;
+            default:
+                break;
+        }
+    } catch (error) {
+        self.postMessage({ type: 'error', id: message.id, message: error?.message || String(error) });
+    }
+};
@@ -1,9 +1,111 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
+import { createReadStream, existsSync, readdirSync, readFileSync, statSync } from 'node:fs'
+import { createRequire } from 'node:module'
+import { dirname, join, sep } from 'node:path'
+import { fileURLToPath } from 'node:url'
+
+const require = createRequire(import.meta.url)
+
+// Tasks WASM files FilesetResolver loads (SIMD, or the fallback without it)
+const TASKS_WASM_FILES = [
+  'vision_wasm_internal.js',
+  'vision_wasm_internal.wasm',
+  'vision_wasm_nosimd_internal.js',
+  'vision_wasm_nosimd_internal.wasm',
+]
+
+// Cached on first use instead of precached: the heavy models (~27 MB / ~30 MB, only used at
+// modelComplexity 2) and the Tasks WASM build for browsers without SIMD
+const ON_DEMAND = [
+  'pose_landmark_heavy.tflite',
+  'models/pose_landmarker_heavy.task',
+  'tasks-vision/vision_wasm_nosimd_internal.js',
+  'tasks-vision/vision_wasm_nosimd_internal.wasm',
+]
+
+// Downloaded by `npm run fetch-models` (scripts/fetch-pose-models.mjs)
+const MODELS_DIR = fileURLToPath(new URL('./pose-models', import.meta.url))
+
+/**
+ * Serves the @mediapipe/pose WASM + model files from our own origin
+ * (dev middleware) and copies them into the build, so pose detection
+ * never depends on a CDN. Also writes a manifest.json the service worker
+ * uses to precache them. The alternative backends' assets live under the
+ * same directory: the MediaPipe Tasks WASM fileset in tasks-vision/ and the
+ * PoseLandmarker / MoveNet models from pose-models/ in models/.
+ */
+function mediapipePoseAssets() {
+  const pkgPath = require.resolve('@mediapipe/pose/package.json')
+  const sourceDir = dirname(pkgPath)
+  const { version } = JSON.parse(readFileSync(pkgPath, 'utf-8'))
+  const tasksDir = dirname(require.resolve('@mediapipe/tasks-vision/vision_wasm_internal.js'))
+  const { version: tasksVersion } = JSON.parse(readFileSync(join(tasksDir, '..', 'package.json'), 'utf-8'))
+  const models = existsSync(MODELS_DIR)
+    ? readdirSync(MODELS_DIR, { recursive: true }).filter(f => statSync(join(MODELS_DIR, f)).isFile())
+    : []
+  const modelFiles = models.map(f => f.split(sep).join('/'))
+
+  // Served path under outDir -> file on disk
+  const assets = new Map([
+    ...readdirSync(sourceDir)
+      .filter(f => !['README.md', 'package.json', 'index.d.ts'].includes(f))
+      .map(f => [f, join(sourceDir, f)]),
+    ...TASKS_WASM_FILES.map(f => [`tasks-vision/${f}`, join(tasksDir, f)]),
+    ...models.map((f, i) => [`models/${modelFiles[i]}`, join(MODELS_DIR, f)]),
+  ])
+  const files = [...assets.keys()]
+  const assetsVersion = `${version}+tasks-${tasksVersion}`
+  const manifest = JSON.stringify({
+    version: assetsVersion,
+    files,
+    precache: files.filter(f => !ON_DEMAND.includes(f)),
+  })
+  const outDir = 'mediapipe/pose'
+
+  return {
+    name: 'mediapipe-pose-assets',
+    config() {
+      return {
+        define: {
+          'import.meta.env.VITE_POSE_ASSETS_VERSION': JSON.stringify(assetsVersion),
+          // Models without a self-hosted copy load from their public hosts (see services/poseAssets.js)
+          'import.meta.env.VITE_POSE_MODELS': JSON.stringify(modelFiles.join(',')),
+        },
+      }
+    },
+    buildStart() {
+      if (!models.length) {
+        this.warn('PoseLandmarker / MoveNet models not found in pose-models/ — they will load from their public hosts, '
+          + 'online only. Run `npm run fetch-models` to self-host them.')
+      }
+    },
+    configureServer(server) {
+      server.middlewares.use(`/${outDir}/manifest.json`, (req, res) => {
+        res.setHeader('Content-Type', 'application/json')
+        res.end(manifest)
+      })
+      server.middlewares.use(`/${outDir}/`, (req, res, next) => {
+        const file = decodeURIComponent(req.url.split('?')[0].replace(/^\//, ''))
+        if (!assets.has(file)) return next()
+        if (file.endsWith('.wasm')) res.setHeader('Content-Type', 'application/wasm')
+        else if (file.endsWith('.js')) res.setHeader('Content-Type', 'text/javascript')
+        else if (file.endsWith('.json')) res.setHeader('Content-Type', 'application/json')
+        createReadStream(assets.get(file)).pipe(res)
+      })
+    },
+    generateBundle() {
+      for (const [file, source] of assets) {
+        this.emitFile({ type: 'asset', fileName: `${outDir}/${file}`, source: readFileSync(source) })
+      }
+      this.emitFile({ type: 'asset', fileName: `${outDir}/manifest.json`, source: manifest })
+    },
+  }
+}
 
 export default defineConfig({
-  plugins: [react(), tailwindcss()],
+  plugins: [react(), tailwindcss(), mediapipePoseAssets()],
   server: {
     host: true,
     port: 5173,